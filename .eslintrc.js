@@ -65,5 +65,11 @@ module.exports = {
     exports: 'readonly',
     global: 'readonly'
   },
+  overrides: [
+    {
+      files: ['tests/**/*.js'],
+      env: { jest: true }
+    }
+  ],
   ignorePatterns: ['node_modules/', 'venv/', '*.min.js', 'dist/', 'build/']
 };
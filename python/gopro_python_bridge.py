@@ -4,27 +4,42 @@ GoPro Python Bridge - Uses official Open GoPro SDK for reliable camera control
 Communicates with JavaScript app via JSON over stdin/stdout
 """
 
+import argparse
 import asyncio
+import calendar
 import json
+import re
 import sys
+import time
 import logging
-from open_gopro import GoPro
+import urllib.parse
+import urllib.request
+from pathlib import Path
+from open_gopro import GoPro, Params
 
 # Configure logging
 logging.basicConfig(level=logging.INFO)
 logger = logging.getLogger(__name__)
 
+# Address of the camera's HTTP API once joined to its WiFi access point
+GOPRO_HTTP_BASE = "http://10.5.5.9:8080"
+
+# Slack (seconds) around the requested window when matching media timestamps
+MEDIA_TIME_SLACK = 5
+
 
 class GoProBridge:
-    def __init__(self):
+    def __init__(self, target=None):
         self.gopro = None
         self.is_connected = False
+        # Name pattern of the camera to pair with (None = first GoPro found)
+        self.target = re.compile(target) if target else None
 
     async def connect(self):
         """Connect to GoPro using BLE only"""
         try:
             logger.info("Connecting to GoPro via BLE only...")
-            self.gopro = GoPro(enable_wifi=False)  # Disable WiFi, BLE only
+            self.gopro = GoPro(target=self.target, enable_wifi=False)  # Disable WiFi, BLE only
 
             logger.info("Opening GoPro connection...")
             self.gopro.open()  # Not async
@@ -133,22 +148,155 @@ class GoProBridge:
             # Use BLE command to take photo
             result = self.gopro.ble_command.set_shutter(1)
 
-            # Handle response
-            if hasattr(result, "status"):
-                status = result.status
-            else:
-                status = "SUCCESS"  # Assume success if no status field
-
-            if status == "SUCCESS" or str(status) == "ErrorCode.SUCCESS":
+            if self.command_succeeded(result):
                 logger.info("Photo taken successfully via BLE!")
                 return {"success": True, "message": "Photo taken successfully via BLE"}
             else:
-                return {"success": False, "error": f"Photo failed: {status}"}
+                return {"success": False, "error": f"Photo failed: {result.status}"}
 
         except Exception as e:
             logger.error(f"BLE photo error: {e}")
             return {"success": False, "error": str(e)}
 
+    def command_succeeded(self, result):
+        """Whether a BLE command response reports success (no status field counts as success)"""
+        status = getattr(result, "status", "SUCCESS")
+        return status == "SUCCESS" or str(status) == "ErrorCode.SUCCESS"
+
+    async def recover(self):
+        """Bring a busy/stuck camera back: shutter off, back to photo mode, keep-alive
+
+        Every step is tried even if an earlier one fails; the result lists each step.
+        """
+        if not self.is_connected or not self.gopro:
+            return {"success": False, "error": "Not connected"}
+
+        logger.info("Attempting busy recovery...")
+        command = self.gopro.ble_command
+        steps = [
+            ("shutter_off", lambda: command.set_shutter(Params.Toggle.DISABLE)),
+            ("photo_mode", lambda: command.load_preset_group(Params.PresetGroup.PHOTO)),
+            ("keep_alive", lambda: self.gopro.keep_alive()),
+        ]
+        results = []
+        for name, step in steps:
+            try:
+                result = step()
+                ok = result is True or (result is not False and self.command_succeeded(result))
+                error = None if ok else f"status {getattr(result, 'status', result)}"
+                results.append({"step": name, "success": ok, "error": error})
+            except Exception as e:
+                logger.warning(f"Recovery step {name} failed: {e}")
+                results.append({"step": name, "success": False, "error": str(e)})
+
+        logger.info(f"Busy recovery finished: {results}")
+        return {"success": any(r["success"] for r in results), "steps": results}
+
+    def camera_time(self, timestamp):
+        """Convert a host epoch timestamp to the camera's clock
+
+        GoPro media timestamps are local wall-clock time stored as if it were UTC,
+        so the host's local time is re-encoded the same way before comparing.
+        """
+        return calendar.timegm(time.localtime(timestamp))
+
+    def open_wifi(self):
+        """Reconnect with WiFi enabled, media transfer is not available over BLE"""
+        if self.gopro:
+            self.gopro.close()
+        self.is_connected = False
+
+        logger.info("Connecting to GoPro via BLE + WiFi for media transfer...")
+        gopro = GoPro(target=self.target, enable_wifi=True)
+        gopro.open()
+        return gopro
+
+    def close_wifi(self, gopro):
+        """Drop the WiFi session and go back to the BLE-only connection"""
+        try:
+            gopro.close()
+        except Exception as e:
+            logger.warning(f"Error closing WiFi session: {e}")
+
+        self.gopro = GoPro(target=self.target, enable_wifi=False)
+        self.gopro.open()
+        self.is_connected = self.gopro.is_ble_connected
+
+    def list_media_files(self, gopro):
+        """Return [{path, created, size}] for every file on the SD card"""
+        response = gopro.wifi_command.get_media_list()
+        data = response.data if hasattr(response, "data") else response
+        if hasattr(data, "dict"):
+            data = data.dict()
+
+        files = []
+        for directory in data.get("media", []):
+            for item in directory.get("fs", []):
+                files.append(
+                    {
+                        "path": f"{directory['d']}/{item['n']}",
+                        "created": int(item.get("cre", 0)),
+                        "size": int(item.get("s", 0)),
+                    }
+                )
+        return files
+
+    async def download_media(self, directory, since, until=None, extensions=None):
+        """Download the media created between `since` and `until` (host epoch seconds)"""
+        if not self.is_connected or not self.gopro:
+            return {"success": False, "error": "Not connected"}
+
+        target_dir = Path(directory)
+        target_dir.mkdir(parents=True, exist_ok=True)
+        start = self.camera_time(since) - MEDIA_TIME_SLACK
+        end = self.camera_time(until if until else time.time()) + MEDIA_TIME_SLACK
+        wanted = tuple(ext.lower() for ext in (extensions or [".jpg"]))
+
+        gopro = None
+        try:
+            gopro = self.open_wifi()
+            media = [
+                item
+                for item in self.list_media_files(gopro)
+                if start <= item["created"] <= end and item["path"].lower().endswith(wanted)
+            ]
+            logger.info(f"Downloading {len(media)} file(s) to {target_dir}")
+
+            downloaded = []
+            for item in sorted(media, key=lambda m: m["path"]):
+                local_file = target_dir / Path(item["path"]).name
+                gopro.wifi_command.download_file(camera_file=item["path"], local_file=local_file)
+                downloaded.append({**item, "file": str(local_file)})
+
+            return {"success": True, "files": downloaded}
+        except Exception as e:
+            logger.error(f"Media download error: {e}")
+            return {"success": False, "error": str(e)}
+        finally:
+            if gopro:
+                self.close_wifi(gopro)
+
+    async def delete_media(self, paths):
+        """Delete files from the SD card"""
+        if not self.is_connected or not self.gopro:
+            return {"success": False, "error": "Not connected"}
+
+        gopro = None
+        try:
+            gopro = self.open_wifi()
+            deleted = []
+            for camera_path in paths:
+                query = urllib.parse.urlencode({"path": camera_path})
+                with urllib.request.urlopen(f"{GOPRO_HTTP_BASE}/gopro/media/delete/file?{query}", timeout=10):
+                    deleted.append(camera_path)
+            return {"success": True, "deleted": deleted}
+        except Exception as e:
+            logger.error(f"Media delete error: {e}")
+            return {"success": False, "error": str(e)}
+        finally:
+            if gopro:
+                self.close_wifi(gopro)
+
     async def handle_command(self, command_data):
         """Handle commands from JavaScript app"""
         command = command_data.get("command")
@@ -165,6 +313,17 @@ class GoProBridge:
             result = await self.check_connection()
         elif command == "take_photo":
             result = await self.take_photo()
+        elif command == "recover":
+            result = await self.recover()
+        elif command == "download_media":
+            result = await self.download_media(
+                command_data.get("directory"),
+                command_data.get("since"),
+                command_data.get("until"),
+                command_data.get("extensions"),
+            )
+        elif command == "delete_media":
+            result = await self.delete_media(command_data.get("paths", []))
         else:
             result = {"success": False, "error": f"Unknown command: {command}"}
 
@@ -175,9 +334,16 @@ class GoProBridge:
         return result
 
 
+def parse_args():
+    parser = argparse.ArgumentParser(description="GoPro Python Bridge")
+    parser.add_argument("--target", help="Regex of the camera name to connect to, e.g. 'GoPro 1234'")
+    return parser.parse_args()
+
+
 async def main():
     """Main loop - read JSON commands from stdin, send responses to stdout"""
-    bridge = GoProBridge()
+    args = parse_args()
+    bridge = GoProBridge(target=args.target)
 
     logger.info("GoPro Python Bridge started - waiting for commands...")
 
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * LayerSync - authentication setup
+ * Sets the web UI password and manages API tokens in the configuration file.
+ * Restart LayerSync afterwards; while it runs, use the /api/auth/password and /api/tokens routes.
+ */
+
+const path = require('path');
+const readline = require('readline');
+const ConfigManager = require('../src/utils/config');
+const ConfigCipher = require('../src/utils/configCipher');
+const AuthService = require('../src/services/authService');
+
+const DEFAULT_CONFIG = process.env.LAYERSYNC_CONFIG || path.join(__dirname, '../config/config.json');
+
+const USAGE = `Usage: node scripts/auth.js <command> [options]
+
+  set-password [password]       Set the web UI password (read from stdin when left out)
+  remove-password               Remove the web UI password
+  add-token <name> --scopes <s> Create an API token; scopes: ${AuthService.SCOPES.join(', ')} (comma separated)
+  list-tokens                   List the API tokens
+  revoke-token <id>             Revoke an API token
+
+  --config <file>               Configuration file (default: config/config.json or $LAYERSYNC_CONFIG)`;
+
+function parseArgs(argv) {
+  const args = { config: DEFAULT_CONFIG, positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--config':
+        args.config = argv[++i];
+        break;
+      case '--scopes':
+        args.scopes = argv[++i].split(',').map((scope) => scope.trim());
+        break;
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new Error(`Unknown option ${arg}`);
+        }
+        args.positional.push(arg);
+    }
+  }
+  [args.command, ...args.positional] = args.positional;
+  return args;
+}
+
+async function readLine(prompt) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return await new Promise((resolve) => rl.question(prompt, resolve));
+  } finally {
+    rl.close();
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const settings = new ConfigManager(args.config, { log: () => {}, cipher: ConfigCipher.fromEnvironment(args.config) });
+  settings.load();
+  const auth = new AuthService(settings);
+  const [first] = args.positional;
+
+  switch (args.command) {
+    case 'set-password':
+      auth.setPassword(first !== undefined ? first : await readLine('New password: '));
+      console.log('Password set');
+      break;
+    case 'remove-password':
+      auth.setPassword(null);
+      console.log(auth.isEnabled() ? 'Password removed (API tokens still required)' : 'Authentication is off');
+      break;
+    case 'add-token': {
+      const { token, info } = auth.createToken(first, args.scopes || ['read']);
+      console.log(`Token ${info.id} "${info.name}" (${info.scopes.join(', ')}):`);
+      console.log(token);
+      console.log('It is not shown again; send it as "Authorization: Bearer <token>".');
+      break;
+    }
+    case 'list-tokens':
+      for (const info of auth.listTokens()) {
+        console.log(`${info.id}  ${info.name}  ${info.scopes.join(',')}  ${info.created_at}`);
+      }
+      break;
+    case 'revoke-token':
+      if (!auth.revokeToken(first)) {
+        throw new Error(`Unknown token "${first}"`);
+      }
+      console.log(`Token ${first} revoked`);
+      break;
+    default:
+      throw new Error(`Unknown command ${args.command}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
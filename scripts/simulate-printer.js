@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * LayerSync - Bambu printer simulator
+ * Runs a fake printer on mqtts://localhost:8883 and plays a scenario file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BambuPrinterSimulator = require('../src/simulators/bambuPrinterSimulator');
+
+const DEFAULT_SCENARIO = path.join(__dirname, '../src/simulators/scenarios/basic-print.json');
+
+const USAGE = `Usage: node scripts/simulate-printer.js [options]
+
+  --scenario <file>     Scenario to play (default: src/simulators/scenarios/basic-print.json)
+  --serial <serial>     Printer serial (default: SIM00000000001)
+  --access-code <code>  LAN access code / MQTT password (default: 12345678)
+  --port <port>         MQTTS port (default: 8883)
+  --speed <factor>      Play the scenario faster (e.g. 5)
+  --loop                Repeat the scenario until stopped`;
+
+function parseArgs(argv) {
+  const args = { scenario: DEFAULT_SCENARIO, loop: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--scenario':
+        args.scenario = argv[++i];
+        break;
+      case '--serial':
+        args.serial = argv[++i];
+        break;
+      case '--access-code':
+        args.accessCode = argv[++i];
+        break;
+      case '--port':
+        args.port = parseInt(argv[++i], 10);
+        break;
+      case '--speed':
+        args.speed = parseFloat(argv[++i]);
+        break;
+      case '--loop':
+        args.loop = true;
+        break;
+      case '--help':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const scenario = JSON.parse(fs.readFileSync(args.scenario, 'utf8'));
+  const simulator = new BambuPrinterSimulator({
+    serial: args.serial || scenario.serial,
+    accessCode: args.accessCode || scenario.access_code,
+    port: args.port,
+    speed: args.speed
+  });
+
+  simulator.on('log', (message) => console.log(`[SIM] ${message}`));
+  simulator.on('step', (step) => console.log(`[SIM] Step: ${JSON.stringify(step)}`));
+  simulator.on('request', (request) => console.log(`[SIM] Request: ${JSON.stringify(request)}`));
+
+  const shutdown = async () => {
+    console.log('[SIM] Stopping simulator...');
+    await simulator.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  await simulator.start();
+  console.log(`[SIM] Configure LayerSync with printer_ip=127.0.0.1 printer_serial=${simulator.serial}`);
+  console.log(`[SIM]                    mqtt_password=${simulator.accessCode}`);
+  if (scenario.description) {
+    console.log(`[SIM] Scenario: ${scenario.description}`);
+  }
+
+  await simulator.runScenario({ ...scenario, loop: args.loop || scenario.loop });
+  console.log('[SIM] Scenario complete - printer stays online, press Ctrl+C to stop');
+}
+
+main().catch((error) => {
+  console.error(`[SIM] ${error.message}`);
+  process.exit(1);
+});
@@ -1,1180 +1,561 @@
 /**
  * timelapse_controller.js
  *
- * Run: node timelapse_controller.js
- * Deps: npm i @abandonware/noble mqtt
+ * Wires the LayerSync services together and serves the web UI and HTTP API.
+ * Printers (PrinterService) publish what they see on the event bus; the capture
+ * service takes the photos and this controller keeps the print sessions.
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const mqtt = require('mqtt');
 
-// --- GoPro Controller (Python Bridge) ---
-const GoProPythonBridge = require('../services/goproPythonBridge');
-const goproBLE = new GoProPythonBridge();
+// --- Configuration and logging ---
+const ConfigManager = require('../utils/config');
+const ConfigCipher = require('../utils/configCipher');
+const { SCHEMA } = require('../utils/configSchema');
+const { envOverrides } = require('../utils/configSources');
+const Logger = require('../utils/logger');
 
-// --- GLOBALS / STATE ---
-const CONFIG_FILE = path.join(__dirname, '../../config/config.json');
+// --- Event bus between the services ---
+const EventBus = require('../services/eventBus');
+
+// --- Cameras (GoPro Python Bridge by default) ---
+const CameraManager = require('../services/cameraManager');
+const GoProService = require('../services/goproService');
+const CaptureService = require('../services/captureService');
 
-let config = {};
-let configLoaded = false;
+// --- Printers (MQTT connection, merged state, trigger strategy) ---
+const PrinterService = require('../services/printerService');
+const PrinterDiagnostics = require('../services/printerDiagnostics');
+const { createTriggerStrategy, DEFAULT_STRATEGY } = require('../services/triggers');
 
-let client = null;
+// --- Print sessions (capture history per print) ---
+const SessionStore = require('../services/sessionStore');
+const MediaDownloader = require('../services/mediaDownloader');
+const RenderService = require('../services/renderService');
+const MqttRecorder = require('../services/mqttRecorder');
 
-let currentPrinterState = 'Initializing MQTT...';
-let logBuffer = [];
-let lastGoProStatus = 'Awaiting first action...';
+// --- Live updates and commands for the web UI and external tools ---
+const EventStream = require('../services/eventStream');
+const ControlChannel = require('../services/controlChannel');
+const AuthService = require('../services/authService');
 
-let totalLayers = 0;
-let currentLayer = 0;
-let lastTriggerLayer = -1;
-let layerChangeTime = Date.now();
-let photoTriggerDelay = 800; // Delay after layer change before taking photo (ms)
+const { EVENTS } = EventBus;
+const { CAPTURE_POLICIES } = PrinterService;
+
+// --- GLOBALS / STATE ---
+// LAYERSYNC_CONFIG / LAYERSYNC_DATA_DIR / PORT let tests and side-by-side instances use their own files;
+// start() moves the stores to the data_dir setting once the configuration is loaded (see configureStorage)
+const CONFIG_FILE = process.env.LAYERSYNC_CONFIG || path.join(__dirname, '../../config/config.json');
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data');
+const DATA_DIR = process.env.LAYERSYNC_DATA_DIR || DEFAULT_DATA_DIR;
+const DEFAULT_PORT = SCHEMA.properties.http_port.default;
+
+const logger = new Logger();
+const settings = new ConfigManager(CONFIG_FILE, { log, cipher: ConfigCipher.fromEnvironment(CONFIG_FILE) });
+const auth = new AuthService(settings);
+const bus = new EventBus();
+
+const cameras = new CameraManager();
+const sessions = new SessionStore(path.join(DATA_DIR, 'sessions'));
+const gopro = new GoProService(cameras, { log });
+// One PrinterService per configured printer, keyed by printer id (see createPrinter)
+const printers = new Map();
+const capture = new CaptureService({ bus, gopro, sessions, printers, log });
+
+const mediaDownloader = new MediaDownloader({ cameras, sessions, directory: path.join(DATA_DIR, 'media') });
+const renderer = new RenderService({ sessions });
+const recorder = new MqttRecorder(path.join(DATA_DIR, 'recordings'));
+const events = new EventStream();
+const control = new ControlChannel({
+  log,
+  snapshot: () => liveSnapshot(),
+  authenticate: (req) => auth.authenticate(req),
+  authorize: AuthService.allows
+});
 
-// Shutdown flag to suppress errors during termination
-let isShuttingDown = false;
+renderer.on('started', (job) => log(`[Render] ${job.id}: rendering ${job.session_id} (${job.camera})...`, 'INFO'));
+renderer.on('done', (job) => log(`[Render] ${job.id}: timelapse written to ${job.output}`, 'SUCCESS'));
+renderer.on('failed', (job) => log(`[Render] ${job.id}: ${job.error}`, 'ERROR'));
 
 // ---------- util logging ----------
 function log(message, level = 'INFO') {
-  // Suppress ERROR and WARN messages during shutdown
-  if (isShuttingDown && (level === 'ERROR' || level === 'WARN')) {
-    return;
-  }
-
-  const timestamp = new Date().toLocaleTimeString();
-  const line = `[${timestamp}] [${level}] ${message}`;
-  const color =
-    level === 'ERROR' ? '\x1b[31m' : level === 'WARN' ? '\x1b[33m' : level === 'SUCCESS' ? '\x1b[32m' : '\x1b[37m';
-  console.log(`${color + line}\x1b[0m`);
-  logBuffer.push(line);
-  if (logBuffer.length > 400) {
-    logBuffer.shift();
-  }
+  logger.log(message, level);
 }
 
-// ---------- config ----------
-function saveConfig(newConfig) {
-  const safe = {
-    printer_ip: newConfig.printer_ip,
-    printer_serial: newConfig.printer_serial,
-    mqtt_username: newConfig.mqtt_username || newConfig.printer_serial,
-    mqtt_password: newConfig.mqtt_password
-  };
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(safe, null, 2));
-  log('Configuration saved (plain JSON).', 'SUCCESS');
+// Prefix printer log lines with the printer name once more than one printer is managed
+function printerLog(printer, message, level = 'INFO') {
+  log(printers.size > 1 ? `[${printer.name}] ${message}` : message, level);
 }
 
+// ---------- config ----------
 function loadConfig() {
-  try {
-    if (!fs.existsSync(CONFIG_FILE)) {
-      return null;
-    }
-    const safe = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-    config = { ...safe };
-    if (!config.mqtt_username) {
-      config.mqtt_username = config.printer_serial;
-    }
-    configLoaded = true;
-    log('Configuration loaded from config.json', 'SUCCESS');
-    return config;
-  } catch (e) {
-    log(`Failed to load configuration: ${e.message}`, 'ERROR');
+  if (!settings.load()) {
     return null;
   }
-}
-
-function resetConfig() {
-  try {
-    if (fs.existsSync(CONFIG_FILE)) {
-      fs.unlinkSync(CONFIG_FILE);
-    }
-    if (client) {
-      client.end();
-      client = null;
-    }
-    config = {};
-    configLoaded = false;
-    currentPrinterState = 'Awaiting configuration...';
-    logBuffer = [];
-    lastGoProStatus = 'Configuration Reset.';
-    totalLayers = 0;
-    currentLayer = 0;
-    lastTriggerLayer = -1;
-    layerChangeTime = Date.now();
-    log('Application state reset.', 'INFO');
-  } catch (e) {
-    log(`Failed to reset configuration: ${e.message}`, 'ERROR');
+  if (!settings.get('mqtt_username') && settings.get('printer_serial')) {
+    settings.set('mqtt_username', settings.get('printer_serial'));
   }
+  return settings.getAll();
 }
 
-// ---------- BLE shutter trigger ----------
-async function triggerGoProShutter(isTest = false) {
-  const what = isTest ? 'Manual Test Command' : `Layer ${currentLayer} Trigger`;
-
-  if (!goproBLE.ready()) {
-    lastGoProStatus = '🛑 BLE not connected to GoPro yet.';
-    log(lastGoProStatus, 'ERROR');
-    return;
-  }
+// Sessions, media and MQTT recordings live under data_dir (relative paths start at the working directory)
+function configureStorage() {
+  const dataDir = path.resolve(settings.get('data_dir') || DATA_DIR);
+  sessions.directory = path.join(dataDir, 'sessions');
+  mediaDownloader.directory = path.join(dataDir, 'media');
+  recorder.directory = path.join(dataDir, 'recordings');
+  return dataDir;
+}
 
-  // For layer triggers, check if Bambu timelapse is enabled
-  if (!isTest && !bambuTimelapseEnabled) {
-    lastGoProStatus = '🎬 Bambu Lab timelapse is DISABLED - photo skipped';
-    log(`⚠️  ${what} blocked: Bambu Lab timelapse is disabled`, 'WARN');
-    return;
-  }
+// ---------- printers ----------
+// Trigger strategy of a printer: its own `trigger`, else the global one, else every layer
+function triggerConfig(definition) {
+  return definition.trigger || settings.get('trigger') || { strategy: DEFAULT_STRATEGY };
+}
 
+function createTriggerForPrinter(definition) {
   try {
-    lastGoProStatus = `Sending ${what} via BLE…`;
-    log(`[GoPro] take photo → ${what}`, 'INFO');
-
-    // For timelapse photos, add a small delay to ensure consistent timing
-    if (!isTest) {
-      // Wait 500ms to ensure the layer change is stable and GoPro is ready
-      await new Promise((resolve) => setTimeout(resolve, 500));
-      log(`[Timelapse] Timing delay applied for consistent photo capture`, 'INFO');
-    }
-
-    // Check camera status before attempting photo
-    const status = await goproBLE.getCameraStatus();
-    if (status.busy !== null && status.encoding !== null && status.ready !== null) {
-      log(`Camera status: busy=${status.busy}, encoding=${status.encoding}, ready=${status.ready}`, 'INFO');
-
-      // If camera is busy, wait a bit more for it to be ready
-      if (status.busy === 'True' || status.ready === 'False') {
-        log(`[Timelapse] Camera busy/not ready, waiting for optimal timing...`, 'INFO');
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-
-        // Check status again
-        const retryStatus = await goproBLE.getCameraStatus();
-        log(
-          `Retry status: busy=${retryStatus.busy}, encoding=${retryStatus.encoding}, ready=${retryStatus.ready}`,
-          'INFO'
-        );
-      }
-    } else {
-      log('Camera status unavailable - proceeding without status check', 'WARN');
-    }
-
-    // Use the improved snapPhoto with retry mechanism
-    await goproBLE.snapPhoto(3);
-    lastGoProStatus = `✅ Success: Photo captured for ${what}.`;
-    log(lastGoProStatus, 'SUCCESS');
+    return createTriggerStrategy(triggerConfig(definition));
   } catch (e) {
-    lastGoProStatus = `🛑 BLE snap failed: ${e.message}`;
-    log(lastGoProStatus, 'ERROR');
-
-    // Try to recover from busy state
-    try {
-      log('Attempting busy recovery...', 'INFO');
-      await goproBLE.attemptBusyRecovery();
-    } catch (recoveryError) {
-      log(`Recovery attempt failed: ${recoveryError.message}`, 'ERROR');
-    }
+    log(`Invalid trigger configuration for printer "${definition.name}": ${e.message} - using every layer`, 'ERROR');
+    return createTriggerStrategy({ strategy: DEFAULT_STRATEGY });
   }
 }
 
-// ---------- Bambu status handling ----------
-// Global state tracking for stable printer status
-let lastStableState = 'UNKNOWN';
-let stateChangeTime = Date.now();
-const stateStabilityThreshold = 5000; // 5 seconds
-
-// Timelapse detection
-let bambuTimelapseEnabled = false;
+function createPrinter(definition) {
+  const printer = new PrinterService(definition, {
+    bus,
+    trigger: createTriggerForPrinter(definition),
+    cameraReady: () => cameraReady(printer),
+    log: (message, level) => printerLog(printer, message, level)
+  });
+  return printer;
+}
 
-async function handlePrinterStatusUpdate(payload) {
-  try {
-    // Handle direct payload (not nested under 'print')
-    const printData = payload.print || payload;
-    log(`[MQTT] Print data: ${JSON.stringify(printData)}`, 'INFO');
-
-    // Check Bambu Lab timelapse status
-    const ipcamData = printData.ipcam || {};
-    const timelapseStatus = ipcamData.timelapse;
-    const wasTimelapseEnabled = bambuTimelapseEnabled;
-
-    // Only update timelapse status if we have valid data
-    if (timelapseStatus !== undefined) {
-      bambuTimelapseEnabled = timelapseStatus === 'enable';
-
-      // Log timelapse status changes
-      if (wasTimelapseEnabled !== bambuTimelapseEnabled) {
-        if (bambuTimelapseEnabled) {
-          log('🎬 Bambu Lab timelapse ENABLED - GoPro will capture photos', 'SUCCESS');
-        } else {
-          log('🎬 Bambu Lab timelapse DISABLED - GoPro will not capture photos', 'WARN');
-        }
-      }
-    }
+// First configured printer; target of the legacy single-printer API routes
+function defaultPrinter() {
+  return printers.values().next().value || null;
+}
 
-    // Extract layer information with better fallbacks
-    const newTotalLayers =
-      printData.total_layer_num || printData.total_layers || printData.total_layers_num || totalLayers || 0;
-    const newCurrentLayer = printData.layer_num || printData.current_layer || printData.layer || currentLayer || 0;
+// Cameras assigned to a printer (every camera unless the printer lists some)
+function printerCameras(printer) {
+  return capture.printerCameras(printer);
+}
 
-    // Preserve total layers if we have a valid value, otherwise keep existing
-    if (printData.total_layer_num && printData.total_layer_num > 0) {
-      totalLayers = printData.total_layer_num;
-    }
+// Connection settings that require a new MQTT connection when they change
+function connectionKey(definition) {
+  return [definition.printer_ip, definition.printer_serial, definition.mqtt_password].join('|');
+}
 
-    // Preserve current layer if we have a valid value, otherwise keep existing
-    if (printData.layer_num && printData.layer_num > 0) {
-      const oldLayer = currentLayer;
-      currentLayer = printData.layer_num;
-      if (oldLayer !== currentLayer) {
-        log(`[MQTT] Layer updated: ${oldLayer} → ${currentLayer}`, 'INFO');
-      }
-    }
+// Bring the printers map in line with the configuration: connect new printers,
+// drop removed ones and reconnect printers whose connection settings changed.
+function syncPrinters() {
+  const definitions = settings.printerDefinitions();
+  const ids = new Set(definitions.map((definition) => definition.id));
 
-    // Extract state information - Bambu Lab uses different field names
-    const mcState =
-      printData.mc_state ||
-      printData.state ||
-      printData.print_state ||
-      printData.mc_print_stage ||
-      (printData.command === 'push_status' ? 'RUNNING' : 'UNKNOWN');
-    const subState = printData.sub_state || printData.substate || printData.sub_state_str || '';
-
-    // More stable printing detection
-    const nozzleTemp = printData.nozzle_temper || 0;
-    const bedTemp = printData.bed_temper || 0;
-    const gcodeState = printData.gcode_state || '';
-    const printType = printData.print_type || '';
-
-    // Determine printing state based on multiple stable indicators
-    let isPrinting = false;
-    let newState = 'UNKNOWN';
-
-    // Check for active print job - improved logic
-    if (gcodeState === 'FINISH' || printType === 'idle') {
-      // Print is finished
-      isPrinting = false;
-      newState = 'FINISHED';
-    } else if (newCurrentLayer > 0 && newCurrentLayer < newTotalLayers) {
-      // If we have layer data and not at the end, we're printing
-      isPrinting = true;
-      newState = 'PRINTING';
-    } else if (printType === 'idle' || mcState === 'IDLE') {
-      isPrinting = false;
-      newState = 'IDLE';
-    } else if (nozzleTemp > 150 || bedTemp > 60) {
-      // High temperatures suggest heating/preparation
-      isPrinting = false;
-      newState = 'HEATING';
-    } else if (mcState === 'RUNNING' && nozzleTemp > 50) {
-      // Running with some heat suggests standby
-      isPrinting = false;
-      newState = 'STANDBY';
-    } else {
-      isPrinting = false;
-      newState = 'STANDBY';
+  for (const printer of [...printers.values()]) {
+    if (!ids.has(printer.id)) {
+      log(`Printer "${printer.name}" removed from configuration`, 'INFO');
+      printer.disconnect();
+      printers.delete(printer.id);
     }
+  }
 
-    // Only update state if it's been stable for a while (prevents flickering)
-    const now = Date.now();
-    if (newState !== lastStableState) {
-      if (now - stateChangeTime > stateStabilityThreshold) {
-        // State has been different long enough, update it
-        lastStableState = newState;
-        stateChangeTime = now;
-
-        log(`[MQTT] State changed to: ${newState} (stable for ${now - stateChangeTime}ms)`, 'INFO');
-      } else {
-        // State is changing too quickly, keep the old one
-        log(`[MQTT] State change ignored: ${lastStableState} → ${newState} (too quick)`, 'WARN');
+  for (const definition of definitions) {
+    const existing = printers.get(definition.id);
+    if (existing) {
+      const reconnect = connectionKey(existing.config) !== connectionKey(definition);
+      if (JSON.stringify(triggerConfig(existing.config)) !== JSON.stringify(triggerConfig(definition))) {
+        existing.trigger = createTriggerForPrinter(definition);
       }
+      existing.configure(definition);
+      if (reconnect) {
+        existing.disconnect();
+        existing.connect();
+      }
+    } else {
+      const printer = createPrinter(definition);
+      printers.set(printer.id, printer);
+      log(`Printer "${printer.name}" registered`, 'INFO');
+      printer.connect();
     }
-
-    // Layer data is already updated above in the preservation logic
-
-    log(`[MQTT] Layers: ${currentLayer}/${totalLayers}, State: ${lastStableState}, Printing: ${isPrinting}`, 'INFO');
-
-    // Only trigger photos if GoPro is connected, Bambu timelapse is enabled, and we have a stable printing state
-    if (
-      goproBLE.ready() &&
-      bambuTimelapseEnabled &&
-      lastStableState === 'PRINTING' &&
-      currentLayer > 0 &&
-      currentLayer !== lastTriggerLayer
-    ) {
-      const now = Date.now();
-
-      log(
-        `[Timelapse] Layer change detected: ${lastTriggerLayer} → ${currentLayer} (Bambu timelapse enabled)`,
-        'SUCCESS'
-      );
-
-      // Update layer change time
-      layerChangeTime = now;
-      lastTriggerLayer = currentLayer;
-
-      // Trigger photo with consistent timing
-      setTimeout(async () => {
-        try {
-          await triggerGoProShutter(false);
-        } catch (error) {
-          log(`[Timelapse] Photo trigger failed: ${error.message}`, 'ERROR');
-        }
-      }, photoTriggerDelay);
-
-      log(`[Timelapse] Photo scheduled in ${photoTriggerDelay}ms for consistent timing`, 'INFO');
-    } else if (
-      goproBLE.ready() &&
-      !bambuTimelapseEnabled &&
-      lastStableState === 'PRINTING' &&
-      currentLayer > 0 &&
-      currentLayer !== lastTriggerLayer
-    ) {
-      log(`⚠️  Layer ${currentLayer} detected but Bambu timelapse is DISABLED - skipping photo`, 'WARN');
-      layerChangeTime = Date.now();
-      lastTriggerLayer = currentLayer; // Still track layer changes
-    } else if (
-      !goproBLE.ready() &&
-      lastStableState === 'PRINTING' &&
-      currentLayer > 0 &&
-      currentLayer !== lastTriggerLayer
-    ) {
-      log(`⚠️  Layer ${currentLayer} detected but GoPro not connected - skipping photo`, 'WARN');
-      layerChangeTime = Date.now();
-      lastTriggerLayer = currentLayer; // Still track layer changes
-    }
-
-    // Update display status based on stable state
-    let baseStatus = '';
-    switch (lastStableState) {
-      case 'PRINTING':
-        if (currentLayer > 0 && totalLayers > 0) {
-          const percentage = ((currentLayer / totalLayers) * 100).toFixed(1);
-          baseStatus = `Layer ${currentLayer} / ${totalLayers} (${percentage}%)`;
-        } else if (currentLayer > 0) {
-          baseStatus = `Layer ${currentLayer} (total unknown)`;
-        } else {
-          baseStatus = 'Printing...';
-        }
-        break;
-      case 'FINISHED':
-        baseStatus = 'IDLE / Print Finished';
-        break;
-      case 'HEATING':
-        baseStatus = 'Heating...';
-        break;
-      case 'STANDBY':
-        baseStatus = 'Standby';
-        break;
-      case 'IDLE':
-        baseStatus = 'IDLE';
-        break;
-      default:
-        baseStatus = `${lastStableState} - ${subState || 'Unknown'}`;
-    }
-
-    // Add timelapse status to the display
-    const timelapseDisplayStatus = bambuTimelapseEnabled ? '🎬 Timelapse ON' : '🎬 Timelapse OFF';
-    currentPrinterState = `${baseStatus} | ${timelapseDisplayStatus}`;
-
-    // Log timelapse status for debugging when printing
-    if (currentLayer > 0) {
-      log(
-        `[Timelapse Debug] Layer: ${currentLayer}/${totalLayers}, State: ${lastStableState}, Timelapse: ${bambuTimelapseEnabled ? 'ON' : 'OFF'}, GoPro: ${goproBLE.ready() ? 'Ready' : 'Not Ready'}`,
-        'INFO'
-      );
-    }
-
-    log(`[MQTT] Updated status: ${currentPrinterState}`, 'INFO');
-  } catch (e) {
-    log(`Error processing printer payload: ${e.message}`, 'ERROR');
-    log(`Payload was: ${JSON.stringify(payload)}`, 'ERROR');
   }
 }
 
-// ---------- MQTT Status Request Functions ----------
-function requestFullStatus() {
-  if (!client || !client.connected) {
-    log('[MQTT] Cannot request status - client not connected', 'WARN');
-    return;
-  }
-
-  const { printer_serial } = config;
-  if (!printer_serial) {
-    log('[MQTT] Cannot request status - printer serial not configured', 'ERROR');
-    return;
-  }
-
-  // Send command to request full status report
-  const commandTopic = `device/${printer_serial}/request`;
-  const command = {
-    pushing: {
-      sequence_id: Date.now().toString(),
-      command: 'pushall'
-    }
+function printerSummary(printer) {
+  return {
+    ...printer.getStatus(),
+    capture_mode: CaptureService.settings(printer).mode,
+    cameras: printerCameras(printer)
   };
-
-  try {
-    client.publish(commandTopic, JSON.stringify(command), { qos: 1 }, (err) => {
-      if (err) {
-        log(`[MQTT] Failed to request full status: ${err.message}`, 'ERROR');
-      } else {
-        log('[MQTT] Requested full status from printer', 'INFO');
-      }
-    });
-  } catch (e) {
-    log(`[MQTT] Exception requesting full status: ${e.message}`, 'ERROR');
-  }
 }
 
-// ---------- MQTT ----------
-let statusRequestInterval = null; // Store interval ID for cleanup
-
-function setupMqttClient() {
-  if (client) {
-    log('MQTT already running.', 'WARN');
-    return;
-  }
+// ---------- cameras ----------
+function cameraReady(printer = null) {
+  return gopro.isReady(printerCameras(printer));
+}
 
-  const { printer_ip, mqtt_password, printer_serial } = config;
-  if (!printer_ip || !mqtt_password || !printer_serial) {
-    log('MQTT config incomplete.', 'ERROR');
+function setupCameras() {
+  if (cameras.names().length > 0) {
     return;
   }
 
-  const masked = (s) =>
-    typeof s === 'string' && s.length > 4 ? s.slice(0, 2) + '*'.repeat(s.length - 4) + s.slice(-2) : '(**hidden**)';
-
-  log(`[MQTT TRY] IP=${printer_ip} SERIAL=${printer_serial} USER=bblp PASS=${masked(mqtt_password)}`, 'INFO');
-  log(`[MQTT DIAGNOSTICS] Testing connection to ${printer_ip}:8883...`, 'INFO');
-
-  const mqttUrl = `mqtts://${printer_ip}:8883`;
-  currentPrinterState = 'CONNECTED / Awaiting data';
-
-  const options = {
-    protocol: 'mqtts',
-    host: printer_ip,
-    port: 8883,
-    username: 'bblp',
-    password: mqtt_password,
-    clientId: `GoProTimelapse_${Date.now()}`, // Use timestamp to avoid conflicts
-    keepalive: 60,
-    reconnectPeriod: 10000,
-    clean: true,
-    rejectUnauthorized: false,
-    connectTimeout: 15000,
-    queueQoSZero: false,
-    timeout: 15000
-    // Temporarily remove will message to test
-  };
-
-  client = mqtt.connect(mqttUrl, options);
-
-  // Add connection timeout handler
-  const connectionTimeout = setTimeout(() => {
-    if (client && !client.connected) {
-      log('MQTT connection timeout - printer may be unreachable', 'ERROR');
-      currentPrinterState = 'ERROR: Connection timeout - check printer network';
-      client.end();
-    }
-  }, 20000); // 20 second timeout
-
-  client.on('connect', () => {
-    clearTimeout(connectionTimeout); // Clear timeout on successful connection
-    log('MQTT connected.', 'SUCCESS');
-    currentPrinterState = 'CONNECTED / Awaiting data';
-    const topic = `device/${printer_serial}/report`;
-
-    // Subscribe with better error handling
+  for (const definition of CameraManager.definitionsFromConfig(settings.getAll())) {
     try {
-      client.subscribe(topic, { qos: 1 }, (err) => {
-        if (!err) {
-          log(`Subscribed to ${topic}`, 'SUCCESS');
-
-          // Request full status immediately after subscription
-          requestFullStatus();
-
-          // Set up periodic full status requests every 30 seconds
-          statusRequestInterval = setInterval(() => {
-            if (client && client.connected) {
-              requestFullStatus();
-            }
-          }, 30000);
-        } else {
-          log(`Subscription error: ${err.message}`, 'ERROR');
-          currentPrinterState = `ERROR: Subscription failed (${err.message})`;
-        }
-      });
+      cameras.add(definition);
+      log(`Camera "${definition.name}" registered (driver: ${definition.driver})`, 'INFO');
     } catch (e) {
-      log(`Subscription exception: ${e.message}`, 'ERROR');
-      currentPrinterState = `ERROR: Subscription exception (${e.message})`;
+      log(`Camera "${definition.name}" setup failed: ${e.message}`, 'ERROR');
     }
-  });
-
-  client.on('message', (_topic, message) => {
-    try {
-      const payload = JSON.parse(message.toString());
-      log(`[MQTT] Received message: ${JSON.stringify(payload, null, 2)}`, 'INFO');
+  }
 
-      // Always try to process as printer status update
-      // Bambu Lab sends direct status messages, not nested under 'print'
-      handlePrinterStatusUpdate(payload);
-    } catch (e) {
-      log(`[MQTT] Failed to parse message: ${e.message}`, 'ERROR');
+  cameras.on('log', (name, message) => log(`[${name}] ${message}`, 'INFO'));
+  cameras.on('connected', (name) => {
+    log(`Camera "${name}" connected`, 'SUCCESS');
+    log('🎯 Camera ready for timelapse capture', 'INFO');
+    if (!settings.isLoaded() || printers.size === 0) {
+      log('⚠️  Printer configuration not available - please configure printer settings', 'WARN');
+      return;
     }
-  });
 
-  client.on('error', (err) => {
-    clearTimeout(connectionTimeout); // Clear timeout on error
-    // Suppress MQTT errors during shutdown
-    if (!isShuttingDown) {
-      log(`MQTT Error: ${err.message}`, 'ERROR');
-
-      // Provide specific diagnostics based on error type
-      if (err.message.includes('Connection refused') || err.message.includes('Server unavailable')) {
-        log('🔍 DIAGNOSTICS for "Connection refused":', 'ERROR');
-        log(`  1. Check if printer IP ${printer_ip} is correct`, 'ERROR');
-        log('  2. Verify printer is powered on and connected to network', 'ERROR');
-        log('  3. Confirm MQTT password is correct (Access Code/Key)', 'ERROR');
-        log(`  4. Try pinging printer: ping ${printer_ip}`, 'ERROR');
-        log(`  5. Check if port 8883 is accessible: telnet ${printer_ip} 8883`, 'ERROR');
-        currentPrinterState = 'ERROR: Connection refused - check IP/password/network';
-      } else if (err.message.includes('ECONNREFUSED')) {
-        log('🔍 DIAGNOSTICS for "ECONNREFUSED":', 'ERROR');
-        log('  1. Printer may be offline or unreachable', 'ERROR');
-        log(`  2. Check network connectivity to ${printer_ip}`, 'ERROR');
-        log('  3. Verify printer is not in sleep mode', 'ERROR');
-        currentPrinterState = 'ERROR: Printer unreachable - check network/power';
-      } else if (err.message.includes('ENOTFOUND')) {
-        log('🔍 DIAGNOSTICS for "ENOTFOUND":', 'ERROR');
-        log(`  1. IP address ${printer_ip} cannot be resolved`, 'ERROR');
-        log('  2. Check if IP address is correct', 'ERROR');
-        log('  3. Verify network connectivity', 'ERROR');
-        currentPrinterState = 'ERROR: Invalid IP address - check configuration';
-      } else {
-        currentPrinterState = `ERROR: MQTT Connection Failed (${err.code || err.message})`;
+    // Auto-connect the printers using this camera that are not connected yet
+    for (const printer of printers.values()) {
+      if (!printerCameras(printer).includes(name)) {
+        continue;
       }
-    }
-
-    // Safely close connection
-    try {
-      if (client) {
-        client.removeAllListeners();
-        client.end(false);
+      if (printer.isActive()) {
+        printerLog(printer, '✅ Printer already connected', 'INFO');
+      } else {
+        printerLog(printer, '🔄 Auto-connecting to printer...', 'INFO');
+        printer.connect();
       }
-    } catch (e) {
-      log(`Error during MQTT cleanup: ${e.message}`, 'WARN');
     }
-    client = null;
   });
-
-  client.on('close', () => {
-    if (!isShuttingDown) {
-      log('MQTT connection closed.', 'WARN');
-    }
-    currentPrinterState = 'DISCONNECTED';
-    client = null;
-  });
-
-  client.on('offline', () => {
-    if (!isShuttingDown) {
-      log('MQTT client offline.', 'WARN');
-      currentPrinterState = 'OFFLINE';
+  cameras.on('disconnected', (name) => {
+    log(`Camera "${name}" disconnected`, 'WARN');
+    // Disconnect printers once none of their cameras is left to capture with
+    for (const printer of printers.values()) {
+      if (printer.isActive() && printerCameras(printer).includes(name) && !cameraReady(printer)) {
+        printerLog(printer, 'Disconnecting printer due to camera disconnection', 'WARN');
+        printer.disconnect('DISCONNECTED - GoPro required');
+      }
     }
   });
+  cameras.startAll();
 
-  client.on('reconnect', () => {
-    if (!isShuttingDown) {
-      log('MQTT reconnecting...', 'INFO');
-      currentPrinterState = 'RECONNECTING';
-    }
-  });
+  const pollMs = settings.get('camera_status_poll_ms');
+  if (pollMs !== 0) {
+    gopro.startPolling(pollMs);
+  }
 }
 
-// ---------- Bootstrap ----------
-function startApp() {
-  // Start Python bridge
-  goproBLE.start();
-  goproBLE.on('log', (message) => log(message, 'INFO'));
-  goproBLE.on('connected', () => {
-    log('GoPro connected via Python bridge', 'SUCCESS');
-    log('🎯 GoPro ready for timelapse capture', 'INFO');
-
-    // Auto-connect to printer if configuration is available and not already connected
-    if (configLoaded && !client) {
-      log('🔄 Auto-connecting to printer...', 'INFO');
-      setupMqttClient();
-    } else if (!configLoaded) {
-      log('⚠️  Printer configuration not available - please configure printer settings', 'WARN');
-    } else if (client) {
-      log('✅ Printer already connected', 'INFO');
-    }
-  });
-  goproBLE.on('disconnected', () => {
-    log('GoPro disconnected', 'WARN');
-    // Disconnect printer when GoPro disconnects
-    if (client) {
-      log('Disconnecting printer due to GoPro disconnection', 'WARN');
-      client.end(true);
-      client = null;
-      currentPrinterState = 'DISCONNECTED - GoPro required';
-    }
-  });
-
-  if (!configLoaded) {
-    const loaded = loadConfig();
-    if (loaded) {
-      config = loaded;
-      configLoaded = true;
-      setupMqttClient();
-    } else {
-      log('Waiting for configuration via web UI…', 'INFO');
-    }
-  } else if (!client) {
-    setupMqttClient();
-  }
-}
-
-// ---------- HTTP SERVER / API ----------
-// const server = http.createServer(async (req, res) => {
-/*
-  const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
-  const { pathname } = parsedUrl;
-
-  // helper to read JSON body
-  async function readJSON() {
-    return new Promise((resolve, reject) => {
-      let body = '';
-      req.on('data', (c) => (body += c));
-      req.on('end', () => {
-        try {
-          resolve(body ? JSON.parse(body) : {});
-        } catch (e) {
-          reject(e);
-        }
-      });
-    });
-  }
-
-  // ---- BLE SCAN
-  if (pathname === '/api/ble/scan' && req.method === 'GET') {
-    try {
-      log('GoPro: Auto-discovery via Python bridge…', 'INFO');
-      // Python bridge auto-discovers GoPro, so we return a dummy device
-      const devices = [{ id: 'gopro-auto', name: 'GoPro (Auto-discovered)', rssi: -50 }];
-      log('GoPro: Auto-discovery completed', 'SUCCESS');
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, devices }));
-    } catch (e) {
-      log(`GoPro scan error: ${e.message}`, 'ERROR');
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, message: e.message }));
-    }
-    return;
+function setCapturePolicy(printer, policy) {
+  if (!CAPTURE_POLICIES.includes(policy)) {
+    throw new Error(`Invalid capture policy. Must be one of: ${CAPTURE_POLICIES.join(', ')}`);
   }
+  settings.updatePrinter(printer.id, { capture_policy: policy });
+  syncPrinters();
+  printerLog(printer, `Capture policy set to ${policy}`, 'INFO');
+}
 
-  // ---- BLE CONNECT
-  if (pathname === '/api/ble/connect' && req.method === 'POST') {
-    try {
-      log('GoPro: Connecting via Python bridge…', 'INFO');
+// ---------- Print sessions ----------
+const ACTIVE_GCODE_STATES = ['PREPARE', 'RUNNING', 'PAUSE'];
 
-      // Connect using Python bridge (no device ID needed - it auto-discovers)
-      await goproBLE.connect();
+// Open, update and close the printer's session from the merged printer state (see PrinterStateStore)
+function trackPrintSession(printer, state) {
+  const job = {
+    ...state.job,
+    total_layers: state.progress.total_layers || 0
+  };
 
-      log('GoPro: Connected successfully', 'SUCCESS');
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, message: 'Connected to GoPro via Python bridge' }));
-    } catch (e) {
-      log(`GoPro connect error: ${e.message}`, 'ERROR');
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, message: e.message }));
-    }
-    return;
+  // After a restart the running session is picked up again from disk
+  let session = sessions.get(printer.session) || sessions.findRunning(printer.id);
+  if (session && session.status !== SessionStore.STATUS.RUNNING) {
+    session = null;
   }
 
-  // ---- BLE DISCONNECT
-  if (pathname === '/api/ble/disconnect' && req.method === 'POST') {
-    try {
-      log('GoPro: Disconnecting via Python bridge…', 'INFO');
-
-      // Disconnect using Python bridge
-      await goproBLE.disconnect();
-
-      log('GoPro: Disconnected successfully', 'SUCCESS');
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, message: 'Disconnected from GoPro via Python bridge' }));
-    } catch (e) {
-      log(`GoPro disconnect error: ${e.message}`, 'ERROR');
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, message: e.message }));
+  const gcodeState = state.gcode_state;
+  if (ACTIVE_GCODE_STATES.includes(gcodeState)) {
+    if (session && job.task_id && session.task_id && job.task_id !== session.task_id) {
+      printerLog(printer, `[Session] Print ${session.id} was not closed, marking it interrupted`, 'WARN');
+      sessions.close(session.id, SessionStore.STATUS.INTERRUPTED);
+      session = null;
     }
-    return;
-  }
-
-  // ---- PRINTER reconnect
-  if (pathname === '/api/reconnect-printer' && req.method === 'POST') {
-    try {
-      log('Reconnecting to printer...', 'INFO');
-
-      // Clear existing status request interval
-      if (statusRequestInterval) {
-        log('Clearing existing status request interval...', 'INFO');
-        clearInterval(statusRequestInterval);
-        statusRequestInterval = null;
-      }
 
-      // Properly close existing connection
-      if (client) {
-        log('Closing existing MQTT connection...', 'INFO');
-        client.removeAllListeners(); // Remove all event listeners to prevent errors
-        client.end(false); // Graceful close
-        client = null;
+    if (session) {
+      sessions.updateJob(session.id, job);
+    } else {
+      session = sessions.open(printer, job);
+      printer.trigger.reset();
+      printerLog(
+        printer,
+        `[Session] Print started: ${session.subtask_name || session.gcode_file || session.id}`,
+        'SUCCESS'
+      );
+    }
+  } else if (gcodeState === 'FINISH' || gcodeState === 'FAILED') {
+    if (session) {
+      const status = gcodeState === 'FINISH' ? SessionStore.STATUS.FINISHED : SessionStore.STATUS.FAILED;
+      sessions.close(session.id, status);
+      printerLog(printer, `[Session] Print ${status}: ${session.triggers.length} layer trigger(s) recorded`, 'INFO');
+      if (settings.get('auto_download_media')) {
+        const sessionId = session.id;
+        downloadSessionMedia(sessionId, { deleteAfter: Boolean(settings.get('delete_media_after_download')) })
+          .then(() => {
+            if (settings.get('auto_render')) {
+              queueSessionRenders(sessionId);
+            }
+          })
+          .catch(() => {}); // already logged by downloadSessionMedia / queueSessionRenders
       }
-
-      // Wait a moment for cleanup
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-
-      // Setup new connection
-      setupMqttClient();
-
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, message: 'Printer reconnection initiated' }));
-    } catch (e) {
-      log(`Printer reconnect error: ${e.message}`, 'ERROR');
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, message: e.message }));
+      session = null;
     }
-    return;
-  }
-
-  // ---- Request full status from printer
-  if (pathname === '/api/request-full-status' && req.method === 'POST') {
-    try {
-      log('Requesting full status from printer...', 'INFO');
-      requestFullStatus();
-
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, message: 'Full status request sent to printer' }));
-    } catch (e) {
-      log(`Full status request error: ${e.message}`, 'ERROR');
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, message: e.message }));
+  } else if (gcodeState === 'IDLE') {
+    if (session) {
+      printerLog(printer, `[Session] Printer is idle, marking print ${session.id} interrupted`, 'WARN');
+      sessions.close(session.id, SessionStore.STATUS.INTERRUPTED);
+      session = null;
     }
-    return;
+  } else if (session) {
+    sessions.updateJob(session.id, job);
   }
 
-  // ---- Set photo trigger delay
-  if (pathname === '/api/set-photo-delay' && req.method === 'POST') {
-    try {
-      let body = '';
-      req.on('data', (chunk) => {
-        body += chunk.toString();
-      });
-      req.on('end', () => {
-        const data = JSON.parse(body);
-        const newDelay = parseInt(data.delay);
-
-        if (isNaN(newDelay) || newDelay < 0 || newDelay > 5000) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: 'Delay must be between 0 and 5000 milliseconds' }));
-          return;
-        }
-
-        photoTriggerDelay = newDelay;
-        log(`Photo trigger delay updated to ${photoTriggerDelay}ms`, 'INFO');
+  printer.session = session ? session.id : null;
+}
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(
-          JSON.stringify({
-            success: true,
-            message: `Photo trigger delay set to ${photoTriggerDelay}ms`,
-            delay: photoTriggerDelay
-          })
+// Pull a session's photos off the cameras and log how the count compares to the trigger log
+async function downloadSessionMedia(sessionId, options = {}) {
+  log(`[Media] Downloading photos of session ${sessionId}...`, 'INFO');
+  try {
+    const media = await mediaDownloader.download(sessionId, options);
+    for (const result of media.cameras) {
+      const deleted = result.deleted > 0 ? `, ${result.deleted} deleted from camera` : '';
+      if (result.verified) {
+        log(
+          `[Media] [${result.camera}] ${result.downloaded}/${result.expected} photo(s) downloaded${deleted}`,
+          'SUCCESS'
         );
-      });
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
+      } else {
+        log(`[Media] [${result.camera}] ${result.error}`, result.downloaded > 0 ? 'WARN' : 'ERROR');
+      }
     }
-    return;
+    log(`[Media] Session ${sessionId} media ${media.status}: ${media.directory}`, 'INFO');
+    return media;
+  } catch (e) {
+    log(`[Media] Download for session ${sessionId} failed: ${e.message}`, 'ERROR');
+    throw e;
   }
+}
 
-  // ---- Test shutter
-  if (pathname === '/api/test-shutter' && req.method === 'POST') {
-    await triggerGoProShutter(true);
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ success: true, status: lastGoProStatus }));
-    return;
+// Queue a timelapse render per camera (or just `options.camera`) using the configured render defaults
+function queueSessionRenders(sessionId, options = {}) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw new Error(`Unknown session "${sessionId}"`);
   }
 
-  // ---- Camera status
-  if (pathname === '/api/camera-status' && req.method === 'GET') {
-    try {
-      // First check the actual connection status
-      const connectionStatus = await goproBLE.checkConnection();
-
-      if (!connectionStatus.connected) {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(
-          JSON.stringify({
-            success: false,
-            message: 'Camera not connected',
-            connected: false,
-            ble_connected: false,
-            status: { busy: null, encoding: null, ready: null, group: null }
-          })
-        );
-        return;
-      }
-
-      // If connected, get camera status
-      const status = await goproBLE.getCameraStatus();
-      const isReady = await goproBLE.isCameraReady();
+  renderer.ffmpegPath = settings.get('ffmpeg_path') || 'ffmpeg';
+  const { camera, ...overrides } = options;
+  const cameraNames = camera
+    ? [camera]
+    : ((session.media && session.media.cameras) || []).filter((c) => c.files.length > 0).map((c) => c.camera);
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(
-        JSON.stringify({
-          success: true,
-          connected: true,
-          ble_connected: connectionStatus.ble_connected,
-          status,
-          isReady,
-          message: isReady ? 'Camera is ready' : 'Camera is busy'
-        })
-      );
-    } catch (e) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, message: e.message }));
+  try {
+    if (cameraNames.length === 0) {
+      throw new Error(`Session "${sessionId}" has no downloaded frames to render`);
     }
-    return;
+    return cameraNames.map((name) =>
+      renderer.enqueue(sessionId, { ...settings.get('render'), ...overrides, camera: name })
+    );
+  } catch (e) {
+    log(`[Render] Cannot render session ${sessionId}: ${e.message}`, 'ERROR');
+    throw e;
   }
+}
 
-  // ---- Debug info
-  if (pathname === '/api/debug' && req.method === 'GET') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(
-      JSON.stringify({
-        success: true,
-        config: {
-          printer_ip: config.printer_ip,
-          printer_serial: config.printer_serial,
-          mqtt_password: config.mqtt_password ? '***hidden***' : 'missing'
-        },
-        status: {
-          currentLayer,
-          totalLayers,
-          lastTriggerLayer,
-          photoTriggerDelay,
-          currentPrinterState,
-          lastGoProStatus,
-          mqttConnected: !!client,
-          goproConnected: goproBLE.ready()
-        },
-        timestamps: {
-          lastUpdate: new Date().toISOString()
-        }
-      })
-    );
+// Append a raw report to the session's recording when `record_mqtt` is enabled (replay: scripts/replay-recording.js)
+function recordReport(printer, payload, sessionId) {
+  if (!settings.get('record_mqtt') || !sessionId) {
     return;
   }
+  try {
+    recorder.record(sessionId, printer, payload, printerCameras(printer));
+  } catch (e) {
+    printerLog(printer, `[Recorder] Failed to record report: ${e.message}`, 'WARN');
+  }
+}
 
-  // ---- Test printer connection
-  if (pathname === '/api/test-printer-connection' && req.method === 'POST') {
-    try {
-      const body = await readJSON();
-      const testConfig = body && Object.keys(body).length > 0 ? body : config;
-
-      if (!testConfig || !testConfig.printer_ip || !testConfig.mqtt_password || !testConfig.printer_serial) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(
-          JSON.stringify({
-            success: false,
-            message: 'Missing required fields: printer_ip, mqtt_password, printer_serial'
-          })
-        );
-        return;
-      }
-
-      log(`🔍 Testing printer connection to ${testConfig.printer_ip}...`, 'INFO');
-
-      // Test basic connectivity first
-      const net = require('net');
-      const testSocket = new net.Socket();
-
-      const connectivityTest = new Promise((resolve) => {
-        testSocket.setTimeout(5000);
-
-        testSocket.on('connect', () => {
-          log(`✅ Port 8883 is accessible on ${testConfig.printer_ip}`, 'SUCCESS');
-          testSocket.destroy();
-          resolve({ port: true, error: null });
-        });
-
-        testSocket.on('timeout', () => {
-          log(`❌ Port 8883 timeout on ${testConfig.printer_ip}`, 'ERROR');
-          testSocket.destroy();
-          resolve({ port: false, error: 'Connection timeout' });
-        });
-
-        testSocket.on('error', (err) => {
-          log(`❌ Port 8883 connection failed: ${err.message}`, 'ERROR');
-          resolve({ port: false, error: err.message });
-        });
-
-        testSocket.connect(8883, testConfig.printer_ip);
-      });
-
-      const connectivityResult = await connectivityTest;
-
-      if (!connectivityResult.port) {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(
-          JSON.stringify({
-            success: false,
-            message: 'Basic connectivity test failed',
-            diagnostics: {
-              ip: testConfig.printer_ip,
-              port: 8883,
-              error: connectivityResult.error,
-              suggestions: [
-                'Check if printer IP is correct',
-                'Verify printer is powered on',
-                'Check network connectivity',
-                `Try pinging the printer: ping ${testConfig.printer_ip}`
-              ]
-            }
-          })
-        );
-        return;
-      }
+// Sessions follow the merged printer state; this runs before the printer decides on a photo,
+// so a capture of the report's layer already belongs to the session it opens
+bus.on(EVENTS.PRINTER_REPORT, ({ printer, payload, state }) => {
+  // The report that closes a session still belongs to its recording
+  const previousSession = printer.session;
+  trackPrintSession(printer, state);
+  recordReport(printer, payload, printer.session || previousSession);
+});
 
-      // If port is accessible, test MQTT connection
-      log('🔍 Testing MQTT connection with credentials...', 'INFO');
+// Layers printed during a connection outage have no trigger; keep them in the session's history
+bus.on(EVENTS.PRINTER_LAYER_GAP, ({ printer, sessionId, from, to, since }) => {
+  if (sessionId && sessions.recordGap(sessionId, { from, to, since })) {
+    printerLog(printer, `[Session] Layers ${from}-${to} recorded as missed in ${sessionId}`, 'WARN');
+  }
+});
 
-      const mqtt = require('mqtt');
-      const testClient = mqtt.connect(`mqtts://${testConfig.printer_ip}:8883`, {
-        username: 'bblp',
-        password: testConfig.mqtt_password,
-        clientId: `TestConnection_${Date.now()}`,
-        connectTimeout: 10000,
-        rejectUnauthorized: false
-      });
+// ---------- Live events (GET /api/events and the /ws control channel) ----------
+// The UI starts from the `snapshot` event and then applies these as they happen:
+//   log        { line, level }                       - a log line
+//   printer    { printer, change, ... }              - layer, state, connection or timelapse flag of a printer changed
+//   capture    { printer, layer, results, error }    - a layer capture finished
+//   cameras    { status, cameras }                   - camera connection, bridge or readiness status changed
+function publish(type, data) {
+  events.send(type, data);
+  control.broadcast(type, data);
+}
 
-      const mqttTest = new Promise((resolve) => {
-        const timeout = setTimeout(() => {
-          testClient.end();
-          resolve({ mqtt: false, error: 'MQTT connection timeout' });
-        }, 10000);
-
-        testClient.on('connect', () => {
-          clearTimeout(timeout);
-          log('✅ MQTT connection successful!', 'SUCCESS');
-          testClient.end();
-          resolve({ mqtt: true, error: null });
-        });
+logger.on('line', ({ line, level }) => publish('log', { line, level }));
+
+bus.on(EVENTS.PRINTER_LAYER, ({ printer, layer, previous }) =>
+  publish('printer', { printer: printerSummary(printer), change: 'layer', layer, previous })
+);
+bus.on(EVENTS.PRINTER_STATE, ({ printer, state, previous }) =>
+  publish('printer', { printer: printerSummary(printer), change: 'state', state, previous })
+);
+bus.on(EVENTS.PRINTER_CONNECTION, ({ printer, status }) =>
+  publish('printer', { printer: printerSummary(printer), change: 'connection', status })
+);
+bus.on(EVENTS.PRINTER_TIMELAPSE, ({ printer, enabled }) =>
+  publish('printer', { printer: printerSummary(printer), change: 'timelapse', enabled })
+);
+bus.on(EVENTS.CAPTURE_DONE, ({ printer, layer, results, error }) => {
+  publish('capture', { printer: printerSummary(printer), layer, results, error });
+  sendCameraEvent();
+});
 
-        testClient.on('error', (err) => {
-          clearTimeout(timeout);
-          log(`❌ MQTT connection failed: ${err.message}`, 'ERROR');
-          testClient.end();
-          resolve({ mqtt: false, error: err.message });
-        });
-      });
+function sendCameraEvent() {
+  publish('cameras', { status: gopro.getLastStatus(), cameras: gopro.getStatus().cameras });
+}
 
-      const mqttResult = await mqttTest;
+cameras.on('connected', sendCameraEvent);
+cameras.on('disconnected', sendCameraEvent);
+cameras.on('log', sendCameraEvent);
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(
-        JSON.stringify({
-          success: mqttResult.mqtt,
-          message: mqttResult.mqtt ? 'Connection test successful' : 'MQTT connection failed',
-          diagnostics: {
-            ip: testConfig.printer_ip,
-            port: 8883,
-            username: 'bblp',
-            password_masked: testConfig.mqtt_password
-              ? testConfig.mqtt_password.slice(0, 2) +
-                '*'.repeat(testConfig.mqtt_password.length - 4) +
-                testConfig.mqtt_password.slice(-2)
-              : 'missing',
-            connectivity: connectivityResult,
-            mqtt: mqttResult,
-            suggestions: mqttResult.mqtt
-              ? []
-              : [
-                  'Check MQTT password (Access Code/Key)',
-                  'Verify printer serial number',
-                  'Ensure printer is not in sleep mode',
-                  'Try restarting the printer'
-                ]
-          }
-        })
-      );
-    } catch (e) {
-      log(`Connection test error: ${e.message}`, 'ERROR');
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, message: e.message }));
-    }
-    return;
+// Background status polls only count when a camera turns busy or idle
+const cameraIdle = new Map();
+gopro.poller.on('status', (name, status) => {
+  if (cameraIdle.get(name) !== status.idle) {
+    cameraIdle.set(name, status.idle);
+    sendCameraEvent();
   }
+});
 
-  // ---- Force camera control
-  if (pathname === '/api/force-camera-control' && req.method === 'POST') {
-    try {
-      if (!goproBLE.ready()) {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, message: 'Camera not connected' }));
-        return;
-      }
-
-      log('Forcing camera control takeover...', 'INFO');
-      await goproBLE.forceControlTakeover();
-      await goproBLE.forceCameraIdle();
+// ---------- Control channel commands (/ws, see docs/WEBSOCKET.md) ----------
+const { commandError } = ControlChannel;
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, message: 'Camera control forced' }));
-    } catch (e) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, message: e.message }));
-    }
-    return;
+// Printer a command is for: params.printer (id), or the first printer
+function commandPrinter(params) {
+  const printer = params.printer !== undefined ? printers.get(params.printer) : defaultPrinter();
+  if (!printer) {
+    throw commandError(
+      'not_found',
+      params.printer !== undefined ? `Unknown printer "${params.printer}"` : 'No printer configured'
+    );
   }
+  return printer;
+}
 
-  // ---- Save config
-  if (pathname === '/api/config' && req.method === 'POST') {
+control.register('ping', async () => ({ time: Date.now() }), 'Check that the channel answers', 'read');
+
+control.register('status', async () => statusSnapshot(), 'Same as GET /api/status', 'read');
+
+control.register(
+  'test_shutter',
+  async (params) => {
+    const printer = params.printer !== undefined ? commandPrinter(params) : defaultPrinter();
+    const results = await capture.shutter(printer, { test: true });
+    sendCameraEvent();
+    if (results.length === 0 || !results.every((r) => r.success)) {
+      throw commandError('capture_failed', gopro.getLastStatus(), { results });
+    }
+    return { status: gopro.getLastStatus(), results };
+  },
+  'Take a test photo with the cameras of params.printer (or every camera)',
+  'control'
+);
+
+control.register(
+  'connect_camera',
+  async (params) => {
+    const targets = requestedCameras(params);
+    const results = await connectCameras(targets);
+    if (!results.some((r) => r.success)) {
+      throw commandError('connect_failed', 'No camera connected', { results });
+    }
+    return { message: `Connected ${results.filter((r) => r.success).length}/${results.length} camera(s)`, results };
+  },
+  'Connect params.camera (or every camera)',
+  'control'
+);
+
+control.register(
+  'set_photo_delay',
+  async (params) => {
+    const printer = commandPrinter(params);
     try {
-      const body = await readJSON();
-      if (!body.printer_ip || !body.printer_serial || !body.mqtt_password) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, message: 'Missing required fields' }));
-        return;
-      }
-      body.mqtt_username = body.printer_serial;
-      saveConfig(body);
-
-      if (client) {
-        client.end(true);
-        client = null;
-      }
-      configLoaded = false;
-      startApp();
-
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true }));
+      setPhotoTriggerDelay(printer, params.delay);
     } catch (e) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, message: e.message }));
-    }
-    return;
-  }
+      throw commandError('invalid_params', e.message);
+    }
+    return { printer: printer.id, delay: params.delay };
+  },
+  'Set the photo trigger delay (params.delay, ms) of params.printer',
+  'config'
+);
+
+control.register(
+  'request_full_status',
+  async (params) => {
+    const printer = commandPrinter(params);
+    const [status, body] = await requestFullStatus(printer);
+    if (!body.success) {
+      throw commandError(status === 504 ? 'timeout' : 'not_connected', body.message);
+    }
+    return { printer: printer.id, message: body.message, response_ms: body.response_ms, state: body.state };
+  },
+  'Ask params.printer for a full report (pushall) and wait for it',
+  'control'
+);
+
+control.on('connection', (ws, req) => {
+  log(`[WS] Control client connected from ${req.socket.remoteAddress} as ${ws.caller.name}`, 'INFO');
+});
 
-  // ---- Reset config
-  if (pathname === '/api/reset' && req.method === 'POST') {
-    resetConfig();
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ success: true }));
-    return;
-  }
+// Feed a report to a printer, as its MQTT connection does for every message
+async function handlePrinterStatusUpdate(printer, payload) {
+  return printer.update(payload);
+}
 
-  // ---- Status
-  if (pathname === '/api/status' && req.method === 'GET') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(
-      JSON.stringify({
-        config_loaded: configLoaded,
-        printer_status: currentPrinterState,
-        gopro_status: lastGoProStatus + (goproBLE.ready() ? ' (BLE Ready)' : ' (BLE Not Ready)'),
-        current_layer: currentLayer,
-        total_layers: totalLayers,
-        bambu_timelapse_enabled: bambuTimelapseEnabled,
-        log_buffer: logBuffer
-      })
-    );
-    return;
+// ---------- Bootstrap ----------
+function startApp() {
+  if (!settings.isLoaded()) {
+    loadConfig();
   }
 
-  // ---- UI
-  if (pathname === '/' && req.method === 'GET') {
-    res.writeHead(200, { 'Content-Type': 'text/html' });
-    res.end(generateHtml(configLoaded));
+  setupCameras();
+
+  if (!settings.isLoaded()) {
+    log('Waiting for configuration via web UI…', 'INFO');
     return;
   }
 
-  res.writeHead(404, { 'Content-Type': 'text/plain' });
-  res.end('Not Found');
-});
-
-// ---------- Error Handling & Cleanup ----------
-process.on('SIGINT', gracefulShutdown);
-process.on('SIGTERM', gracefulShutdown);
-process.on('uncaughtException', (err) => {
-  console.error(`Uncaught Exception: ${err.message}`);
-  gracefulShutdown();
-});
-process.on('unhandledRejection', (reason, promise) => {
-  console.error(`Unhandled Rejection at: ${promise}, reason: ${reason}`);
-});
-
-async function gracefulShutdown(signal = 'SIGTERM') {
-  console.log(`\nReceived ${signal}. Starting graceful shutdown...`);
-  isShuttingDown = true; // Set flag to suppress error messages
-
-  try {
-    // Clear status request interval
-    if (statusRequestInterval) {
-      console.log('Clearing status request interval...');
-      clearInterval(statusRequestInterval);
-      statusRequestInterval = null;
-    }
-
-    // Close MQTT connection
-    if (client) {
-      console.log('Closing MQTT connection...');
-      try {
-        client.removeAllListeners(); // Remove all event listeners first
-        client.end(false); // Graceful close
-      } catch (e) {
-        console.log(`MQTT cleanup error: ${e.message}`);
-      }
-      client = null;
-    }
-
-    // Disconnect GoPro and stop Python bridge
-    if (goproBLE) {
-      console.log('Disconnecting GoPro and stopping Python bridge...');
-      if (goproBLE.ready()) {
-        await goproBLE.disconnect().catch(() => {});
-      }
-      goproBLE.stop();
-    }
-
-    // Close HTTP server
-    if (server) {
-      console.log('Closing HTTP server...');
-      server.close(() => {
-        console.log('Graceful shutdown completed.');
-        process.exit(0);
-      });
-
-      // Force exit after 5 seconds if graceful shutdown takes too long
-      setTimeout(() => {
-        console.log('Forcing exit after timeout...');
-        process.exit(1);
-      }, 5000);
-    } else {
-      process.exit(0);
-    }
-  } catch (e) {
-    console.error(`Error during shutdown: ${e.message}`);
-    process.exit(1);
-  }
+  syncPrinters();
 }
-  */
 
 // ---------- HTML ----------
-function generateHtml(isConfigured) {
-  const initialIP = config.printer_ip || '';
-  const initialSerial = config.printer_serial || '';
-
-  const printerIPDisplay = config.printer_ip ? config.printer_ip : '--';
-  const printerSerialDisplay = config.printer_serial ? config.printer_serial : '--';
+function generateHtml(isConfigured, { canLogout = false } = {}) {
+  const initialIP = settings.get('printer_ip', '');
+  const initialSerial = settings.get('printer_serial', '');
 
   return `<!DOCTYPE html>
 <html lang="en">
@@ -1473,6 +854,7 @@ function generateHtml(isConfigured) {
               v1.0.0
             </span>
             <span>by Emir Kovacevic</span>
+            ${canLogout ? '<button type="button" onclick="logout()" class="text-indigo-600 hover:text-indigo-800">Log out</button>' : ''}
           </div>
         </div>
       </header>
@@ -1529,79 +911,10 @@ function generateHtml(isConfigured) {
 
       <!-- Status Dashboard -->
       <div class="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
-        <!-- Printer Status Card -->
-        <div class="glass-card p-6">
-          <div class="section-header mb-4">
-            <div class="section-icon bg-gradient-to-r from-blue-500 to-blue-600">
-              🖨️
-            </div>
-            <div>
-              <h3 class="section-title text-lg">Bambu Lab Printer</h3>
-            </div>
-          </div>
-
-          <div class="space-y-4">
-            <div>
-              <p id="printer-status-text" class="text-xl font-bold text-gray-800 break-words">DISCONNECTED</p>
-              <div class="progress-bar">
-                <div class="progress-fill" style="width: 0%"></div>
-              </div>
-            </div>
-
-            <div class="space-y-2 text-sm text-gray-600">
-              <div class="flex justify-between">
-                <span>IP Address:</span>
-                <span class="font-mono">${printerIPDisplay}</span>
-              </div>
-              <div class="flex justify-between">
-                <span>Serial:</span>
-                <span class="font-mono">${printerSerialDisplay}</span>
-              </div>
-            </div>
-
-            <div class="bg-blue-50 border border-blue-200 rounded-lg p-3">
-              <p class="text-xs text-blue-800">
-                <span class="font-semibold">📡</span> Click "Reconnect Printer" to establish connection
-              </p>
-            </div>
-          </div>
-        </div>
-
-        <!-- Print Progress Card -->
-        <div class="glass-card p-6">
-          <div class="section-header mb-4">
-            <div class="section-icon bg-gradient-to-r from-green-500 to-green-600">
-              📊
-            </div>
-            <div>
-              <h3 class="section-title text-lg">Print Progress</h3>
-            </div>
-          </div>
-
-          <div class="space-y-4">
-            <div>
-              <p id="layer-progress-text" class="text-xl font-bold text-gray-800">Total Layers: --</p>
-              <div class="progress-bar">
-                <div class="progress-fill" style="width: 0%"></div>
-              </div>
-            </div>
-
-            <div class="space-y-2 text-sm text-gray-600">
-              <div class="flex justify-between">
-                <span>Current Layer:</span>
-                <span id="current-layer-num" class="font-semibold">--</span>
-              </div>
-              <div class="flex justify-between">
-                <span>Last Trigger:</span>
-                <span id="last-trigger-layer" class="font-semibold">--</span>
-              </div>
-            </div>
-
-            <div class="bg-green-50 border border-green-200 rounded-lg p-3">
-              <p class="text-xs text-green-800">
-                <span class="font-semibold">🎬</span> Timelapse photos will be captured automatically
-              </p>
-            </div>
+        <!-- Printer Cards (one per configured printer, rendered by renderPrinterCards) -->
+        <div id="printer-cards" class="lg:col-span-2 grid grid-cols-1 md:grid-cols-2 gap-8">
+          <div class="glass-card p-6">
+            <p class="text-xl font-bold text-gray-800">No printers configured</p>
           </div>
         </div>
 
@@ -1619,6 +932,7 @@ function generateHtml(isConfigured) {
           <div class="flex-1 space-y-4">
             <div>
               <p id="gopro-status-text" class="text-sm font-medium text-gray-600 break-words">Awaiting first action…</p>
+              <ul id="camera-list" class="mt-3 space-y-1 text-xs text-gray-600"></ul>
             </div>
 
             <div class="space-y-3">
@@ -1679,11 +993,9 @@ const btnRequestStatus = document.getElementById('btn-request-status');
 const btnTest         = document.getElementById('btn-test-shutter');
 const btnDebug        = document.getElementById('btn-debug');
 
-const statusText      = document.getElementById('printer-status-text');
-const layerText       = document.getElementById('layer-progress-text');
-const curLayerEl      = document.getElementById('current-layer-num');
-const lastTrigEl      = document.getElementById('last-trigger-layer');
+const printerCardsEl  = document.getElementById('printer-cards');
 const goproStatusEl   = document.getElementById('gopro-status-text');
+const cameraListEl    = document.getElementById('camera-list');
 const logBox          = document.getElementById('log-box');
 
 function showError(msg) {
@@ -1704,34 +1016,158 @@ function setBleState(text, tone='info') {
   bleState.textContent = text;
 }
 
-function updatePrinterStatus(text) {
-  if (!statusText) return;
-  statusText.textContent = text || '—';
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+const CAPTURE_POLICY_LABELS = {
+  follow_printer: 'Follow printer timelapse',
+  always: 'Always capture',
+  never: 'Never capture'
+};
+
+function renderPrinterCards(list) {
+  if (!printerCardsEl || !Array.isArray(list) || !list.length) return;
+  // Don't rebuild the cards while a policy dropdown is open
+  if (printerCardsEl.contains(document.activeElement) && document.activeElement.tagName === 'SELECT') return;
+  printerCardsEl.innerHTML = list.map((p) => {
+    const pct = p.total_layers > 0 ? Math.min(100, (p.current_layer / p.total_layers) * 100) : 0;
+    const id = encodeURIComponent(p.id);
+    return \`
+    <div class="glass-card p-6" data-printer="\${escapeHtml(p.id)}">
+      <div class="section-header mb-4">
+        <div class="section-icon bg-gradient-to-r from-blue-500 to-blue-600">🖨️</div>
+        <div class="flex-1">
+          <h3 class="section-title text-lg">\${escapeHtml(p.name)}</h3>
+        </div>
+        <span class="status-pill \${p.connected ? 'connected' : 'error'}">\${p.connected ? 'Online' : 'Offline'}</span>
+      </div>
+      <div class="space-y-4">
+        <div>
+          <p class="text-xl font-bold text-gray-800 break-words">\${escapeHtml(p.printer_status || '—')}</p>
+          <div class="progress-bar">
+            <div class="progress-fill" style="width: \${pct.toFixed(1)}%"></div>
+          </div>
+        </div>
+        <div class="space-y-2 text-sm text-gray-600">
+          <div class="flex justify-between"><span>IP Address:</span><span class="font-mono">\${escapeHtml(p.printer_ip || '--')}</span></div>
+          <div class="flex justify-between"><span>Serial:</span><span class="font-mono">\${escapeHtml(p.printer_serial || '--')}</span></div>
+          <div class="flex justify-between"><span>Layers:</span><span class="font-semibold">\${p.total_layers > 0 ? p.current_layer + ' / ' + p.total_layers : '--'}</span></div>
+          <div class="flex justify-between"><span>Last Trigger:</span><span class="font-semibold">\${p.last_trigger_layer > 0 ? p.last_trigger_layer : '--'}</span></div>
+          <div class="flex justify-between"><span>Cameras:</span><span>\${escapeHtml((p.cameras || []).join(', ') || '--')}</span></div>
+          <div class="flex justify-between items-center"><span>Capture:</span>
+            <select class="border rounded px-2 py-1 text-sm" data-policy-id="\${id}">
+              \${Object.entries(CAPTURE_POLICY_LABELS).map(([value, label]) =>
+                '<option value="' + value + '"' + (p.capture_policy === value ? ' selected' : '') + '>' + label + '</option>'
+              ).join('')}
+            </select>
+          </div>
+        </div>
+        <div class="flex flex-wrap gap-2">
+          <button class="btn-warning" data-action="reconnect" data-id="\${id}">🔄 Reconnect</button>
+          <button class="btn-dark" data-action="request-full-status" data-id="\${id}">📊 Full Status</button>
+          <button class="btn-success" data-action="test-shutter" data-id="\${id}">📸 Test Shutter</button>
+        </div>
+      </div>
+    </div>\`;
+  }).join('');
+}
+
+async function printerAction(id, action) {
+  try {
+    await api('/api/printers/' + id + '/' + action, { method:'POST' });
+  } catch (e) {
+    showError(action + ' failed: ' + e.message);
+  }
+  pollStatus();
+}
+
+function updateCameraList(list) {
+  if (!cameraListEl || !Array.isArray(list)) return;
+  cameraListEl.innerHTML = '';
+  for (const cam of list) {
+    const li = document.createElement('li');
+    li.className = 'flex justify-between gap-2';
+    const name = document.createElement('span');
+    name.className = 'font-semibold';
+    name.textContent = (cam.connected ? '🟢 ' : '🔴 ') + cam.name;
+    const last = document.createElement('span');
+    last.className = 'text-right break-words';
+    last.textContent = (cam.lastStatus || '') + (cam.restarts ? ' (bridge restarted ' + cam.restarts + 'x)' : '');
+    li.appendChild(name);
+    li.appendChild(last);
+    cameraListEl.appendChild(li);
+  }
 }
 
 function updateLog(buf) {
   if (!logBox || !Array.isArray(buf)) return;
-  const content = buf.join('\\n');
+  logLines = buf.slice(-MAX_LOG_LINES);
+  const content = logLines.join('\\n');
   if (logBox.textContent !== content) {
     logBox.textContent = content;
     logBox.scrollTop = logBox.scrollHeight;
   }
 }
 
+// Same size as the server's log buffer
+const MAX_LOG_LINES = 400;
+let logLines = [];
+
+function appendLog(line) {
+  updateLog([...logLines, line]);
+}
+
+// Last printer summaries, so a single printer event can re-render the cards
+let printerList = [];
+
+function updatePrinter(summary) {
+  const index = printerList.findIndex((p) => p.id === summary.id);
+  if (index === -1) printerList.push(summary); else printerList[index] = summary;
+  renderPrinterCards(printerList);
+}
+
+function updateCameras(goproStatus) {
+  if (goproStatusEl && goproStatus.status) goproStatusEl.textContent = goproStatus.status;
+  const cameraList = goproStatus.cameras || [];
+  updateCameraList(cameraList);
+  const selected = cameraList.find((c) => c.name === bleSelect.value);
+  const connected = selected ? selected.connected : cameraList.some((c) => c.connected);
+  if (btnConnect) {
+    btnConnect.textContent = connected ? 'Connected ✓' : 'Connect';
+    btnConnect.disabled = false;
+  }
+  if (bleState) {
+    setBleState(connected ? 'Connected' : 'Disconnected', connected ? 'ok' : 'err');
+  }
+}
+
 /* Robust API (no more "reading 'catch' of undefined") */
 async function api(path, { method='GET', body } = {}) {
   const opt = { method, headers: {} };
   if (body !== undefined) { opt.headers['Content-Type'] = 'application/json'; opt.body = JSON.stringify(body); }
   const res = await fetch(path, opt);
+  if (res.status === 401) {
+    location.href = '/login';
+  }
   let data = null;
   try { data = await res.json(); } catch (_) {}
   if (!res.ok || (data && data.success === false)) {
     const msg = (data && (data.message || data.status)) || ('HTTP ' + res.status);
-    throw new Error(msg);
+    const error = new Error(msg);
+    error.data = data;
+    throw error;
   }
   return data || {};
 }
 
+async function logout() {
+  await fetch('/api/logout', { method:'POST' });
+  location.href = '/login';
+}
+
 /* ------------- BLE UI logic ------------- */
 async function loadBleDevices() {
   try {
@@ -1778,7 +1214,7 @@ async function connectSelected() {
       btnConnect.textContent = 'Disconnecting';
       setBleState('Disconnecting', 'warn');
 
-      await api('/api/ble/disconnect', { method:'POST' });
+      await api('/api/ble/disconnect', { method:'POST', body: { device_id: id } });
 
       setBleState('Disconnected', 'err');
       btnConnect.textContent = 'Connect';
@@ -1868,57 +1304,20 @@ async function checkAndAutoConnectPrinter() {
 
 async function reconnectPrinter() {
   try {
-    // Update UI to show reconnecting state
-    if (statusText) {
-      statusText.textContent = 'RECONNECTING...';
-    }
-
     const result = await api('/api/reconnect-printer', { method:'POST' });
-
-    if (result.success) {
-      // Show success message briefly
-      if (statusText) {
-        statusText.textContent = 'Reconnection initiated...';
-      }
-
-      // Wait a moment then check status
-      setTimeout(async () => {
-        try {
-          const status = await api('/api/status');
-          if (statusText) {
-            statusText.textContent = status.printer_status || 'Checking connection...';
-          }
-        } catch (e) {
-          if (statusText) {
-            statusText.textContent = 'Connection check failed';
-          }
-        }
-      }, 3000);
-    } else {
-      throw new Error(result.message || 'Reconnection failed');
-    }
+    showSuccess(result.message);
   } catch (e) {
-    if (statusText) {
-      statusText.textContent = 'Reconnect failed';
-    }
-    showError('Reconnect failed: ' + e.message);
+    showError('Reconnect failed: ' + e.message + suggestionsText(e.data));
   }
+  pollStatus();
 }
 
 /* status poll */
 async function pollStatus() {
   try {
     const r = await api('/api/status');
-    updatePrinterStatus(r.printer_status);
-    if (layerText) {
-      if (r.total_layers > 0) {
-        layerText.textContent = \`\${r.current_layer} of \${r.total_layers} Layers\`;
-        if (curLayerEl) curLayerEl.textContent = r.current_layer;
-        if (lastTrigEl) lastTrigEl.textContent = r.current_layer;
-      } else {
-        layerText.textContent = 'Total Layers: --';
-      }
-    }
+    printerList = r.printers || [];
+    renderPrinterCards(printerList);
     if (goproStatusEl) goproStatusEl.textContent = r.gopro_status;
     updateLog(r.log_buffer);
 
@@ -1927,26 +1326,7 @@ async function pollStatus() {
 
     // Check actual GoPro connection status
     try {
-      const goproStatus = await api('/api/camera-status', { method:'GET' });
-      if (goproStatus.success && goproStatus.connected) {
-        // GoPro Python bridge is connected and responding
-        if (btnConnect) {
-          btnConnect.textContent = 'Connected ✓';
-          btnConnect.disabled = false;
-        }
-        if (bleState) {
-          setBleState('Connected', 'ok');
-        }
-      } else {
-        // GoPro is not connected
-        if (btnConnect) {
-          btnConnect.textContent = 'Connect';
-          btnConnect.disabled = false;
-        }
-        if (bleState) {
-          setBleState('Disconnected', 'err');
-        }
-      }
+      updateCameras(await api('/api/camera-status', { method:'GET' }));
     } catch (e) {
       // If camera status check fails, assume disconnected
       if (btnConnect) {
@@ -1962,6 +1342,14 @@ async function pollStatus() {
   }
 }
 
+// Suggestions of a failed printer diagnosis, as lines to append to an error message
+function suggestionsText(data) {
+  if (!data || !data.diagnostics || !data.diagnostics.suggestions || data.diagnostics.suggestions.length === 0) {
+    return '';
+  }
+  return '\\nSuggestions:\\n' + data.diagnostics.suggestions.map(s => '- ' + s).join('\\n');
+}
+
 /* test printer connection */
 async function testPrinterConnection() {
   try {
@@ -1969,18 +1357,9 @@ async function testPrinterConnection() {
     btnTestConnection.textContent = 'Testing...';
 
     const result = await api('/api/test-printer-connection', { method:'POST' });
-
-    if (result.success) {
-      showError('SUCCESS: Connection test successful! Printer is reachable.');
-    } else {
-      let message = 'FAILED: Connection test failed: ' + result.message;
-      if (result.diagnostics && result.diagnostics.suggestions) {
-        message += 'Suggestions:' + result.diagnostics.suggestions.map(s => '- ' + s).join('\\n');
-      }
-      showError(message);
-    }
+    showSuccess('Connection test successful: ' + result.message);
   } catch (e) {
-    showError('Connection test failed: ' + e.message);
+    showError('Connection test failed: ' + e.message + suggestionsText(e.data));
   } finally {
     btnTestConnection.disabled = false;
     btnTestConnection.textContent = 'Test Connection';
@@ -1993,13 +1372,8 @@ async function requestFullStatusFromPrinter() {
     btnRequestStatus.disabled = true;
     btnRequestStatus.textContent = 'Requesting...';
 
-    const result = await api('/api/request-full-status', { method:'POST' });
-
-    if (result.success) {
-      showSuccess('Full status request sent to printer');
-    } else {
-      showError('Failed to request full status: ' + result.message);
-    }
+    const result = await command('request_full_status', {}, '/api/request-full-status');
+    showSuccess(result.message);
   } catch (e) {
     showError('Request failed: ' + e.message);
   } finally {
@@ -2011,7 +1385,7 @@ async function requestFullStatusFromPrinter() {
 /* test shutter */
 async function testShutter() {
   try {
-    await api('/api/test-shutter', { method:'POST' });
+    await command('test_shutter', {}, '/api/test-shutter');
   } catch (e) {
     showError('Test failed: ' + e.message);
   }
@@ -2036,11 +1410,123 @@ btnTestConnection?.addEventListener('click', testPrinterConnection);
 btnRequestStatus?.addEventListener('click', requestFullStatusFromPrinter);
 btnTest?.addEventListener('click', testShutter);
 btnDebug?.addEventListener('click', showDebugInfo);
+printerCardsEl?.addEventListener('click', (e) => {
+  const btn = e.target.closest('button[data-action]');
+  if (btn) printerAction(btn.dataset.id, btn.dataset.action);
+});
+printerCardsEl?.addEventListener('change', async (e) => {
+  const select = e.target.closest('select[data-policy-id]');
+  if (!select) return;
+  try {
+    await api('/api/printers/' + select.dataset.policyId + '/capture-policy', { method:'POST', body: { policy: select.value } });
+    showSuccess('Capture policy set to ' + CAPTURE_POLICY_LABELS[select.value]);
+  } catch (e) {
+    showError('Capture policy update failed: ' + e.message);
+  }
+  select.blur();
+  pollStatus();
+});
+
+/* live updates: server-sent events, polling while the stream is down */
+let pollTimer = null;
+
+function startPolling() {
+  if (pollTimer) return;
+  pollStatus();
+  pollTimer = setInterval(pollStatus, 1500);
+}
+
+function stopPolling() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+// Live event handlers, shared by the control channel and the event stream
+const LIVE_EVENTS = {
+  snapshot: (r) => {
+    printerList = r.printers || [];
+    renderPrinterCards(printerList);
+    updateLog(r.log_buffer);
+    updateCameras(r.camera_status);
+  },
+  log: (e) => appendLog(e.line),
+  printer: (e) => updatePrinter(e.printer),
+  capture: (e) => updatePrinter(e.printer),
+  cameras: updateCameras
+};
+
+let eventSource = null;
+
+function connectEvents() {
+  if (eventSource) return;
+  if (!window.EventSource) {
+    startPolling();
+    return;
+  }
+  eventSource = new EventSource('/api/events');
+  eventSource.onopen = stopPolling;
+  // The browser reconnects by itself; poll until it does, and for good if the server refused the stream
+  eventSource.onerror = startPolling;
+  for (const [type, handler] of Object.entries(LIVE_EVENTS)) {
+    eventSource.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+  }
+}
+
+function closeEvents() {
+  if (!eventSource) return;
+  eventSource.close();
+  eventSource = null;
+}
+
+/* control channel: commands and live events over one WebSocket, the event stream while it is down */
+let control = null;
+let nextCommandId = 1;
+const pendingCommands = new Map();
+
+function connectControl() {
+  if (!window.WebSocket) {
+    connectEvents();
+    return;
+  }
+  const ws = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/ws');
+  ws.onopen = () => {
+    control = ws;
+    closeEvents();
+    stopPolling();
+  };
+  ws.onmessage = (m) => {
+    const msg = JSON.parse(m.data);
+    if (msg.type === 'event' && LIVE_EVENTS[msg.event]) {
+      LIVE_EVENTS[msg.event](msg.data);
+    } else if (msg.type === 'response' && pendingCommands.has(msg.id)) {
+      const { resolve, reject } = pendingCommands.get(msg.id);
+      pendingCommands.delete(msg.id);
+      if (msg.ok) resolve(msg.result);
+      else reject(Object.assign(new Error(msg.error.message), { data: msg.error.data }));
+    }
+  };
+  ws.onclose = () => {
+    control = null;
+    for (const { reject } of pendingCommands.values()) reject(new Error('Control channel closed'));
+    pendingCommands.clear();
+    connectEvents();
+    setTimeout(connectControl, 5000);
+  };
+}
+
+// Send a command over the control channel, or POST to fallbackPath while it is not connected
+function command(name, params, fallbackPath) {
+  if (!control) return api(fallbackPath, { method:'POST', body: params });
+  const id = nextCommandId++;
+  return new Promise((resolve, reject) => {
+    pendingCommands.set(id, { resolve, reject });
+    control.send(JSON.stringify({ id, type: 'command', command: name, params }));
+  });
+}
 
 /* initial */
 loadBleDevices();
-pollStatus();
-setInterval(pollStatus, 1500);
+connectControl();
 </script>
 
 <footer class="mt-12 text-center text-xs text-gray-400 border-t pt-4">
@@ -2054,6 +1540,47 @@ setInterval(pollStatus, 1500);
 </html>`;
 }
 
+// Shown instead of the UI while authentication is on and the browser has no session
+function generateLoginHtml() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>LayerSync - Log in</title>
+<script src="https://cdn.tailwindcss.com"></script>
+<style>
+  body { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); font-family: 'Inter', sans-serif; }
+</style>
+</head>
+<body class="min-h-screen flex items-center justify-center p-4">
+  <form id="loginForm" class="bg-white/90 rounded-2xl shadow-xl p-8 w-full max-w-sm">
+    <h1 class="text-3xl font-bold text-indigo-600 mb-6 text-center">LayerSync</h1>
+    <input type="password" id="password" placeholder="Password" autofocus required
+      class="w-full px-4 py-3 border border-gray-300 rounded-lg mb-4"/>
+    <button type="submit" class="w-full py-3 rounded-lg text-white font-semibold bg-indigo-600 hover:bg-indigo-700">Log in</button>
+    <p id="loginError" class="text-red-600 text-sm mt-4 text-center"></p>
+  </form>
+<script>
+document.getElementById('loginForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const res = await fetch('/api/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password: document.getElementById('password').value })
+  });
+  if (res.ok) {
+    location.href = '/';
+    return;
+  }
+  const data = await res.json().catch(() => ({}));
+  document.getElementById('loginError').textContent = data.message || 'Login failed';
+});
+</script>
+</body>
+</html>`;
+}
+
 function configurationFormHtml(initialIP, initialSerial) {
   return `
   <section class="card p-6 mt-6">
@@ -2081,7 +1608,7 @@ function configurationFormHtml(initialIP, initialSerial) {
       const btn = document.getElementById('save-btn');
       btn.disabled = true; btn.textContent = 'Saving…';
       try{
-        await fetch('/api/config', {
+        const r = await fetch('/api/config', {
           method:'POST',
           headers:{'Content-Type':'application/json'},
           body: JSON.stringify({
@@ -2090,6 +1617,10 @@ function configurationFormHtml(initialIP, initialSerial) {
             mqtt_password: document.getElementById('cfg_pass').value
           })
         });
+        const result = await r.json();
+        if(!result.success){
+          throw new Error(result.errors ? result.errors.map(e => e.path + ' ' + e.message).join(', ') : result.error);
+        }
         alert('Saved. Reloading…'); location.reload();
       }catch(err){
         alert('Save failed: ' + err.message);
@@ -2101,11 +1632,24 @@ function configurationFormHtml(initialIP, initialSerial) {
 }
 
 // ---------- MAIN APPLICATION STARTUP ----------
-function start() {
+/**
+ * Start the app
+ * @param {Object} [options] - Options
+ * @param {Object} [options.overrides] - Settings from the command line (see configSources.parseArgs)
+ * @returns {http.Server} The web server
+ * @throws {Error} INVALID_CONFIG when an environment variable holds an invalid setting
+ */
+function start(options = {}) {
   log('Starting LayerSync Timelapse Controller...', 'INFO');
 
-  // Load configuration
+  // Load configuration: config.json, then LAYERSYNC_* environment variables, then command line flags
+  settings.setOverrides({ ...envOverrides(process.env), ...options.overrides });
   loadConfig();
+  configureStorage();
+
+  // Load print session history
+  const sessionCount = sessions.load();
+  log(`Loaded ${sessionCount} print session(s) from ${sessions.directory}`, 'INFO');
 
   // Start HTTP server
   const server = startHttpServer();
@@ -2114,6 +1658,7 @@ function start() {
   startApp();
 
   log('LayerSync Timelapse Controller started successfully!', 'SUCCESS');
+  return server;
 }
 
 function startHttpServer() {
@@ -2122,10 +1667,16 @@ function startHttpServer() {
     const { pathname } = parsedUrl;
     const { method } = req;
 
-    // CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    // CORS headers, only for the site the configuration allows
+    const corsOrigin = settings.get('cors_origin');
+    if (corsOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      if (corsOrigin !== '*') {
+        res.setHeader('Vary', 'Origin');
+      }
+    }
 
     if (method === 'OPTIONS') {
       res.writeHead(200);
@@ -2133,17 +1684,48 @@ function startHttpServer() {
       return;
     }
 
+    const caller = auth.authenticate(req);
+    const scope = requiredScope(method, pathname);
+    if (scope && !AuthService.allows(caller, scope)) {
+      refuseRequest(res, caller, scope, pathname);
+      return;
+    }
+
+    // Per-printer routes: /api/printers/:id[/action]
+    const printerRoute = pathname.match(/^\/api\/printers\/([^/]+)(?:\/([a-z-]+))?$/);
+    const sessionRoute = pathname.match(/^\/api\/sessions\/([^/]+)(?:\/([a-z-]+))?$/);
+    const renderJobRoute = pathname.match(/^\/api\/render-jobs\/([^/]+)$/);
+    const tokenRoute = pathname.match(/^\/api\/tokens\/([^/]+)$/);
+
     // Route handling
     if (pathname === '/' || pathname === '/index.html') {
-      serveMainPage(res);
+      serveMainPage(res, caller);
+    } else if (pathname === '/login' && method === 'GET') {
+      serveLoginPage(res);
+    } else if (pathname === '/api/login' && method === 'POST') {
+      handleLoginAPI(req, res);
+    } else if (pathname === '/api/logout' && method === 'POST') {
+      handleLogoutAPI(res, caller);
+    } else if (pathname === '/api/auth' && method === 'GET') {
+      sendJSON(res, 200, { success: true, enabled: auth.isEnabled(), caller: caller && callerInfo(caller) });
+    } else if (pathname === '/api/auth/password' && method === 'POST') {
+      handlePasswordAPI(req, res);
+    } else if (pathname === '/api/tokens' && (method === 'GET' || method === 'POST')) {
+      handleTokensAPI(req, res);
+    } else if (tokenRoute && method === 'DELETE') {
+      handleRevokeTokenAPI(res, decodeURIComponent(tokenRoute[1]));
     } else if (pathname === '/api/status') {
       serveStatus(res);
+    } else if (pathname === '/api/events' && method === 'GET') {
+      serveEvents(req, res, caller);
     } else if (pathname === '/api/debug') {
-      serveDebug(res);
+      serveDebug(res, caller);
     } else if (pathname === '/api/camera-status' && method === 'GET') {
       handleCameraStatusAPI(req, res);
     } else if (pathname === '/api/config' && method === 'POST') {
-      handleConfigUpdate(req, res);
+      handleConfigUpdate(req, res, caller);
+    } else if (pathname === '/api/config/schema' && method === 'GET') {
+      serveConfigSchema(res);
     } else if (pathname === '/api/ble/scan' && method === 'GET') {
       handleBLEScanAPI(req, res);
     } else if (pathname === '/api/ble-scan' && method === 'POST') {
@@ -2164,15 +1746,39 @@ function startHttpServer() {
       handleTestShutterAPI(req, res);
     } else if (pathname === '/api/set-photo-delay' && method === 'POST') {
       handleSetPhotoDelayAPI(req, res);
+    } else if (pathname === '/api/printer/state' && method === 'GET') {
+      withDefaultPrinter(res, (printer) => sendPrinterState(res, printer, parsedUrl.searchParams));
+    } else if (pathname === '/api/printers' && (method === 'GET' || method === 'POST')) {
+      handlePrintersAPI(req, res);
+    } else if (printerRoute) {
+      handlePrinterAPI(req, res, decodeURIComponent(printerRoute[1]), printerRoute[2], parsedUrl.searchParams);
+    } else if (pathname === '/api/sessions' && method === 'GET') {
+      handleSessionsAPI(res, parsedUrl.searchParams);
+    } else if (sessionRoute && !sessionRoute[2] && method === 'GET') {
+      handleSessionAPI(res, decodeURIComponent(sessionRoute[1]));
+    } else if (sessionRoute && sessionRoute[2] === 'download-media' && method === 'POST') {
+      handleSessionMediaAPI(req, res, decodeURIComponent(sessionRoute[1]));
+    } else if (sessionRoute && sessionRoute[2] === 'recording' && method === 'GET') {
+      handleSessionRecordingAPI(res, decodeURIComponent(sessionRoute[1]));
+    } else if (sessionRoute && sessionRoute[2] === 'render' && method === 'POST') {
+      handleSessionRenderAPI(req, res, decodeURIComponent(sessionRoute[1]));
+    } else if (pathname === '/api/render-jobs' && method === 'GET') {
+      sendJSON(res, 200, {
+        success: true,
+        jobs: renderer.listJobs({ sessionId: parsedUrl.searchParams.get('session') })
+      });
+    } else if (renderJobRoute && method === 'GET') {
+      handleRenderJobAPI(res, decodeURIComponent(renderJobRoute[1]));
     } else {
       res.writeHead(404, { 'Content-Type': 'text/plain' });
       res.end('Not Found');
     }
   });
 
-  const PORT = 3000;
-  server.listen(PORT, () => {
-    log(`Server running on http://localhost:${PORT}`, 'SUCCESS');
+  control.attach(server);
+
+  server.listen(settings.get('http_port', DEFAULT_PORT), () => {
+    log(`Server running on http://localhost:${server.address().port}`, 'SUCCESS');
   });
 
   // Graceful shutdown handlers
@@ -2187,40 +1793,186 @@ function startHttpServer() {
   return server;
 }
 
-function serveMainPage(res) {
+function serveMainPage(res, caller) {
   res.writeHead(200, { 'Content-Type': 'text/html' });
-  res.end(generateHtml(configLoaded));
+  res.end(generateHtml(settings.isLoaded(), { canLogout: caller.via === 'session' }));
 }
 
-function serveStatus(res) {
-  const status = {
-    config_loaded: configLoaded,
-    printer_status: currentPrinterState,
-    gopro_status: lastGoProStatus + (goproBLE.ready() ? ' (BLE Ready)' : ' (BLE Not Ready)'),
-    current_layer: currentLayer,
-    total_layers: totalLayers,
-    bambu_timelapse_enabled: bambuTimelapseEnabled,
-    log_buffer: logBuffer
+// ---------- authentication ----------
+// Routes anyone may use, so that the login page works
+const PUBLIC_ROUTES = ['GET /login', 'POST /api/login', 'POST /api/logout', 'GET /api/auth'];
+// Routes that change the configuration
+const CONFIG_ROUTES = [
+  /^POST \/api\/(config|printers|set-photo-delay|test-printer-connection)$/,
+  /^(PUT|DELETE) \/api\/printers\/[^/]+$/,
+  /^POST \/api\/printers\/[^/]+\/(capture-policy|photo-delay)$/
+];
+
+// Settings only admins may change: the program that renders, and the sites allowed to call the API
+const ADMIN_SETTINGS = ['ffmpeg_path', 'cors_origin'];
+
+/**
+ * Scope a request needs: admin for tokens and passwords, config for settings, read for
+ * everything else that only reads, control for the rest (cameras, printers, sessions)
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL path
+ * @returns {string|null} Scope, or null for public routes
+ */
+function requiredScope(method, pathname) {
+  const route = `${method} ${pathname}`;
+  if (PUBLIC_ROUTES.includes(route)) {
+    return null;
+  }
+  if (pathname === '/api/auth/password' || pathname === '/api/tokens' || pathname.startsWith('/api/tokens/')) {
+    return 'admin';
+  }
+  if (CONFIG_ROUTES.some((pattern) => pattern.test(route))) {
+    return 'config';
+  }
+  return method === 'GET' || method === 'HEAD' ? 'read' : 'control';
+}
+
+// Send the browser to the login page, API callers a 401, and callers without the scope a 403
+function refuseRequest(res, caller, scope, pathname) {
+  if (caller) {
+    sendJSON(res, 403, { success: false, message: `Not allowed: needs the "${scope}" scope` });
+  } else if (pathname === '/' || pathname === '/index.html') {
+    res.writeHead(302, { Location: '/login' });
+    res.end();
+  } else {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="LayerSync"');
+    sendJSON(res, 401, { success: false, message: 'Log in or send an API token (Authorization: Bearer ...)' });
+  }
+}
+
+// Close the /ws connections and /api/events streams of the callers that lost their access
+function endLiveConnections(match, reason) {
+  control.disconnect(match, reason);
+  events.disconnect(match);
+}
+
+function callerInfo(caller) {
+  return { name: caller.name, via: caller.via, scopes: caller.scopes };
+}
+
+function serveLoginPage(res) {
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(generateLoginHtml());
+}
+
+async function handleLoginAPI(req, res) {
+  try {
+    const { password } = await readJSONBody(req);
+    const sessionId = auth.login(password, req.socket.remoteAddress);
+    if (!sessionId) {
+      log(`[Auth] Failed login from ${req.socket.remoteAddress}`, 'WARN');
+      sendJSON(res, 401, { success: false, message: 'Wrong password' });
+      return;
+    }
+    log(`[Auth] Login from ${req.socket.remoteAddress}`, 'INFO');
+    res.setHeader('Set-Cookie', auth.sessionCookie(sessionId));
+    sendJSON(res, 200, { success: true });
+  } catch (e) {
+    if (e.code === 'LOGIN_THROTTLED') {
+      res.setHeader('Retry-After', Math.ceil(e.retryAfterMs / 1000));
+      sendJSON(res, 429, { success: false, message: e.message });
+      return;
+    }
+    sendJSON(res, 400, { success: false, message: e.message });
+  }
+}
+
+function handleLogoutAPI(res, caller) {
+  if (caller && caller.sessionId) {
+    auth.logout(caller.sessionId);
+    endLiveConnections((client) => client.sessionId === caller.sessionId, 'Logged out');
+  }
+  res.setHeader('Set-Cookie', auth.sessionCookie(''));
+  sendJSON(res, 200, { success: true });
+}
+
+async function handlePasswordAPI(req, res) {
+  try {
+    const { password } = await readJSONBody(req);
+    auth.setPassword(password === undefined ? null : password);
+    // Changing the password logs every session out, so their control connections go too
+    endLiveConnections((client) => client.via === 'session', 'Password changed');
+    log(`[Auth] UI password ${password === undefined ? 'removed' : 'changed'}`, 'SUCCESS');
+    sendJSON(res, 200, { success: true, enabled: auth.isEnabled() });
+  } catch (e) {
+    sendJSON(res, 400, { success: false, message: e.message });
+  }
+}
+
+async function handleTokensAPI(req, res) {
+  if (req.method === 'GET') {
+    sendJSON(res, 200, { success: true, tokens: auth.listTokens() });
+    return;
+  }
+  try {
+    const { name, scopes } = await readJSONBody(req);
+    const { token, info } = auth.createToken(name, scopes);
+    log(`[Auth] API token "${name}" created (${info.scopes.join(', ')})`, 'SUCCESS');
+    sendJSON(res, 201, { success: true, token, info });
+  } catch (e) {
+    sendJSON(res, 400, { success: false, message: e.message });
+  }
+}
+
+function handleRevokeTokenAPI(res, id) {
+  if (!auth.revokeToken(id)) {
+    sendJSON(res, 404, { success: false, message: `Unknown token "${id}"` });
+    return;
+  }
+  endLiveConnections((client) => client.tokenId === id, 'Token revoked');
+  log(`[Auth] API token ${id} revoked`, 'INFO');
+  sendJSON(res, 200, { success: true, message: `Token "${id}" revoked` });
+}
+
+// Everything the UI shows: /api/status, and the first event of /api/events (with the cameras)
+function statusSnapshot() {
+  const printer = defaultPrinter();
+  return {
+    config_loaded: settings.isLoaded(),
+    printer_status: printer ? printer.currentPrinterState : 'Awaiting configuration...',
+    gopro_status: gopro.getLastStatus() + (cameraReady(printer) ? ' (BLE Ready)' : ' (BLE Not Ready)'),
+    current_layer: printer ? printer.currentLayer : 0,
+    total_layers: printer ? printer.totalLayers : 0,
+    bambu_timelapse_enabled: printer ? printer.bambuTimelapseEnabled : false,
+    printers: [...printers.values()].map(printerSummary),
+    log_buffer: logger.getLogBuffer()
   };
+}
 
+function serveStatus(res) {
   res.writeHead(200, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify(status));
+  res.end(JSON.stringify(statusSnapshot()));
+}
+
+// First event of a live stream: the status plus the cameras
+function liveSnapshot() {
+  return {
+    ...statusSnapshot(),
+    camera_status: { status: gopro.getLastStatus(), cameras: gopro.getStatus().cameras }
+  };
+}
+
+function serveEvents(req, res, caller) {
+  events.handle(req, res, liveSnapshot(), caller);
 }
 
-function serveDebug(res) {
+// The configuration is only shown with its secrets (access codes, hashes) to admins
+function serveDebug(res, caller) {
+  const admin = AuthService.allows(caller, 'admin');
   const debugInfo = {
-    config,
-    configLoaded,
-    currentPrinterState,
-    currentLayer,
-    totalLayers,
-    lastTriggerLayer,
-    photoTriggerDelay,
-    bambuTimelapseEnabled,
-    lastGoProStatus,
-    goproConnected: goproBLE.ready(),
-    mqttConnected: client ? client.connected : false,
-    logBuffer: logBuffer.slice(-50) // Last 50 log entries
+    config: admin ? settings.getAll() : ConfigManager.redactSecrets(settings.getAll()),
+    secretsRedacted: !admin,
+    configLoaded: settings.isLoaded(),
+    printers: [...printers.values()].map(printerSummary),
+    lastGoProStatus: gopro.getLastStatus(),
+    goproConnected: cameraReady(),
+    cameras: gopro.getStatus().cameras,
+    logBuffer: logger.getLogBuffer().slice(-50) // Last 50 log entries
   };
 
   res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -2229,12 +1981,11 @@ function serveDebug(res) {
 
 function handleCameraStatusAPI(req, res) {
   try {
-    // Return GoPro camera status
+    // Return per-camera status
     const status = {
       success: true,
-      connected: goproBLE ? goproBLE.ready() : false,
-      status: lastGoProStatus || 'Awaiting first action...',
-      pythonProcess: goproBLE && goproBLE.pythonProcess ? 'running' : 'stopped'
+      status: gopro.getLastStatus(),
+      cameras: gopro.getStatus().cameras
     };
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(status));
@@ -2244,18 +1995,24 @@ function handleCameraStatusAPI(req, res) {
   }
 }
 
-function handleConfigUpdate(req, res) {
+function handleConfigUpdate(req, res, caller) {
   let body = '';
   req.on('data', (chunk) => {
     body += chunk.toString();
   });
   req.on('end', () => {
     try {
-      const newConfig = JSON.parse(body);
-      config = { ...config, ...newConfig };
-
-      fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
-      configLoaded = true;
+      // The auth section only changes through the password and token routes (admin scope)
+      const changes = JSON.parse(body);
+      delete changes.auth;
+      const adminOnly = ADMIN_SETTINGS.filter((key) => key in changes);
+      if (adminOnly.length > 0 && !AuthService.allows(caller, 'admin')) {
+        sendJSON(res, 403, { success: false, error: `Not allowed: ${adminOnly.join(', ')} needs the "admin" scope` });
+        return;
+      }
+      settings.update(changes);
+      setupCameras();
+      syncPrinters();
 
       log('Configuration updated successfully', 'SUCCESS');
       res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -2263,16 +2020,25 @@ function handleConfigUpdate(req, res) {
     } catch (error) {
       log(`Configuration update failed: ${error.message}`, 'ERROR');
       res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
+      res.end(JSON.stringify({ success: false, error: error.message, errors: error.errors }));
     }
   });
 }
 
+// JSON Schema of config.json for forms, with the settings the environment or command line pin
+function serveConfigSchema(res) {
+  sendJSON(res, 200, { success: true, schema: SCHEMA, overridden: Object.keys(settings.overrides) });
+}
+
 function handleBLEScanAPI(req, res) {
   try {
     log('GoPro: Auto-discovery via Python bridge…', 'INFO');
-    // Python bridge auto-discovers GoPro, so we return a dummy device
-    const devices = [{ id: 'gopro-auto', name: 'GoPro (Auto-discovered)', rssi: -50 }];
+    // Each Python bridge auto-discovers its own GoPro, so we list the configured cameras
+    const devices = cameras.getStatus().map((camera) => ({
+      id: camera.name,
+      name: `${camera.name} (${camera.driver}${camera.target ? ` ${camera.target}` : ''})`,
+      connected: camera.connected
+    }));
     log('GoPro: Auto-discovery completed', 'SUCCESS');
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ success: true, devices }));
@@ -2283,6 +2049,39 @@ function handleBLEScanAPI(req, res) {
   }
 }
 
+// Cameras a request names (device_id / camera); every camera only when it names none
+function requestedCameras(body) {
+  const name = body.device_id || body.deviceId || body.camera;
+  if (!name) {
+    return cameras.names();
+  }
+  if (!cameras.get(name)) {
+    throw commandError('not_found', `Unknown camera "${name}"`);
+  }
+  return [name];
+}
+
+// Connect cameras in parallel; resolves with one result per camera ({ camera, success, result|error })
+async function connectCameras(targets) {
+  log(`GoPro: Connecting ${targets.join(', ')} via Python bridge…`, 'INFO');
+  const results = await cameras.runAll(targets, async (driver) => {
+    const result = await driver.connect();
+    if (!result.success) {
+      throw new Error(result.error || 'Connection failed');
+    }
+    return result;
+  });
+
+  for (const result of results) {
+    if (result.success) {
+      log(`[${result.camera}] Connected successfully!`, 'SUCCESS');
+    } else {
+      log(`[${result.camera}] Connect error: ${result.error}`, 'ERROR');
+    }
+  }
+  return results;
+}
+
 function handleBLEConnectAPI(req, res) {
   let body = '';
   req.on('data', (chunk) => {
@@ -2290,80 +2089,90 @@ function handleBLEConnectAPI(req, res) {
   });
   req.on('end', async () => {
     try {
-      const { deviceId } = body ? JSON.parse(body) : {};
-      log(`GoPro: Connecting via Python bridge…`, 'INFO');
-      const result = await goproBLE.connect();
-      if (result.success) {
-        log('GoPro: Connected successfully!', 'SUCCESS');
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: 'Connected to GoPro' }));
-      } else {
-        log(`GoPro connect error: ${result.error}`, 'ERROR');
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: result.error }));
-      }
+      const results = await connectCameras(requestedCameras(body ? JSON.parse(body) : {}));
+      const success = results.some((r) => r.success);
+      res.writeHead(success ? 200 : 500, { 'Content-Type': 'application/json' });
+      res.end(
+        JSON.stringify({
+          success,
+          message: `Connected ${results.filter((r) => r.success).length}/${results.length} camera(s)`,
+          results
+        })
+      );
     } catch (e) {
       log(`BLE connect error: ${e.message}`, 'ERROR');
-      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.writeHead(e.code === 'not_found' ? 404 : 500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ success: false, error: e.message }));
     }
   });
 }
 
 function handleBLEDisconnectAPI(req, res) {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk.toString();
+  });
   req.on('end', async () => {
     try {
-      log('GoPro: Disconnecting via Python bridge…', 'INFO');
-      const result = await goproBLE.disconnect();
-      if (result.success) {
-        log('GoPro: Disconnected successfully!', 'SUCCESS');
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: 'Disconnected from GoPro' }));
-      } else {
-        log(`GoPro disconnect error: ${result.error}`, 'ERROR');
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: result.error }));
+      const targets = requestedCameras(body ? JSON.parse(body) : {});
+      log(`GoPro: Disconnecting ${targets.join(', ')} via Python bridge…`, 'INFO');
+      const results = await cameras.runAll(targets, (driver) => driver.disconnect());
+
+      for (const result of results) {
+        if (result.success) {
+          log(`[${result.camera}] Disconnected successfully!`, 'SUCCESS');
+        } else {
+          log(`[${result.camera}] Disconnect error: ${result.error}`, 'ERROR');
+        }
       }
+
+      const success = results.every((r) => r.success);
+      res.writeHead(success ? 200 : 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success, message: `Disconnected ${targets.length} camera(s)`, results }));
     } catch (e) {
       log(`BLE disconnect error: ${e.message}`, 'ERROR');
-      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.writeHead(e.code === 'not_found' ? 404 : 500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ success: false, error: e.message }));
     }
   });
 }
 
-function handleTestPrinterConnectionAPI(req, res) {
-  // This would test printer connection
-  res.writeHead(200, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ success: true, message: 'Printer connection test initiated' }));
+// Connection settings can be passed in the body to test them before they are saved
+async function handleTestPrinterConnectionAPI(req, res) {
+  try {
+    const body = await readJSONBody(req);
+    const printer = defaultPrinter();
+    const definition = { ...(printer ? printer.config : {}) };
+    for (const key of ['printer_ip', 'printer_serial', 'mqtt_password']) {
+      if (body[key]) {
+        definition[key] = body[key];
+      }
+    }
+    sendDiagnosis(res, await diagnosePrinter(definition, printer));
+  } catch (e) {
+    log(`Printer connection test error: ${e.message}`, 'ERROR');
+    sendJSON(res, 400, { success: false, message: e.message });
+  }
 }
 
 function handleReconnectPrinterAPI(req, res) {
-  // This would reconnect to printer
-  res.writeHead(200, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ success: true, message: 'Printer reconnection initiated' }));
+  withDefaultPrinter(res, async (printer) => sendReconnectResult(res, printer, await reconnectPrinter(printer)));
 }
 
 function handleRequestFullStatusAPI(req, res) {
-  // This would request full status from printer
-  res.writeHead(200, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ success: true, message: 'Full status request initiated' }));
+  withDefaultPrinter(res, async (printer) => sendJSON(res, ...(await requestFullStatus(printer))));
 }
 
 function handleTestShutterAPI(req, res) {
+  req.on('data', () => {});
   req.on('end', async () => {
     try {
       log('GoPro: Testing shutter via Python bridge…', 'INFO');
-      const result = await goproBLE.takePhoto();
-      if (result.success) {
-        log('GoPro: Test photo taken successfully!', 'SUCCESS');
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: 'Test photo taken' }));
-      } else {
-        log(`GoPro test shutter error: ${result.error}`, 'ERROR');
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: result.error }));
-      }
+      const results = await capture.shutter(defaultPrinter(), { test: true });
+      sendCameraEvent();
+      const success = results.length > 0 && results.every((r) => r.success);
+      res.writeHead(success ? 200 : 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success, status: gopro.getLastStatus(), results }));
     } catch (e) {
       log(`Test shutter error: ${e.message}`, 'ERROR');
       res.writeHead(500, { 'Content-Type': 'application/json' });
@@ -2373,51 +2182,347 @@ function handleTestShutterAPI(req, res) {
 }
 
 function handleSetPhotoDelayAPI(req, res) {
-  let body = '';
-  req.on('data', (chunk) => {
-    body += chunk.toString();
-  });
-  req.on('end', () => {
+  withDefaultPrinter(res, async (printer) => {
     try {
-      const { delay } = JSON.parse(body);
-      if (typeof delay === 'number' && delay >= 0) {
-        photoTriggerDelay = delay;
-        log(`Photo trigger delay set to ${photoTriggerDelay}ms`, 'INFO');
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: `Photo trigger delay set to ${photoTriggerDelay}ms` }));
-      } else {
-        throw new Error('Invalid delay value. Must be a non-negative number.');
-      }
+      const { delay } = await readJSONBody(req);
+      setPhotoTriggerDelay(printer, delay);
+      sendJSON(res, 200, { success: true, message: `Photo trigger delay set to ${delay}ms` });
     } catch (e) {
       log(`Failed to set photo delay: ${e.message}`, 'ERROR');
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, message: e.message }));
+      sendJSON(res, 400, { success: false, message: e.message });
     }
   });
 }
 
-function gracefulShutdown(server) {
-  isShuttingDown = true;
+function sendJSON(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readJSONBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk.toString();
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (e) {
+        reject(new Error(`Invalid JSON body: ${e.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function handlePrintersAPI(req, res) {
+  try {
+    if (req.method === 'GET') {
+      sendJSON(res, 200, { success: true, printers: [...printers.values()].map(printerSummary) });
+      return;
+    }
+
+    const definition = await readJSONBody(req);
+    if (!definition.printer_ip || !definition.printer_serial || !definition.mqtt_password) {
+      sendJSON(res, 400, {
+        success: false,
+        message: 'Missing required fields: printer_ip, printer_serial, mqtt_password'
+      });
+      return;
+    }
+
+    const id = String(definition.id || definition.printer_serial);
+    if (settings.printerDefinitions().some((existing) => existing.id === id)) {
+      sendJSON(res, 409, { success: false, message: `Printer "${id}" already exists` });
+      return;
+    }
+
+    settings.addPrinter({ ...definition, id });
+    syncPrinters();
+
+    log(`Printer "${id}" added`, 'SUCCESS');
+    sendJSON(res, 201, { success: true, printer: printerSummary(printers.get(id)) });
+  } catch (e) {
+    log(`Printer API error: ${e.message}`, 'ERROR');
+    sendJSON(res, e.code === 'INVALID_CONFIG' ? 400 : 500, { success: false, message: e.message, errors: e.errors });
+  }
+}
+
+// Merged printer state; `?raw=1` adds the merged report fields as the printer sent them
+function sendPrinterState(res, printer, query) {
+  const body = { success: true, printer_id: printer.id, state: printer.stateStore.get() };
+  if (query && query.get('raw')) {
+    body.raw = printer.stateStore.raw;
+  }
+  sendJSON(res, 200, body);
+}
+
+async function handlePrinterAPI(req, res, id, action, query) {
+  const printer = printers.get(id);
+  if (!printer) {
+    sendJSON(res, 404, { success: false, message: `Unknown printer "${id}"` });
+    return;
+  }
+
+  const route = `${req.method} ${action || ''}`;
+  try {
+    switch (route) {
+      case 'GET ':
+      case 'GET status':
+        sendJSON(res, 200, { success: true, printer: printerSummary(printer) });
+        return;
+
+      case 'GET state':
+        sendPrinterState(res, printer, query);
+        return;
+
+      case 'PUT ': {
+        const changes = await readJSONBody(req);
+        if (changes.capture_policy !== undefined && !CAPTURE_POLICIES.includes(changes.capture_policy)) {
+          throw new Error(`Invalid capture policy. Must be one of: ${CAPTURE_POLICIES.join(', ')}`);
+        }
+        settings.updatePrinter(id, changes);
+        syncPrinters();
+        printerLog(printer, 'Printer configuration updated', 'SUCCESS');
+        sendJSON(res, 200, { success: true, printer: printerSummary(printer) });
+        return;
+      }
+
+      case 'DELETE ':
+        settings.removePrinter(id);
+        syncPrinters();
+        sendJSON(res, 200, { success: true, message: `Printer "${id}" removed` });
+        return;
+
+      case 'POST reconnect':
+        sendReconnectResult(res, printer, await reconnectPrinter(printer));
+        return;
+
+      case 'POST request-full-status':
+        sendJSON(res, ...(await requestFullStatus(printer)));
+        return;
+
+      case 'POST test-connection':
+        sendDiagnosis(res, await diagnosePrinter(printer.config, printer));
+        return;
+
+      case 'POST test-shutter': {
+        const results = await capture.shutter(printer, { test: true });
+        sendCameraEvent();
+        const success = results.length > 0 && results.every((r) => r.success);
+        sendJSON(res, success ? 200 : 500, { success, status: gopro.getLastStatus(), results });
+        return;
+      }
+
+      case 'POST capture-policy': {
+        const { policy } = await readJSONBody(req);
+        setCapturePolicy(printer, policy);
+        sendJSON(res, 200, { success: true, message: `Capture policy set to ${policy}`, policy });
+        return;
+      }
+
+      case 'POST photo-delay': {
+        const { delay } = await readJSONBody(req);
+        setPhotoTriggerDelay(printer, delay);
+        sendJSON(res, 200, { success: true, message: `Photo trigger delay set to ${delay}ms`, delay });
+        return;
+      }
+
+      default:
+        sendJSON(res, 404, { success: false, message: `Unknown printer route: ${route.trim()}` });
+    }
+  } catch (e) {
+    printerLog(printer, `Printer API error: ${e.message}`, 'ERROR');
+    sendJSON(res, 400, { success: false, message: e.message, errors: e.errors });
+  }
+}
+
+// ---------- printer diagnostics ----------
+// Step-by-step connection check (TCP, TLS, MQTT login) of a printer definition
+function diagnosePrinter(definition, printer = null) {
+  const logTo = printer ? (message, level) => printerLog(printer, message, level) : log;
+  const port = printer ? printer.mqttOptions.port : undefined;
+  return new PrinterDiagnostics(definition, { port, log: logTo }).run();
+}
+
+function sendDiagnosis(res, result) {
+  sendJSON(res, result.success ? 200 : 502, result);
+}
+
+// Rebuild the MQTT connection; resolves with null once connected, or with the diagnosis of why it is not
+async function reconnectPrinter(printer) {
+  printerLog(printer, 'Reconnecting to printer...', 'INFO');
+  try {
+    await printer.reconnect();
+    return null;
+  } catch (e) {
+    printerLog(printer, `Reconnect failed: ${e.message}`, 'ERROR');
+    const result = await diagnosePrinter(printer.config, printer);
+    return { ...result, success: false, message: `Reconnect failed: ${e.message}` };
+  }
+}
+
+function sendReconnectResult(res, printer, failure) {
+  if (failure) {
+    sendJSON(res, 502, failure);
+    return;
+  }
+  sendJSON(res, 200, { success: true, message: `Reconnected to ${printer.name}`, printer: printerSummary(printer) });
+}
+
+// Ask for a full status report and wait for it; resolves with [statusCode, body] for sendJSON
+async function requestFullStatus(printer) {
+  try {
+    const { responseMs, state } = await printer.fetchFullStatus();
+    printerLog(printer, `[MQTT] Full status received after ${responseMs}ms`, 'SUCCESS');
+    return [
+      200,
+      {
+        success: true,
+        message: `Full status received after ${responseMs}ms`,
+        response_ms: responseMs,
+        state
+      }
+    ];
+  } catch (e) {
+    printerLog(printer, `[MQTT] Full status request failed: ${e.message}`, 'ERROR');
+    return [printer.isConnected() ? 504 : 409, { success: false, message: e.message }];
+  }
+}
+
+function setPhotoTriggerDelay(printer, delay) {
+  if (typeof delay !== 'number' || delay < 0) {
+    throw new Error('Invalid delay value. Must be a non-negative number.');
+  }
+  settings.updatePrinter(printer.id, { photo_trigger_delay: delay });
+  printer.photoTriggerDelay = delay;
+  printerLog(printer, `Photo trigger delay set to ${delay}ms`, 'INFO');
+}
+
+function handleSessionsAPI(res, query) {
+  const printerId = query.get('printer') || undefined;
+  sendJSON(res, 200, { success: true, sessions: sessions.list({ printerId }) });
+}
+
+function handleSessionAPI(res, id) {
+  const session = sessions.get(id);
+  if (!session) {
+    sendJSON(res, 404, { success: false, message: `Unknown session "${id}"` });
+    return;
+  }
+  sendJSON(res, 200, { success: true, session });
+}
+
+async function handleSessionMediaAPI(req, res, id) {
+  if (!sessions.get(id)) {
+    sendJSON(res, 404, { success: false, message: `Unknown session "${id}"` });
+    return;
+  }
+
+  try {
+    const body = await readJSONBody(req);
+    const deleteAfter =
+      body.delete !== undefined ? Boolean(body.delete) : Boolean(settings.get('delete_media_after_download'));
+    const media = await downloadSessionMedia(id, { deleteAfter });
+    sendJSON(res, 200, { success: media.status === 'complete', media });
+  } catch (e) {
+    sendJSON(res, 500, { success: false, message: e.message });
+  }
+}
+
+async function handleSessionRenderAPI(req, res, id) {
+  if (!sessions.get(id)) {
+    sendJSON(res, 404, { success: false, message: `Unknown session "${id}"` });
+    return;
+  }
+
+  try {
+    const options = await readJSONBody(req);
+    const jobs = queueSessionRenders(id, options);
+    sendJSON(res, 202, { success: true, jobs });
+  } catch (e) {
+    sendJSON(res, 400, { success: false, message: e.message });
+  }
+}
+
+function handleSessionRecordingAPI(res, id) {
+  if (!sessions.get(id) || !recorder.has(id)) {
+    sendJSON(res, 404, { success: false, message: `No MQTT recording for session "${id}"` });
+    return;
+  }
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="${id}.jsonl"`
+  });
+  fs.createReadStream(recorder.file(id)).pipe(res);
+}
+
+function handleRenderJobAPI(res, id) {
+  const job = renderer.getJob(id);
+  if (!job) {
+    sendJSON(res, 404, { success: false, message: `Unknown render job "${id}"` });
+    return;
+  }
+  sendJSON(res, 200, { success: true, job });
+}
+
+// Legacy single-printer routes act on the first configured printer
+function withDefaultPrinter(res, handler) {
+  const printer = defaultPrinter();
+  if (!printer) {
+    sendJSON(res, 400, { success: false, message: 'No printer configured' });
+    return;
+  }
+  handler(printer);
+}
+
+// Stop cameras, printers and the HTTP server; resolves once the server is closed
+function stop(server) {
+  // Connections being torn down are expected to complain
+  logger.quiet = true;
 
   log('Disconnecting GoPro and stopping Python bridge...', 'INFO');
-  goproBLE.stop();
+  gopro.stopPolling();
+  const camerasStopped = cameras.stopAll();
 
   log('Closing MQTT connection...', 'INFO');
-  if (client) {
-    client.end();
+  for (const printer of printers.values()) {
+    printer.disconnect();
   }
 
   log('Closing HTTP server...', 'INFO');
-  if (server && typeof server.close === 'function') {
-    server.close(() => {
-      log('Graceful shutdown completed.', 'SUCCESS');
-      process.exit(0);
-    });
-  } else {
+  // Open event streams and sockets would keep the server from closing
+  events.close();
+  control.close();
+  const serverClosed = new Promise((resolve) => {
+    if (server && typeof server.close === 'function') {
+      server.close(() => resolve());
+    } else {
+      resolve();
+    }
+  });
+  return Promise.all([camerasStopped, serverClosed]);
+}
+
+function gracefulShutdown(server) {
+  stop(server).then(() => {
     log('Graceful shutdown completed.', 'SUCCESS');
     process.exit(0);
-  }
+  });
 }
 
-// Export the start function for use in index.js
-module.exports = { start };
+// Export the start function for use in index.js; the rest is exposed for the test suite
+module.exports = {
+  start,
+  stop,
+  startHttpServer,
+  loadConfig,
+  setupCameras,
+  createPrinter,
+  handlePrinterStatusUpdate,
+  printers,
+  cameras,
+  sessions,
+  auth
+};
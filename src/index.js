@@ -9,7 +9,33 @@
  */
 
 const path = require('path');
+const { parseArgs, usage } = require('./utils/configSources');
+
+let args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  console.error(`\n${usage()}`);
+  process.exit(1);
+}
+
+if (args.help) {
+  console.log(usage());
+  process.exit(0);
+}
+
+// The controller reads the configuration file's location when it is loaded
+if (args.configPath) {
+  process.env.LAYERSYNC_CONFIG = path.resolve(args.configPath);
+}
+
 const { start } = require('./controllers/timelapse_controller');
 
 // Start the application
-start();
+try {
+  start({ overrides: args.overrides });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,316 @@
+/**
+ * Auth Service for LayerSync
+ * Optional password login for the web UI (session cookie) and bearer API tokens with scopes.
+ * Everything is stored in the `auth` section of the configuration; while it has neither a
+ * password nor a token the server stays open, as before.
+ */
+
+const crypto = require('crypto');
+
+// read: status, events, sessions; control: cameras and printers; config: settings; admin: everything
+const SCOPES = ['read', 'control', 'config', 'admin'];
+// Scopes a caller gets while authentication is off: everything except the secrets
+const OPEN_SCOPES = ['read', 'control', 'config'];
+const SESSION_COOKIE = 'layersync_session';
+const DEFAULT_SESSION_HOURS = 24;
+const TOKEN_PREFIX = 'lst_';
+// A client that gets the password wrong this often has to wait until its window is over
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Hash a password for the configuration (scrypt with a random salt)
+ * @param {string} password - Password
+ * @returns {string} "scrypt$<salt>$<hash>", hex encoded
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash made by hashPassword
+ * @param {string} password - Password to check
+ * @param {string} stored - Stored hash
+ * @returns {boolean} Whether they match
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Scopes a list grants: admin includes every scope, control and config include read
+ * @param {Array<string>} scopes - Scopes of a token
+ * @returns {Array<string>} Granted scopes
+ */
+function expandScopes(scopes = []) {
+  if (scopes.includes('admin')) {
+    return [...SCOPES];
+  }
+  const granted = new Set(scopes.filter((scope) => SCOPES.includes(scope)));
+  if (granted.has('control') || granted.has('config')) {
+    granted.add('read');
+  }
+  return SCOPES.filter((scope) => granted.has(scope));
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string} [header] - Header value
+ * @returns {Object} Cookie values by name
+ */
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (e) {
+        // Ignore cookies that are not ours and not URI encoded
+      }
+    }
+  }
+  return cookies;
+}
+
+class AuthService {
+  /**
+   * @param {ConfigManager} settings - Configuration holding the `auth` section
+   * @param {Object} [options] - Options
+   * @param {Function} [options.now] - Clock (ms), for tests
+   */
+  constructor(settings, options = {}) {
+    this.settings = settings;
+    this.now = options.now || Date.now;
+    // Session id -> { expiresAt }; sessions don't survive a restart
+    this.sessions = new Map();
+    // Client address -> { count, resetAt } of its failed logins
+    this.failedLogins = new Map();
+  }
+
+  config() {
+    return this.settings.get('auth') || {};
+  }
+
+  save(changes) {
+    this.settings.update({ auth: { ...this.config(), ...changes } });
+  }
+
+  /**
+   * Whether callers have to log in: a password or at least one token is configured
+   * @returns {boolean} Enabled status
+   */
+  isEnabled() {
+    const auth = this.config();
+    return Boolean(auth.password_hash) || (auth.tokens || []).length > 0;
+  }
+
+  /**
+   * Whether the UI has a password
+   * @returns {boolean} Password set
+   */
+  hasPassword() {
+    return Boolean(this.config().password_hash);
+  }
+
+  /**
+   * Set the UI password, or remove it with null; logs every session out
+   * @param {string|null} password - New password
+   */
+  setPassword(password) {
+    if (password !== null && (typeof password !== 'string' || password.length < 8)) {
+      throw new Error('Password must have at least 8 characters');
+    }
+    this.save({ password_hash: password === null ? undefined : hashPassword(password) });
+    this.sessions.clear();
+  }
+
+  /**
+   * Create an API token; the token itself is only returned here, the configuration keeps its hash
+   * @param {string} name - What the token is for
+   * @param {Array<string>} scopes - Scopes (see SCOPES)
+   * @returns {{token: string, info: Object}} Token and its listing entry
+   */
+  createToken(name, scopes) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Token name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((scope) => !SCOPES.includes(scope))) {
+      throw new Error(`Token scopes must be a list of: ${SCOPES.join(', ')}`);
+    }
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const record = {
+      id: crypto.randomBytes(4).toString('hex'),
+      name,
+      scopes: [...new Set(scopes)],
+      hash: hashToken(token),
+      created_at: new Date(this.now()).toISOString()
+    };
+    this.save({ tokens: [...(this.config().tokens || []), record] });
+    return { token, info: AuthService.tokenInfo(record) };
+  }
+
+  /**
+   * Configured tokens, without their hashes
+   * @returns {Array<Object>} { id, name, scopes, created_at }
+   */
+  listTokens() {
+    return (this.config().tokens || []).map(AuthService.tokenInfo);
+  }
+
+  /**
+   * Revoke a token
+   * @param {string} id - Token id
+   * @returns {boolean} Whether the token existed
+   */
+  revokeToken(id) {
+    const tokens = this.config().tokens || [];
+    const remaining = tokens.filter((record) => record.id !== id);
+    if (remaining.length === tokens.length) {
+      return false;
+    }
+    this.save({ tokens: remaining });
+    return true;
+  }
+
+  /**
+   * Log in with the UI password
+   * @param {string} password - Password
+   * @param {string} [client] - Client address; its failed logins are counted
+   * @returns {string|null} New session id, or null when the password is wrong
+   * @throws {Error} LOGIN_THROTTLED (with retryAfterMs) while the client made too many failed logins
+   */
+  login(password, client = '') {
+    const retryAfterMs = this.loginRetryAfter(client);
+    if (retryAfterMs > 0) {
+      throw Object.assign(new Error('Too many failed logins, try again later'), {
+        code: 'LOGIN_THROTTLED',
+        retryAfterMs
+      });
+    }
+    if (!verifyPassword(password, this.config().password_hash)) {
+      this.recordFailedLogin(client);
+      return null;
+    }
+    this.failedLogins.delete(client);
+    const id = crypto.randomBytes(32).toString('base64url');
+    this.sessions.set(id, { expiresAt: this.now() + this.sessionMs() });
+    return id;
+  }
+
+  /**
+   * How long a client still has to wait before it may try the password again
+   * @param {string} client - Client address
+   * @returns {number} Milliseconds, 0 when it may log in
+   */
+  loginRetryAfter(client) {
+    const failed = this.failedLogins.get(client);
+    if (!failed || failed.count < MAX_FAILED_LOGINS) {
+      return 0;
+    }
+    return Math.max(0, failed.resetAt - this.now());
+  }
+
+  recordFailedLogin(client) {
+    const now = this.now();
+    // Forget clients whose window is over, so the map doesn't grow with every address that tried once
+    for (const [address, failed] of this.failedLogins) {
+      if (failed.resetAt <= now) {
+        this.failedLogins.delete(address);
+      }
+    }
+    const failed = this.failedLogins.get(client) || { count: 0, resetAt: now + FAILED_LOGIN_WINDOW_MS };
+    failed.count++;
+    this.failedLogins.set(client, failed);
+  }
+
+  logout(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  sessionMs() {
+    return (this.config().session_hours || DEFAULT_SESSION_HOURS) * 3600 * 1000;
+  }
+
+  /**
+   * Who makes a request: a bearer token, a session cookie, or anyone while authentication is off
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Object|null} Caller { name, via, scopes } (plus tokenId or sessionId), or null when it has to log in
+   */
+  authenticate(req) {
+    if (!this.isEnabled()) {
+      return { name: 'anonymous', via: 'open', scopes: [...OPEN_SCOPES] };
+    }
+
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      const hash = Buffer.from(hashToken(header.slice(7).trim()), 'hex');
+      const record = (this.config().tokens || []).find((candidate) => {
+        const stored = Buffer.from(String(candidate.hash || ''), 'hex');
+        return stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+      });
+      return record
+        ? { name: `token:${record.name}`, via: 'token', tokenId: record.id, scopes: expandScopes(record.scopes) }
+        : null;
+    }
+
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = sessionId && this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+    if (session.expiresAt <= this.now()) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+    // Sliding expiry: every request keeps the session alive
+    session.expiresAt = this.now() + this.sessionMs();
+    return { name: 'admin', via: 'session', sessionId, scopes: [...SCOPES] };
+  }
+
+  /**
+   * Set-Cookie value for a session (an empty id clears the cookie)
+   * @param {string} sessionId - Session id
+   * @returns {string} Header value
+   */
+  sessionCookie(sessionId) {
+    const maxAge = sessionId ? Math.round(this.sessionMs() / 1000) : 0;
+    return `${SESSION_COOKIE}=${sessionId || ''}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`;
+  }
+
+  /**
+   * Whether a caller has a scope
+   * @param {Object|null} caller - Caller from authenticate()
+   * @param {string} scope - Scope
+   * @returns {boolean} Allowed
+   */
+  static allows(caller, scope) {
+    return Boolean(caller) && caller.scopes.includes(scope);
+  }
+
+  static tokenInfo({ id, name, scopes, created_at: createdAt }) {
+    return { id, name, scopes, created_at: createdAt };
+  }
+}
+
+AuthService.SCOPES = SCOPES;
+AuthService.SESSION_COOKIE = SESSION_COOKIE;
+AuthService.MAX_FAILED_LOGINS = MAX_FAILED_LOGINS;
+AuthService.hashPassword = hashPassword;
+AuthService.verifyPassword = verifyPassword;
+AuthService.expandScopes = expandScopes;
+AuthService.parseCookies = parseCookies;
+
+module.exports = AuthService;
@@ -0,0 +1,160 @@
+/**
+ * Camera Manager for LayerSync
+ * Keeps the named camera drivers and fires them in parallel
+ */
+
+const { EventEmitter } = require('events');
+const { createCameraDriver, DEFAULT_DRIVER } = require('./cameras');
+
+class CameraManager extends EventEmitter {
+  constructor() {
+    super();
+    this.cameras = new Map();
+    this.lastStatus = new Map();
+  }
+
+  /**
+   * Build camera definitions from configuration
+   * Falls back to a single camera when no `cameras` list is configured
+   * @param {Object} config - Application configuration
+   * @returns {Array<Object>} Camera definitions ({ name, driver, ...options })
+   */
+  static definitionsFromConfig(config = {}) {
+    if (Array.isArray(config.cameras) && config.cameras.length > 0) {
+      return config.cameras.map((definition, index) => ({
+        ...definition,
+        name: definition.name || `camera${index + 1}`,
+        driver: definition.driver || DEFAULT_DRIVER
+      }));
+    }
+    return [{ name: 'gopro', driver: config.camera_driver || DEFAULT_DRIVER, mock: config.gopro_mock }];
+  }
+
+  /**
+   * Create and register a camera driver
+   * @param {Object} definition - Camera definition ({ name, driver, ...options })
+   * @returns {CameraDriver} Created driver
+   */
+  add(definition) {
+    const { name } = definition;
+    if (this.cameras.has(name)) {
+      throw new Error(`Camera "${name}" is already registered`);
+    }
+
+    const driver = createCameraDriver(definition);
+    driver.on('log', (message) => this.emit('log', name, message));
+    driver.on('connected', () => this.emit('connected', name));
+    driver.on('disconnected', () => this.emit('disconnected', name));
+
+    this.cameras.set(name, driver);
+    this.lastStatus.set(name, 'Awaiting first action...');
+    return driver;
+  }
+
+  /**
+   * Get a camera by name
+   * @param {string} name - Camera name
+   * @returns {CameraDriver|undefined} Camera driver
+   */
+  get(name) {
+    return this.cameras.get(name);
+  }
+
+  /**
+   * Get camera names
+   * @returns {Array<string>} Registered camera names
+   */
+  names() {
+    return [...this.cameras.keys()];
+  }
+
+  /**
+   * Resolve a list of camera names, defaulting to every camera
+   * @param {Array<string>} [names] - Requested camera names
+   * @returns {Array<string>} Known camera names
+   */
+  resolve(names) {
+    if (!names || names.length === 0) {
+      return this.names();
+    }
+    return names.filter((name) => this.cameras.has(name));
+  }
+
+  /**
+   * Start every camera backend
+   */
+  startAll() {
+    for (const driver of this.cameras.values()) {
+      driver.start();
+    }
+  }
+
+  /**
+   * Stop every camera backend
+   * @returns {Promise} Resolves once every backend has stopped
+   */
+  stopAll() {
+    return Promise.all([...this.cameras.values()].map((driver) => driver.stop()));
+  }
+
+  /**
+   * Check if at least one of the given cameras is ready
+   * @param {Array<string>} [names] - Camera names (all if omitted)
+   * @returns {boolean} Ready status
+   */
+  anyReady(names) {
+    return this.resolve(names).some((name) => this.cameras.get(name).isReady());
+  }
+
+  /**
+   * Get the names of the ready cameras
+   * @param {Array<string>} [names] - Camera names (all if omitted)
+   * @returns {Array<string>} Ready camera names
+   */
+  readyNames(names) {
+    return this.resolve(names).filter((name) => this.cameras.get(name).isReady());
+  }
+
+  /**
+   * Run an async operation on several cameras in parallel
+   * @param {Array<string>} names - Camera names
+   * @param {Function} operation - async (driver, name) => result
+   * @returns {Promise<Array<Object>>} Per-camera results ({ camera, success, result, error, durationMs })
+   */
+  async runAll(names, operation) {
+    const targets = this.resolve(names);
+    return Promise.all(
+      targets.map(async (name) => {
+        const startedAt = Date.now();
+        try {
+          const result = await operation(this.cameras.get(name), name);
+          return { camera: name, success: true, result, durationMs: Date.now() - startedAt };
+        } catch (error) {
+          return { camera: name, success: false, error: error.message, durationMs: Date.now() - startedAt };
+        }
+      })
+    );
+  }
+
+  /**
+   * Record the last human readable status of a camera
+   * @param {string} name - Camera name
+   * @param {string} message - Status message
+   */
+  setLastStatus(name, message) {
+    this.lastStatus.set(name, message);
+  }
+
+  /**
+   * Get per-camera status
+   * @returns {Array<Object>} Status of every camera
+   */
+  getStatus() {
+    return this.names().map((name) => ({
+      ...this.cameras.get(name).getInfo(),
+      lastStatus: this.lastStatus.get(name)
+    }));
+  }
+}
+
+module.exports = CameraManager;
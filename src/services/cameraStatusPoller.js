@@ -0,0 +1,104 @@
+/**
+ * Camera Status Poller for LayerSync
+ * Periodically asks the connected cameras for their busy/encoding/ready flags
+ *
+ * A camera whose backend is still working on another command (a photo, a media download) is not asked:
+ * the bridges answer one command at a time, so the query would only queue up behind it.
+ */
+
+const { EventEmitter } = require('events');
+const { normalizeCameraStatus } = require('../utils/cameraStatus');
+
+const DEFAULT_INTERVAL_MS = 2000;
+
+class CameraStatusPoller extends EventEmitter {
+  /**
+   * @param {CameraManager} cameras - Registered cameras
+   * @param {Object} [options] - Poller options
+   * @param {number} [options.intervalMs=2000] - Time between two polls
+   * @param {Function} [options.skip] - (name) => true for cameras that must not be asked right now
+   */
+  constructor(cameras, options = {}) {
+    super();
+    this.cameras = cameras;
+    this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+    this.skip = options.skip || (() => false);
+    this.timer = null;
+    // Status queries still waiting for an answer, by camera name
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Poll every intervalMs until stop()
+   * @param {number} [intervalMs] - Time between two polls (default: the constructor option)
+   */
+  start(intervalMs) {
+    this.stop();
+    if (intervalMs) {
+      this.intervalMs = intervalMs;
+    }
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Whether the poller runs
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Ask the connected cameras among `names` for their status and emit a 'status' event per answer
+   * @param {Array<string>} [names] - Camera names (all if omitted)
+   * @returns {Promise<Object>} Normalized status by camera name (see normalizeCameraStatus), plus checkedAt
+   *   and, when the query failed, error
+   */
+  async poll(names) {
+    const targets = this.cameras.resolve(names).filter((name) => {
+      const driver = this.cameras.get(name);
+      if (!driver.isReady() || !driver.getCapabilities().status) {
+        return false;
+      }
+      // A query of our own still running is shared, even though it keeps the backend busy
+      return !this.skip(name) && (this.inFlight.has(name) || !driver.isBusy());
+    });
+    const statuses = await Promise.all(targets.map((name) => this.query(name)));
+    return Object.fromEntries(targets.map((name, index) => [name, statuses[index]]));
+  }
+
+  // Query one camera; a poll arriving while the previous query still runs shares its answer
+  query(name) {
+    if (!this.inFlight.has(name)) {
+      const request = this.cameras
+        .get(name)
+        .getStatus()
+        .then(
+          (raw) => ({ ...normalizeCameraStatus(raw), checkedAt: Date.now() }),
+          (error) => ({ ...normalizeCameraStatus(), idle: false, checkedAt: Date.now(), error: error.message })
+        )
+        .then((status) => {
+          this.inFlight.delete(name);
+          this.emit('status', name, status);
+          return status;
+        });
+      this.inFlight.set(name, request);
+    }
+    return this.inFlight.get(name);
+  }
+}
+
+CameraStatusPoller.DEFAULT_INTERVAL_MS = DEFAULT_INTERVAL_MS;
+
+module.exports = CameraStatusPoller;
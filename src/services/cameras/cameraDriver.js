@@ -0,0 +1,142 @@
+/**
+ * Camera Driver base class for LayerSync
+ * Defines the interface every camera backend has to implement
+ */
+
+const { EventEmitter } = require('events');
+
+class CameraDriver extends EventEmitter {
+  /**
+   * @param {Object} options - Driver options from configuration
+   * @param {string} [options.name] - Display name of the camera
+   */
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.name = options.name || 'camera';
+  }
+
+  /**
+   * Start any backing process the driver needs (no-op by default)
+   */
+  start() {}
+
+  /**
+   * Stop any backing process the driver started (no-op by default)
+   * @returns {Promise|undefined} Resolves once the backend has stopped
+   */
+  stop() {}
+
+  /**
+   * Connect to the camera
+   * @returns {Promise<Object>} Connection result
+   */
+  async connect() {
+    throw new Error(`${this.constructor.name} does not implement connect()`);
+  }
+
+  /**
+   * Disconnect from the camera
+   * @returns {Promise<Object>} Disconnection result
+   */
+  async disconnect() {
+    throw new Error(`${this.constructor.name} does not implement disconnect()`);
+  }
+
+  /**
+   * Query the live connection state from the camera
+   * @returns {Promise<Object>} Connection status ({ connected })
+   */
+  async checkConnection() {
+    return { connected: this.isReady() };
+  }
+
+  /**
+   * Get camera status flags as reported by the backend
+   * @returns {Promise<Object>} Camera status ({ busy, encoding, ready })
+   */
+  async getStatus() {
+    throw new Error(`${this.constructor.name} does not implement getStatus()`);
+  }
+
+  /**
+   * Capture a single photo
+   * @param {Object} options - Capture options
+   * @param {number} [options.retries] - Number of retry attempts
+   * @returns {Promise<Object>} Capture result
+   */
+  async capture(_options = {}) {
+    throw new Error(`${this.constructor.name} does not implement capture()`);
+  }
+
+  /**
+   * Copy the photos taken in a time window from the camera to the host
+   * @param {Object} options - Download options
+   * @param {string} options.directory - Host directory to write the files to
+   * @param {number} options.since - Window start (epoch seconds)
+   * @param {number} [options.until] - Window end (epoch seconds)
+   * @returns {Promise<Array<Object>>} Downloaded files ({ path, file })
+   */
+  async downloadMedia(_options) {
+    throw new Error(`${this.constructor.name} does not implement downloadMedia()`);
+  }
+
+  /**
+   * Delete files from the camera
+   * @param {Array<string>} paths - Camera paths returned by downloadMedia()
+   * @returns {Promise<Array<string>>} Deleted paths
+   */
+  async deleteMedia(_paths) {
+    throw new Error(`${this.constructor.name} does not implement deleteMedia()`);
+  }
+
+  /**
+   * Try to bring a stuck camera back to a usable state (no-op by default)
+   * @returns {Promise<void>}
+   */
+  async recover() {}
+
+  /**
+   * Check if the camera can take a photo right now
+   * @returns {boolean} Ready status
+   */
+  isReady() {
+    return false;
+  }
+
+  /**
+   * Check if the backend is still working on a command, so a status query would have to wait for it
+   * @returns {boolean} Busy status
+   */
+  isBusy() {
+    return false;
+  }
+
+  /**
+   * Describe what this driver supports
+   * @returns {Object} Capability flags
+   */
+  getCapabilities() {
+    return {
+      photo: true,
+      status: true,
+      recovery: false,
+      media: false
+    };
+  }
+
+  /**
+   * Get driver information for status endpoints
+   * @returns {Object} Driver information
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      driver: this.constructor.driverType,
+      connected: this.isReady(),
+      capabilities: this.getCapabilities()
+    };
+  }
+}
+
+module.exports = CameraDriver;
@@ -0,0 +1,176 @@
+/**
+ * GoPro Camera Driver for LayerSync
+ * Camera backend that controls a GoPro through the Python bridge
+ */
+
+const CameraDriver = require('./cameraDriver');
+const GoProPythonBridge = require('../goproPythonBridge');
+
+class GoProDriver extends CameraDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} [options.target] - Camera name pattern, needed when several GoPros are in range
+   * @param {Object|boolean} [options.mock] - Use the mock bridge (no camera or Bluetooth needed)
+   * @param {Object|false} [options.restart] - Bridge restart backoff, false to never restart a crashed bridge
+   * @param {number} [options.heartbeat_interval_ms] - Bridge heartbeat interval (0 disables the heartbeat)
+   * @param {number} [options.heartbeat_timeout_ms] - Time the bridge gets to answer a heartbeat
+   */
+  constructor(options = {}) {
+    super({ name: 'gopro', ...options });
+    this.bridge =
+      options.bridge ||
+      new GoProPythonBridge({
+        target: options.target,
+        mock: options.mock,
+        restart: options.restart,
+        heartbeatIntervalMs: options.heartbeat_interval_ms,
+        heartbeatTimeoutMs: options.heartbeat_timeout_ms
+      });
+
+    this.bridge.on('log', (message) => this.emit('log', message));
+    this.bridge.on('connected', () => this.emit('connected'));
+    this.bridge.on('disconnected', () => this.emit('disconnected'));
+    this.bridge.on('restarted', (count) => this.emit('log', `Bridge restarted (${count} restart(s) so far)`));
+  }
+
+  /**
+   * Start the Python bridge process
+   */
+  start() {
+    this.bridge.start();
+  }
+
+  /**
+   * Stop the Python bridge process
+   * @returns {Promise} Resolves once the process has exited
+   */
+  stop() {
+    return this.bridge.stop();
+  }
+
+  /**
+   * Connect to the GoPro over BLE
+   * @returns {Promise<Object>} Connection result
+   */
+  async connect() {
+    return this.bridge.connect();
+  }
+
+  /**
+   * Disconnect from the GoPro
+   * @returns {Promise<Object>} Disconnection result
+   */
+  async disconnect() {
+    return this.bridge.disconnect();
+  }
+
+  /**
+   * Ask the bridge whether the BLE link is still up
+   * @returns {Promise<Object>} Connection status
+   */
+  async checkConnection() {
+    return this.bridge.checkConnection();
+  }
+
+  /**
+   * Get GoPro busy/encoding/ready flags
+   * @returns {Promise<Object>} Camera status
+   */
+  async getStatus() {
+    return this.bridge.getCameraStatus();
+  }
+
+  /**
+   * Take a photo, with busy recovery between attempts
+   * @param {Object} options - Capture options
+   * @param {number} [options.retries=3] - Number of attempts
+   * @returns {Promise<Object>} Capture result
+   */
+  async capture({ retries = 3 } = {}) {
+    return this.bridge.snapPhoto(retries);
+  }
+
+  /**
+   * Shutter off, back to photo mode and keep-alive, then wait for the camera to be ready
+   * @returns {Promise<Object>} Recovery result
+   */
+  async recover() {
+    return this.bridge.attemptBusyRecovery();
+  }
+
+  /**
+   * Download the photos taken in a time window over WiFi
+   * @param {Object} options - Download options (see GoProPythonBridge.downloadMedia)
+   * @returns {Promise<Array<Object>>} Downloaded files
+   */
+  async downloadMedia(options) {
+    return this.bridge.downloadMedia(options);
+  }
+
+  /**
+   * Delete files from the SD card
+   * @param {Array<string>} paths - Camera paths returned by downloadMedia()
+   * @returns {Promise<Array<string>>} Deleted paths
+   */
+  async deleteMedia(paths) {
+    return this.bridge.deleteMedia(paths);
+  }
+
+  /**
+   * Check if the bridge is running and the camera connected
+   * @returns {boolean} Ready status
+   */
+  isReady() {
+    return this.bridge.ready();
+  }
+
+  /**
+   * Check if the bridge is still working on a command (a download can take minutes), including
+   * commands that already timed out here
+   * @returns {boolean} Busy status
+   */
+  isBusy() {
+    return this.bridge.outstandingCommands() > 0;
+  }
+
+  /**
+   * Describe what the GoPro backend supports
+   * @returns {Object} Capability flags
+   */
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      recovery: true,
+      media: true,
+      transport: 'ble'
+    };
+  }
+
+  /**
+   * Get driver information including bridge process state and restart history
+   * @returns {Object} Driver information
+   */
+  getInfo() {
+    const bridgeStatus = this.bridge.getConnectionStatus();
+    let pythonProcess = 'stopped';
+    if (bridgeStatus.pythonProcess) {
+      pythonProcess = 'running';
+    } else if (bridgeStatus.restartPending) {
+      pythonProcess = 'restarting';
+    }
+    return {
+      ...super.getInfo(),
+      target: bridgeStatus.target,
+      mock: Boolean(this.bridge.mock),
+      pythonProcess,
+      restarts: bridgeStatus.restarts,
+      lastExit: bridgeStatus.lastExit,
+      lastHeartbeat: bridgeStatus.lastHeartbeat,
+      overdueCommands: bridgeStatus.overdueCommands
+    };
+  }
+}
+
+GoProDriver.driverType = 'gopro';
+
+module.exports = GoProDriver;
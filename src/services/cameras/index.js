@@ -0,0 +1,56 @@
+/**
+ * Camera driver registry for LayerSync
+ * Maps driver names from configuration to camera backend classes
+ */
+
+const CameraDriver = require('./cameraDriver');
+const GoProDriver = require('./goproDriver');
+
+const DEFAULT_DRIVER = GoProDriver.driverType;
+
+const drivers = new Map([[GoProDriver.driverType, GoProDriver]]);
+
+/**
+ * Register a camera backend
+ * @param {string} type - Driver name used in configuration
+ * @param {Function} DriverClass - Class extending CameraDriver
+ */
+function registerCameraDriver(type, DriverClass) {
+  if (!(DriverClass.prototype instanceof CameraDriver)) {
+    throw new Error(`Camera driver "${type}" must extend CameraDriver`);
+  }
+  DriverClass.driverType = type;
+  drivers.set(type, DriverClass);
+}
+
+/**
+ * Create a camera driver instance
+ * @param {Object} options - Driver options
+ * @param {string} [options.driver='gopro'] - Registered driver name
+ * @returns {CameraDriver} Camera driver instance
+ */
+function createCameraDriver(options = {}) {
+  const type = options.driver || DEFAULT_DRIVER;
+  const DriverClass = drivers.get(type);
+  if (!DriverClass) {
+    throw new Error(`Unknown camera driver "${type}" (available: ${listCameraDrivers().join(', ')})`);
+  }
+  return new DriverClass(options);
+}
+
+/**
+ * List registered driver names
+ * @returns {Array<string>} Driver names
+ */
+function listCameraDrivers() {
+  return [...drivers.keys()];
+}
+
+module.exports = {
+  CameraDriver,
+  GoProDriver,
+  DEFAULT_DRIVER,
+  registerCameraDriver,
+  createCameraDriver,
+  listCameraDrivers
+};
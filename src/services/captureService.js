@@ -0,0 +1,270 @@
+/**
+ * Capture Service for LayerSync
+ * Takes the layer photos printers ask for on the event bus, using the printer's capture mode
+ */
+
+const EventBus = require('./eventBus');
+
+const { EVENTS } = EventBus;
+
+// ---------- Capture modes ----------
+// delay:        fire photoTriggerDelay ms after the layer change (default)
+// pause:        pause the print, optionally move to park_position, fire, then resume
+// printer_park: the printer's own timelapse parks the toolhead at every layer change,
+//               fire once the printer reports the park move finished
+const CAPTURE_MODES = ['delay', 'pause', 'printer_park'];
+const DEFAULT_PARK_SETTLE_MS = 0;
+const DEFAULT_PARK_TIMEOUT_MS = 20000;
+const DEFAULT_PRINTER_PARK_WAIT_MS = 10000;
+
+// Answered by the printer once the moves queued before it are finished
+const WAIT_FOR_MOVES = 'M400\n';
+
+// Longest wait for the cameras to finish the previous photo before a layer photo is fired anyway
+const DEFAULT_CAMERA_READY_TIMEOUT_MS = 3000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class CaptureService {
+  /**
+   * @param {Object} options - Service options
+   * @param {EventBus} options.bus - Bus the printers publish capture:due / capture:skipped on
+   * @param {GoProService} options.gopro - Shutter service of the cameras
+   * @param {SessionStore} options.sessions - Where layer triggers are recorded
+   * @param {Map<string, PrinterService>} [options.printers] - Printers by id, to find the cameras of a session
+   * @param {Function} [options.log] - Logger (message, level) for messages not tied to a printer
+   */
+  constructor({ bus, gopro, sessions, printers, log }) {
+    this.bus = bus;
+    this.gopro = gopro;
+    this.sessions = sessions;
+    this.printers = printers || new Map();
+    this.log = log || ((message) => console.log(message));
+
+    this.onCaptureDue = (event) => this.scheduleCapture(event);
+    this.onCaptureSkipped = ({ printer, sessionId, layer, changedAt, reason }) =>
+      this.recordTrigger(printer, sessionId, layer, changedAt, [], reason);
+    bus.on(EVENTS.CAPTURE_DUE, this.onCaptureDue);
+    bus.on(EVENTS.CAPTURE_SKIPPED, this.onCaptureSkipped);
+  }
+
+  /**
+   * Stop listening on the bus
+   */
+  detach() {
+    this.bus.off(EVENTS.CAPTURE_DUE, this.onCaptureDue);
+    this.bus.off(EVENTS.CAPTURE_SKIPPED, this.onCaptureSkipped);
+  }
+
+  /**
+   * Capture mode settings of a printer
+   * @param {PrinterService} printer - Printer
+   * @returns {Object} { mode, position, settleMs, timeoutMs, printerParkWaitMs, cameraReadyTimeoutMs }
+   */
+  static settings(printer) {
+    const cfg = printer.config;
+    const mode = CAPTURE_MODES.includes(cfg.capture_mode) ? cfg.capture_mode : 'delay';
+    return {
+      mode,
+      position: cfg.park_position || null,
+      settleMs: typeof cfg.park_settle_ms === 'number' ? cfg.park_settle_ms : DEFAULT_PARK_SETTLE_MS,
+      timeoutMs: typeof cfg.park_timeout_ms === 'number' ? cfg.park_timeout_ms : DEFAULT_PARK_TIMEOUT_MS,
+      printerParkWaitMs:
+        typeof cfg.printer_park_wait_ms === 'number' ? cfg.printer_park_wait_ms : DEFAULT_PRINTER_PARK_WAIT_MS,
+      cameraReadyTimeoutMs:
+        typeof cfg.camera_ready_timeout_ms === 'number' ? cfg.camera_ready_timeout_ms : DEFAULT_CAMERA_READY_TIMEOUT_MS
+    };
+  }
+
+  /**
+   * Cameras assigned to a printer (every camera unless the printer lists some)
+   * @param {PrinterService|null} printer - Printer, null for every camera
+   * @returns {Array<string>} Camera names
+   */
+  printerCameras(printer) {
+    return this.gopro.cameras.resolve(printer ? printer.config.cameras : undefined);
+  }
+
+  /**
+   * Fire the cameras assigned to `printer` (every camera when printer is null)
+   * @param {PrinterService|null} printer - Printer the photo is for
+   * @param {Object} [options] - Shutter options
+   * @param {boolean} [options.test=false] - Manual test shot (ignores the capture policy and fires right away)
+   * @param {number} [options.layer] - Layer the photo is for
+   * @returns {Promise<Array<Object>>} Per-camera results
+   */
+  async shutter(printer, { test = false, layer } = {}) {
+    const what = test || !printer ? 'Manual Test Command' : `Layer ${layer || printer.currentLayer} Trigger`;
+    const log = printer ? printer.log : this.log;
+    const names = this.printerCameras(printer);
+
+    if (!test && printer && this.gopro.isReady(names)) {
+      // The policy may have changed since the photo was scheduled
+      const blockedReason = printer.captureBlockedReason();
+      if (blockedReason) {
+        this.gopro.setLastStatus(`🎬 Photo skipped: ${blockedReason}`);
+        log(`⚠️  ${what} blocked: ${blockedReason}`, 'WARN');
+        return [];
+      }
+
+      const { cameraReadyTimeoutMs } = CaptureService.settings(printer);
+      const { waiting, waitedMs, timedOut } = await this.gopro.waitUntilReady(names, cameraReadyTimeoutMs);
+      if (timedOut) {
+        log(`[Timelapse] ${waiting.join(', ')} still busy after ${waitedMs}ms, firing anyway`, 'WARN');
+      } else {
+        log(`[Timelapse] Cameras ready after ${waitedMs}ms`, 'INFO');
+      }
+    }
+
+    const results = await this.gopro.shutter(names, what, log);
+    if (test) {
+      this.recordTestShot(results);
+    }
+    return results;
+  }
+
+  // A test shot belongs to the running prints whose printer uses the cameras that fired
+  recordTestShot(results) {
+    for (const session of this.sessions.running()) {
+      const printer = this.printers.get(session.printer_id);
+      if (!printer) {
+        continue;
+      }
+      const names = this.printerCameras(printer);
+      const own = results.filter((result) => names.includes(result.camera));
+      if (own.length > 0) {
+        this.sessions.recordTestShot(session.id, own);
+      }
+    }
+  }
+
+  /**
+   * Start the capture of a due layer photo, tracked in printer.captures until it finished
+   * @param {Object} event - capture:due event ({ printer, layer, changedAt, sessionId })
+   * @returns {Promise} Resolves once the photo was taken and recorded
+   */
+  scheduleCapture(event) {
+    const { printer } = event;
+    const capture = this.captureLayer(event);
+    printer.captures.add(capture);
+    capture.finally(() => printer.captures.delete(capture));
+
+    const { mode } = CaptureService.settings(printer);
+    if (mode === 'delay') {
+      printer.log(`[Timelapse] Photo scheduled in ${printer.photoTriggerDelay}ms for consistent timing`, 'INFO');
+    } else {
+      printer.log(`[Timelapse] Photo scheduled using ${mode} capture mode`, 'INFO');
+    }
+    return capture;
+  }
+
+  // Take the photo for a layer change according to the printer's capture mode
+  async captureLayer({ printer, layer, changedAt, sessionId }) {
+    const { mode, printerParkWaitMs } = CaptureService.settings(printer);
+    let results = [];
+    let error = null;
+    try {
+      if (mode === 'pause') {
+        results = await this.captureWithPause(printer, layer);
+      } else {
+        if (mode === 'printer_park') {
+          await this.waitForMoves(printer, WAIT_FOR_MOVES, printerParkWaitMs);
+        } else {
+          await sleep(printer.photoTriggerDelay);
+        }
+        results = await this.shutter(printer, { layer });
+      }
+    } catch (e) {
+      error = e.message;
+      printer.log(`[Timelapse] Photo trigger failed: ${error}`, 'ERROR');
+    }
+    this.recordTrigger(printer, sessionId, layer, changedAt, results, error);
+    this.bus.emit(EVENTS.CAPTURE_DONE, { printer, layer, changedAt, sessionId, results, error });
+  }
+
+  // Pause the print, park the toolhead, fire the cameras and always resume
+  async captureWithPause(printer, layer) {
+    if (printer.parking) {
+      throw new Error('Previous pause-and-park capture still running');
+    }
+
+    const { position, settleMs, timeoutMs } = CaptureService.settings(printer);
+    printer.parking = true;
+    let paused = false;
+    try {
+      printer.log('[Park] Pausing print for capture...', 'INFO');
+      await printer.publishCommand('pause');
+      paused = true;
+      printer.requestFullStatus();
+      await printer.waitForGcodeState(['PAUSE'], timeoutMs);
+
+      if (position) {
+        const feed = position.feedrate || 12000;
+        printer.log(`[Park] Moving toolhead to X${position.x} Y${position.y}`, 'INFO');
+        await this.waitForMoves(
+          printer,
+          `G90\nG1 X${position.x} Y${position.y} F${feed}\n${WAIT_FOR_MOVES}`,
+          timeoutMs
+        );
+      }
+      if (settleMs > 0) {
+        await sleep(settleMs);
+      }
+
+      return await this.shutter(printer, { layer });
+    } finally {
+      if (paused) {
+        try {
+          await printer.publishCommand('resume');
+          printer.log('[Park] Print resumed', 'INFO');
+        } catch (e) {
+          printer.log(`[Park] 🛑 Failed to resume print, resume it manually: ${e.message}`, 'ERROR');
+        }
+      }
+      printer.parking = false;
+    }
+  }
+
+  /**
+   * Send G-code ending in M400 and wait until the printer reports its moves finished
+   * The photo is taken anyway when the printer does not answer within timeoutMs.
+   * @param {PrinterService} printer - Printer
+   * @param {string} gcode - G-code lines
+   * @param {number} timeoutMs - Longest wait
+   */
+  async waitForMoves(printer, gcode, timeoutMs) {
+    try {
+      const waitedMs = await printer.runGcode(gcode, timeoutMs);
+      printer.log(`[Park] Toolhead parked after ${waitedMs}ms`, 'INFO');
+    } catch (e) {
+      printer.log(`[Park] ${e.message}, firing anyway`, 'WARN');
+    }
+  }
+
+  /**
+   * Record a layer trigger in the print session
+   * @param {PrinterService} printer - Printer
+   * @param {string|null} sessionId - Session the layer belongs to (nothing is recorded without one)
+   * @param {number} layer - Layer
+   * @param {number} changedAt - When the layer change was seen (epoch ms)
+   * @param {Array<Object>} results - Per-camera results
+   * @param {string|null} [skipped] - Why no photo was taken
+   */
+  recordTrigger(printer, sessionId, layer, changedAt, results, skipped = null) {
+    if (!sessionId) {
+      return;
+    }
+    this.sessions.recordTrigger(sessionId, {
+      layer,
+      latencyMs: Date.now() - changedAt,
+      results,
+      skipped: skipped || (results.length === 0 ? 'no camera ready' : null)
+    });
+  }
+}
+
+CaptureService.CAPTURE_MODES = CAPTURE_MODES;
+
+module.exports = CaptureService;
@@ -0,0 +1,257 @@
+/**
+ * Control Channel for LayerSync
+ * WebSocket endpoint on the HTTP server: clients send commands and get correlated responses,
+ * and receive the same live events as the Server-Sent Events stream (see docs/WEBSOCKET.md)
+ */
+
+const { EventEmitter } = require('events');
+const { WebSocketServer, WebSocket } = require('ws');
+
+const DEFAULT_PATH = '/ws';
+// Clients that don't answer a ping within this interval are dropped
+const PING_INTERVAL_MS = 30000;
+
+/**
+ * Error a command handler throws to answer with a specific error code
+ * @param {string} code - Error code (e.g. 'not_found', 'invalid_params')
+ * @param {string} message - Error message
+ * @param {Object} [data] - Extra data for the client
+ * @returns {Error} Error with code and data
+ */
+function commandError(code, message, data) {
+  return Object.assign(new Error(message), { code, data });
+}
+
+class ControlChannel extends EventEmitter {
+  /**
+   * @param {Object} [options] - Channel options
+   * @param {string} [options.path='/ws'] - URL path of the endpoint
+   * @param {Function} [options.snapshot] - () => data of the `snapshot` event every new client gets first
+   * @param {Function} [options.log] - Logger (message, level)
+   * @param {Function} [options.authenticate] - (req) => caller, or null to refuse the upgrade with a 401
+   * @param {Function} [options.authorize] - (caller, scope) => whether the caller may run commands of that scope
+   */
+  constructor(options = {}) {
+    super();
+    this.path = options.path || DEFAULT_PATH;
+    this.snapshot = options.snapshot || null;
+    this.log = options.log || ((message) => console.log(message));
+    this.authenticate = options.authenticate || (() => ({}));
+    this.authorize = options.authorize || (() => true);
+    this.commands = new Map();
+    this.wss = new WebSocketServer({ noServer: true });
+    this.pingTimer = null;
+  }
+
+  /**
+   * Register a command
+   * @param {string} name - Command name clients send
+   * @param {Function} handler - async (params) => result; throw commandError() for a specific error code
+   * @param {string} [description] - Shown in the hello message
+   * @param {string} [scope] - Scope the caller needs (see options.authorize)
+   */
+  register(name, handler, description = '', scope = null) {
+    this.commands.set(name, { handler, description, scope });
+  }
+
+  /**
+   * Accept WebSocket upgrades on `path` of an HTTP server
+   * @param {http.Server} server - Server to attach to
+   */
+  attach(server) {
+    server.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+      if (pathname !== this.path) {
+        socket.destroy();
+        return;
+      }
+      const caller = this.authenticate(req);
+      if (!caller) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        return;
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        ws.caller = caller;
+        this.accept(ws, req);
+      });
+    });
+  }
+
+  // Greet a new client and follow its messages
+  accept(ws, req) {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('message', (raw) => this.handleMessage(ws, raw));
+    ws.on('close', () => {
+      if (this.wss.clients.size === 0) {
+        this.stopPing();
+      }
+    });
+    ws.on('error', (err) => this.log(`[WS] Client error: ${err.message}`, 'WARN'));
+    this.startPing();
+
+    ControlChannel.send(ws, {
+      type: 'hello',
+      commands: [...this.commands].map(([name, { description, scope }]) => ({ name, description, scope }))
+    });
+    if (this.snapshot) {
+      ControlChannel.send(ws, { type: 'event', event: 'snapshot', data: this.snapshot() });
+    }
+    this.emit('connection', ws, req);
+  }
+
+  /**
+   * Handle one client message: { id, type: 'command', command, params }
+   * @param {WebSocket} ws - Client
+   * @param {Buffer|string} raw - Message
+   * @returns {Promise} Resolves once the response was sent
+   */
+  async handleMessage(ws, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (e) {
+      ControlChannel.send(ws, { type: 'error', error: { code: 'bad_request', message: 'Message is not JSON' } });
+      return;
+    }
+    if (!message || message.type !== 'command' || typeof message.command !== 'string') {
+      ControlChannel.send(ws, {
+        type: 'error',
+        id: message && message.id,
+        error: { code: 'bad_request', message: 'Expected { "type": "command", "command": "...", "id": ... }' }
+      });
+      return;
+    }
+
+    const { id, command } = message;
+    const entry = this.commands.get(command);
+    if (!entry) {
+      ControlChannel.send(ws, {
+        type: 'response',
+        id,
+        command,
+        ok: false,
+        error: { code: 'unknown_command', message: `Unknown command "${command}"` }
+      });
+      return;
+    }
+    if (entry.scope && !this.authorize(ws.caller, entry.scope)) {
+      ControlChannel.send(ws, {
+        type: 'response',
+        id,
+        command,
+        ok: false,
+        error: { code: 'forbidden', message: `Not allowed: needs the "${entry.scope}" scope` }
+      });
+      return;
+    }
+
+    try {
+      const result = await entry.handler(message.params || {});
+      ControlChannel.send(ws, {
+        type: 'response',
+        id,
+        command,
+        ok: true,
+        result: result === undefined ? null : result
+      });
+    } catch (e) {
+      const error = { code: e.code && typeof e.code === 'string' ? e.code : 'command_failed', message: e.message };
+      if (e.data !== undefined) {
+        error.data = e.data;
+      }
+      ControlChannel.send(ws, { type: 'response', id, command, ok: false, error });
+    }
+  }
+
+  /**
+   * Send a live event to every connected client
+   * @param {string} event - Event type (same as the Server-Sent Events)
+   * @param {Object} data - Event data
+   */
+  broadcast(event, data) {
+    if (this.wss.clients.size === 0) {
+      return;
+    }
+    const message = JSON.stringify({ type: 'event', event, data });
+    for (const ws of this.wss.clients) {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(message);
+      }
+    }
+  }
+
+  /**
+   * Number of connected clients
+   * @returns {number} Client count
+   */
+  clientCount() {
+    return this.wss.clients.size;
+  }
+
+  /**
+   * Close the connections of some callers, e.g. when their session ended or their token was revoked
+   * @param {Function} match - (caller) => whether to close the connection
+   * @param {string} reason - Close reason the clients get
+   * @returns {number} Number of connections closed
+   */
+  disconnect(match, reason) {
+    let closed = 0;
+    for (const ws of this.wss.clients) {
+      if (ws.caller && match(ws.caller)) {
+        // Policy violation: the caller is no longer allowed in
+        ws.close(1008, reason);
+        setTimeout(() => ws.terminate(), 1000).unref();
+        closed++;
+      }
+    }
+    return closed;
+  }
+
+  /**
+   * Close every connection (clients reconnect once the server is back)
+   */
+  close() {
+    this.stopPing();
+    for (const ws of this.wss.clients) {
+      ws.close(1001, 'Server shutting down');
+      // Don't wait for clients that never answer the close frame
+      setTimeout(() => ws.terminate(), 1000).unref();
+    }
+  }
+
+  startPing() {
+    if (this.pingTimer) {
+      return;
+    }
+    this.pingTimer = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, PING_INTERVAL_MS);
+    this.pingTimer.unref();
+  }
+
+  stopPing() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+  }
+
+  static send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+}
+
+ControlChannel.commandError = commandError;
+ControlChannel.DEFAULT_PATH = DEFAULT_PATH;
+
+module.exports = ControlChannel;
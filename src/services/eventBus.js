@@ -0,0 +1,42 @@
+/**
+ * Event Bus for LayerSync
+ * Carries printer, capture and session events between the services and the controller
+ */
+
+const { EventEmitter } = require('events');
+
+// Every event carries a single payload object; `printer` is the PrinterService it concerns.
+// Listeners run synchronously in emit order, so for one report a listener of printer:report
+// has run (and e.g. opened the print session) before capture:due is emitted.
+const EVENTS = {
+  // { printer, payload, state } - a report was merged into the printer state
+  PRINTER_REPORT: 'printer:report',
+  // { printer, state, previous } - the stable printer state changed (PRINTING, FINISHED, ...)
+  PRINTER_STATE: 'printer:state',
+  // { printer, layer, previous } - the reported layer changed
+  PRINTER_LAYER: 'printer:layer',
+  // { printer, enabled } - the printer's own timelapse was switched on or off
+  PRINTER_TIMELAPSE: 'printer:timelapse',
+  // { printer, from, to, since, sessionId } - layers from..to went by while the printer was not connected
+  PRINTER_LAYER_GAP: 'printer:layer-gap',
+  // { printer, status } - the MQTT connection status changed
+  PRINTER_CONNECTION: 'printer:connection',
+  // { printer, layer, changedAt, sessionId } - the trigger strategy wants a photo of this layer
+  CAPTURE_DUE: 'capture:due',
+  // { printer, layer, changedAt, sessionId, reason } - a photo was due but cannot be taken
+  CAPTURE_SKIPPED: 'capture:skipped',
+  // { printer, layer, changedAt, sessionId, results, error } - a layer capture finished
+  CAPTURE_DONE: 'capture:done'
+};
+
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per service and event, plus whatever the HTTP layer subscribes
+    this.setMaxListeners(50);
+  }
+}
+
+EventBus.EVENTS = EVENTS;
+
+module.exports = EventBus;
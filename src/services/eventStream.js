@@ -0,0 +1,139 @@
+/**
+ * Event Stream for LayerSync
+ * Pushes typed events to the web UI over Server-Sent Events (GET /api/events)
+ */
+
+// Comment line sent while nothing happens, so proxies keep the connection open
+const DEFAULT_HEARTBEAT_MS = 15000;
+// Delay the browser waits before it reconnects a dropped stream
+const RETRY_MS = 3000;
+
+class EventStream {
+  /**
+   * @param {Object} [options] - Stream options
+   * @param {number} [options.heartbeatMs=15000] - Time between two keep-alive comments
+   */
+  constructor(options = {}) {
+    this.heartbeatMs = options.heartbeatMs || DEFAULT_HEARTBEAT_MS;
+    // Stream → caller that opened it (see disconnect)
+    this.clients = new Map();
+    this.eventId = 0;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Serve a request as an event stream; `snapshot` is sent first so the client starts from the full state
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response kept open for the events
+   * @param {Object} [snapshot] - Data of the initial `snapshot` event
+   * @param {Object} [caller] - Who opened the stream (from AuthService.authenticate)
+   */
+  handle(req, res, snapshot, caller = null) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    if (snapshot !== undefined) {
+      EventStream.write(res, ++this.eventId, 'snapshot', snapshot);
+    }
+
+    this.clients.set(res, caller);
+    const remove = () => this.remove(res);
+    req.on('close', remove);
+    res.on('error', remove);
+    this.startHeartbeat();
+  }
+
+  /**
+   * Send an event to every connected client
+   * @param {string} type - Event type (the client listens with addEventListener(type))
+   * @param {Object} data - Event data, sent as JSON
+   */
+  send(type, data) {
+    if (this.clients.size === 0) {
+      return;
+    }
+    const id = ++this.eventId;
+    for (const res of this.clients.keys()) {
+      EventStream.write(res, id, type, data);
+    }
+  }
+
+  /**
+   * Number of connected clients
+   * @returns {number} Client count
+   */
+  clientCount() {
+    return this.clients.size;
+  }
+
+  /**
+   * End the streams of some callers, e.g. when their session ended or their token was revoked
+   * @param {Function} match - (caller) => whether to end the stream
+   * @returns {number} Number of streams ended
+   */
+  disconnect(match) {
+    let ended = 0;
+    for (const [res, caller] of this.clients) {
+      if (caller && match(caller)) {
+        res.end();
+        this.remove(res);
+        ended++;
+      }
+    }
+    return ended;
+  }
+
+  /**
+   * End every stream (the browsers reconnect once the server is back)
+   */
+  close() {
+    for (const res of this.clients.keys()) {
+      res.end();
+    }
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+
+  remove(res) {
+    this.clients.delete(res);
+    if (this.clients.size === 0) {
+      this.stopHeartbeat();
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatTimer) {
+      return;
+    }
+    this.heartbeatTimer = setInterval(() => {
+      for (const res of this.clients.keys()) {
+        res.write(': ping\n\n');
+      }
+    }, this.heartbeatMs);
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Write one event in the text/event-stream format
+   * @param {http.ServerResponse} res - Stream
+   * @param {number} id - Event id
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  static write(res, id, type, data) {
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+}
+
+EventStream.DEFAULT_HEARTBEAT_MS = DEFAULT_HEARTBEAT_MS;
+
+module.exports = EventStream;
@@ -1,19 +1,125 @@
 /**
  * GoPro Python Bridge - JavaScript wrapper for Python GoPro SDK
  * Handles communication between Node.js and Python GoPro bridge
+ *
+ * The bridge process is supervised: when it exits or stops answering the heartbeat it is
+ * restarted with backoff, and the camera is reconnected if it was connected before.
  */
 
 const { spawn } = require('child_process');
 const path = require('path');
 const { EventEmitter } = require('events');
+const { backoffDelay } = require('../utils/backoff');
+const { normalizeCameraStatus } = require('../utils/cameraStatus');
+
+// Restart delays after the bridge exited; the backoff starts over once a process ran STABLE_RUN_MS
+const DEFAULT_RESTART = { initialDelayMs: 1000, maxDelayMs: 30000, factor: 2, jitter: 0.2 };
+const STABLE_RUN_MS = 60000;
+
+// The bridge answers one command at a time, so the heartbeat only runs while nothing else is outstanding:
+// neither pending nor timed out here but still running in the bridge (a slow connect, say)
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 15000;
+const DEFAULT_HEARTBEAT_TIMEOUT_MS = 5000;
+// A command still unanswered this many times its timeout after it was sent means the bridge hung
+const HUNG_AFTER_TIMEOUTS = 10;
+
+// Busy recovery: how long to wait for the camera to report ready again, and how often to ask
+const DEFAULT_READY_TIMEOUT_MS = 5000;
+const READY_POLL_MS = 250;
+// Pause after a recovery before the next attempt
+const RECOVERY_SETTLE_MS = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 class GoProPythonBridge extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} options - Bridge options
+   * @param {string} [options.target] - Camera name pattern to connect to (e.g. "GoPro 1234")
+   * @param {Object|boolean} [options.mock] - Spawn the mock bridge instead of the Python one (true or mock options)
+   * @param {Object|false} [options.restart] - Restart backoff (see DEFAULT_RESTART), false to never restart
+   * @param {number} [options.heartbeatIntervalMs=15000] - Heartbeat interval, 0 to disable
+   * @param {number} [options.heartbeatTimeoutMs=5000] - Time the bridge gets to answer a heartbeat
+   * @param {number} [options.readyTimeoutMs=5000] - Time a busy recovery waits for the camera to be ready again
+   */
+  constructor(options = {}) {
     super();
+    this.target = options.target || null;
+    this.mock = options.mock ? { ...(options.mock === true ? {} : options.mock) } : null;
     this.pythonProcess = null;
     this.isConnected = false;
     this.commandId = 0;
     this.pendingCommands = new Map();
+    // Commands that timed out here but were not answered yet (id → { command, hungAt }), so the bridge is still busy
+    this.overdueCommands = new Map();
+    this.outputBuffer = '';
+
+    // Supervision
+    this.restartOptions = options.restart === false ? null : { ...DEFAULT_RESTART, ...options.restart };
+    this.heartbeatIntervalMs =
+      options.heartbeatIntervalMs !== undefined ? options.heartbeatIntervalMs : DEFAULT_HEARTBEAT_INTERVAL_MS;
+    this.heartbeatTimeoutMs = options.heartbeatTimeoutMs || DEFAULT_HEARTBEAT_TIMEOUT_MS;
+    this.stopped = true;
+    this.startedAt = null;
+    this.restartTimer = null;
+    this.restartAttempt = 0;
+    this.restarts = 0;
+    this.lastExit = null;
+    this.heartbeatTimer = null;
+    this.lastHeartbeat = null;
+    // Whether the camera should be connected, so it is reconnected after a restart
+    this.wantConnected = false;
+
+    this.readyTimeoutMs = options.readyTimeoutMs || DEFAULT_READY_TIMEOUT_MS;
+    this.recoverySettleMs = options.recoverySettleMs !== undefined ? options.recoverySettleMs : RECOVERY_SETTLE_MS;
+  }
+
+  /**
+   * Command line for the bridge process
+   * @returns {{command: string, args: Array<string>}} Executable and arguments
+   */
+  processCommand() {
+    if (this.mock) {
+      const scriptPath = path.join(__dirname, '..', 'simulators', 'mockGoProBridge.js');
+      return { command: process.execPath, args: [scriptPath, '--options', JSON.stringify(this.mock)] };
+    }
+
+    // Use Python from virtual environment
+    const pythonPath = path.join(process.cwd(), 'venv', 'bin', 'python3');
+    const scriptPath = path.join(process.cwd(), 'python', 'gopro_python_bridge.py');
+    return { command: pythonPath, args: [scriptPath] };
+  }
+
+  /**
+   * Handle one line of bridge output
+   * @param {string} output - Output line
+   */
+  handleOutputLine(output) {
+    try {
+      // Try to parse as JSON response
+      const response = JSON.parse(output);
+
+      if (this.overdueCommands.has(response.commandId)) {
+        this.emit('log', `Late answer to "${this.overdueCommands.get(response.commandId).command}" after its timeout`);
+        this.overdueCommands.delete(response.commandId);
+      }
+
+      // Check if this is a response to a pending command
+      if (response.commandId && this.pendingCommands.has(response.commandId)) {
+        const { resolve, reject, timer } = this.pendingCommands.get(response.commandId);
+        this.pendingCommands.delete(response.commandId);
+        clearTimeout(timer);
+
+        if (response.success) {
+          resolve(response);
+        } else {
+          reject(new Error(response.error || 'Command failed'));
+        }
+      }
+    } catch (e) {
+      // Not JSON, log as regular output
+      console.log(`[INFO] ${output}`);
+      this.emit('log', output);
+    }
   }
 
   /**
@@ -24,42 +130,43 @@ class GoProPythonBridge extends EventEmitter {
       console.log('GoPro Python Bridge already running');
       return;
     }
+    this.stopped = false;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
 
     try {
-      // Use Python from virtual environment
-      const pythonPath = path.join(process.cwd(), 'venv', 'bin', 'python3');
-      const scriptPath = path.join(process.cwd(), 'python', 'gopro_python_bridge.py');
+      const { command, args } = this.processCommand();
+
+      console.log(`Starting GoPro ${this.mock ? 'mock' : 'Python'} Bridge with: ${command}`);
+      console.log(`Script path: ${args[0]}`);
 
-      console.log(`Starting GoPro Python Bridge with: ${pythonPath}`);
-      console.log(`Script path: ${scriptPath}`);
+      if (this.target) {
+        args.push('--target', this.target);
+      }
 
-      this.pythonProcess = spawn(pythonPath, [scriptPath], {
+      const child = spawn(command, args, {
         stdio: ['pipe', 'pipe', 'pipe']
       });
+      this.pythonProcess = child;
+      this.startedAt = Date.now();
+      this.outputBuffer = '';
+
+      // Writes to a process that just died fail with EPIPE; the close handler deals with it
+      this.pythonProcess.stdin.on('error', () => {});
+      this.pythonProcess.on('error', (error) => {
+        console.log(`GoPro Python Bridge process error: ${error.message}`);
+        child.spawnError = error;
+      });
 
       this.pythonProcess.stdout.on('data', (data) => {
-        const output = data.toString().trim();
-        if (output) {
-          try {
-            // Try to parse as JSON response
-            const response = JSON.parse(output);
-            console.log(`[RESPONSE] ${output}`);
-
-            // Check if this is a response to a pending command
-            if (response.commandId && this.pendingCommands.has(response.commandId)) {
-              const { resolve, reject } = this.pendingCommands.get(response.commandId);
-              this.pendingCommands.delete(response.commandId);
-
-              if (response.success) {
-                resolve(response);
-              } else {
-                reject(new Error(response.error || 'Command failed'));
-              }
-            }
-          } catch (e) {
-            // Not JSON, log as regular output
-            console.log(`[INFO] ${output}`);
-            this.emit('log', output);
+        // Responses are newline-delimited and one chunk may hold several of them (or half of one)
+        this.outputBuffer += data.toString();
+        const lines = this.outputBuffer.split('\n');
+        this.outputBuffer = lines.pop();
+        for (const line of lines) {
+          const output = line.trim();
+          if (output) {
+            this.handleOutputLine(output);
           }
         }
       });
@@ -80,37 +187,194 @@ class GoProPythonBridge extends EventEmitter {
         }
       });
 
-      this.pythonProcess.on('close', (code) => {
-        console.log(`GoPro Python Bridge exited with code ${code}`);
-        this.pythonProcess = null;
-        this.isConnected = false;
-      });
+      this.pythonProcess.on('close', (code, signal) => this.handleExit(child, code, signal));
 
+      this.startHeartbeat();
       console.log('GoPro Python Bridge started');
     } catch (error) {
       console.log(`Failed to start GoPro Python Bridge: ${error.message}`);
     }
   }
 
+  /**
+   * Clean up after the bridge process exited and restart it unless it was stopped
+   * @param {ChildProcess} child - Process that exited
+   * @param {number|null} code - Exit code
+   * @param {string|null} signal - Signal that ended the process
+   */
+  handleExit(child, code, signal) {
+    if (this.pythonProcess !== child) {
+      return;
+    }
+
+    const { spawnError } = child;
+    const reason = spawnError ? spawnError.message : signal ? `signal ${signal}` : `code ${code}`;
+    console.log(`GoPro Python Bridge exited with ${reason}`);
+    this.pythonProcess = null;
+    this.stopHeartbeat();
+    this.lastExit = { code, signal, error: spawnError ? spawnError.message : null, at: new Date().toISOString() };
+    this.rejectPending(new Error(`Python bridge exited (${reason})`));
+
+    const wasConnected = this.isConnected;
+    this.isConnected = false;
+    if (wasConnected) {
+      this.emit('disconnected');
+    }
+    this.emit('exit', this.lastExit);
+
+    if (this.stopped || !this.restartOptions) {
+      return;
+    }
+    if (spawnError && spawnError.code === 'ENOENT') {
+      // A missing interpreter does not come back by itself
+      this.emit('log', `Bridge executable not found (${spawnError.path}) - not restarting, check the Python setup`);
+      return;
+    }
+    this.scheduleRestart();
+  }
+
+  /**
+   * Start the bridge again after the backoff delay
+   */
+  scheduleRestart() {
+    if (this.startedAt && Date.now() - this.startedAt > STABLE_RUN_MS) {
+      this.restartAttempt = 0;
+    }
+    const delayMs = backoffDelay(this.restartAttempt++, this.restartOptions);
+    this.emit('log', `Restarting bridge in ${(delayMs / 1000).toFixed(1)}s (attempt ${this.restartAttempt})`);
+
+    this.restartTimer = setTimeout(async () => {
+      this.restartTimer = null;
+      this.restarts++;
+      this.start();
+      this.emit('restarted', this.restarts);
+
+      if (this.wantConnected && this.pythonProcess) {
+        try {
+          this.emit('log', 'Reconnecting camera after bridge restart...');
+          await this.connect();
+        } catch (error) {
+          this.emit('log', `Reconnect after bridge restart failed: ${error.message}`);
+        }
+      }
+    }, delayMs);
+  }
+
+  /**
+   * Fail every command still waiting for an answer
+   * @param {Error} error - Rejection reason
+   */
+  rejectPending(error) {
+    for (const { reject, timer } of this.pendingCommands.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    this.pendingCommands.clear();
+    this.overdueCommands.clear();
+  }
+
+  /**
+   * Commands the bridge has not answered yet, including the ones that timed out here
+   * (but not those it hung on, see hungCommand)
+   * @returns {number} Outstanding commands
+   */
+  outstandingCommands() {
+    const now = Date.now();
+    const overdue = [...this.overdueCommands.values()].filter(({ hungAt }) => hungAt > now);
+    return this.pendingCommands.size + overdue.length;
+  }
+
+  /**
+   * The first timed-out command that went unanswered for HUNG_AFTER_TIMEOUTS times its timeout
+   * @returns {string|null} Command name, or null while the bridge may still be working on them
+   */
+  hungCommand() {
+    const now = Date.now();
+    const hung = [...this.overdueCommands.values()].find(({ hungAt }) => hungAt <= now);
+    return hung ? hung.command : null;
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    if (this.heartbeatIntervalMs > 0) {
+      this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatIntervalMs);
+    }
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Check that the bridge still answers (and the camera is still connected); a bridge that does not
+   * answer in time, or hung on an earlier command, is killed, which restarts it
+   * @returns {Promise<boolean|null>} Whether the bridge answered, null when skipped because it is busy
+   */
+  async heartbeat() {
+    const child = this.pythonProcess;
+    if (!child) {
+      return null;
+    }
+    const hung = this.hungCommand();
+    if (hung) {
+      this.emit('log', `"${hung}" still not answered long after its timeout - killing bridge`);
+      child.kill('SIGKILL');
+      return false;
+    }
+    if (this.outstandingCommands() > 0) {
+      return null;
+    }
+
+    try {
+      const result = await this.sendCommand('check_connection', {}, this.heartbeatTimeoutMs);
+      this.lastHeartbeat = new Date().toISOString();
+      if (this.isConnected && !result.connected) {
+        this.emit('log', 'Heartbeat: camera connection lost');
+        this.isConnected = false;
+        this.emit('disconnected');
+      }
+      return true;
+    } catch (error) {
+      if (this.pythonProcess === child && error.message === 'Command timeout') {
+        this.emit('log', `Heartbeat not answered within ${this.heartbeatTimeoutMs}ms - killing bridge`);
+        child.kill('SIGKILL');
+      }
+      return false;
+    }
+  }
+
   /**
    * Stop the GoPro Python bridge
+   * @returns {Promise} Resolves once the process has exited
    */
   stop() {
-    if (this.pythonProcess) {
-      console.log('Stopping GoPro Python Bridge...');
-      this.pythonProcess.kill();
-      this.pythonProcess = null;
-      this.isConnected = false;
+    this.stopped = true;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.stopHeartbeat();
+    if (!this.pythonProcess) {
+      return Promise.resolve();
     }
+
+    console.log('Stopping GoPro Python Bridge...');
+    const child = this.pythonProcess;
+    const exited = new Promise((resolve) => child.once('close', resolve));
+    child.kill();
+    this.pythonProcess = null;
+    this.isConnected = false;
+    this.rejectPending(new Error('Python bridge stopped'));
+    return exited;
   }
 
   /**
    * Send command to Python bridge
    * @param {string} command - Command to send
    * @param {Object} params - Command parameters
+   * @param {number} [timeoutMs=10000] - Time to wait for the response
    * @returns {Promise} Command result
    */
-  async sendCommand(command, params = {}) {
+  async sendCommand(command, params = {}, timeoutMs = 10000) {
     return new Promise((resolve, reject) => {
       if (!this.pythonProcess) {
         reject(new Error('Python bridge not running'));
@@ -118,24 +382,25 @@ class GoProPythonBridge extends EventEmitter {
       }
 
       const commandId = ++this.commandId;
+      const sentAt = Date.now();
       const commandData = {
         command,
         commandId,
         ...params
       };
 
-      this.pendingCommands.set(commandId, { resolve, reject });
-
-      // Send command to Python process
-      this.pythonProcess.stdin.write(`${JSON.stringify(commandData)}\n`);
-
-      // Set timeout for command
-      setTimeout(() => {
+      // Set timeout for command (cleared when the response arrives)
+      const timer = setTimeout(() => {
         if (this.pendingCommands.has(commandId)) {
           this.pendingCommands.delete(commandId);
+          this.overdueCommands.set(commandId, { command, hungAt: sentAt + HUNG_AFTER_TIMEOUTS * timeoutMs });
           reject(new Error('Command timeout'));
         }
-      }, 10000);
+      }, timeoutMs);
+      this.pendingCommands.set(commandId, { resolve, reject, timer });
+
+      // Send command to Python process
+      this.pythonProcess.stdin.write(`${JSON.stringify(commandData)}\n`);
     });
   }
 
@@ -155,6 +420,7 @@ class GoProPythonBridge extends EventEmitter {
 
         if (result.connected) {
           console.log('GoPro connected successfully!');
+          this.wantConnected = true;
           this.emit('connected');
           return result;
         } else {
@@ -181,6 +447,7 @@ class GoProPythonBridge extends EventEmitter {
    * @returns {Promise} Disconnection result
    */
   async disconnect() {
+    this.wantConnected = false;
     try {
       const result = await this.sendCommand('disconnect');
       this.isConnected = result.connected;
@@ -210,13 +477,12 @@ class GoProPythonBridge extends EventEmitter {
   }
 
   /**
-   * Take a photo
-   * @param {number} retries - Number of retry attempts
+   * Take a photo (a single shutter command, see snapPhoto for the checked capture)
    * @returns {Promise} Photo result
    */
-  async takePhoto(retries = 3) {
+  async takePhoto() {
     try {
-      const result = await this.sendCommand('take_photo', { retries });
+      const result = await this.sendCommand('take_photo');
       return result;
     } catch (error) {
       console.log(`Photo capture failed: ${error.message}`);
@@ -224,6 +490,113 @@ class GoProPythonBridge extends EventEmitter {
     }
   }
 
+  /**
+   * Take a photo, recovering a stuck camera between attempts. Waiting for a camera that is still
+   * busy with the previous photo is up to the caller (see GoProService.waitUntilReady).
+   * @param {number} [retries=3] - Number of attempts
+   * @returns {Promise<Object>} Photo result with the number of `attempts` it took
+   */
+  async snapPhoto(retries = 3) {
+    let lastError;
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      try {
+        const result = await this.takePhoto();
+        return { ...result, attempts: attempt };
+      } catch (error) {
+        lastError = error;
+        console.log(`Photo attempt ${attempt}/${retries} failed: ${error.message}`);
+        if (!this.pythonProcess || attempt === retries) {
+          break;
+        }
+        try {
+          await this.attemptBusyRecovery();
+        } catch (recoveryError) {
+          console.log(`Busy recovery failed: ${recoveryError.message}`);
+        }
+        await sleep(this.recoverySettleMs);
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Wait until the camera is neither busy nor encoding and reports ready
+   * @param {number} [timeoutMs] - Time to give up after (default: readyTimeoutMs)
+   * @returns {Promise<Object>} Last camera status
+   */
+  async waitUntilReady(timeoutMs = this.readyTimeoutMs) {
+    const startedAt = Date.now();
+    for (;;) {
+      const status = await this.getCameraStatus();
+      if (normalizeCameraStatus(status).idle) {
+        return status;
+      }
+      if (Date.now() - startedAt >= timeoutMs) {
+        throw new Error(
+          `Camera not ready after ${timeoutMs}ms (busy=${status.busy}, encoding=${status.encoding}, ready=${status.ready})`
+        );
+      }
+      await sleep(READY_POLL_MS);
+    }
+  }
+
+  /**
+   * Bring a stuck camera back: the bridge turns the shutter off, switches back to photo mode
+   * and sends a keep-alive; then wait for the camera to report ready
+   * @returns {Promise<Object>} Recovery result ({ steps: [{ step, success, error }], ready })
+   */
+  async attemptBusyRecovery() {
+    console.log('Attempting GoPro busy recovery...');
+    const result = await this.sendCommand('recover', {}, 15000);
+    try {
+      await this.waitUntilReady();
+      result.ready = true;
+    } catch (error) {
+      result.ready = false;
+      console.log(`Camera still not ready after recovery: ${error.message}`);
+    }
+    this.emit(
+      'log',
+      `Busy recovery: ${result.steps.map((s) => `${s.step} ${s.success ? 'ok' : 'failed'}`).join(', ')}`
+    );
+    return result;
+  }
+
+  /**
+   * Download the media created in a time window over WiFi
+   * @param {Object} options - Download options
+   * @param {string} options.directory - Host directory to write the files to
+   * @param {number} options.since - Window start (epoch seconds)
+   * @param {number} [options.until] - Window end (epoch seconds, defaults to now)
+   * @param {Array<string>} [options.extensions] - File extensions to fetch (default ['.jpg'])
+   * @param {number} [options.timeoutMs=600000] - Time allowed for the whole transfer
+   * @returns {Promise<Array<Object>>} Downloaded files ({ path, created, size, file })
+   */
+  async downloadMedia({ directory, since, until, extensions, timeoutMs = 600000 }) {
+    try {
+      const result = await this.sendCommand('download_media', { directory, since, until, extensions }, timeoutMs);
+      return result.files;
+    } catch (error) {
+      console.log(`Media download failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete files from the camera's SD card
+   * @param {Array<string>} paths - Camera paths as returned by downloadMedia (e.g. "100GOPRO/GOPR0001.JPG")
+   * @returns {Promise<Array<string>>} Deleted paths
+   */
+  async deleteMedia(paths) {
+    try {
+      const result = await this.sendCommand('delete_media', { paths }, 120000);
+      return result.deleted;
+    } catch (error) {
+      console.log(`Media delete failed: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get camera status
    * @returns {Promise} Camera status
@@ -253,10 +626,18 @@ class GoProPythonBridge extends EventEmitter {
   getConnectionStatus() {
     return {
       connected: this.isConnected,
+      target: this.target,
       pythonProcess: this.pythonProcess !== null,
-      commandId: this.commandId
+      commandId: this.commandId,
+      restarts: this.restarts,
+      restartPending: this.restartTimer !== null,
+      lastExit: this.lastExit,
+      lastHeartbeat: this.lastHeartbeat,
+      overdueCommands: this.overdueCommands.size
     };
   }
 }
 
+GoProPythonBridge.DEFAULT_RESTART = DEFAULT_RESTART;
+
 module.exports = GoProPythonBridge;
@@ -1,61 +1,100 @@
 /**
  * GoPro Service for LayerSync
- * Handles GoPro camera operations and status
+ * Fires the shutter of the registered cameras, keeps the last capture status and follows
+ * whether the cameras are idle (see CameraStatusPoller)
  */
 
+const CameraStatusPoller = require('./cameraStatusPoller');
+
+const INITIAL_STATUS = 'Awaiting first action...';
+
+// waitUntilReady: time between two status queries while a camera is busy
+const READY_POLL_MS = 250;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 class GoProService {
-  constructor() {
-    this.connected = false;
-    this.ready = false;
-    this.lastStatus = 'Awaiting first action...';
-    this.status = {
-      busy: null,
-      encoding: null,
-      ready: null,
-      group: 1
-    };
+  /**
+   * @param {CameraManager} cameras - Registered cameras
+   * @param {Object} [options] - Service options
+   * @param {Function} [options.log] - Logger (message, level)
+   * @param {CameraStatusPoller} [options.poller] - Status poller (default: one polling every camera)
+   */
+  constructor(cameras, options = {}) {
+    this.cameras = cameras;
+    this.log = options.log || ((message) => console.log(message));
+    this.lastStatus = INITIAL_STATUS;
+
+    // Last normalized status of each camera, and the cameras taking a photo right now (not polled)
+    this.cameraStatus = new Map();
+    this.capturing = new Set();
+    this.poller = options.poller || new CameraStatusPoller(cameras, { skip: (name) => this.capturing.has(name) });
+    this.poller.on('status', (name, status) => this.updateStatus(name, status));
   }
 
   /**
-   * Set connection status
-   * @param {boolean} connected - Connection status
+   * Poll the camera status in the background
+   * @param {number} [intervalMs] - Time between two polls (default: CameraStatusPoller.DEFAULT_INTERVAL_MS)
    */
-  setConnected(connected) {
-    this.connected = connected;
-    this.updateReadyStatus();
+  startPolling(intervalMs) {
+    this.poller.start(intervalMs);
   }
 
   /**
-   * Update camera status
-   * @param {Object} statusData - Status data from camera
+   * Stop the background status polling
    */
-  updateStatus(statusData) {
-    this.status = { ...this.status, ...statusData };
-    this.updateReadyStatus();
+  stopPolling() {
+    this.poller.stop();
   }
 
   /**
-   * Update ready status based on current state
+   * Record the status of a camera
+   * @param {string} name - Camera name
+   * @param {Object} status - Normalized status (see CameraStatusPoller.poll)
    */
-  updateReadyStatus() {
-    this.ready =
-      this.connected && this.status.busy === '0' && this.status.encoding === '0' && this.status.ready === '1';
+  updateStatus(name, status) {
+    this.cameraStatus.set(name, status);
   }
 
   /**
-   * Check if GoPro is ready for photo capture
-   * @returns {boolean} Ready status
+   * Check if a connected camera is idle: not taking a photo and, as far as its last status tells,
+   * neither busy nor encoding. Cameras without status support are idle whenever they are connected.
+   * @param {string} name - Camera name
+   * @returns {boolean} Idle status
    */
-  isReady() {
-    return this.ready;
+  isIdle(name) {
+    const driver = this.cameras.get(name);
+    if (!driver || !driver.isReady() || this.capturing.has(name)) {
+      return false;
+    }
+    if (!driver.getCapabilities().status) {
+      return true;
+    }
+    const status = this.cameraStatus.get(name);
+    return Boolean(status && status.idle);
   }
 
   /**
-   * Check if GoPro is connected
-   * @returns {boolean} Connection status
+   * Wait until every connected camera among `names` is idle, asking the cameras for a fresh status
+   * @param {Array<string>} names - Camera names
+   * @param {number} timeoutMs - Time to give up after
+   * @returns {Promise<Object>} { ready, waiting, waitedMs, timedOut } - the idle and the still busy cameras
    */
-  isConnected() {
-    return this.connected;
+  async waitUntilReady(names, timeoutMs) {
+    const startedAt = Date.now();
+    for (;;) {
+      await this.poller.poll(names);
+      const connected = this.cameras.readyNames(names);
+      const ready = connected.filter((name) => this.isIdle(name));
+      const waiting = connected.filter((name) => !ready.includes(name));
+      const waitedMs = Date.now() - startedAt;
+      if (waiting.length === 0 || waitedMs >= timeoutMs) {
+        return { ready, waiting, waitedMs, timedOut: waiting.length > 0 };
+      }
+      await sleep(Math.min(READY_POLL_MS, timeoutMs - waitedMs));
+    }
   }
 
   /**
@@ -74,32 +113,100 @@ class GoProService {
     return this.lastStatus;
   }
 
+  /**
+   * Check if one of the cameras is ready for photo capture
+   * @param {Array<string>} names - Camera names
+   * @returns {boolean} Ready status
+   */
+  isReady(names) {
+    return this.cameras.anyReady(names);
+  }
+
+  /**
+   * Take a photo with one camera; retrying and recovering a stuck camera is up to the driver
+   * (see GoProPythonBridge.snapPhoto), waiting for a busy one up to the caller (see waitUntilReady)
+   * @param {string} name - Camera name
+   * @param {string} what - What the photo is for (shown in status and log lines)
+   * @returns {Promise<Object>} Capture result of the driver
+   */
+  async capture(name, what) {
+    const driver = this.cameras.get(name);
+    this.cameras.setLastStatus(name, `Sending ${what}…`);
+    this.capturing.add(name);
+
+    try {
+      const result = await driver.capture({ retries: 3 });
+      const retried = result && result.attempts > 1 ? ` after ${result.attempts} attempts` : '';
+      this.cameras.setLastStatus(name, `✅ Photo captured for ${what}${retried}`);
+      this.log(`[${name}] ✅ Photo captured for ${what}${retried}`, 'SUCCESS');
+      return result;
+    } catch (e) {
+      this.cameras.setLastStatus(name, `🛑 Capture failed: ${e.message}`);
+      this.log(`[${name}] 🛑 Capture failed for ${what}: ${e.message}`, 'ERROR');
+      throw e;
+    } finally {
+      // The camera is busy with the new photo now; its status is unknown until the next poll
+      this.capturing.delete(name);
+      this.cameraStatus.delete(name);
+    }
+  }
+
+  /**
+   * Fire the ready cameras among `names` in parallel
+   * @param {Array<string>} names - Camera names to fire
+   * @param {string} what - What the photo is for (shown in status and log lines)
+   * @param {Function} [log] - Logger for the summary lines (default: the service logger)
+   * @returns {Promise<Array<Object>>} One result per camera fired ({ camera, success, result|error })
+   */
+  async shutter(names, what, log = this.log) {
+    const readyCameras = this.cameras.readyNames(names);
+    if (readyCameras.length === 0) {
+      this.lastStatus = '🛑 BLE not connected to GoPro yet.';
+      log(this.lastStatus, 'ERROR');
+      return [];
+    }
+
+    this.lastStatus = `Sending ${what} to ${readyCameras.length} camera(s)…`;
+    log(`[GoPro] take photo → ${what} (${readyCameras.join(', ')})`, 'INFO');
+
+    const results = await this.cameras.runAll(readyCameras, (_driver, name) => this.capture(name, what));
+
+    const succeeded = results.filter((r) => r.success).length;
+    if (succeeded === results.length) {
+      this.lastStatus = `✅ Success: Photo captured for ${what} (${succeeded}/${results.length} cameras).`;
+      log(this.lastStatus, 'SUCCESS');
+    } else {
+      const failed = results
+        .filter((r) => !r.success)
+        .map((r) => `${r.camera}: ${r.error}`)
+        .join('; ');
+      this.lastStatus = `🛑 ${what}: ${succeeded}/${results.length} cameras captured (${failed})`;
+      log(this.lastStatus, succeeded > 0 ? 'WARN' : 'ERROR');
+    }
+    return results;
+  }
+
   /**
    * Get current status
-   * @returns {Object} Current status
+   * @returns {Object} Last status and per-camera status, with the last polled camera status as `status`
    */
   getStatus() {
     return {
-      connected: this.connected,
-      ready: this.ready,
-      status: this.status,
-      lastStatus: this.lastStatus
+      status: this.lastStatus,
+      cameras: this.cameras.getStatus().map((camera) => ({
+        ...camera,
+        status: this.cameraStatus.get(camera.name) || null,
+        idle: this.isIdle(camera.name)
+      }))
     };
   }
 
   /**
-   * Reset GoPro service state
+   * Reset the last status message
+   * @param {string} [message] - Message to start over with
    */
-  reset() {
-    this.connected = false;
-    this.ready = false;
-    this.lastStatus = 'Awaiting first action...';
-    this.status = {
-      busy: null,
-      encoding: null,
-      ready: null,
-      group: 1
-    };
+  reset(message = INITIAL_STATUS) {
+    this.lastStatus = message;
   }
 }
 
@@ -0,0 +1,195 @@
+/**
+ * Media Downloader for LayerSync
+ * Pulls the photos of a finished print session off the cameras
+ */
+
+const path = require('path');
+
+class MediaDownloader {
+  /**
+   * @param {Object} options - Downloader options
+   * @param {CameraManager} options.cameras - Registered cameras
+   * @param {SessionStore} options.sessions - Session store the results are written to
+   * @param {string} options.directory - Root directory, files go to <directory>/<session>/<camera>/
+   */
+  constructor({ cameras, sessions, directory }) {
+    this.cameras = cameras;
+    this.sessions = sessions;
+    this.directory = directory;
+    this.active = new Set();
+  }
+
+  /**
+   * Count the layer photos each camera reported as captured during a session
+   * @param {Object} session - Session with triggers
+   * @returns {Map<string, number>} Expected photo count per camera
+   */
+  static expectedCounts(session) {
+    return MediaDownloader.countSuccesses(session.triggers);
+  }
+
+  /**
+   * Count the manual test shots each camera took during a session
+   * @param {Object} session - Session with test_shots
+   * @returns {Map<string, number>} Test shot count per camera
+   */
+  static testShotCounts(session) {
+    return MediaDownloader.countSuccesses(session.test_shots);
+  }
+
+  /**
+   * Which of a camera's photos of a session were test shots, in the order they were taken
+   * @param {Object} session - Session with triggers and test_shots
+   * @param {string} camera - Camera name
+   * @returns {Array<boolean>} One entry per photo: true for a test shot, false for a layer photo
+   */
+  static testShotOrder(session, camera) {
+    const took = (shot) => shot.cameras.some((result) => result.camera === camera && result.success);
+    return [
+      ...session.triggers.filter(took).map((shot) => [shot.timestamp, false]),
+      ...session.test_shots.filter(took).map((shot) => [shot.timestamp, true])
+    ]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([, test]) => test);
+  }
+
+  static countSuccesses(shots) {
+    const counts = new Map();
+    for (const shot of shots) {
+      for (const result of shot.cameras) {
+        if (result.success) {
+          counts.set(result.camera, (counts.get(result.camera) || 0) + 1);
+        }
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Download a session's photos from every camera that took part in it
+   * Cameras are handled one after the other since the host can only join one camera's WiFi at a time.
+   * @param {string} sessionId - Session id
+   * @param {Object} [options] - Download options
+   * @param {boolean} [options.deleteAfter=false] - Delete the files from the camera once the count matches
+   * @returns {Promise<Object>} Media record stored on the session
+   */
+  async download(sessionId, { deleteAfter = false } = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Unknown session "${sessionId}"`);
+    }
+    if (this.active.has(sessionId)) {
+      throw new Error(`Media download for session "${sessionId}" is already running`);
+    }
+
+    this.active.add(sessionId);
+    try {
+      const sessionDir = path.join(this.directory, session.id);
+      const since = Math.floor(Date.parse(session.started_at) / 1000);
+      const until = session.ended_at ? Math.ceil(Date.parse(session.ended_at) / 1000) : undefined;
+
+      const expected = MediaDownloader.expectedCounts(session);
+      const testShots = MediaDownloader.testShotCounts(session);
+      // A camera that only took test shots during the session still has photos to fetch
+      const cameras = new Set([...expected.keys(), ...testShots.keys()]);
+      const results = [];
+      for (const camera of cameras) {
+        results.push(
+          await this.downloadCamera(
+            camera,
+            {
+              expected: expected.get(camera) || 0,
+              testShots: testShots.get(camera) || 0,
+              order: MediaDownloader.testShotOrder(session, camera)
+            },
+            { directory: path.join(sessionDir, camera), since, until },
+            deleteAfter
+          )
+        );
+      }
+
+      const media = {
+        status: MediaDownloader.overallStatus(results),
+        directory: sessionDir,
+        downloaded_at: new Date().toISOString(),
+        cameras: results
+      };
+      this.sessions.setMedia(session.id, media);
+      return media;
+    } finally {
+      this.active.delete(sessionId);
+    }
+  }
+
+  /**
+   * Download and verify the photos of one camera
+   * @param {string} camera - Camera name
+   * @param {Object} counts - Photos the session says were captured
+   * @param {number} counts.expected - Layer photos from the trigger log
+   * @param {number} [counts.testShots=0] - Manual test shots taken during the session
+   * @param {Array<boolean>} [counts.order] - Which photos were test shots (see testShotOrder)
+   * @param {Object} window - Download options for the driver ({ directory, since, until })
+   * @param {boolean} deleteAfter - Delete from the camera when the count matches
+   * @returns {Promise<Object>} Per-camera media record
+   */
+  async downloadCamera(camera, { expected, testShots = 0, order = [] }, window, deleteAfter) {
+    const record = {
+      camera,
+      expected,
+      test_shots: testShots,
+      downloaded: 0,
+      verified: false,
+      deleted: 0,
+      files: [],
+      // Files of the test shots, left out of renders; only known once the count matches
+      test_files: [],
+      error: null
+    };
+    const driver = this.cameras.get(camera);
+
+    if (!driver) {
+      record.error = 'Camera is no longer configured';
+      return record;
+    }
+    if (!driver.getCapabilities().media) {
+      record.error = `Driver "${driver.constructor.driverType}" cannot download media`;
+      return record;
+    }
+
+    try {
+      const files = await driver.downloadMedia(window);
+      record.downloaded = files.length;
+      record.files = files.map((f) => path.basename(f.file));
+      record.verified = files.length === expected + testShots;
+      if (record.verified) {
+        // The camera numbers its files in the order it took them
+        record.test_files = [...record.files].sort().filter((file, index) => order[index]);
+      }
+
+      if (!record.verified) {
+        const tests = testShots > 0 ? ` and ${testShots} test shot(s)` : '';
+        record.error = `Expected ${expected} photo(s) from the trigger log${tests}, found ${files.length} on the camera`;
+      } else if (deleteAfter && files.length > 0) {
+        const deleted = await driver.deleteMedia(files.map((f) => f.path));
+        record.deleted = deleted.length;
+      }
+    } catch (error) {
+      record.error = error.message;
+    }
+    return record;
+  }
+
+  /**
+   * Summarize per-camera records
+   * @param {Array<Object>} results - Per-camera media records
+   * @returns {string} complete, incomplete or failed
+   */
+  static overallStatus(results) {
+    if (results.every((r) => r.verified)) {
+      return 'complete';
+    }
+    return results.some((r) => r.downloaded > 0) ? 'incomplete' : 'failed';
+  }
+}
+
+module.exports = MediaDownloader;
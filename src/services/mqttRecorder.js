@@ -0,0 +1,80 @@
+/**
+ * MQTT Recorder for LayerSync
+ * Appends every printer report of a print session to a JSONL file, for replay with scripts/replay-recording.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Settings that must not leave the machine when a recording is shared
+const PRIVATE_KEYS = ['mqtt_password', 'mqtt_username'];
+
+class MqttRecorder {
+  /**
+   * @param {string} directory - Directory holding one `<session id>.jsonl` file per session
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Path of a session's recording
+   * @param {string} sessionId - Session id
+   * @returns {string} File path
+   */
+  file(sessionId) {
+    return path.join(this.directory, `${sessionId}.jsonl`);
+  }
+
+  /**
+   * Check whether a session has a recording
+   * @param {string} sessionId - Session id
+   * @returns {boolean} Recording exists
+   */
+  has(sessionId) {
+    return fs.existsSync(this.file(sessionId));
+  }
+
+  /**
+   * Append a report to the session's recording, starting it with a header line
+   * @param {string} sessionId - Session the report belongs to
+   * @param {Object} printer - Printer context the report came from
+   * @param {Object} payload - Report payload as received
+   * @param {string[]} [cameraNames] - Cameras assigned to the printer, written to the header
+   */
+  record(sessionId, printer, payload, cameraNames = []) {
+    const file = this.file(sessionId);
+    const now = Date.now();
+    const lines = [];
+
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+      lines.push({
+        type: 'header',
+        version: 1,
+        session_id: sessionId,
+        recorded_at: new Date(now).toISOString(),
+        printer: MqttRecorder.redact(printer.config),
+        cameras: cameraNames
+      });
+    }
+    lines.push({ type: 'report', ts: now, timestamp: new Date(now).toISOString(), payload });
+
+    fs.appendFileSync(file, lines.map((line) => `${JSON.stringify(line)}\n`).join(''));
+  }
+
+  /**
+   * Copy of a printer definition without credentials
+   * @param {Object} definition - Printer definition
+   * @returns {Object} Redacted definition
+   */
+  static redact(definition = {}) {
+    const copy = { ...definition };
+    for (const key of PRIVATE_KEYS) {
+      delete copy[key];
+    }
+    return copy;
+  }
+}
+
+module.exports = MqttRecorder;
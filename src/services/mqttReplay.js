@@ -0,0 +1,121 @@
+/**
+ * MQTT Replay for LayerSync
+ * Plays a recording made by MqttRecorder back into a report handler at real or accelerated speed
+ */
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+const realNow = Date.now;
+
+class MqttReplay extends EventEmitter {
+  /**
+   * @param {Object} options - Replay options
+   * @param {number} [options.speed=1] - Playback speed factor (Infinity plays without waiting)
+   */
+  constructor(options = {}) {
+    super();
+    this.speed = options.speed || 1;
+    if (!(this.speed > 0)) {
+      throw new Error('Replay speed must be a positive number');
+    }
+    this.stopped = false;
+    this.startedAt = null;
+    this.recordingStart = null;
+    this.position = null;
+  }
+
+  /**
+   * Read a recording
+   * @param {string} file - JSONL recording
+   * @returns {{header: Object|null, reports: Array<Object>}} Header and reports in recorded order
+   */
+  static load(file) {
+    let header = null;
+    const reports = [];
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${index + 1}: ${error.message}`);
+      }
+      if (entry.type === 'header') {
+        header = entry;
+      } else if (entry.type === 'report') {
+        reports.push(entry);
+      }
+    });
+    return { header, reports };
+  }
+
+  /**
+   * Time on the recording's clock: where the replay is in the recorded timeline
+   * @returns {number} Milliseconds since epoch as recorded
+   */
+  now() {
+    if (this.startedAt === null) {
+      return realNow();
+    }
+    if (!Number.isFinite(this.speed)) {
+      // Without waiting, the clock jumps from report to report
+      return this.position;
+    }
+    return this.recordingStart + (realNow() - this.startedAt) * this.speed;
+  }
+
+  /**
+   * Wind the clock to the first report, so anything created before play() already lives on the recording's clock
+   * @param {Array<Object>} reports - Reports from load()
+   */
+  cue(reports) {
+    this.startedAt = realNow();
+    this.recordingStart = reports.length > 0 ? reports[0].ts : this.startedAt;
+    this.position = this.recordingStart;
+  }
+
+  /**
+   * Feed the reports to `handler`, keeping their recorded spacing divided by the speed
+   * @param {Array<Object>} reports - Reports from load()
+   * @param {Function} handler - Called with (payload, report), awaited before the next report
+   * @returns {Promise<number>} Number of reports played
+   */
+  async play(reports, handler) {
+    this.stopped = false;
+    if (this.startedAt === null) {
+      this.cue(reports);
+    }
+
+    let played = 0;
+    for (const report of reports) {
+      if (this.stopped) {
+        break;
+      }
+
+      const wait = this.startedAt + (report.ts - this.recordingStart) / this.speed - realNow();
+      if (wait > 0) {
+        await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+      this.position = report.ts;
+
+      this.emit('report', report, played);
+      await handler(report.payload, report);
+      played++;
+    }
+    return played;
+  }
+
+  /**
+   * Stop after the report that is currently being handled
+   */
+  stop() {
+    this.stopped = true;
+  }
+}
+
+module.exports = MqttReplay;
@@ -4,115 +4,393 @@
  */
 
 const mqtt = require('mqtt');
+const { EventEmitter } = require('events');
+const { backoffDelay } = require('../utils/backoff');
 
-class MQTTService {
-  constructor(config) {
+const STATUS_REQUEST_INTERVAL_MS = 30000;
+const CONNECTION_TIMEOUT_MS = 20000;
+
+// Reconnect after a lost or failed connection: initialDelayMs * factor^attempt, capped at
+// maxDelayMs, spread by +/- jitter so several printers don't hammer the network in step
+const DEFAULT_RECONNECT = { initialDelayMs: 1000, maxDelayMs: 60000, factor: 2, jitter: 0.2 };
+
+// CONNACK codes of a rejected login: retrying with the same access code won't help
+const AUTH_REFUSED_CODES = [4, 5];
+
+// Show enough of the access code to spot a typo without logging it
+function maskSecret(secret) {
+  return typeof secret === 'string' && secret.length > 4
+    ? secret.slice(0, 2) + '*'.repeat(secret.length - 4) + secret.slice(-2)
+    : '(**hidden**)';
+}
+
+// Stop listening to a client and close it. Only our own listeners are removed: mqtt.js clears its
+// connack timer in a 'close' listener of its own, which would otherwise fire a late 'connack timeout'
+// error; a no-op 'error' listener catches whatever the closing client still reports.
+function closeClient(client, listeners) {
+  for (const [event, handler] of listeners) {
+    client.off(event, handler);
+  }
+  client.on('error', () => {});
+  client.end(true);
+}
+
+/**
+ * One supervised MQTT connection to a printer: lost or failed connections are retried with
+ * exponential backoff until disconnect() is called. Emits:
+ * - 'connected' ({ reconnect, downtimeMs }): the broker accepted the login; `reconnect` is
+ *   true when an earlier connection was lost, `downtimeMs` how long it was gone
+ * - 'reconnecting' ({ attempt, delayMs }): the next attempt is scheduled
+ * - 'report' (payload): a parsed message from the printer's report topic
+ * - 'status' (text): connection status for display (CONNECTED / Awaiting data, OFFLINE, ERROR: ...)
+ */
+class MQTTService extends EventEmitter {
+  /**
+   * @param {Object} config - Printer definition (printer_ip, printer_serial, mqtt_password)
+   * @param {Object} [options] - Service options
+   * @param {Function} [options.log] - Logger (message, level)
+   * @param {number} [options.port=8883] - MQTTS port (Bambu printers always use 8883)
+   * @param {string} [options.clientId] - MQTT client id (default: unique per connection)
+   * @param {Object|false} [options.reconnect] - Backoff settings (see DEFAULT_RECONNECT), false to never retry
+   */
+  constructor(config, options = {}) {
+    super();
     this.config = config;
+    this.log = options.log || ((message) => console.log(message));
+    this.port = options.port || 8883;
+    this.clientId = options.clientId || null;
     this.client = null;
-    this.connected = false;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
+    this.clientListeners = [];
+    this.status = 'DISCONNECTED';
+    this.lastError = null;
+    this.statusRequestInterval = null;
+    this.connectionTimeout = null;
+
+    this.reconnectOptions = options.reconnect === false ? null : { ...DEFAULT_RECONNECT, ...options.reconnect };
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
+    this.connectedOnce = false;
+    this.lostAt = null;
+  }
+
+  get reportTopic() {
+    return `device/${this.config.printer_serial}/report`;
+  }
+
+  get requestTopic() {
+    return `device/${this.config.printer_serial}/request`;
   }
 
   /**
-   * Connect to MQTT broker
-   * @returns {Promise<boolean>} Connection success
+   * Check if MQTT is connected
+   * @returns {boolean} Connection status
    */
-  async connect() {
-    return new Promise((resolve, reject) => {
-      try {
-        const brokerUrl = `mqtts://${this.config.printer_ip}:8883`;
-        const clientId = `layersync_${Date.now()}`;
-
-        const options = {
-          clientId,
-          username: 'bblp',
-          password: this.config.mqtt_password,
-          clean: true,
-          reconnectPeriod: 5000,
-          connectTimeout: 30000
-        };
-
-        this.client = mqtt.connect(brokerUrl, options);
-
-        this.client.on('connect', () => {
-          console.log('MQTT connected successfully');
-          this.connected = true;
-          this.reconnectAttempts = 0;
-          resolve(true);
-        });
-
-        this.client.on('error', (error) => {
-          console.error('MQTT connection error:', error.message);
-          this.connected = false;
-          reject(error);
-        });
-
-        this.client.on('close', () => {
-          console.log('MQTT connection closed');
-          this.connected = false;
-        });
-
-        this.client.on('reconnect', () => {
-          this.reconnectAttempts++;
-          console.log(`MQTT reconnecting... (attempt ${this.reconnectAttempts})`);
-
-          if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            console.error('Max reconnection attempts reached');
-            this.client.end();
-          }
-        });
-      } catch (error) {
-        reject(error);
-      }
-    });
+  isConnected() {
+    return Boolean(this.client && this.client.connected);
+  }
+
+  // Whether a connection is up, being established or about to be retried
+  isRunning() {
+    return Boolean(this.client || this.reconnectTimer);
+  }
+
+  setStatus(status) {
+    if (status.startsWith('ERROR: ')) {
+      this.lastError = status.slice('ERROR: '.length);
+    }
+    this.status = status;
+    this.emit('status', status);
   }
 
   /**
-   * Disconnect from MQTT broker
+   * Connect to the printer's broker and subscribe to its reports
+   * @returns {boolean} Whether a connection attempt was started
    */
-  disconnect() {
+  connect() {
     if (this.client) {
-      this.client.end();
-      this.client = null;
-      this.connected = false;
+      this.log('MQTT already running.', 'WARN');
+      return false;
     }
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    const { printer_ip, mqtt_password, printer_serial } = this.config;
+    if (!printer_ip || !mqtt_password || !printer_serial) {
+      this.log('MQTT config incomplete.', 'ERROR');
+      this.setStatus('ERROR: Incomplete configuration');
+      return false;
+    }
+
+    this.log(
+      `[MQTT TRY] IP=${printer_ip} SERIAL=${printer_serial} USER=bblp PASS=${maskSecret(mqtt_password)}`,
+      'INFO'
+    );
+    this.log(`[MQTT DIAGNOSTICS] Testing connection to ${printer_ip}:${this.port}...`, 'INFO');
+    this.setStatus('CONNECTED / Awaiting data');
+
+    const client = mqtt.connect(`mqtts://${printer_ip}:${this.port}`, {
+      protocol: 'mqtts',
+      host: printer_ip,
+      port: this.port,
+      username: 'bblp',
+      password: mqtt_password,
+      clientId: this.clientId || `GoProTimelapse_${printer_serial}_${Date.now()}`, // Use timestamp to avoid conflicts
+      keepalive: 60,
+      reconnectPeriod: 0, // Reconnects are scheduled by scheduleReconnect()
+      clean: true,
+      rejectUnauthorized: false,
+      connectTimeout: 15000,
+      queueQoSZero: false
+    });
+    this.client = client;
+    // Listeners added below, removed again by closeClient()
+    const listeners = [];
+    this.clientListeners = listeners;
+    const on = (event, handler) => {
+      client.on(event, handler);
+      listeners.push([event, handler]);
+    };
+
+    this.connectionTimeout = setTimeout(() => {
+      if (this.client === client && !client.connected) {
+        this.log('MQTT connection timeout - printer may be unreachable', 'ERROR');
+        this.setStatus('ERROR: Connection timeout - check printer network');
+        closeClient(client, listeners);
+        if (this.release(client)) {
+          this.scheduleReconnect();
+        }
+      }
+    }, CONNECTION_TIMEOUT_MS);
+
+    on('connect', () => {
+      clearTimeout(this.connectionTimeout);
+      const reconnect = this.connectedOnce;
+      const downtimeMs = reconnect && this.lostAt ? Date.now() - this.lostAt : 0;
+      this.connectedOnce = true;
+      this.reconnectAttempt = 0;
+      this.lostAt = null;
+      this.lastError = null;
+      if (reconnect) {
+        this.log(`MQTT reconnected after ${Math.round(downtimeMs / 1000)}s - requesting full status`, 'SUCCESS');
+      } else {
+        this.log('MQTT connected.', 'SUCCESS');
+      }
+      this.setStatus('CONNECTED / Awaiting data');
+      this.emit('connected', { reconnect, downtimeMs });
+      // Subscribing asks for a full report, which resyncs the state after an outage
+      this.subscribe(client);
+    });
+
+    on('message', (_topic, message) => {
+      let payload;
+      try {
+        payload = JSON.parse(message.toString());
+      } catch (e) {
+        this.log(`[MQTT] Failed to parse message: ${e.message}`, 'ERROR');
+        return;
+      }
+      this.log(`[MQTT] Received message: ${JSON.stringify(payload, null, 2)}`, 'INFO');
+      this.emit('report', payload);
+    });
+
+    on('error', (err) => {
+      clearTimeout(this.connectionTimeout);
+      this.log(`MQTT Error: ${err.message}`, 'ERROR');
+      this.setStatus(this.diagnose(err));
+
+      // Safely close connection; a client that is still connecting may report more errors (e.g. connack timeout)
+      try {
+        closeClient(client, listeners);
+      } catch (e) {
+        this.log(`Error during MQTT cleanup: ${e.message}`, 'WARN');
+      }
+      if (this.release(client)) {
+        this.scheduleReconnect(err);
+      }
+    });
+
+    on('close', () => {
+      this.log('MQTT connection closed.', 'WARN');
+      if (this.release(client)) {
+        this.setStatus('DISCONNECTED');
+        this.scheduleReconnect();
+      }
+    });
+
+    on('offline', () => {
+      if (this.client === client) {
+        this.log('MQTT client offline.', 'WARN');
+        this.setStatus('OFFLINE');
+      }
+    });
+
+    return true;
   }
 
   /**
-   * Subscribe to MQTT topic
-   * @param {string} topic - MQTT topic
-   * @param {Function} callback - Message callback
+   * Retry the connection after the backoff delay
+   * @param {Error} [err] - Error the connection failed with
+   * @returns {boolean} Whether a retry was scheduled
    */
-  subscribe(topic, callback) {
-    if (this.client && this.connected) {
-      this.client.subscribe(topic);
-      this.client.on('message', (receivedTopic, message) => {
-        if (receivedTopic === topic) {
-          callback(message);
+  scheduleReconnect(err) {
+    if (!this.reconnectOptions || this.reconnectTimer) {
+      return false;
+    }
+    if (err && AUTH_REFUSED_CODES.includes(err.code)) {
+      this.log('Not reconnecting: the printer rejected the login - check the access code', 'ERROR');
+      return false;
+    }
+
+    if (this.connectedOnce && !this.lostAt) {
+      this.lostAt = Date.now();
+    }
+    const attempt = this.reconnectAttempt++;
+    const delayMs = backoffDelay(attempt, this.reconnectOptions);
+    this.log(`MQTT reconnect attempt ${attempt + 1} in ${(delayMs / 1000).toFixed(1)}s`, 'INFO');
+    // Keep the reason visible while waiting for the next attempt
+    const reason = this.lastError ? ` - ${this.lastError}` : '';
+    this.setStatus(`RECONNECTING in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt + 1})${reason}`);
+    this.emit('reconnecting', { attempt: attempt + 1, delayMs });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delayMs);
+    return true;
+  }
+
+  // Subscribe to the report topic, then ask for a full report now and every 30 seconds
+  subscribe(client) {
+    try {
+      client.subscribe(this.reportTopic, { qos: 1 }, (err) => {
+        if (err) {
+          this.log(`Subscription error: ${err.message}`, 'ERROR');
+          this.setStatus(`ERROR: Subscription failed (${err.message})`);
+          return;
         }
+        this.log(`Subscribed to ${this.reportTopic}`, 'SUCCESS');
+        this.requestFullStatus();
+
+        clearInterval(this.statusRequestInterval);
+        this.statusRequestInterval = setInterval(() => {
+          if (this.isConnected()) {
+            this.requestFullStatus();
+          }
+        }, STATUS_REQUEST_INTERVAL_MS);
       });
+    } catch (e) {
+      this.log(`Subscription exception: ${e.message}`, 'ERROR');
+      this.setStatus(`ERROR: Subscription exception (${e.message})`);
     }
   }
 
+  // Log what to check for the common connection errors; returns the status to display
+  diagnose(err) {
+    const { printer_ip } = this.config;
+    if (err.message.includes('Connection refused') || err.message.includes('Server unavailable')) {
+      this.log('🔍 DIAGNOSTICS for "Connection refused":', 'ERROR');
+      this.log(`  1. Check if printer IP ${printer_ip} is correct`, 'ERROR');
+      this.log('  2. Verify printer is powered on and connected to network', 'ERROR');
+      this.log('  3. Confirm MQTT password is correct (Access Code/Key)', 'ERROR');
+      this.log(`  4. Try pinging printer: ping ${printer_ip}`, 'ERROR');
+      this.log(`  5. Check if port ${this.port} is accessible: telnet ${printer_ip} ${this.port}`, 'ERROR');
+      return 'ERROR: Connection refused - check IP/password/network';
+    }
+    if (err.message.includes('ECONNREFUSED')) {
+      this.log('🔍 DIAGNOSTICS for "ECONNREFUSED":', 'ERROR');
+      this.log('  1. Printer may be offline or unreachable', 'ERROR');
+      this.log(`  2. Check network connectivity to ${printer_ip}`, 'ERROR');
+      this.log('  3. Verify printer is not in sleep mode', 'ERROR');
+      return 'ERROR: Printer unreachable - check network/power';
+    }
+    if (err.message.includes('ENOTFOUND')) {
+      this.log('🔍 DIAGNOSTICS for "ENOTFOUND":', 'ERROR');
+      this.log(`  1. IP address ${printer_ip} cannot be resolved`, 'ERROR');
+      this.log('  2. Check if IP address is correct', 'ERROR');
+      this.log('  3. Verify network connectivity', 'ERROR');
+      return 'ERROR: Invalid IP address - check configuration';
+    }
+    return `ERROR: MQTT Connection Failed (${err.code || err.message})`;
+  }
+
+  // Forget `client` if it is still the current one; returns whether it was
+  release(client) {
+    if (this.client !== client) {
+      return false;
+    }
+    this.client = null;
+    clearTimeout(this.connectionTimeout);
+    clearInterval(this.statusRequestInterval);
+    this.statusRequestInterval = null;
+    return true;
+  }
+
   /**
-   * Publish message to MQTT topic
-   * @param {string} topic - MQTT topic
-   * @param {string} message - Message to publish
+   * Disconnect from the printer without reporting the close as an error
+   * @param {string} [status='DISCONNECTED'] - Status to display afterwards
    */
-  publish(topic, message) {
-    if (this.client && this.connected) {
-      this.client.publish(topic, message);
+  disconnect(status = 'DISCONNECTED') {
+    clearTimeout(this.connectionTimeout);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
+    clearInterval(this.statusRequestInterval);
+    this.statusRequestInterval = null;
+    if (this.client) {
+      try {
+        closeClient(this.client, this.clientListeners);
+      } catch (e) {
+        this.log(`Error during MQTT cleanup: ${e.message}`, 'WARN');
+      }
+      this.client = null;
     }
+    this.setStatus(status);
   }
 
   /**
-   * Check if MQTT is connected
-   * @returns {boolean} Connection status
+   * Ask the printer for a full status report (pushall)
    */
-  isConnected() {
-    return this.connected && this.client;
+  requestFullStatus() {
+    if (!this.isConnected()) {
+      this.log('[MQTT] Cannot request status - client not connected', 'WARN');
+      return;
+    }
+
+    const command = { pushing: { sequence_id: Date.now().toString(), command: 'pushall' } };
+    try {
+      this.client.publish(this.requestTopic, JSON.stringify(command), { qos: 1 }, (err) => {
+        if (err) {
+          this.log(`[MQTT] Failed to request full status: ${err.message}`, 'ERROR');
+        } else {
+          this.log('[MQTT] Requested full status from printer', 'INFO');
+        }
+      });
+    } catch (e) {
+      this.log(`[MQTT] Exception requesting full status: ${e.message}`, 'ERROR');
+    }
+  }
+
+  /**
+   * Publish a print command (pause, resume, gcode_line, ...) on the request topic
+   * @param {string} command - Print command
+   * @param {Object} [extra] - Additional command fields
+   * @returns {Promise} Resolves once the broker acknowledged the command
+   */
+  publishCommand(command, extra = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected()) {
+        reject(new Error('MQTT client not connected'));
+        return;
+      }
+
+      const payload = { print: { sequence_id: Date.now().toString(), command, ...extra } };
+      this.client.publish(this.requestTopic, JSON.stringify(payload), { qos: 1 }, (err) =>
+        err ? reject(err) : resolve()
+      );
+    });
   }
 }
 
+MQTTService.DEFAULT_RECONNECT = DEFAULT_RECONNECT;
+
 module.exports = MQTTService;
@@ -0,0 +1,223 @@
+/**
+ * Printer Diagnostics for LayerSync
+ * Checks a printer connection step by step (TCP, TLS, MQTT login) and suggests what to fix
+ */
+
+const net = require('net');
+const tls = require('tls');
+const mqtt = require('mqtt');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// MQTT CONNACK return codes (MQTT 3.1.1)
+const CONNACK_ERRORS = {
+  1: 'unacceptable protocol version',
+  2: 'client identifier rejected',
+  3: 'server unavailable',
+  4: 'bad user name or password',
+  5: 'not authorized'
+};
+
+class PrinterDiagnostics {
+  /**
+   * @param {Object} definition - Printer definition (printer_ip, printer_serial, mqtt_password)
+   * @param {Object} [options] - Diagnostic options
+   * @param {number} [options.port=8883] - MQTTS port of the printer
+   * @param {number} [options.timeoutMs=5000] - Time each step may take
+   * @param {Function} [options.log] - Logger (message, level)
+   */
+  constructor(definition, options = {}) {
+    this.definition = definition;
+    this.port = options.port || 8883;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.log = options.log || (() => {});
+  }
+
+  /**
+   * Run the checks in order, stopping at the first one that fails
+   * @returns {Promise<Object>} { success, message, diagnostics: { host, port, steps, suggestions } }
+   */
+  async run() {
+    const { printer_ip, printer_serial, mqtt_password } = this.definition;
+    const diagnostics = { host: printer_ip || null, port: this.port, steps: [], suggestions: [] };
+
+    const missing = ['printer_ip', 'printer_serial', 'mqtt_password'].filter((key) => !this.definition[key]);
+    if (missing.length > 0) {
+      diagnostics.suggestions.push(`Fill in ${missing.join(', ')} in the printer configuration`);
+      return { success: false, message: `Printer configuration incomplete (${missing.join(', ')})`, diagnostics };
+    }
+
+    const checks = [
+      ['tcp', () => this.checkTcp(printer_ip)],
+      ['tls', () => this.checkTls(printer_ip)],
+      ['mqtt', () => this.checkMqtt(printer_ip, printer_serial, mqtt_password)]
+    ];
+    for (const [name, check] of checks) {
+      const startedAt = Date.now();
+      this.log(`[Diagnostics] ${name.toUpperCase()} check on ${printer_ip}:${this.port}...`, 'INFO');
+      try {
+        const details = await check();
+        diagnostics.steps.push({ step: name, ok: true, duration_ms: Date.now() - startedAt, ...details });
+      } catch (e) {
+        diagnostics.steps.push({ step: name, ok: false, duration_ms: Date.now() - startedAt, error: e.message });
+        diagnostics.suggestions.push(...PrinterDiagnostics.suggestionsFor(name, e, this.definition, this.port));
+        this.log(`[Diagnostics] ${name.toUpperCase()} check failed: ${e.message}`, 'ERROR');
+        return { success: false, message: `${name.toUpperCase()} check failed: ${e.message}`, diagnostics };
+      }
+    }
+
+    this.log(`[Diagnostics] Printer ${printer_ip} reachable and access code accepted`, 'SUCCESS');
+    return { success: true, message: 'Printer reachable and access code accepted', diagnostics };
+  }
+
+  /**
+   * Open (and close) a plain TCP connection to the MQTT port
+   * @param {string} host - Printer address
+   * @returns {Promise<Object>} { address } the connection went to
+   */
+  checkTcp(host) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host, port: this.port, timeout: this.timeoutMs });
+      socket.once('connect', () => {
+        const { remoteAddress } = socket;
+        socket.destroy();
+        resolve({ address: remoteAddress });
+      });
+      socket.once('timeout', () => {
+        socket.destroy();
+        reject(Object.assign(new Error(`No answer within ${this.timeoutMs}ms`), { code: 'ETIMEDOUT' }));
+      });
+      socket.once('error', (err) => {
+        socket.destroy();
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Complete a TLS handshake; printers use a self-signed certificate, so it is reported but not verified
+   * @param {string} host - Printer address
+   * @returns {Promise<Object>} { protocol, certificate_subject }
+   */
+  checkTls(host) {
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({ host, port: this.port, rejectUnauthorized: false, timeout: this.timeoutMs });
+      socket.once('secureConnect', () => {
+        const certificate = socket.getPeerCertificate();
+        const details = {
+          protocol: socket.getProtocol(),
+          certificate_subject: certificate && certificate.subject ? certificate.subject.CN || null : null
+        };
+        socket.destroy();
+        resolve(details);
+      });
+      socket.once('timeout', () => {
+        socket.destroy();
+        reject(Object.assign(new Error(`TLS handshake timed out after ${this.timeoutMs}ms`), { code: 'ETIMEDOUT' }));
+      });
+      socket.once('error', (err) => {
+        socket.destroy();
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Log in to the printer's broker with the access code, without subscribing
+   * @returns {Promise<Object>} { client_id }
+   */
+  checkMqtt(host, serial, password) {
+    return new Promise((resolve, reject) => {
+      const clientId = `LayerSyncDiagnostics_${serial}_${Date.now()}`;
+      const client = mqtt.connect(`mqtts://${host}:${this.port}`, {
+        username: 'bblp',
+        password,
+        clientId,
+        rejectUnauthorized: false,
+        reconnectPeriod: 0,
+        connectTimeout: this.timeoutMs,
+        clean: true
+      });
+      const onConnect = () => finish(null);
+      const onError = (err) => {
+        const reason = CONNACK_ERRORS[err.code];
+        finish(reason ? Object.assign(new Error(`Connection refused: ${reason}`), { code: err.code }) : err);
+      };
+      const onClose = () => finish(new Error('Connection closed before the login completed'));
+      const finish = (err) => {
+        clearTimeout(timer);
+        // Keep mqtt.js's own listeners, they clear its connack timer when the client closes
+        client.off('connect', onConnect);
+        client.off('error', onError);
+        client.off('close', onClose);
+        client.on('error', () => {});
+        client.end(true);
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ client_id: clientId });
+        }
+      };
+      const timer = setTimeout(() => {
+        finish(Object.assign(new Error(`No MQTT answer within ${this.timeoutMs}ms`), { code: 'ETIMEDOUT' }));
+      }, this.timeoutMs);
+
+      client.once('connect', onConnect);
+      client.once('error', onError);
+      client.once('close', onClose);
+    });
+  }
+
+  /**
+   * What to check after a failed step
+   * @param {string} step - 'tcp', 'tls' or 'mqtt'
+   * @param {Error} err - Error of the step
+   * @param {Object} definition - Printer definition
+   * @param {number} port - MQTTS port
+   * @returns {Array<string>} Suggestions for the user
+   */
+  static suggestionsFor(step, err, definition, port) {
+    const ip = definition.printer_ip;
+    if (step === 'tcp') {
+      switch (err.code) {
+        case 'ENOTFOUND':
+        case 'EAI_AGAIN':
+          return [`The address ${ip} cannot be resolved - check the printer IP in the configuration`];
+        case 'ECONNREFUSED':
+          return [
+            `${ip} answers but refuses port ${port} - check that this is the printer's IP`,
+            'Enable LAN mode (or LAN only mode) on the printer so its MQTT broker is running'
+          ];
+        case 'EHOSTUNREACH':
+        case 'ENETUNREACH':
+          return [`No route to ${ip} - check that LayerSync and the printer are on the same network`];
+        default:
+          return [
+            `Check that the printer is powered on and not asleep (try: ping ${ip})`,
+            `Check that ${ip} is the printer's current IP - it may have changed after a router restart`,
+            `Check that no firewall blocks port ${port}`
+          ];
+      }
+    }
+    if (step === 'tls') {
+      return [
+        `Port ${port} on ${ip} does not speak TLS - check that this is the printer's IP`,
+        'Restart the printer if the problem persists'
+      ];
+    }
+    if (err.code === 4 || err.code === 5) {
+      return [
+        'The printer rejected the access code - copy it again from the printer screen (LAN access code)',
+        'The access code changes when LAN mode is toggled'
+      ];
+    }
+    return [
+      'The printer accepted the connection but not the MQTT login - restart the printer and try again',
+      `Check that the serial number ${definition.printer_serial} matches the printer`
+    ];
+  }
+}
+
+PrinterDiagnostics.DEFAULT_TIMEOUT_MS = DEFAULT_TIMEOUT_MS;
+
+module.exports = PrinterDiagnostics;
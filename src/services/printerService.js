@@ -1,152 +1,542 @@
 /**
  * Printer Service for LayerSync
- * Handles printer-specific operations and status parsing
+ * Follows one printer: merges its reports, keeps a stable printer state and decides when a layer photo is due
  */
 
+const EventBus = require('./eventBus');
+const MQTTService = require('./mqttService');
+const PrinterStateStore = require('./printerStateStore');
+const { createTriggerStrategy, DEFAULT_STRATEGY } = require('./triggers');
+
+const { EVENTS } = EventBus;
+
+const DEFAULT_PHOTO_TRIGGER_DELAY = 800; // Delay after layer change before taking photo (ms)
+const DEFAULT_RESPONSE_TIMEOUT_MS = 10000; // Time the printer gets to connect or answer a status request (ms)
+const STATE_STABILITY_THRESHOLD = 5000; // A new state has to differ this long before it is taken over (ms)
+
+// ---------- Capture policy ----------
+// follow_printer: only capture while the printer's own timelapse is enabled (default)
+// always:         capture regardless of the printer's timelapse setting
+// never:          don't capture layer photos (manual test shots still work)
+const CAPTURE_POLICIES = ['follow_printer', 'always', 'never'];
+
 class PrinterService {
-  constructor() {
-    this.currentState = 'UNKNOWN';
-    this.lastStableState = 'UNKNOWN';
-    this.stateChangeTime = Date.now();
-    this.stateStabilityThreshold = 2000; // 2 seconds
+  /**
+   * @param {Object} definition - Printer definition from the configuration (id, name, printer_ip, ...)
+   * @param {Object} [options] - Service options
+   * @param {EventBus} [options.bus] - Bus to publish printer and capture events on
+   * @param {TriggerStrategy} [options.trigger] - Trigger strategy (default: every layer)
+   * @param {Function} [options.cameraReady] - Returns whether one of the printer's cameras can take a photo
+   * @param {Function} [options.log] - Logger (message, level)
+   * @param {Object} [options.mqtt] - Options passed on to the MQTTService (port, ...)
+   */
+  constructor(definition, options = {}) {
+    this.bus = options.bus || new EventBus();
+    this.cameraReady = options.cameraReady || (() => false);
+    this.log = options.log || ((message) => console.log(message));
+    this.mqttOptions = options.mqtt || {};
+    this.stateStabilityThreshold = STATE_STABILITY_THRESHOLD;
+
+    this.id = definition.id;
+    this.mqtt = null;
+    this.currentPrinterState = 'Initializing MQTT...';
+    this.trigger = options.trigger || createTriggerStrategy({ strategy: DEFAULT_STRATEGY });
+    this.photoTriggerDelay = DEFAULT_PHOTO_TRIGGER_DELAY;
+    this.configure(definition);
+
+    // Everything the printer reported so far, merged (see PrinterStateStore)
+    this.stateStore = new PrinterStateStore();
+
+    // Id of the running print session (kept by whoever tracks sessions on printer:report)
+    this.session = null;
+
+    // Whether a pause-and-park capture is running, and the layer captures still in flight
+    this.parking = false;
+    this.captures = new Set();
+    // Last sequence id of a G-code command sent by runGcode
+    this.gcodeSequence = 0;
+
+    // Layer known when a new connection came up, checked against the next full report (see checkLayerGap)
+    this.resync = null;
+    this.lastReportAt = null;
+
+    this.reset();
+  }
+
+  /**
+   * Take over a (changed) printer definition
+   * @param {Object} definition - Printer definition
+   */
+  configure(definition) {
+    this.config = definition;
+    this.name = definition.name;
+    if (typeof definition.photo_trigger_delay === 'number') {
+      this.photoTriggerDelay = definition.photo_trigger_delay;
+    }
+  }
 
+  /**
+   * Forget the reported state (the connection and configuration are kept)
+   */
+  reset() {
+    this.stateStore.reset();
+    this.gcodeState = null;
     this.totalLayers = 0;
     this.currentLayer = 0;
     this.lastTriggerLayer = -1;
     this.layerChangeTime = Date.now();
-    this.photoTriggerDelay = 800;
-
+    this.lastStableState = 'UNKNOWN';
+    this.stateChangeTime = Date.now();
     this.bambuTimelapseEnabled = false;
-    this.printingState = false;
+    this.resync = null;
+    this.lastReportAt = null;
+    this.trigger.reset();
   }
 
+  // ---------- Connection ----------
+
   /**
-   * Parse MQTT message and extract printer status
-   * @param {Buffer} message - MQTT message buffer
-   * @returns {Object} Parsed printer data
+   * Connect to the printer over MQTT; every report is fed to update()
    */
-  parseMessage(message) {
-    try {
-      const data = JSON.parse(message.toString());
-      return data.print || data;
-    } catch (error) {
-      console.error('Failed to parse MQTT message:', error.message);
-      return null;
+  connect() {
+    if (!this.mqtt) {
+      this.mqtt = new MQTTService(this.config, { ...this.mqttOptions, log: this.log });
+      this.mqtt.on('report', (payload) => this.update(payload));
+      this.mqtt.on('connected', () => {
+        if (this.currentLayer > 0) {
+          this.resync = { layer: this.currentLayer, since: this.lastReportAt || Date.now() };
+        }
+      });
+      this.mqtt.on('status', (status) => {
+        this.currentPrinterState = status;
+        this.bus.emit(EVENTS.PRINTER_CONNECTION, { printer: this, status });
+      });
     }
+    this.mqtt.connect();
   }
 
   /**
-   * Update printer state based on MQTT data
-   * @param {Object} data - Parsed MQTT data
-   * @returns {Object} Updated state information
+   * Close the MQTT connection
+   * @param {string} [status='DISCONNECTED'] - Status to display afterwards
    */
-  updateState(data) {
-    if (!data) return null;
+  disconnect(status = 'DISCONNECTED') {
+    if (this.mqtt) {
+      const { mqtt } = this;
+      this.mqtt = null;
+      mqtt.disconnect(status);
+      mqtt.removeAllListeners();
+    }
+    this.currentPrinterState = status;
+  }
 
-    const now = Date.now();
-    const timeSinceStateChange = now - this.stateChangeTime;
+  /**
+   * Tear the MQTT connection down and build a new one
+   * @param {number} [timeoutMs=10000] - Time the new connection gets to come up
+   * @returns {Promise} Resolves once connected, rejects with the connection error
+   */
+  reconnect(timeoutMs = DEFAULT_RESPONSE_TIMEOUT_MS) {
+    this.disconnect('RECONNECTING');
+    this.connect();
+    return this.waitForConnection(timeoutMs);
+  }
 
-    // Update layer information
-    if (data.layer_num !== undefined) {
-      this.currentLayer = data.layer_num;
+  /**
+   * Resolve once the MQTT connection is up
+   * @param {number} [timeoutMs=10000] - Time to give up after
+   * @returns {Promise} Rejects with the connection status when the connection fails
+   */
+  waitForConnection(timeoutMs = DEFAULT_RESPONSE_TIMEOUT_MS) {
+    const { mqtt } = this;
+    if (!mqtt) {
+      return Promise.reject(new Error('MQTT client not started'));
     }
-    if (data.total_layer_num !== undefined) {
-      this.totalLayers = data.total_layer_num;
+    if (mqtt.isConnected()) {
+      return Promise.resolve();
     }
 
-    // Update timelapse status
-    if (data.ipcam && data.ipcam.timelapse !== undefined) {
-      this.bambuTimelapseEnabled = data.ipcam.timelapse === 'enable';
-    }
+    return new Promise((resolve, reject) => {
+      const done = (err) => {
+        clearTimeout(timer);
+        mqtt.off('connected', onConnected);
+        mqtt.off('status', onStatus);
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      };
+      const onConnected = () => done(null);
+      const onStatus = (status) => {
+        if (status.startsWith('ERROR')) {
+          done(new Error(status.replace(/^ERROR: /, '')));
+        }
+      };
+      const timer = setTimeout(() => done(new Error(`Not connected within ${timeoutMs}ms`)), timeoutMs);
+      mqtt.on('connected', onConnected);
+      mqtt.on('status', onStatus);
+    });
+  }
 
-    // Determine printing state
-    const printingState = this.determinePrintingState(data);
+  isConnected() {
+    return Boolean(this.mqtt && this.mqtt.isConnected());
+  }
 
-    // Update state with stability check
-    const newState = this.getStateFromData(data);
-    if (newState !== this.currentState) {
-      if (timeSinceStateChange < this.stateStabilityThreshold) {
-        console.log(`State change ignored: ${this.currentState} → ${newState} (too quick)`);
-        return { state: this.currentState, printing: printingState };
-      }
+  // Whether an MQTT connection is up, being established or about to be retried
+  isActive() {
+    return Boolean(this.mqtt && this.mqtt.isRunning());
+  }
 
-      this.lastStableState = this.currentState;
-      this.currentState = newState;
-      this.stateChangeTime = now;
-      console.log(`State changed to: ${newState} (stable for ${timeSinceStateChange}ms)`);
+  /**
+   * Ask the printer for a full status report
+   */
+  requestFullStatus() {
+    if (!this.mqtt) {
+      this.log('[MQTT] Cannot request status - client not connected', 'WARN');
+      return;
+    }
+    this.mqtt.requestFullStatus();
+  }
+
+  /**
+   * Ask the printer for a full status report and wait for it to arrive
+   * @param {number} [timeoutMs=10000] - Time the printer gets to answer
+   * @returns {Promise<Object>} { responseMs, state } with the merged state after the report
+   */
+  fetchFullStatus(timeoutMs = DEFAULT_RESPONSE_TIMEOUT_MS) {
+    const { mqtt } = this;
+    if (!this.isConnected()) {
+      return Promise.reject(new Error('MQTT client not connected'));
     }
 
-    this.printingState = printingState;
-    return { state: this.currentState, printing: printingState };
+    return new Promise((resolve, reject) => {
+      const requestedAt = Date.now();
+      // Full reports are the ones with msg 0; incremental ones keep arriving meanwhile
+      const onReport = (payload) => {
+        if (payload && payload.print && payload.print.msg === 0) {
+          clearTimeout(timer);
+          mqtt.off('report', onReport);
+          resolve({ responseMs: Date.now() - requestedAt, state: this.stateStore.get() });
+        }
+      };
+      const timer = setTimeout(() => {
+        mqtt.off('report', onReport);
+        reject(new Error(`No full status report within ${timeoutMs}ms`));
+      }, timeoutMs);
+      mqtt.on('report', onReport);
+      mqtt.requestFullStatus();
+    });
   }
 
   /**
-   * Determine if printer is currently printing
-   * @param {Object} data - MQTT data
-   * @returns {boolean} Printing status
+   * Publish a print command (pause, resume, gcode_line, ...)
+   * @param {string} command - Print command
+   * @param {Object} [extra] - Additional command fields
+   * @returns {Promise} Resolves once the command was sent
    */
-  determinePrintingState(data) {
-    // Check various indicators of printing state
-    const hasLayerProgress = this.currentLayer > 0;
-    const hasPrintingState = data.print_type === 'printing' || data.mc_print_stage === '1';
-    const hasActiveTemperatures = data.nozzle_target_temper > 0 || data.bed_target_temper > 0;
+  publishCommand(command, extra = {}) {
+    if (!this.mqtt) {
+      return Promise.reject(new Error('MQTT client not connected'));
+    }
+    return this.mqtt.publishCommand(command, extra);
+  }
 
-    return hasLayerProgress || hasPrintingState || hasActiveTemperatures;
+  /**
+   * Resolve once the printer reports one of `states` as its gcode_state
+   * @param {Array<string>} states - gcode_state values to wait for
+   * @param {number} timeoutMs - Time to give up after
+   * @returns {Promise<string>} The reached gcode_state
+   */
+  waitForGcodeState(states, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      const timer = setInterval(() => {
+        if (states.includes(this.gcodeState)) {
+          clearInterval(timer);
+          resolve(this.gcodeState);
+        } else if (Date.now() - startedAt > timeoutMs) {
+          clearInterval(timer);
+          reject(new Error(`Printer did not reach ${states.join('/')} within ${timeoutMs}ms`));
+        }
+      }, 250);
+    });
   }
 
   /**
-   * Get printer state from MQTT data
-   * @param {Object} data - MQTT data
-   * @returns {string} Printer state
+   * Send G-code lines and wait for the printer to answer them
+   * The printer answers a gcode_line once it ran it, so lines ending in M400 are answered after their moves.
+   * @param {string} gcode - G-code lines
+   * @param {number} timeoutMs - Time to give up after
+   * @returns {Promise<number>} Milliseconds until the printer answered
    */
-  getStateFromData(data) {
-    if (data.print_type === 'printing' || data.mc_print_stage === '1') {
-      return 'PRINTING';
-    } else if (data.print_type === 'idle') {
-      return 'IDLE';
-    } else if (data.nozzle_target_temper > 0 || data.bed_target_temper > 0) {
-      return 'HEATING';
-    } else if (data.print_type === 'finished') {
-      return 'FINISHED';
-    } else {
-      return 'STANDBY';
+  runGcode(gcode, timeoutMs) {
+    const { mqtt } = this;
+    if (!this.isConnected()) {
+      return Promise.reject(new Error('MQTT client not connected'));
     }
+
+    // The answer echoes the sequence id, which has to be unique among the commands in flight
+    this.gcodeSequence = Math.max(this.gcodeSequence + 1, Date.now());
+    const sequenceId = String(this.gcodeSequence);
+    return new Promise((resolve, reject) => {
+      const sentAt = Date.now();
+      const onReport = (payload) => {
+        const print = payload && payload.print;
+        if (print && print.command === 'gcode_line' && String(print.sequence_id) === sequenceId) {
+          clearTimeout(timer);
+          mqtt.off('report', onReport);
+          resolve(Date.now() - sentAt);
+        }
+      };
+      const timer = setTimeout(() => {
+        mqtt.off('report', onReport);
+        reject(new Error(`Printer did not finish the moves within ${timeoutMs}ms`));
+      }, timeoutMs);
+      mqtt.on('report', onReport);
+      this.publishCommand('gcode_line', { sequence_id: sequenceId, param: gcode }).catch((error) => {
+        clearTimeout(timer);
+        mqtt.off('report', onReport);
+        reject(error);
+      });
+    });
+  }
+
+  // ---------- Capture policy ----------
+
+  capturePolicy() {
+    return CAPTURE_POLICIES.includes(this.config.capture_policy) ? this.config.capture_policy : 'follow_printer';
   }
 
   /**
-   * Check if layer change should trigger photo
-   * @returns {boolean} Should trigger photo
+   * Why the capture policy blocks layer photos right now
+   * @returns {string|null} Reason, null when photos are allowed
    */
-  shouldTriggerPhoto() {
-    return (
-      this.currentLayer > 0 &&
-      this.currentLayer !== this.lastTriggerLayer &&
-      this.printingState &&
-      this.bambuTimelapseEnabled
-    );
+  captureBlockedReason() {
+    switch (this.capturePolicy()) {
+      case 'always':
+        return null;
+      case 'never':
+        return 'capture policy is "never"';
+      default:
+        return this.bambuTimelapseEnabled ? null : 'Bambu timelapse disabled';
+    }
   }
 
+  // ---------- Reports ----------
+
   /**
-   * Mark layer as triggered
+   * Handle a report from the printer
+   * @param {Object} payload - Report payload as received over MQTT
+   * @returns {Object|null} Merged printer state, null if the report could not be processed
    */
-  markLayerTriggered() {
-    this.lastTriggerLayer = this.currentLayer;
-    this.layerChangeTime = Date.now();
+  update(payload) {
+    try {
+      return this.processReport(payload);
+    } catch (e) {
+      this.log(`Error processing printer payload: ${e.message}`, 'ERROR');
+      this.log(`Payload was: ${JSON.stringify(payload)}`, 'ERROR');
+      return null;
+    }
+  }
+
+  processReport(payload) {
+    // Reports are partial deltas: merge them and work from the complete state
+    const printData = payload.print || payload;
+    this.log(`[MQTT] Print data: ${JSON.stringify(printData)}`, 'INFO');
+    const state = this.stateStore.apply(payload);
+    this.gcodeState = state.gcode_state;
+    this.lastReportAt = Date.now();
+    this.bus.emit(EVENTS.PRINTER_REPORT, { printer: this, payload, state });
+
+    this.updateTimelapseFlag(state);
+    this.updateLayers(state);
+    this.checkLayerGap(printData);
+    this.updateStableState(state);
+
+    const { currentLayer, totalLayers, lastStableState } = this;
+    const printing = this.stateFromReport(state) === 'PRINTING';
+    this.log(`[MQTT] Layers: ${currentLayer}/${totalLayers}, State: ${lastStableState}, Printing: ${printing}`, 'INFO');
+
+    this.checkPhotoDue(state);
+
+    // Add timelapse status to the display
+    const timelapseDisplayStatus = this.bambuTimelapseEnabled ? '🎬 Timelapse ON' : '🎬 Timelapse OFF';
+    this.currentPrinterState = `${this.displayStatus(state)} | ${timelapseDisplayStatus}`;
+
+    // Log timelapse status for debugging when printing
+    if (currentLayer > 0) {
+      this.log(
+        `[Timelapse Debug] Layer: ${currentLayer}/${totalLayers}, State: ${lastStableState}, Timelapse: ${this.bambuTimelapseEnabled ? 'ON' : 'OFF'}, GoPro: ${this.cameraReady() ? 'Ready' : 'Not Ready'}`,
+        'INFO'
+      );
+    }
+
+    this.log(`[MQTT] Updated status: ${this.currentPrinterState}`, 'INFO');
+    return state;
+  }
+
+  // Check Bambu Lab timelapse status (unknown until the printer reports ipcam)
+  updateTimelapseFlag(state) {
+    if (state.ipcam.timelapse === null || state.ipcam.timelapse === this.bambuTimelapseEnabled) {
+      return;
+    }
+
+    this.bambuTimelapseEnabled = state.ipcam.timelapse;
+    if (this.bambuTimelapseEnabled) {
+      this.log('🎬 Bambu Lab timelapse ENABLED - GoPro will capture photos', 'SUCCESS');
+    } else {
+      this.log('🎬 Bambu Lab timelapse DISABLED - GoPro will not capture photos', 'WARN');
+    }
+    this.bus.emit(EVENTS.PRINTER_TIMELAPSE, { printer: this, enabled: this.bambuTimelapseEnabled });
+  }
+
+  updateLayers(state) {
+    const previous = this.currentLayer;
+    this.totalLayers = state.progress.total_layers || 0;
+    this.currentLayer = state.progress.layer || 0;
+    if (previous !== this.currentLayer) {
+      this.log(`[MQTT] Layer updated: ${previous} → ${this.currentLayer}`, 'INFO');
+      this.bus.emit(EVENTS.PRINTER_LAYER, { printer: this, layer: this.currentLayer, previous });
+    }
+  }
+
+  // After a (re)connect, the first full report shows whether layers went by while we were not listening
+  checkLayerGap(printData) {
+    if (!this.resync || printData.msg !== 0) {
+      return;
+    }
+
+    const { layer, since } = this.resync;
+    this.resync = null;
+    // Only layers strictly in between were missed; the current one is still handled as usual
+    if (this.currentLayer <= layer + 1) {
+      return;
+    }
+
+    const gap = {
+      printer: this,
+      from: layer + 1,
+      to: this.currentLayer - 1,
+      since,
+      sessionId: this.session
+    };
+    this.log(
+      `⚠️  Layers ${gap.from}-${gap.to} were printed while disconnected (${Math.round((Date.now() - since) / 1000)}s) - no photos for them`,
+      'WARN'
+    );
+    this.bus.emit(EVENTS.PRINTER_LAYER_GAP, gap);
   }
 
   /**
-   * Reset printer state
+   * Printer state suggested by a merged state, before the stability check
+   * @param {Object} state - Merged printer state
+   * @returns {string} FINISHED, PRINTING, IDLE, HEATING or STANDBY
    */
-  reset() {
-    this.currentState = 'UNKNOWN';
-    this.lastStableState = 'UNKNOWN';
-    this.stateChangeTime = Date.now();
-    this.totalLayers = 0;
-    this.currentLayer = 0;
-    this.lastTriggerLayer = -1;
-    this.layerChangeTime = Date.now();
-    this.bambuTimelapseEnabled = false;
-    this.printingState = false;
+  stateFromReport(state) {
+    const layer = state.progress.layer || 0;
+    const totalLayers = state.progress.total_layers || 0;
+    const nozzleTemp = state.temperatures.nozzle.current || 0;
+    const bedTemp = state.temperatures.bed.current || 0;
+
+    if (state.gcode_state === 'FINISH' || state.print_type === 'idle') {
+      return 'FINISHED';
+    }
+    if (layer > 0 && layer < totalLayers) {
+      // If we have layer data and not at the end, we're printing
+      return 'PRINTING';
+    }
+    if (state.gcode_state === 'IDLE') {
+      return 'IDLE';
+    }
+    if (nozzleTemp > 150 || bedTemp > 60) {
+      // High temperatures suggest heating/preparation
+      return 'HEATING';
+    }
+    return 'STANDBY';
+  }
+
+  // Only take a new state over once the current one was stable for a while (prevents flickering)
+  updateStableState(state) {
+    const newState = this.stateFromReport(state);
+    if (newState === this.lastStableState) {
+      return;
+    }
+
+    const now = Date.now();
+    const stableFor = now - this.stateChangeTime;
+    if (stableFor <= this.stateStabilityThreshold) {
+      this.log(`[MQTT] State change ignored: ${this.lastStableState} → ${newState} (too quick)`, 'WARN');
+      return;
+    }
+
+    const previous = this.lastStableState;
+    this.lastStableState = newState;
+    this.stateChangeTime = now;
+    this.log(`[MQTT] State changed to: ${newState} (previous state stable for ${stableFor}ms)`, 'INFO');
+    this.bus.emit(EVENTS.PRINTER_STATE, { printer: this, state: newState, previous });
+  }
+
+  // Ask the trigger strategy whether a photo is due while we have a stable printing state
+  checkPhotoDue(state) {
+    const { currentLayer, totalLayers } = this;
+    const triggerContext = { layer: currentLayer, totalLayers, now: Date.now(), percent: state.progress.percent };
+    if (currentLayer < this.trigger.lastLayer) {
+      // Layer went backwards without a session change: a new print started
+      this.trigger.reset();
+    }
+    const photoDue =
+      this.lastStableState === 'PRINTING' &&
+      currentLayer > 0 &&
+      !this.parking &&
+      this.trigger.shouldTrigger(triggerContext);
+    if (!photoDue) {
+      return;
+    }
+
+    const event = { printer: this, layer: currentLayer, changedAt: Date.now(), sessionId: this.session };
+    const previousTriggerLayer = this.lastTriggerLayer;
+    this.layerChangeTime = event.changedAt;
+    this.lastTriggerLayer = currentLayer; // Layers are tracked even when no photo is taken
+
+    // Only trigger photos if a camera is connected and the capture policy allows it. A skipped photo stays due
+    // (the strategy only hears about photos that were taken) but is reported once per layer.
+    const reason = this.cameraReady() ? this.captureBlockedReason() : 'camera not connected';
+    if (reason) {
+      if (currentLayer !== previousTriggerLayer) {
+        this.log(`⚠️  Layer ${currentLayer} detected but ${reason} - skipping photo`, 'WARN');
+        this.bus.emit(EVENTS.CAPTURE_SKIPPED, { ...event, reason });
+      }
+      return;
+    }
+
+    this.trigger.triggered(triggerContext);
+    this.log(
+      `[Timelapse] Photo due (${this.trigger.constructor.strategyType}): layer ${previousTriggerLayer} → ${currentLayer} (capture policy: ${this.capturePolicy()})`,
+      'SUCCESS'
+    );
+    this.bus.emit(EVENTS.CAPTURE_DUE, event);
+  }
+
+  // Display status based on the stable state
+  displayStatus(state) {
+    const { currentLayer, totalLayers } = this;
+    switch (this.lastStableState) {
+      case 'PRINTING':
+        if (currentLayer > 0 && totalLayers > 0) {
+          const percentage = ((currentLayer / totalLayers) * 100).toFixed(1);
+          return `Layer ${currentLayer} / ${totalLayers} (${percentage}%)`;
+        }
+        return currentLayer > 0 ? `Layer ${currentLayer} (total unknown)` : 'Printing...';
+      case 'FINISHED':
+        return 'IDLE / Print Finished';
+      case 'HEATING':
+        return 'Heating...';
+      case 'STANDBY':
+        return 'Standby';
+      case 'IDLE':
+        return 'IDLE';
+      default:
+        return `${this.lastStableState} - ${state.gcode_state || 'Unknown'}`;
+    }
   }
 
   /**
@@ -155,14 +545,26 @@ class PrinterService {
    */
   getStatus() {
     return {
-      state: this.currentState,
-      printing: this.printingState,
-      currentLayer: this.currentLayer,
-      totalLayers: this.totalLayers,
-      timelapseEnabled: this.bambuTimelapseEnabled,
-      photoTriggerDelay: this.photoTriggerDelay
+      id: this.id,
+      name: this.name,
+      printer_ip: this.config.printer_ip,
+      printer_serial: this.config.printer_serial,
+      connected: this.isConnected(),
+      printer_status: this.currentPrinterState,
+      state: this.lastStableState,
+      current_layer: this.currentLayer,
+      total_layers: this.totalLayers,
+      last_trigger_layer: this.lastTriggerLayer,
+      photo_trigger_delay: this.photoTriggerDelay,
+      capture_policy: this.capturePolicy(),
+      trigger: this.trigger.getInfo(),
+      bambu_timelapse_enabled: this.bambuTimelapseEnabled,
+      session_id: this.session
     };
   }
 }
 
+PrinterService.CAPTURE_POLICIES = CAPTURE_POLICIES;
+PrinterService.DEFAULT_PHOTO_TRIGGER_DELAY = DEFAULT_PHOTO_TRIGGER_DELAY;
+
 module.exports = PrinterService;
@@ -0,0 +1,149 @@
+/**
+ * Printer State Store for LayerSync
+ * Merges the partial push_status reports of a Bambu printer into one complete state model
+ */
+
+// spd_lvl values of the printer's speed profiles
+const SPEED_PROFILES = { 1: 'silent', 2: 'standard', 3: 'sport', 4: 'ludicrous' };
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Reports only carry the fields that changed. Objects are merged key by key; arrays (AMS units,
+// HMS errors) are always sent whole, so a reported array replaces the stored one.
+function mergeReport(target, delta) {
+  for (const [key, value] of Object.entries(delta)) {
+    if (isPlainObject(value)) {
+      target[key] = mergeReport(isPlainObject(target[key]) ? target[key] : {}, value);
+    } else if (Array.isArray(value)) {
+      target[key] = JSON.parse(JSON.stringify(value));
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+// Bambu reports numbers as strings in places ("15", "25.6"); unknown stays null
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+// Fan speeds are reported on a 0-15 scale
+function fanPercent(value) {
+  const speed = toNumber(value);
+  return speed === null ? null : Math.round((speed / 15) * 100);
+}
+
+function enabledFlag(value) {
+  return value === undefined ? null : value === 'enable';
+}
+
+class PrinterStateStore {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget everything reported so far
+   */
+  reset() {
+    this.raw = {};
+    this.reportCount = 0;
+    this.updatedAt = null;
+  }
+
+  /**
+   * Merge a report into the state
+   * @param {Object} payload - Report payload ({ print: {...} } or the print object itself)
+   * @returns {Object} Merged state model
+   */
+  apply(payload) {
+    const report = isPlainObject(payload) && 'print' in payload ? payload.print : payload;
+    if (!isPlainObject(report)) {
+      return this.get();
+    }
+
+    mergeReport(this.raw, report);
+    this.reportCount++;
+    this.updatedAt = new Date().toISOString();
+    return this.get();
+  }
+
+  /**
+   * Canonical state model built from everything reported so far
+   * @returns {Object} State model (fields the printer never reported are null)
+   */
+  get() {
+    const { raw } = this;
+    const ipcam = raw.ipcam || {};
+    const ams = raw.ams || {};
+    const speedLevel = toNumber(raw.spd_lvl);
+
+    return {
+      gcode_state: raw.gcode_state || null,
+      print_type: raw.print_type || null,
+      stage: toNumber(raw.mc_print_stage),
+      sub_stage: toNumber(raw.mc_print_sub_stage),
+      job: {
+        task_id: raw.task_id !== undefined && raw.task_id !== null ? String(raw.task_id) : null,
+        subtask_name: raw.subtask_name || null,
+        gcode_file: raw.gcode_file || null
+      },
+      progress: {
+        percent: toNumber(raw.mc_percent),
+        remaining_minutes: toNumber(raw.mc_remaining_time),
+        layer: toNumber(raw.layer_num),
+        total_layers: toNumber(raw.total_layer_num)
+      },
+      temperatures: {
+        nozzle: { current: toNumber(raw.nozzle_temper), target: toNumber(raw.nozzle_target_temper) },
+        bed: { current: toNumber(raw.bed_temper), target: toNumber(raw.bed_target_temper) },
+        chamber: toNumber(raw.chamber_temper)
+      },
+      fans: {
+        part_cooling: fanPercent(raw.cooling_fan_speed),
+        aux: fanPercent(raw.big_fan1_speed),
+        chamber: fanPercent(raw.big_fan2_speed),
+        heatbreak: fanPercent(raw.heatbreak_fan_speed)
+      },
+      speed: {
+        level: speedLevel,
+        profile: SPEED_PROFILES[speedLevel] || null,
+        percent: toNumber(raw.spd_mag)
+      },
+      ams: {
+        units: (Array.isArray(ams.ams) ? ams.ams : []).map((unit) => ({
+          id: unit.id,
+          humidity: toNumber(unit.humidity),
+          temperature: toNumber(unit.temp),
+          trays: (Array.isArray(unit.tray) ? unit.tray : []).map((tray) => ({
+            id: tray.id,
+            type: tray.tray_type || null,
+            color: tray.tray_color || null,
+            remaining_percent: toNumber(tray.remain)
+          }))
+        })),
+        active_tray: ams.tray_now !== undefined ? ams.tray_now : null
+      },
+      errors: {
+        print_error: toNumber(raw.print_error),
+        hms: Array.isArray(raw.hms) ? raw.hms : []
+      },
+      ipcam: {
+        timelapse: enabledFlag(ipcam.timelapse),
+        recording: enabledFlag(ipcam.ipcam_record)
+      },
+      wifi_signal: raw.wifi_signal || null,
+      report_count: this.reportCount,
+      updated_at: this.updatedAt
+    };
+  }
+}
+
+module.exports = PrinterStateStore;
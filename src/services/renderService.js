@@ -0,0 +1,362 @@
+/**
+ * Render Service for LayerSync
+ * Turns the downloaded photos of a print session into an MP4 timelapse with ffmpeg
+ */
+
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { MAX_RENDER_FPS } = require('../utils/configSchema');
+
+const DEFAULT_RENDER_OPTIONS = {
+  fps: 30,
+  resolution: null, // e.g. "1920x1080", null keeps the photo size
+  codec: 'libx264',
+  crf: 20,
+  hold_seconds: 2,
+  overlay: false
+};
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RENDERING: 'rendering',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+class RenderService extends EventEmitter {
+  /**
+   * @param {Object} options - Service options
+   * @param {SessionStore} options.sessions - Session store holding the media records
+   * @param {string} [options.ffmpegPath='ffmpeg'] - ffmpeg binary
+   */
+  constructor({ sessions, ffmpegPath = 'ffmpeg' }) {
+    super();
+    this.sessions = sessions;
+    this.ffmpegPath = ffmpegPath;
+    this.jobs = new Map();
+    this.queue = [];
+    this.current = null;
+    this.jobCounter = 0;
+  }
+
+  /**
+   * Merge render options with the defaults and validate them
+   * @param {Object} [options] - Requested options
+   * @returns {Object} Complete render options
+   */
+  static normalizeOptions(options = {}) {
+    const merged = { ...DEFAULT_RENDER_OPTIONS, ...options };
+
+    if (!(merged.fps > 0 && merged.fps <= MAX_RENDER_FPS)) {
+      throw new Error(`fps must be between 1 and ${MAX_RENDER_FPS}`);
+    }
+    if (merged.resolution && !/^\d+x\d+$/.test(merged.resolution)) {
+      throw new Error('resolution must look like 1920x1080');
+    }
+    if (!(merged.hold_seconds >= 0)) {
+      throw new Error('hold_seconds must be a non-negative number');
+    }
+    if (!/^[\w-]+$/.test(merged.codec)) {
+      throw new Error('codec must be an ffmpeg encoder name');
+    }
+    if (!(Number.isInteger(merged.crf) && merged.crf >= 0 && merged.crf <= 51)) {
+      throw new Error('crf must be a whole number between 0 and 51');
+    }
+    merged.overlay = Boolean(merged.overlay);
+    return merged;
+  }
+
+  /**
+   * Queue a render of one camera's frames of a session
+   * @param {string} sessionId - Session id
+   * @param {Object} [options] - Render options (fps, resolution, codec, crf, hold_seconds, overlay, camera)
+   * @returns {Object} Queued job
+   */
+  enqueue(sessionId, options = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Unknown session "${sessionId}"`);
+    }
+
+    const { camera: requestedCamera, ...renderOptions } = options;
+    const source = RenderService.findFrames(session, requestedCamera);
+
+    const job = {
+      id: `render-${++this.jobCounter}`,
+      session_id: session.id,
+      camera: source.camera,
+      status: JOB_STATUS.QUEUED,
+      progress: 0,
+      options: RenderService.normalizeOptions(renderOptions),
+      output: path.join(session.media.directory, `timelapse-${source.camera}.mp4`),
+      error: null,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.emit('queued', job);
+    this.next();
+    return job;
+  }
+
+  /**
+   * Locate the downloaded frames of a session
+   * @param {Object} session - Session with a media record
+   * @param {string} [camera] - Camera to render (first camera with frames if omitted)
+   * @returns {Object} Frame source ({ camera, directory, files })
+   */
+  static findFrames(session, camera) {
+    if (!session.media) {
+      throw new Error(`Session "${session.id}" has no downloaded media`);
+    }
+
+    // Test shots are not layers: leave them out so the frames line up with the triggers
+    const candidates = session.media.cameras
+      .filter((c) => !camera || c.camera === camera)
+      .map((c) => ({ camera: c.camera, files: c.files.filter((file) => !c.test_files.includes(file)) }))
+      .filter((c) => c.files.length > 0);
+    if (candidates.length === 0) {
+      throw new Error(camera ? `No frames from camera "${camera}" in this session` : 'No frames to render');
+    }
+
+    const source = candidates[0];
+    return {
+      camera: source.camera,
+      directory: path.join(session.media.directory, source.camera),
+      files: [...source.files].sort()
+    };
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job id
+   * @returns {Object|undefined} Job
+   */
+  getJob(id) {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} [filter] - Optional filter
+   * @param {string} [filter.sessionId] - Only jobs of this session
+   * @returns {Array<Object>} Jobs
+   */
+  listJobs({ sessionId } = {}) {
+    return [...this.jobs.values()].filter((job) => !sessionId || job.session_id === sessionId).reverse();
+  }
+
+  /**
+   * Start the next queued job when nothing is rendering
+   */
+  next() {
+    if (this.current || this.queue.length === 0) {
+      return;
+    }
+
+    const job = this.queue.shift();
+    this.current = job;
+    this.run(job)
+      .then(() => {
+        job.status = JOB_STATUS.DONE;
+        job.progress = 1;
+        this.sessions.addRender(job.session_id, {
+          camera: job.camera,
+          file: job.output,
+          options: job.options,
+          rendered_at: new Date().toISOString()
+        });
+        this.emit('done', job);
+      })
+      .catch((error) => {
+        job.status = JOB_STATUS.FAILED;
+        job.error = error.message;
+        this.emit('failed', job);
+      })
+      .finally(() => {
+        job.finished_at = new Date().toISOString();
+        this.current = null;
+        this.next();
+      });
+  }
+
+  /**
+   * Render a job with ffmpeg
+   * @param {Object} job - Job to render
+   * @returns {Promise<void>} Resolves when ffmpeg exits successfully
+   */
+  async run(job) {
+    job.status = JOB_STATUS.RENDERING;
+    job.started_at = new Date().toISOString();
+    this.emit('started', job);
+
+    const session = this.sessions.get(job.session_id);
+    const source = RenderService.findFrames(session, job.camera);
+    const { fps, hold_seconds: hold } = job.options;
+    const workDir = fs.mkdtempSync(path.join(path.dirname(job.output), '.render-'));
+
+    try {
+      const listFile = path.join(workDir, 'frames.txt');
+      fs.writeFileSync(listFile, RenderService.concatList(source, fps));
+
+      let subtitleFile = null;
+      if (job.options.overlay) {
+        subtitleFile = path.join(workDir, 'overlay.srt');
+        fs.writeFileSync(subtitleFile, RenderService.overlaySubtitles(session, source, job.options));
+      }
+
+      const totalFrames = Math.ceil((source.files.length / fps + hold) * fps);
+      await this.ffmpeg(RenderService.ffmpegArgs(listFile, subtitleFile, job), (frame) => {
+        job.progress = Math.min(frame / totalFrames, 0.99);
+        this.emit('progress', job);
+      });
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Build an ffmpeg concat list showing each frame for 1/fps seconds
+   * @param {Object} source - Frame source ({ directory, files })
+   * @param {number} fps - Output frame rate
+   * @returns {string} Concat demuxer script
+   */
+  static concatList(source, fps) {
+    const lines = ['ffconcat version 1.0'];
+    for (const file of source.files) {
+      lines.push(`file '${path.join(source.directory, file).replace(/'/g, "'\\''")}'`);
+      lines.push(`duration ${1 / fps}`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Build an SRT file that labels every frame with its layer and progress
+   * Frames map to the camera's successful triggers in order.
+   * @param {Object} session - Session with triggers
+   * @param {Object} source - Frame source ({ camera, files })
+   * @param {Object} options - Render options
+   * @returns {string} SRT subtitles
+   */
+  static overlaySubtitles(session, source, options) {
+    const layers = session.triggers
+      .filter((t) => t.cameras.some((c) => c.camera === source.camera && c.success))
+      .map((t) => t.layer);
+    const frameSeconds = 1 / options.fps;
+    const lastEnd = source.files.length * frameSeconds + options.hold_seconds;
+
+    return source.files
+      .map((file, index) => {
+        const layer = layers[index];
+        const text =
+          layer && session.total_layers
+            ? `Layer ${layer} / ${session.total_layers} (${((layer / session.total_layers) * 100).toFixed(0)}%)`
+            : `Layer ${layer || index + 1}`;
+        const start = index * frameSeconds;
+        const end = index === source.files.length - 1 ? lastEnd : start + frameSeconds;
+        return `${index + 1}\n${RenderService.srtTime(start)} --> ${RenderService.srtTime(end)}\n${text}\n`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Format seconds as an SRT timestamp
+   * @param {number} seconds - Time in seconds
+   * @returns {string} hh:mm:ss,mmm
+   */
+  static srtTime(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const pad = (value, size = 2) => String(value).padStart(size, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)},${pad(ms % 1000, 3)}`;
+  }
+
+  /**
+   * Build the ffmpeg command line for a job
+   * @param {string} listFile - Concat list
+   * @param {string|null} subtitleFile - Overlay subtitles, null for no overlay
+   * @param {Object} job - Render job
+   * @returns {Array<string>} ffmpeg arguments
+   */
+  static ffmpegArgs(listFile, subtitleFile, job) {
+    const { fps, resolution, codec, crf, hold_seconds: hold } = job.options;
+    const filters = [`fps=${fps}`];
+
+    if (resolution) {
+      const [width, height] = resolution.split('x');
+      filters.push(`scale=${width}:${height}:force_original_aspect_ratio=decrease`);
+      filters.push(`pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`);
+    }
+    if (hold > 0) {
+      filters.push(`tpad=stop_mode=clone:stop_duration=${hold}`);
+    }
+    if (subtitleFile) {
+      // Escape the path for the filtergraph parser
+      filters.push(`subtitles='${subtitleFile.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/:/g, '\\:')}'`);
+    }
+    filters.push('format=yuv420p');
+
+    return [
+      '-y',
+      '-nostats',
+      '-progress',
+      'pipe:1',
+      '-f',
+      'concat',
+      '-safe',
+      '0',
+      '-i',
+      listFile,
+      '-vf',
+      filters.join(','),
+      '-c:v',
+      codec,
+      '-crf',
+      String(crf),
+      '-movflags',
+      '+faststart',
+      job.output
+    ];
+  }
+
+  /**
+   * Run ffmpeg and report the encoded frame count
+   * @param {Array<string>} args - ffmpeg arguments
+   * @param {Function} onFrame - Called with the number of frames encoded so far
+   * @returns {Promise<void>} Resolves when ffmpeg exits with code 0
+   */
+  ffmpeg(args, onFrame) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      let stderr = '';
+
+      child.stdout.on('data', (data) => {
+        const match = data.toString().match(/frame=(\d+)/g);
+        if (match) {
+          onFrame(parseInt(match[match.length - 1].slice(6), 10));
+        }
+      });
+      child.stderr.on('data', (data) => {
+        stderr = (stderr + data.toString()).slice(-2000);
+      });
+      child.on('error', (error) => reject(new Error(`Failed to start ffmpeg: ${error.message}`)));
+      child.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          const lastLine = stderr.trim().split('\n').pop();
+          reject(new Error(`ffmpeg exited with code ${code}: ${lastLine}`));
+        }
+      });
+    });
+  }
+}
+
+RenderService.DEFAULT_OPTIONS = DEFAULT_RENDER_OPTIONS;
+RenderService.STATUS = JOB_STATUS;
+
+module.exports = RenderService;
@@ -0,0 +1,316 @@
+/**
+ * Print Session Store for LayerSync
+ * Records which photos were taken for which print and keeps that history on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_STATUS = {
+  RUNNING: 'running',
+  FINISHED: 'finished',
+  FAILED: 'failed',
+  INTERRUPTED: 'interrupted'
+};
+
+class SessionStore {
+  /**
+   * @param {string} directory - Directory holding one JSON file per session
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Load persisted sessions from disk
+   * @returns {number} Number of sessions loaded
+   */
+  load() {
+    this.sessions.clear();
+    if (!fs.existsSync(this.directory)) {
+      return 0;
+    }
+
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        const session = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        this.sessions.set(session.id, session);
+      } catch (error) {
+        console.error(`Failed to load session ${file}: ${error.message}`);
+      }
+    }
+    return this.sessions.size;
+  }
+
+  /**
+   * Open a session for a print that just started
+   * @param {Object} printer - Printer the print runs on ({ id, name })
+   * @param {Object} job - Job details from the printer report
+   * @param {string} [job.task_id] - Bambu task id
+   * @param {string} [job.subtask_name] - Plate / project name
+   * @param {string} [job.gcode_file] - G-code file being printed
+   * @param {number} [job.total_layers] - Total layer count if already known
+   * @returns {Object} New session
+   */
+  open(printer, job = {}) {
+    const startedAt = new Date();
+    const session = {
+      id: `${printer.id}-${startedAt.getTime()}`.replace(/[^A-Za-z0-9_-]/g, '_'),
+      printer_id: printer.id,
+      printer_name: printer.name,
+      task_id: job.task_id || null,
+      subtask_name: job.subtask_name || null,
+      gcode_file: job.gcode_file || null,
+      status: SESSION_STATUS.RUNNING,
+      started_at: startedAt.toISOString(),
+      ended_at: null,
+      total_layers: job.total_layers || 0,
+      triggers: [],
+      test_shots: [],
+      gaps: [],
+      media: null,
+      renders: []
+    };
+
+    this.sessions.set(session.id, session);
+    this.save(session);
+    return session;
+  }
+
+  /**
+   * Find the running session of a printer
+   * @param {string} printerId - Printer id
+   * @returns {Object|null} Running session
+   */
+  findRunning(printerId) {
+    for (const session of this.sessions.values()) {
+      if (session.printer_id === printerId && session.status === SESSION_STATUS.RUNNING) {
+        return session;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Running sessions of every printer
+   * @returns {Array<Object>} Sessions
+   */
+  running() {
+    return [...this.sessions.values()].filter((session) => session.status === SESSION_STATUS.RUNNING);
+  }
+
+  /**
+   * Fill in job details that arrived after the session was opened
+   * @param {string} id - Session id
+   * @param {Object} job - Job details (task_id, subtask_name, gcode_file, total_layers)
+   */
+  updateJob(id, job) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return;
+    }
+
+    let changed = false;
+    for (const key of ['task_id', 'subtask_name', 'gcode_file', 'total_layers']) {
+      if (job[key] && session[key] !== job[key]) {
+        session[key] = job[key];
+        changed = true;
+      }
+    }
+    if (changed) {
+      this.save(session);
+    }
+  }
+
+  /**
+   * Record a layer trigger
+   * @param {string} id - Session id
+   * @param {Object} trigger - Trigger details
+   * @param {number} trigger.layer - Layer number
+   * @param {number} trigger.latencyMs - Time from layer change to the last camera answering
+   * @param {Array<Object>} [trigger.results] - Per-camera results from CameraManager.runAll
+   * @param {string} [trigger.skipped] - Why no photo was taken
+   * @returns {Object|null} Recorded trigger
+   */
+  recordTrigger(id, { layer, latencyMs, results = [], skipped = null }) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+
+    const trigger = {
+      timestamp: new Date().toISOString(),
+      layer,
+      latency_ms: latencyMs,
+      skipped,
+      cameras: results.map((r) => ({
+        camera: r.camera,
+        success: r.success,
+        error: r.error || null,
+        duration_ms: r.durationMs
+      }))
+    };
+
+    session.triggers.push(trigger);
+    this.save(session);
+    return trigger;
+  }
+
+  /**
+   * Record a manual test shot taken during the session; its photos end up on the cameras
+   * next to the layer photos, so the media download has to expect them too
+   * @param {string} id - Session id
+   * @param {Array<Object>} results - Per-camera results from CameraManager.runAll
+   * @returns {Object|null} Recorded test shot
+   */
+  recordTestShot(id, results) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+
+    const shot = {
+      timestamp: new Date().toISOString(),
+      cameras: results.map((r) => ({ camera: r.camera, success: r.success }))
+    };
+    session.test_shots.push(shot);
+    this.save(session);
+    return shot;
+  }
+
+  /**
+   * Record layers that were printed while the printer was not connected (no trigger for them)
+   * @param {string} id - Session id
+   * @param {Object} gap - Gap details
+   * @param {number} gap.from - First missed layer
+   * @param {number} gap.to - Last missed layer
+   * @param {number} gap.since - When the last report before the outage arrived (epoch ms)
+   * @returns {Object|null} Recorded gap
+   */
+  recordGap(id, { from, to, since }) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+
+    const gap = {
+      from_layer: from,
+      to_layer: to,
+      disconnected_at: new Date(since).toISOString(),
+      detected_at: new Date().toISOString()
+    };
+    session.gaps.push(gap);
+    this.save(session);
+    return gap;
+  }
+
+  /**
+   * Close a session
+   * @param {string} id - Session id
+   * @param {string} status - Final status (finished, failed, interrupted)
+   * @returns {Object|null} Closed session
+   */
+  close(id, status) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+
+    session.status = status;
+    session.ended_at = new Date().toISOString();
+    this.save(session);
+    return session;
+  }
+
+  /**
+   * Store the outcome of a media download
+   * @param {string} id - Session id
+   * @param {Object} media - Media record (see MediaDownloader.download)
+   */
+  setMedia(id, media) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return;
+    }
+
+    session.media = media;
+    this.save(session);
+  }
+
+  /**
+   * Record a rendered timelapse video
+   * @param {string} id - Session id
+   * @param {Object} render - Render record ({ camera, file, options, rendered_at })
+   */
+  addRender(id, render) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return;
+    }
+
+    session.renders = [...(session.renders || []).filter((r) => r.camera !== render.camera), render];
+    this.save(session);
+  }
+
+  /**
+   * Get a session with its full trigger history
+   * @param {string} id - Session id
+   * @returns {Object|undefined} Session
+   */
+  get(id) {
+    return this.sessions.get(id);
+  }
+
+  /**
+   * List sessions, newest first, without the trigger history
+   * @param {Object} [filter] - Optional filter
+   * @param {string} [filter.printerId] - Only sessions of this printer
+   * @returns {Array<Object>} Session summaries
+   */
+  list({ printerId } = {}) {
+    return [...this.sessions.values()]
+      .filter((session) => !printerId || session.printer_id === printerId)
+      .sort((a, b) => b.started_at.localeCompare(a.started_at))
+      .map((session) => SessionStore.summarize(session));
+  }
+
+  /**
+   * Summarize a session for listings
+   * @param {Object} session - Session
+   * @returns {Object} Session without triggers, with capture counts
+   */
+  static summarize(session) {
+    const { triggers, media, test_shots: testShots, ...rest } = session;
+    return {
+      ...rest,
+      media_status: media ? media.status : null,
+      trigger_count: triggers.length,
+      test_shot_count: testShots.length,
+      captured_count: triggers.filter((t) => t.cameras.length > 0 && t.cameras.every((c) => c.success)).length
+    };
+  }
+
+  /**
+   * Write a session to disk
+   * @param {Object} session - Session to persist
+   */
+  save(session) {
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      const file = path.join(this.directory, `${session.id}.json`);
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(session, null, 2));
+      fs.renameSync(tmpFile, file);
+    } catch (error) {
+      console.error(`Failed to save session ${session.id}: ${error.message}`);
+    }
+  }
+}
+
+SessionStore.STATUS = SESSION_STATUS;
+
+module.exports = SessionStore;
@@ -0,0 +1,159 @@
+/**
+ * Built-in Trigger Strategies for LayerSync
+ * Every layer, every Nth layer, wall-clock interval, progress steps, height steps and target frame count
+ */
+
+const TriggerStrategy = require('./triggerStrategy');
+
+function positiveNumber(options, key, name) {
+  const value = Number(options[key]);
+  if (!(value > 0)) {
+    throw new Error(`Trigger strategy "${name}" needs a positive "${key}"`);
+  }
+  return value;
+}
+
+class EveryLayerStrategy extends TriggerStrategy {
+  shouldTrigger({ layer }) {
+    return layer !== this.lastLayer;
+  }
+}
+EveryLayerStrategy.strategyType = 'every_layer';
+
+class EveryNthLayerStrategy extends TriggerStrategy {
+  /**
+   * @param {Object} options - Strategy options
+   * @param {number} options.n - Layers between photos
+   */
+  constructor(options = {}) {
+    super(options);
+    this.n = Math.round(positiveNumber(options, 'n', 'every_n_layers'));
+  }
+
+  shouldTrigger({ layer }) {
+    return this.count === 0 || layer - this.lastLayer >= this.n;
+  }
+}
+EveryNthLayerStrategy.strategyType = 'every_n_layers';
+
+class IntervalStrategy extends TriggerStrategy {
+  /**
+   * @param {Object} options - Strategy options
+   * @param {number} options.seconds - Wall-clock time between photos
+   */
+  constructor(options = {}) {
+    super(options);
+    this.intervalMs = positiveNumber(options, 'seconds', 'interval') * 1000;
+  }
+
+  shouldTrigger({ now }) {
+    return this.count === 0 || now - this.lastTime >= this.intervalMs;
+  }
+}
+IntervalStrategy.strategyType = 'interval';
+
+// Fires whenever the print moves into a new bucket of some measure (progress, height, frame slot)
+class BucketStrategy extends TriggerStrategy {
+  reset() {
+    super.reset();
+    this.lastBucket = -1;
+  }
+
+  /**
+   * Map the context to a bucket number, null when it cannot be computed yet
+   * @param {Object} context - Print progress
+   * @returns {number|null} Bucket
+   */
+  bucket(_context) {
+    throw new Error(`${this.constructor.name} does not implement bucket()`);
+  }
+
+  shouldTrigger(context) {
+    const bucket = this.bucket(context);
+    return bucket !== null && bucket > this.lastBucket;
+  }
+
+  triggered(context) {
+    super.triggered(context);
+    const bucket = this.bucket(context);
+    if (bucket !== null) {
+      this.lastBucket = bucket;
+    }
+  }
+}
+
+class ProgressStrategy extends BucketStrategy {
+  /**
+   * @param {Object} options - Strategy options
+   * @param {number} options.step_percent - Progress between photos (e.g. 5 for every 5%)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.step = positiveNumber(options, 'step_percent', 'progress');
+  }
+
+  bucket({ layer, totalLayers, percent }) {
+    // Layer progress tracks the frames better than mc_percent, which is time based
+    const progress = totalLayers > 0 ? (layer / totalLayers) * 100 : percent;
+    return typeof progress === 'number' ? Math.floor(progress / this.step) : null;
+  }
+}
+ProgressStrategy.strategyType = 'progress';
+
+class HeightStrategy extends BucketStrategy {
+  /**
+   * @param {Object} options - Strategy options
+   * @param {number} options.every_mm - Print height between photos
+   * @param {number} [options.layer_height=0.2] - Layer height of the print (mm)
+   * @param {number} [options.first_layer_height] - First layer height (mm), defaults to layer_height
+   */
+  constructor(options = {}) {
+    super(options);
+    this.everyMm = positiveNumber(options, 'every_mm', 'height');
+    this.layerHeight = options.layer_height ? positiveNumber(options, 'layer_height', 'height') : 0.2;
+    this.firstLayerHeight = options.first_layer_height
+      ? positiveNumber(options, 'first_layer_height', 'height')
+      : this.layerHeight;
+  }
+
+  bucket({ layer }) {
+    const height = this.firstLayerHeight + (layer - 1) * this.layerHeight;
+    // Round away float error so e.g. 5 × 0.2 mm counts as 1 mm, not 0.9999 mm
+    return Math.floor(Math.round((height / this.everyMm) * 1000) / 1000);
+  }
+}
+HeightStrategy.strategyType = 'height';
+
+class FrameCountStrategy extends BucketStrategy {
+  /**
+   * @param {Object} options - Strategy options
+   * @param {number} options.frames - Photos to spread evenly across the print
+   */
+  constructor(options = {}) {
+    super(options);
+    this.frames = Math.round(positiveNumber(options, 'frames', 'frame_count'));
+  }
+
+  reset() {
+    super.reset();
+    // Slot 0 is the start of the print: the frames land at the end of slots 1..N, the last one on the last layer
+    this.lastBucket = 0;
+  }
+
+  bucket({ layer, totalLayers }) {
+    if (!(totalLayers > 0)) {
+      return null;
+    }
+    return Math.floor((Math.min(layer, totalLayers) * this.frames) / totalLayers);
+  }
+}
+FrameCountStrategy.strategyType = 'frame_count';
+
+module.exports = {
+  EveryLayerStrategy,
+  EveryNthLayerStrategy,
+  IntervalStrategy,
+  ProgressStrategy,
+  HeightStrategy,
+  FrameCountStrategy
+};
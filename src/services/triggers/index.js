@@ -0,0 +1,56 @@
+/**
+ * Trigger strategy registry for LayerSync
+ * Maps strategy names from configuration to trigger strategy classes
+ */
+
+const TriggerStrategy = require('./triggerStrategy');
+const builtins = require('./builtinStrategies');
+
+const DEFAULT_STRATEGY = builtins.EveryLayerStrategy.strategyType;
+
+const strategies = new Map(Object.values(builtins).map((StrategyClass) => [StrategyClass.strategyType, StrategyClass]));
+
+/**
+ * Register a trigger strategy
+ * @param {string} type - Strategy name used in configuration
+ * @param {Function} StrategyClass - Class extending TriggerStrategy
+ */
+function registerTriggerStrategy(type, StrategyClass) {
+  if (!(StrategyClass.prototype instanceof TriggerStrategy)) {
+    throw new Error(`Trigger strategy "${type}" must extend TriggerStrategy`);
+  }
+  StrategyClass.strategyType = type;
+  strategies.set(type, StrategyClass);
+}
+
+/**
+ * Create a trigger strategy instance
+ * @param {Object} options - Strategy options
+ * @param {string} [options.strategy='every_layer'] - Registered strategy name
+ * @returns {TriggerStrategy} Trigger strategy instance
+ */
+function createTriggerStrategy(options = {}) {
+  const { strategy: type = DEFAULT_STRATEGY, ...strategyOptions } = options;
+  const StrategyClass = strategies.get(type);
+  if (!StrategyClass) {
+    throw new Error(`Unknown trigger strategy "${type}" (available: ${listTriggerStrategies().join(', ')})`);
+  }
+  return new StrategyClass(strategyOptions);
+}
+
+/**
+ * List registered strategy names
+ * @returns {Array<string>} Strategy names
+ */
+function listTriggerStrategies() {
+  return [...strategies.keys()];
+}
+
+module.exports = {
+  TriggerStrategy,
+  ...builtins,
+  DEFAULT_STRATEGY,
+  registerTriggerStrategy,
+  createTriggerStrategy,
+  listTriggerStrategies
+};
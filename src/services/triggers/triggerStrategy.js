@@ -0,0 +1,60 @@
+/**
+ * Trigger Strategy base class for LayerSync
+ * Decides, from each printer status update, whether a photo is due
+ */
+
+class TriggerStrategy {
+  /**
+   * @param {Object} options - Strategy options from configuration
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.reset();
+  }
+
+  /**
+   * Forget what was captured so far, called when a new print starts
+   */
+  reset() {
+    this.lastLayer = 0;
+    this.lastTime = 0;
+    this.count = 0;
+  }
+
+  /**
+   * Check if a photo should be taken now
+   * @param {Object} context - Print progress
+   * @param {number} context.layer - Current layer (1-based)
+   * @param {number} context.totalLayers - Total layers, 0 if unknown
+   * @param {number} context.now - Current time (ms)
+   * @param {number} [context.percent] - Print progress reported by the printer (0-100)
+   * @returns {boolean} Photo due
+   */
+  shouldTrigger(_context) {
+    throw new Error(`${this.constructor.name} does not implement shouldTrigger()`);
+  }
+
+  /**
+   * Record that a photo was taken for this context (skipped photos are not recorded)
+   * @param {Object} context - Context passed to shouldTrigger()
+   */
+  triggered(context) {
+    this.lastLayer = context.layer;
+    this.lastTime = context.now;
+    this.count++;
+  }
+
+  /**
+   * Get strategy information for status endpoints
+   * @returns {Object} Strategy information
+   */
+  getInfo() {
+    return {
+      strategy: this.constructor.strategyType,
+      ...this.options,
+      triggered: this.count
+    };
+  }
+}
+
+module.exports = TriggerStrategy;
@@ -0,0 +1,441 @@
+/**
+ * Bambu Printer Simulator for LayerSync
+ * Local MQTTS broker that behaves like a Bambu Lab printer, for development and tests without hardware
+ */
+
+const { EventEmitter } = require('events');
+const tls = require('tls');
+const aedes = require('aedes');
+const selfsigned = require('selfsigned');
+
+const DEFAULT_STATE = {
+  gcode_state: 'IDLE',
+  print_type: 'idle',
+  mc_print_stage: '1',
+  mc_percent: 0,
+  mc_remaining_time: 0,
+  layer_num: 0,
+  total_layer_num: 0,
+  nozzle_temper: 25,
+  nozzle_target_temper: 0,
+  bed_temper: 25,
+  bed_target_temper: 0,
+  subtask_name: '',
+  gcode_file: '',
+  task_id: '0',
+  print_error: 0,
+  ipcam: { timelapse: 'enable', ipcam_record: 'enable' }
+};
+
+class BambuPrinterSimulator extends EventEmitter {
+  /**
+   * @param {Object} options - Simulator options
+   * @param {string} [options.serial='SIM00000000001'] - Printer serial, used in the MQTT topics
+   * @param {string} [options.accessCode='12345678'] - LAN access code (MQTT password for user bblp)
+   * @param {number} [options.port=8883] - MQTTS port
+   * @param {string} [options.host='0.0.0.0'] - Address to listen on
+   * @param {number} [options.reportIntervalMs=1000] - Interval of the periodic push_status reports
+   * @param {number} [options.speed=1] - Time scale for scenarios (2 runs twice as fast)
+   * @param {Object} [options.tls] - { key, cert } PEM strings, a self-signed pair is generated if omitted
+   * @param {Object} [options.state] - Initial printer state overrides
+   */
+  constructor(options = {}) {
+    super();
+    this.serial = options.serial || 'SIM00000000001';
+    this.accessCode = options.accessCode || '12345678';
+    this.port = options.port !== undefined ? options.port : 8883;
+    this.host = options.host || '0.0.0.0';
+    this.reportIntervalMs = options.reportIntervalMs || 1000;
+    this.speed = options.speed || 1;
+    this.tlsOptions = options.tls || null;
+
+    this.state = {
+      ...DEFAULT_STATE,
+      ...options.state,
+      ipcam: { ...DEFAULT_STATE.ipcam, ...(options.state || {}).ipcam }
+    };
+    this.broker = null;
+    this.server = null;
+    this.reportTimer = null;
+    this.sequenceId = 0;
+    this.stopped = false;
+    // Connections are dropped until this time (epoch ms), see goOffline()
+    this.offlineUntil = 0;
+  }
+
+  get reportTopic() {
+    return `device/${this.serial}/report`;
+  }
+
+  get requestTopic() {
+    return `device/${this.serial}/request`;
+  }
+
+  /**
+   * Start the MQTTS broker and the periodic reports
+   * @returns {Promise<number>} Port the broker listens on
+   */
+  async start() {
+    this.stopped = false;
+    this.broker = aedes({
+      authenticate: (client, username, password, callback) => {
+        const ok = username === 'bblp' && password && password.toString() === this.accessCode;
+        if (!ok) {
+          const error = new Error('Bad user name or password');
+          error.returnCode = 4;
+          this.emit('log', `Rejected MQTT login from ${client.id} (user ${username})`);
+          callback(error, false);
+          return;
+        }
+        callback(null, true);
+      },
+      authorizeSubscribe: (client, subscription, callback) => {
+        if (subscription.topic !== this.reportTopic) {
+          callback(new Error(`Subscription to ${subscription.topic} not allowed`));
+          return;
+        }
+        callback(null, subscription);
+      },
+      authorizePublish: (client, packet, callback) => {
+        callback(packet.topic === this.requestTopic ? null : new Error(`Publishing to ${packet.topic} not allowed`));
+      }
+    });
+
+    this.broker.on('client', (client) => this.emit('log', `Client connected: ${client.id}`));
+    this.broker.on('clientDisconnect', (client) => this.emit('log', `Client disconnected: ${client.id}`));
+    this.broker.on('publish', (packet, client) => {
+      if (client && packet.topic === this.requestTopic) {
+        this.handleRequest(packet.payload.toString());
+      }
+    });
+
+    const { key, cert } = this.tlsOptions || BambuPrinterSimulator.generateCertificate(this.serial);
+    this.server = tls.createServer({ key, cert }, (socket) => {
+      if (Date.now() < this.offlineUntil) {
+        socket.destroy();
+        return;
+      }
+      this.broker.handle(socket);
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    this.port = this.server.address().port;
+
+    this.reportTimer = setInterval(() => this.pushStatus(), this.reportIntervalMs);
+    this.emit('log', `Simulated printer ${this.serial} listening on mqtts://${this.host}:${this.port}`);
+    return this.port;
+  }
+
+  /**
+   * Stop the broker
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopped = true;
+    clearInterval(this.reportTimer);
+    this.reportTimer = null;
+
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(() => resolve()));
+      this.server = null;
+    }
+    if (this.broker) {
+      await new Promise((resolve) => this.broker.close(() => resolve()));
+      this.broker = null;
+    }
+  }
+
+  /**
+   * Close every client connection, as a printer reboot or a Wi-Fi drop does
+   */
+  dropConnections() {
+    if (!this.broker) {
+      return;
+    }
+    for (const client of Object.values(this.broker.clients)) {
+      client.close();
+    }
+  }
+
+  /**
+   * Drop every connection and refuse new ones for a while; the print keeps going meanwhile
+   * @param {number} ms - Outage duration (real milliseconds)
+   */
+  goOffline(ms) {
+    this.offlineUntil = Date.now() + ms;
+    this.dropConnections();
+    this.emit('log', `Offline for ${ms}ms`);
+  }
+
+  /**
+   * Generate a self-signed certificate like the printer's own
+   * @param {string} commonName - Certificate common name
+   * @returns {Object} { key, cert } PEM strings
+   */
+  static generateCertificate(commonName) {
+    const pems = selfsigned.generate([{ name: 'commonName', value: commonName }], { days: 365, keySize: 2048 });
+    return { key: pems.private, cert: pems.cert };
+  }
+
+  /**
+   * Publish a message on the report topic
+   * @param {Object} print - Content of the `print` object
+   */
+  publishReport(print) {
+    if (!this.broker) {
+      return;
+    }
+    const sequenceId = print.sequence_id !== undefined ? print.sequence_id : String(++this.sequenceId);
+    const payload = JSON.stringify({ print: { ...print, sequence_id: sequenceId } });
+    this.broker.publish({ topic: this.reportTopic, payload, qos: 0, retain: false }, () => {});
+    this.emit('report', print);
+  }
+
+  /**
+   * Send an incremental push_status report with the given fields
+   * @param {Object} [fields] - Changed fields, defaults to the fields that change all the time
+   */
+  pushStatus(fields) {
+    const { nozzle_temper, bed_temper, mc_percent, mc_remaining_time, gcode_state, layer_num } = this.state;
+    this.publishReport({
+      command: 'push_status',
+      msg: 1,
+      ...(fields || { nozzle_temper, bed_temper, mc_percent, mc_remaining_time, gcode_state, layer_num })
+    });
+  }
+
+  /**
+   * Send the full state, as the printer does after `pushall`
+   */
+  pushAll() {
+    this.publishReport({ command: 'push_status', msg: 0, ...this.state });
+  }
+
+  /**
+   * Update the state and report the changed fields
+   * @param {Object} changes - State changes
+   */
+  update(changes) {
+    this.state = { ...this.state, ...changes };
+    this.pushStatus(changes);
+    this.emit('state', this.state);
+  }
+
+  /**
+   * Handle a message published on the request topic
+   * @param {string} message - Raw request payload
+   */
+  handleRequest(message) {
+    let request;
+    try {
+      request = JSON.parse(message);
+    } catch (error) {
+      this.emit('log', `Ignoring invalid request: ${message}`);
+      return;
+    }
+    this.emit('request', request);
+
+    if (request.pushing && request.pushing.command === 'pushall') {
+      this.pushAll();
+      return;
+    }
+
+    const print = request.print || {};
+    // The printer acknowledges print commands on the report topic, echoing the sequence id
+    const reply = () =>
+      this.publishReport({
+        command: print.command,
+        param: print.param,
+        result: 'success',
+        sequence_id: print.sequence_id
+      });
+
+    switch (print.command) {
+      case 'pause':
+        if (this.state.gcode_state === 'RUNNING') {
+          this.update({ gcode_state: 'PAUSE' });
+        }
+        reply();
+        break;
+      case 'resume':
+        if (this.state.gcode_state === 'PAUSE') {
+          this.update({ gcode_state: 'RUNNING' });
+        }
+        reply();
+        break;
+      case 'stop':
+        if (['RUNNING', 'PAUSE', 'PREPARE'].includes(this.state.gcode_state)) {
+          this.update({ gcode_state: 'FAILED', print_type: 'idle' });
+        }
+        reply();
+        break;
+      case 'gcode_line':
+        this.emit('gcode', print.param);
+        reply();
+        break;
+      default:
+        this.emit('log', `Unhandled print command: ${print.command}`);
+    }
+  }
+
+  /**
+   * Wait scenario time (scaled by `speed`), holding while the print is paused
+   * @param {number} ms - Scenario milliseconds
+   * @param {boolean} [holdWhilePaused=false] - Don't count time spent in PAUSE
+   * @returns {Promise<void>}
+   */
+  async wait(ms, holdWhilePaused = false) {
+    const step = 50;
+    let remaining = ms / this.speed;
+    while (remaining > 0 && !this.stopped) {
+      await new Promise((resolve) => setTimeout(resolve, Math.min(step, remaining)));
+      if (!holdWhilePaused || this.state.gcode_state !== 'PAUSE') {
+        remaining -= step;
+      }
+    }
+  }
+
+  /**
+   * Run a scenario
+   * @param {Object} scenario - Scenario ({ steps: [...], loop })
+   * @returns {Promise<void>} Resolves when every step ran (never, for looping scenarios, until stop())
+   */
+  async runScenario(scenario) {
+    do {
+      for (const step of scenario.steps || []) {
+        if (this.stopped) {
+          return;
+        }
+        this.emit('step', step);
+        await this.runStep(step);
+      }
+    } while (scenario.loop && !this.stopped);
+  }
+
+  /**
+   * Run one scenario step
+   * @param {Object} step - Step ({ action, ... })
+   * @returns {Promise<void>}
+   */
+  async runStep(step) {
+    switch (step.action) {
+      case 'wait':
+        await this.wait(step.ms || 0);
+        break;
+
+      case 'set':
+        this.update(step.state || {});
+        break;
+
+      case 'timelapse':
+        this.update({ ipcam: { ...this.state.ipcam, timelapse: step.enabled ? 'enable' : 'disable' } });
+        break;
+
+      case 'start_print':
+        this.update({
+          gcode_state: 'PREPARE',
+          print_type: 'local',
+          subtask_name: step.subtask_name || 'Simulated print',
+          gcode_file: step.gcode_file || '/data/Metadata/plate_1.gcode',
+          task_id: String(step.task_id || Date.now()),
+          total_layer_num: step.total_layers || 100,
+          layer_num: 0,
+          mc_percent: 0,
+          print_error: 0
+        });
+        break;
+
+      case 'heat': {
+        const nozzle = step.nozzle !== undefined ? step.nozzle : 220;
+        const bed = step.bed !== undefined ? step.bed : 60;
+        const steps = Math.max(1, Math.round((step.duration_ms || 5000) / this.reportIntervalMs));
+        const start = { nozzle: this.state.nozzle_temper, bed: this.state.bed_temper };
+        this.update({ nozzle_target_temper: nozzle, bed_target_temper: bed });
+        for (let i = 1; i <= steps && !this.stopped; i++) {
+          await this.wait((step.duration_ms || 5000) / steps);
+          this.state.nozzle_temper = Math.round(start.nozzle + ((nozzle - start.nozzle) * i) / steps);
+          this.state.bed_temper = Math.round(start.bed + ((bed - start.bed) * i) / steps);
+        }
+        break;
+      }
+
+      case 'layers': {
+        const total = this.state.total_layer_num || step.to || 0;
+        const from = step.from || this.state.layer_num + 1;
+        const to = Math.min(step.to || total, total);
+        if (this.state.gcode_state === 'PREPARE') {
+          this.update({ gcode_state: 'RUNNING' });
+        }
+        for (let layer = from; layer <= to && !this.stopped; layer++) {
+          // Hold the layer while paused, like the real printer
+          await this.wait(step.layer_ms || 2000, true);
+          if (['FAILED', 'FINISH', 'IDLE'].includes(this.state.gcode_state)) {
+            return;
+          }
+          const percent = total > 0 ? Math.floor((layer / total) * 100) : 0;
+          this.update({
+            layer_num: layer,
+            mc_percent: percent,
+            mc_remaining_time: Math.round(((total - layer) * (step.layer_ms || 2000)) / 60000)
+          });
+        }
+        break;
+      }
+
+      case 'pause':
+        this.update({ gcode_state: 'PAUSE' });
+        if (step.duration_ms) {
+          await this.wait(step.duration_ms);
+          this.update({ gcode_state: 'RUNNING' });
+        }
+        break;
+
+      case 'resume':
+        this.update({ gcode_state: 'RUNNING' });
+        break;
+
+      case 'finish':
+        this.update({
+          gcode_state: 'FINISH',
+          print_type: 'idle',
+          mc_percent: 100,
+          mc_remaining_time: 0,
+          nozzle_target_temper: 0,
+          bed_target_temper: 0
+        });
+        break;
+
+      case 'fail':
+        this.update({
+          gcode_state: 'FAILED',
+          print_type: 'idle',
+          print_error: step.print_error || 50348044,
+          nozzle_target_temper: 0,
+          bed_target_temper: 0
+        });
+        break;
+
+      case 'idle':
+        this.update({ gcode_state: 'IDLE', print_type: 'idle', layer_num: 0, total_layer_num: 0, mc_percent: 0 });
+        break;
+
+      case 'offline':
+        // Doesn't wait: the following steps run during the outage
+        this.goOffline((step.ms || 10000) / this.speed);
+        break;
+
+      default:
+        throw new Error(`Unknown scenario action "${step.action}"`);
+    }
+  }
+}
+
+BambuPrinterSimulator.DEFAULT_STATE = DEFAULT_STATE;
+
+module.exports = BambuPrinterSimulator;
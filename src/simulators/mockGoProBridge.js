@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * Mock GoPro Bridge for LayerSync
+ * Stand-in for python/gopro_python_bridge.py that speaks the same line-delimited JSON
+ * protocol on stdin/stdout, so the capture pipeline runs without a camera or Bluetooth
+ *
+ * Usage: node src/simulators/mockGoProBridge.js [--target NAME] [--options '{"latency_ms":200}']
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DEFAULT_OPTIONS = {
+  connect_latency_ms: 500, // Time to "pair" over BLE
+  latency_ms: 200, // Time to take a photo
+  encoding_ms: 300, // Camera reports encoding=True this long after a photo
+  busy_rate: 0, // Probability that a status query reports busy=True / ready=False
+  photo_failure_rate: 0, // Probability that take_photo fails
+  fail_connect: false, // Refuse every connection attempt
+  disconnect_after_photos: 0, // Drop the connection after this many photos (0 = never)
+  stuck_busy: false, // Report busy (and refuse photos) until a `recover` command
+  seed: null // Seed for repeatable random behaviour
+};
+
+// Smallest valid JPEG (1x1 grey pixel), written for every "downloaded" photo
+const PLACEHOLDER_JPEG = Buffer.from(
+  '/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP//////////////////////////////////////////////////////////////////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQABPxA=',
+  'base64'
+);
+
+function parseArgs(argv) {
+  const args = { target: null, options: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--target') {
+      args.target = argv[++i];
+    } else if (argv[i] === '--options') {
+      args.options = JSON.parse(argv[++i]);
+    }
+  }
+  return args;
+}
+
+// Mulberry32, so CI runs can reproduce a failure pattern with `seed`
+function createRandom(seed) {
+  if (seed === null || seed === undefined) {
+    return Math.random;
+  }
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class MockGoProBridge {
+  constructor(target, options = {}) {
+    this.target = target;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.random = createRandom(this.options.seed);
+    this.isConnected = false;
+    this.photos = [];
+    this.encodingUntil = 0;
+    this.fileNumber = 1;
+    this.stuck = Boolean(this.options.stuck_busy);
+    this.recoveries = 0;
+  }
+
+  log(message) {
+    // Same place the Python bridge's logging goes
+    process.stderr.write(`INFO:mock_gopro_bridge:${message}\n`);
+  }
+
+  async connect() {
+    this.log(`Connecting to mock GoPro${this.target ? ` matching "${this.target}"` : ''}...`);
+    await sleep(this.options.connect_latency_ms);
+    if (this.options.fail_connect) {
+      return { success: false, error: 'BLE connection failed', connected: false };
+    }
+    this.isConnected = true;
+    return { success: true, message: 'Connected to GoPro via BLE', connected: true, ble_connected: true };
+  }
+
+  async disconnect() {
+    this.isConnected = false;
+    return { success: true, message: 'Disconnected from GoPro', connected: false };
+  }
+
+  async getStatus() {
+    if (!this.isConnected) {
+      return { success: false, error: 'Not connected' };
+    }
+    const busy = this.stuck || this.random() < this.options.busy_rate;
+    const encoding = Date.now() < this.encodingUntil;
+    return {
+      success: true,
+      status: {
+        busy: busy ? 'True' : 'False',
+        encoding: encoding ? 'True' : 'False',
+        ready: busy || encoding ? 'False' : 'True',
+        group: 1
+      }
+    };
+  }
+
+  async checkConnection() {
+    return {
+      success: true,
+      connected: this.isConnected,
+      ble_connected: this.isConnected,
+      message: this.isConnected ? 'Connected' : 'Disconnected'
+    };
+  }
+
+  async takePhoto() {
+    if (!this.isConnected) {
+      return { success: false, error: 'Not connected' };
+    }
+
+    if (this.stuck || Date.now() < this.encodingUntil) {
+      return { success: false, error: 'Photo failed: camera busy' };
+    }
+
+    await sleep(this.options.latency_ms);
+    if (this.random() < this.options.photo_failure_rate) {
+      return { success: false, error: 'Photo failed: ErrorCode.ERROR' };
+    }
+
+    const name = `GOPR${String(this.fileNumber++).padStart(4, '0')}.JPG`;
+    this.photos.push({
+      path: `100GOPRO/${name}`,
+      created: Math.floor(Date.now() / 1000),
+      size: PLACEHOLDER_JPEG.length
+    });
+    this.encodingUntil = Date.now() + this.options.encoding_ms;
+
+    const { disconnect_after_photos: limit } = this.options;
+    if (limit > 0 && this.photos.length >= limit) {
+      this.log(`Simulating disconnect after ${this.photos.length} photos`);
+      this.isConnected = false;
+    }
+    return { success: true, message: 'Photo taken successfully via BLE' };
+  }
+
+  // Same steps as the Python bridge's recovery; any of them clears a stuck camera here
+  async recover() {
+    if (!this.isConnected) {
+      return { success: false, error: 'Not connected' };
+    }
+    this.recoveries++;
+    this.stuck = false;
+    this.encodingUntil = 0;
+    this.log(`Busy recovery #${this.recoveries}`);
+    return {
+      success: true,
+      steps: ['shutter_off', 'photo_mode', 'keep_alive'].map((step) => ({ step, success: true, error: null }))
+    };
+  }
+
+  async downloadMedia({ directory, since, until, extensions }) {
+    if (!this.isConnected) {
+      return { success: false, error: 'Not connected' };
+    }
+
+    const end = until || Date.now() / 1000;
+    const wanted = (extensions || ['.jpg']).map((ext) => ext.toLowerCase());
+    fs.mkdirSync(directory, { recursive: true });
+
+    const files = this.photos
+      .filter((photo) => photo.created >= Math.floor(since) && photo.created <= Math.ceil(end))
+      .filter((photo) => wanted.some((ext) => photo.path.toLowerCase().endsWith(ext)))
+      .map((photo) => {
+        const file = path.join(directory, path.basename(photo.path));
+        fs.writeFileSync(file, PLACEHOLDER_JPEG);
+        return { ...photo, file };
+      });
+    return { success: true, files };
+  }
+
+  async deleteMedia({ paths }) {
+    if (!this.isConnected) {
+      return { success: false, error: 'Not connected' };
+    }
+    this.photos = this.photos.filter((photo) => !paths.includes(photo.path));
+    return { success: true, deleted: paths };
+  }
+
+  async handleCommand(commandData) {
+    const { command, commandId } = commandData;
+    let result;
+    switch (command) {
+      case 'connect':
+        result = await this.connect();
+        break;
+      case 'disconnect':
+        result = await this.disconnect();
+        break;
+      case 'status':
+        result = await this.getStatus();
+        break;
+      case 'check_connection':
+        result = await this.checkConnection();
+        break;
+      case 'take_photo':
+        result = await this.takePhoto();
+        break;
+      case 'recover':
+        result = await this.recover();
+        break;
+      case 'download_media':
+        result = await this.downloadMedia(commandData);
+        break;
+      case 'delete_media':
+        result = await this.deleteMedia({ paths: commandData.paths || [] });
+        break;
+      default:
+        result = { success: false, error: `Unknown command: ${command}` };
+    }
+
+    if (commandId !== undefined) {
+      result.commandId = commandId;
+    }
+    return result;
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const bridge = new MockGoProBridge(args.target, args.options);
+  bridge.log('Mock GoPro Bridge started - waiting for commands...');
+
+  // Commands are answered one at a time, like the Python bridge
+  let queue = Promise.resolve();
+  const input = readline.createInterface({ input: process.stdin });
+  input.on('line', (line) => {
+    if (!line.trim()) {
+      return;
+    }
+    queue = queue.then(async () => {
+      let result;
+      try {
+        result = await bridge.handleCommand(JSON.parse(line));
+      } catch (error) {
+        result = { success: false, error: `Invalid JSON: ${error.message}` };
+      }
+      process.stdout.write(`${JSON.stringify(result)}\n`);
+    });
+  });
+  input.on('close', () => queue.then(() => process.exit(0)));
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = MockGoProBridge;
@@ -0,0 +1,24 @@
+/**
+ * Backoff utility for LayerSync
+ * Retry delays for connections and processes that are restarted after a failure
+ */
+
+/**
+ * Delay before retry `attempt` (0-based): initialDelayMs * factor^attempt, capped at maxDelayMs
+ * and spread by +/- jitter so several clients don't retry in step
+ * @param {number} attempt - Number of failed attempts so far
+ * @param {Object} options - Backoff settings
+ * @param {number} options.initialDelayMs - Delay of the first retry
+ * @param {number} options.maxDelayMs - Longest delay
+ * @param {number} options.factor - Growth per attempt
+ * @param {number} [options.jitter=0] - Relative spread (0.2 = +/- 20%)
+ * @param {Function} [random=Math.random] - Random source in [0, 1)
+ * @returns {number} Delay in ms
+ */
+function backoffDelay(attempt, options, random = Math.random) {
+  const { initialDelayMs, maxDelayMs, factor, jitter = 0 } = options;
+  const delay = Math.min(maxDelayMs, initialDelayMs * Math.pow(factor, attempt));
+  return Math.round(Math.min(maxDelayMs, delay * (1 + jitter * (2 * random() - 1))));
+}
+
+module.exports = { backoffDelay };
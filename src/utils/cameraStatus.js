@@ -0,0 +1,44 @@
+/**
+ * Camera status utility for LayerSync
+ * Turns the status flags reported by the camera bridges into typed values
+ */
+
+const TRUE_FLAGS = [true, 1, 'True', 'true', '1'];
+const FALSE_FLAGS = [false, 0, 'False', 'false', '0'];
+
+/**
+ * Parse a status flag; the Python bridge sends str(bool) ('True' / 'False'), older code used '1' / '0'
+ * @param {*} value - Flag as reported
+ * @returns {boolean|null} The flag, null when it is missing or unknown
+ */
+function parseFlag(value) {
+  if (TRUE_FLAGS.includes(value)) {
+    return true;
+  }
+  if (FALSE_FLAGS.includes(value)) {
+    return false;
+  }
+  return null;
+}
+
+/**
+ * Normalize a raw camera status
+ * @param {Object} raw - Status from the driver ({ busy, encoding, ready, group })
+ * @returns {Object} { busy, encoding, ready, group, idle } - idle when neither busy nor encoding and not
+ *   reported as not ready; unknown flags (null) don't block
+ */
+function normalizeCameraStatus(raw = {}) {
+  const busy = parseFlag(raw.busy);
+  const encoding = parseFlag(raw.encoding);
+  const ready = parseFlag(raw.ready);
+  const group = raw.group === undefined || raw.group === null || raw.group === 'None' ? null : Number(raw.group);
+  return {
+    busy,
+    encoding,
+    ready,
+    group: Number.isNaN(group) ? null : group,
+    idle: busy !== true && encoding !== true && ready !== false
+  };
+}
+
+module.exports = { parseFlag, normalizeCameraStatus };
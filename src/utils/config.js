@@ -1,41 +1,272 @@
 /**
  * Configuration utility for LayerSync
- * Handles loading and validation of configuration files
+ * Handles loading and validation of configuration files, with settings from the
+ * environment and the command line layered on top (see configSources)
  */
 
 const fs = require('fs');
 const path = require('path');
+const ConfigCipher = require('./configCipher');
+const { SCHEMA, LEGACY_PRINTER_KEYS, validateConfig, configError } = require('./configSchema');
+const { createTriggerStrategy } = require('../services/triggers');
+
+// Keys whose values /api/debug only shows to admins (MQTT access codes, password and token hashes)
+const SECRET_KEY_PATTERN = /password|secret|access_code|api_key|hash$/i;
 
 class ConfigManager {
-  constructor(configPath) {
+  /**
+   * @param {string} configPath - Path of the JSON configuration file
+   * @param {Object} [options] - Options
+   * @param {Function} [options.log] - Logger (message, level)
+   * @param {ConfigCipher} [options.cipher] - Encrypts the secrets in the file; without it they stay as they are
+   * @param {Object} [options.overrides] - Settings that win over the file and are never saved to it
+   */
+  constructor(configPath, options = {}) {
     this.configPath = configPath;
+    this.log = options.log || ((message, level) => (level === 'ERROR' ? console.error : console.log)(message));
+    this.cipher = options.cipher || null;
+    // Set when the file's secrets can't be decrypted: saving would replace them with nothing
+    this.saveBlocked = null;
+    // The file's configuration; get(), getAll() and printerDefinitions() see it with the overrides applied
     this.config = {};
+    this.overrides = options.overrides || {};
     this.loaded = false;
   }
 
+  /**
+   * Replace the settings layered over the file
+   * @param {Object} overrides - Settings by key (from envOverrides / parseArgs)
+   */
+  setOverrides(overrides) {
+    this.overrides = { ...overrides };
+  }
+
+  /**
+   * The configuration in effect: the file with the overrides applied. Printer settings go to
+   * the first printer of a `printers` list, so LAYERSYNC_PRINTER_IP works for both layouts.
+   * @returns {Object} Configuration
+   */
+  effective() {
+    const config = { ...this.config };
+    for (const [key, value] of Object.entries(this.overrides)) {
+      if (LEGACY_PRINTER_KEYS.includes(key) && Array.isArray(config.printers) && config.printers.length > 0) {
+        config.printers = [{ ...config.printers[0], [key]: value }, ...config.printers.slice(1)];
+      } else {
+        config[key] = value;
+      }
+    }
+    return config;
+  }
+
   /**
    * Load configuration from file
    * @returns {boolean} Success status
+   * @throws {Error} INVALID_CONFIG (with `errors`) when the settings are invalid; nothing is loaded then
    */
   load() {
     try {
       if (!fs.existsSync(this.configPath)) {
-        console.error(`Configuration file not found: ${this.configPath}`);
-        return false;
+        this.log(`Configuration file not found: ${this.configPath}`, 'WARN');
+        // A printer set up entirely through the environment or the command line is enough to run
+        if (this.printerDefinitions().length === 0) {
+          this.loaded = false;
+          return false;
+        }
+        ConfigManager.assertValid(this.effective());
+        this.loaded = true;
+        return true;
       }
 
-      const configData = fs.readFileSync(this.configPath, 'utf8');
-      this.config = JSON.parse(configData);
+      const stored = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+      this.config = this.cipher ? this.cipher.decryptSecrets(stored) : stored;
+      ConfigManager.assertValid(this.effective());
       this.loaded = true;
 
-      console.log('Configuration loaded successfully');
+      this.log(`Configuration loaded from ${path.basename(this.configPath)}`, 'SUCCESS');
+      if (this.cipher) {
+        this.encryptPlainSecrets(stored);
+      }
       return true;
     } catch (error) {
-      console.error(`Failed to load configuration: ${error.message}`);
+      this.log(`Failed to load configuration: ${error.message}`, 'ERROR');
+      if (['DECRYPT_FAILED', 'KEY_MISSING', 'INVALID_CONFIG'].includes(error.code)) {
+        this.saveBlocked = error.message;
+      }
+      // Running with some settings silently ignored would be worse than not running
+      if (error.code === 'INVALID_CONFIG') {
+        this.config = {};
+        this.loaded = false;
+        throw error;
+      }
       return false;
     }
   }
 
+  /**
+   * Problems of a configuration: the schema's, plus trigger strategies that are not registered
+   * or refuse their options (the schema can't know the custom ones)
+   * @param {Object} config - Configuration
+   * @returns {Array<{path: string, message: string}>} Problems
+   */
+  static problems(config) {
+    const errors = validateConfig(config);
+    const triggers = [['trigger', config.trigger]];
+    if (Array.isArray(config.printers)) {
+      config.printers.forEach((definition, index) => triggers.push([`printers[${index}].trigger`, definition.trigger]));
+    }
+    for (const [triggerPath, trigger] of triggers) {
+      // A trigger the schema already refused would only be reported twice
+      if (!trigger || errors.some((problem) => problem.path.startsWith(triggerPath))) {
+        continue;
+      }
+      try {
+        createTriggerStrategy(trigger);
+      } catch (e) {
+        errors.push({ path: triggerPath, message: e.message });
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Throw when a configuration has problems; every write checks the whole result
+   * @param {Object} config - Configuration
+   */
+  static assertValid(config) {
+    const errors = ConfigManager.problems(config);
+    if (errors.length > 0) {
+      throw configError(errors);
+    }
+  }
+
+  // Configurations written before secrets were encrypted are upgraded on their first load
+  encryptPlainSecrets(stored) {
+    const count = ConfigCipher.countPlainSecrets(stored);
+    if (count === 0) {
+      return;
+    }
+    try {
+      this.save();
+      this.log(`Encrypted ${count} secret(s) in ${path.basename(this.configPath)}`, 'SUCCESS');
+    } catch (error) {
+      this.log(`Could not encrypt the secrets in ${path.basename(this.configPath)}: ${error.message}`, 'WARN');
+    }
+  }
+
+  /**
+   * Write the configuration to its file, with its secrets encrypted when there is a cipher
+   */
+  save() {
+    if (this.saveBlocked) {
+      throw new Error(`Not overwriting ${path.basename(this.configPath)}: ${this.saveBlocked}`);
+    }
+    const stored = this.cipher ? this.cipher.encryptSecrets(this.config) : this.config;
+    fs.mkdirSync(path.dirname(this.configPath), { recursive: true });
+    fs.writeFileSync(this.configPath, JSON.stringify(stored, null, 2));
+    this.loaded = true;
+  }
+
+  /**
+   * Merge changes into the configuration and save it
+   * @param {Object} changes - Configuration keys to change
+   * @throws {Error} INVALID_CONFIG (with `errors`) when the configuration would be invalid
+   */
+  update(changes) {
+    const config = { ...this.config, ...changes };
+    ConfigManager.assertValid(config);
+    this.config = config;
+    this.save();
+  }
+
+  /**
+   * Printer definitions of a configuration: the `printers` list, or the legacy flat
+   * printer_ip/printer_serial/mqtt_password keys for single-printer setups
+   * @param {Object} config - Configuration
+   * @returns {Array<Object>} Definitions, each with an id and a name
+   */
+  static printerDefinitions(config) {
+    let definitions = [];
+    if (Array.isArray(config.printers)) {
+      definitions = config.printers;
+    } else if (config.printer_ip || config.printer_serial) {
+      definitions = [Object.fromEntries(LEGACY_PRINTER_KEYS.map((key) => [key, config[key]]))];
+    }
+
+    return definitions.map((definition, index) => {
+      const id = String(definition.id || definition.printer_serial || `printer${index + 1}`);
+      return { ...definition, id, name: definition.name || id };
+    });
+  }
+
+  /**
+   * Printer definitions of this configuration
+   * @returns {Array<Object>} Definitions, each with an id and a name
+   */
+  printerDefinitions() {
+    return ConfigManager.printerDefinitions(this.effective());
+  }
+
+  /**
+   * The `printers` list, converting a legacy flat configuration to one first
+   * @returns {Array<Object>} Configured printers (the live list)
+   */
+  printers() {
+    if (!Array.isArray(this.config.printers)) {
+      this.config.printers = ConfigManager.printerDefinitions(this.config);
+      for (const key of LEGACY_PRINTER_KEYS) {
+        delete this.config[key];
+      }
+    }
+    return this.config.printers;
+  }
+
+  /**
+   * Add a printer and save the configuration
+   * @param {Object} definition - Printer definition (id defaults to the serial)
+   * @returns {Object} Stored definition
+   * @throws {Error} INVALID_CONFIG (with `errors`) when the configuration would be invalid
+   */
+  addPrinter(definition) {
+    const list = this.printers();
+    const id = String(definition.id || definition.printer_serial);
+    if (list.some((existing) => String(existing.id || existing.printer_serial) === id)) {
+      throw new Error(`Printer "${id}" already exists`);
+    }
+    const stored = { ...definition, id, name: definition.name || id };
+    ConfigManager.assertValid({ ...this.config, printers: [...list, stored] });
+    list.push(stored);
+    this.save();
+    return stored;
+  }
+
+  /**
+   * Change a printer's settings and save the configuration
+   * @param {string} id - Printer id
+   * @param {Object} changes - Settings to change
+   * @throws {Error} INVALID_CONFIG (with `errors`) when the configuration would be invalid
+   */
+  updatePrinter(id, changes) {
+    const list = this.printers();
+    const index = list.findIndex((definition) => String(definition.id) === id);
+    if (index === -1) {
+      throw new Error(`Printer "${id}" is not configured`);
+    }
+    const definition = { ...list[index], ...changes, id };
+    const printers = list.map((existing, i) => (i === index ? definition : existing));
+    ConfigManager.assertValid({ ...this.config, printers });
+    list[index] = definition;
+    this.save();
+  }
+
+  /**
+   * Remove a printer and save the configuration
+   * @param {string} id - Printer id
+   */
+  removePrinter(id) {
+    this.config.printers = this.printers().filter((definition) => String(definition.id) !== id);
+    this.save();
+  }
+
   /**
    * Get configuration value
    * @param {string} key - Configuration key
@@ -43,7 +274,8 @@ class ConfigManager {
    * @returns {*} Configuration value
    */
   get(key, defaultValue = null) {
-    return this.config[key] !== undefined ? this.config[key] : defaultValue;
+    const config = this.effective();
+    return config[key] !== undefined ? config[key] : defaultValue;
   }
 
   /**
@@ -57,10 +289,10 @@ class ConfigManager {
 
   /**
    * Get all configuration
-   * @returns {Object} Complete configuration object
+   * @returns {Object} Complete configuration object, with the overrides applied
    */
   getAll() {
-    return { ...this.config };
+    return this.effective();
   }
 
   /**
@@ -82,14 +314,39 @@ class ConfigManager {
     }
 
     for (const key of requiredKeys) {
-      if (this.config[key] === undefined || this.config[key] === null || this.config[key] === '') {
-        console.error(`Missing required configuration: ${key}`);
+      if ([null, ''].includes(this.get(key))) {
+        this.log(`Missing required configuration: ${key}`, 'ERROR');
         return false;
       }
     }
 
     return true;
   }
+
+  /**
+   * Copy of a configuration with every secret replaced by "***"
+   * @param {*} value - Configuration (or any part of it)
+   * @returns {*} Redacted copy
+   */
+  static redactSecrets(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => ConfigManager.redactSecrets(item));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_KEY_PATTERN.test(key) && ![undefined, null, ''].includes(item)
+          ? '***'
+          : ConfigManager.redactSecrets(item)
+      ])
+    );
+  }
 }
 
+ConfigManager.LEGACY_PRINTER_KEYS = LEGACY_PRINTER_KEYS;
+ConfigManager.SCHEMA = SCHEMA;
+
 module.exports = ConfigManager;
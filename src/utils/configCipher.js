@@ -0,0 +1,183 @@
+/**
+ * Configuration encryption for LayerSync
+ * Encrypts the secrets of a configuration (printer access codes, passwords) with AES-256-GCM,
+ * so config.json never holds them in plain text. The key comes from LAYERSYNC_SECRET_KEY,
+ * or from a key file next to the configuration that is created on first use.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Keys whose values are encrypted (hashes are stored as they are, they are not secret)
+const ENCRYPTED_KEY_PATTERN = /(password|secret|access_code|api_key)$/i;
+const PREFIX = 'enc:v1:';
+const KEY_FILE_NAME = 'secret.key';
+
+class ConfigCipher {
+  /**
+   * @param {Object} [options] - Key source; the first one set wins
+   * @param {string} [options.secret] - Key as 64 hex characters, or a passphrase to derive it from
+   * @param {string} [options.keyFile] - File holding the key (hex); created when the first secret is encrypted
+   */
+  constructor(options = {}) {
+    this.secret = options.secret || null;
+    this.keyFile = options.keyFile || null;
+    this.cachedKey = null;
+  }
+
+  /**
+   * Cipher for a configuration file: LAYERSYNC_SECRET_KEY, else LAYERSYNC_KEY_FILE,
+   * else secret.key in the configuration's directory
+   * @param {string} configPath - Configuration file
+   * @param {Object} [env] - Environment
+   * @returns {ConfigCipher} Cipher
+   */
+  static fromEnvironment(configPath, env = process.env) {
+    return new ConfigCipher({
+      secret: env.LAYERSYNC_SECRET_KEY,
+      keyFile: env.LAYERSYNC_KEY_FILE || path.join(path.dirname(configPath), KEY_FILE_NAME)
+    });
+  }
+
+  /**
+   * The 32-byte key, read or created on first use
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.create=true] - Create a missing key file; false when decrypting
+   * @returns {Buffer} Key
+   * @throws {Error} KEY_MISSING when the key file doesn't exist and may not be created
+   */
+  key(options = {}) {
+    if (!this.cachedKey) {
+      this.cachedKey = this.secret ? ConfigCipher.deriveKey(this.secret) : this.readKeyFile(options.create !== false);
+    }
+    return this.cachedKey;
+  }
+
+  readKeyFile(create) {
+    if (!this.keyFile) {
+      throw new Error('No encryption key: set LAYERSYNC_SECRET_KEY or a key file');
+    }
+    if (!fs.existsSync(this.keyFile)) {
+      // A new key could never decrypt what the old one encrypted
+      if (!create) {
+        throw Object.assign(
+          new Error(
+            `Key file ${this.keyFile} is missing but the configuration holds encrypted secrets: ` +
+              'restore the key file or set LAYERSYNC_SECRET_KEY'
+          ),
+          { code: 'KEY_MISSING' }
+        );
+      }
+      fs.mkdirSync(path.dirname(this.keyFile), { recursive: true });
+      // wx: never replace a key another process just wrote
+      fs.writeFileSync(this.keyFile, `${crypto.randomBytes(32).toString('hex')}\n`, { mode: 0o600, flag: 'wx' });
+    }
+    const key = Buffer.from(fs.readFileSync(this.keyFile, 'utf8').trim(), 'hex');
+    if (key.length !== 32) {
+      throw new Error(`Key file ${this.keyFile} must hold 64 hex characters`);
+    }
+    return key;
+  }
+
+  /**
+   * Encrypt a value
+   * @param {string} text - Plain text
+   * @returns {string} "enc:v1:<iv>:<tag>:<ciphertext>", base64 encoded
+   */
+  encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+    return PREFIX + [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+  }
+
+  /**
+   * Decrypt a value made by encrypt()
+   * @param {string} value - Encrypted value
+   * @returns {string} Plain text
+   * @throws {Error} KEY_MISSING without a key file, DECRYPT_FAILED when the key doesn't fit
+   */
+  decrypt(value) {
+    const key = this.key({ create: false });
+    try {
+      const [iv, tag, encrypted] = value
+        .slice(PREFIX.length)
+        .split(':')
+        .map((part) => Buffer.from(part, 'base64'));
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch (e) {
+      throw Object.assign(new Error('Cannot decrypt the configuration secrets (wrong or missing key?)'), {
+        code: 'DECRYPT_FAILED'
+      });
+    }
+  }
+
+  /**
+   * Copy of a configuration with every secret encrypted
+   * @param {*} config - Configuration
+   * @returns {*} Configuration as written to the file
+   */
+  encryptSecrets(config) {
+    return ConfigCipher.mapSecrets(config, (value) => (ConfigCipher.isEncrypted(value) ? value : this.encrypt(value)));
+  }
+
+  /**
+   * Copy of a configuration with every secret decrypted
+   * @param {*} config - Configuration as read from the file
+   * @returns {*} Configuration
+   */
+  decryptSecrets(config) {
+    return ConfigCipher.mapSecrets(config, (value) => (ConfigCipher.isEncrypted(value) ? this.decrypt(value) : value));
+  }
+
+  /**
+   * Number of secrets a configuration still holds in plain text
+   * @param {*} config - Configuration as read from the file
+   * @returns {number} Plain secrets
+   */
+  static countPlainSecrets(config) {
+    let count = 0;
+    ConfigCipher.mapSecrets(config, (value) => {
+      if (!ConfigCipher.isEncrypted(value)) {
+        count++;
+      }
+      return value;
+    });
+    return count;
+  }
+
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  static deriveKey(secret) {
+    return /^[0-9a-f]{64}$/i.test(secret)
+      ? Buffer.from(secret, 'hex')
+      : crypto.scryptSync(secret, 'layersync-config', 32);
+  }
+
+  // Copy `value`, replacing every non-empty string under a secret key with fn(string)
+  static mapSecrets(value, fn) {
+    if (Array.isArray(value)) {
+      return value.map((item) => ConfigCipher.mapSecrets(item, fn));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        ENCRYPTED_KEY_PATTERN.test(key) && typeof item === 'string' && item !== ''
+          ? fn(item)
+          : ConfigCipher.mapSecrets(item, fn)
+      ])
+    );
+  }
+}
+
+ConfigCipher.KEY_FILE_NAME = KEY_FILE_NAME;
+
+module.exports = ConfigCipher;
@@ -0,0 +1,330 @@
+/**
+ * Configuration schema for LayerSync
+ * JSON Schema of config.json (served at GET /api/config/schema so the UI can render forms)
+ * and a validator for the subset of JSON Schema it uses
+ */
+
+// Printer settings of a legacy single-printer configuration (flat keys next to everything else)
+const LEGACY_PRINTER_KEYS = [
+  'printer_ip',
+  'printer_serial',
+  'mqtt_username',
+  'mqtt_password',
+  'photo_trigger_delay',
+  'capture_mode',
+  'park_position',
+  'park_settle_ms',
+  'park_timeout_ms',
+  'printer_park_wait_ms',
+  'camera_ready_timeout_ms',
+  'trigger',
+  'capture_policy'
+];
+
+// Kept in step with CaptureService.CAPTURE_MODES, PrinterService.CAPTURE_POLICIES and AuthService.SCOPES
+const CAPTURE_MODES = ['delay', 'pause', 'printer_park'];
+const CAPTURE_POLICIES = ['follow_printer', 'always', 'never'];
+const AUTH_SCOPES = ['read', 'control', 'config', 'admin'];
+// Highest frame rate RenderService accepts
+const MAX_RENDER_FPS = 120;
+
+const ENV_PREFIX = 'LAYERSYNC_';
+
+const milliseconds = (description, defaultValue, minimum = 0) => ({
+  type: 'integer',
+  minimum,
+  maximum: 600000,
+  default: defaultValue,
+  description
+});
+
+const PRINTER_PROPERTIES = {
+  id: { type: 'string', minLength: 1, description: 'Printer id used in the API (defaults to the serial)' },
+  name: { type: 'string', description: 'Name shown in the UI' },
+  printer_ip: {
+    type: 'string',
+    pattern: '^[A-Za-z0-9.:-]+$',
+    patternHint: 'an IP address or host name',
+    description: 'IP address or host name of the printer'
+  },
+  printer_serial: { type: 'string', minLength: 1, description: 'Printer serial number' },
+  mqtt_username: { type: 'string', description: 'MQTT user (the printer serial when left out)' },
+  mqtt_password: { type: 'string', minLength: 1, writeOnly: true, description: 'LAN access code' },
+  photo_trigger_delay: milliseconds('Delay between a layer change and the photo (ms)', 800),
+  capture_mode: { enum: CAPTURE_MODES, default: 'delay', description: 'How the toolhead is kept out of the photo' },
+  park_position: {
+    type: 'object',
+    description: 'Where the pause mode parks the toolhead (X/Y only, the height is left alone)',
+    required: ['x', 'y'],
+    properties: {
+      x: { type: 'number' },
+      y: { type: 'number' },
+      feedrate: { type: 'number', exclusiveMinimum: 0 }
+    },
+    additionalProperties: false
+  },
+  park_settle_ms: milliseconds('Extra wait after the park move finished (ms)', 0),
+  park_timeout_ms: milliseconds('Time the printer gets to pause and to park (ms)', 20000, 1000),
+  printer_park_wait_ms: milliseconds("Longest wait for the printer's own timelapse parking (ms)", 10000),
+  camera_ready_timeout_ms: milliseconds('Longest wait for busy cameras before a layer photo (ms)', 3000),
+  trigger: { $ref: '#/definitions/trigger' },
+  capture_policy: {
+    enum: CAPTURE_POLICIES,
+    default: 'follow_printer',
+    description: 'When layer photos are taken'
+  },
+  cameras: {
+    type: 'array',
+    items: { type: 'string', minLength: 1 },
+    description: 'Cameras this printer fires (all cameras when left out)'
+  }
+};
+
+const SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'LayerSync configuration',
+  type: 'object',
+  additionalProperties: false,
+  definitions: {
+    printer: {
+      type: 'object',
+      required: ['printer_ip', 'printer_serial', 'mqtt_password'],
+      properties: PRINTER_PROPERTIES,
+      additionalProperties: false
+    },
+    trigger: {
+      type: 'object',
+      description: 'Photo trigger strategy and its options',
+      properties: {
+        strategy: {
+          type: 'string',
+          minLength: 1,
+          default: 'every_layer',
+          description: 'every_layer, every_n_layers, interval, progress, height, frame_count or a custom strategy'
+        },
+        n: { type: 'integer', minimum: 1, description: 'every_n_layers: layers between photos' },
+        seconds: { type: 'number', exclusiveMinimum: 0, description: 'interval: seconds between photos' },
+        step_percent: { type: 'number', exclusiveMinimum: 0, maximum: 100, description: 'progress: percent step' },
+        every_mm: { type: 'number', exclusiveMinimum: 0, description: 'height: print height between photos' },
+        layer_height: { type: 'number', exclusiveMinimum: 0 },
+        first_layer_height: { type: 'number', exclusiveMinimum: 0 },
+        frames: { type: 'integer', minimum: 1, description: 'frame_count: photos over the whole print' }
+      }
+    },
+    camera: {
+      type: 'object',
+      description: 'Camera; drivers may take more options',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        driver: { type: 'string', minLength: 1, default: 'gopro' },
+        target: { type: 'string', description: 'BLE name of the GoPro to pair with' },
+        mock: { type: ['boolean', 'object'], description: 'Use the mock GoPro (true or mock options)' },
+        heartbeat_interval_ms: milliseconds('Bridge heartbeat interval, 0 to disable (ms)', 15000),
+        heartbeat_timeout_ms: milliseconds('Time the bridge gets to answer a heartbeat (ms)', 5000, 1),
+        restart: {
+          type: ['boolean', 'object'],
+          description: 'Bridge restart backoff, false to never restart',
+          properties: {
+            initialDelayMs: { type: 'integer', minimum: 0 },
+            maxDelayMs: { type: 'integer', minimum: 0 },
+            factor: { type: 'number', minimum: 1 },
+            jitter: { type: 'number', minimum: 0, maximum: 1 }
+          }
+        }
+      }
+    }
+  },
+  properties: {
+    printers: { type: 'array', items: { $ref: '#/definitions/printer' }, description: 'Printers to follow' },
+    ...Object.fromEntries(LEGACY_PRINTER_KEYS.map((key) => [key, { ...PRINTER_PROPERTIES[key] }])),
+    cameras: { type: 'array', items: { $ref: '#/definitions/camera' }, description: 'Cameras (one GoPro if empty)' },
+    camera_driver: { type: 'string', minLength: 1, description: 'Driver of the single default camera' },
+    gopro_mock: { type: ['boolean', 'object'], description: 'Mock the single default camera' },
+    camera_status_poll_ms: milliseconds('Camera status poll interval, 0 to disable (ms)', 2000),
+    auto_download_media: { type: 'boolean', default: false, description: 'Download photos when a print ends' },
+    delete_media_after_download: { type: 'boolean', default: false, description: 'Delete downloaded photos' },
+    auto_render: { type: 'boolean', default: false, description: 'Render a timelapse after the download' },
+    ffmpeg_path: { type: 'string', minLength: 1, default: 'ffmpeg', description: 'ffmpeg used to render timelapses' },
+    render: {
+      type: 'object',
+      description: 'Timelapse render defaults',
+      properties: {
+        fps: { type: 'integer', minimum: 1, maximum: MAX_RENDER_FPS, default: 30 },
+        resolution: {
+          type: ['string', 'null'],
+          pattern: '^\\d+x\\d+$',
+          patternHint: 'like 1920x1080',
+          default: null
+        },
+        codec: { type: 'string', pattern: '^[\\w-]+$', patternHint: 'an ffmpeg encoder name', default: 'libx264' },
+        crf: { type: 'integer', minimum: 0, maximum: 51, default: 20 },
+        hold_seconds: { type: 'number', minimum: 0, default: 2 },
+        overlay: { type: 'boolean', default: false }
+      },
+      additionalProperties: false
+    },
+    record_mqtt: { type: 'boolean', default: false, description: 'Record printer reports per session' },
+    http_port: { type: 'integer', minimum: 0, maximum: 65535, default: 3000, description: 'Web server port' },
+    cors_origin: {
+      type: 'string',
+      minLength: 1,
+      description: 'Other site allowed to call the API from a browser (CORS), * for any; none when left out'
+    },
+    data_dir: { type: 'string', minLength: 1, description: 'Sessions, media and recordings (default: data/)' },
+    auth: {
+      type: 'object',
+      description: 'Managed with scripts/auth.js and /api/tokens',
+      properties: {
+        password_hash: { type: 'string', pattern: '^scrypt\\$', patternHint: 'a hash made by scripts/auth.js' },
+        session_hours: { type: 'number', exclusiveMinimum: 0, maximum: 8760, default: 24 },
+        tokens: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'name', 'scopes', 'hash'],
+            properties: {
+              id: { type: 'string', minLength: 1 },
+              name: { type: 'string', minLength: 1 },
+              scopes: { type: 'array', minItems: 1, items: { enum: AUTH_SCOPES } },
+              hash: { type: 'string', pattern: '^[0-9a-f]{64}$', patternHint: 'a SHA-256 hash' },
+              created_at: { type: 'string' }
+            }
+          }
+        }
+      },
+      additionalProperties: false
+    }
+  }
+};
+
+// Top-level settings with a single value can also come from the environment and the command line
+for (const [key, property] of Object.entries(SCHEMA.properties)) {
+  const types = [].concat(property.type || (property.enum ? 'string' : []));
+  if (types.length === 1 && ['string', 'integer', 'number', 'boolean'].includes(types[0])) {
+    property['x-env'] = ENV_PREFIX + key.toUpperCase();
+    property['x-cli'] = `--${key.replace(/_/g, '-')}`;
+  }
+}
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'a list',
+  null: 'null'
+};
+
+function resolve(schema) {
+  return schema.$ref ? SCHEMA.definitions[schema.$ref.replace('#/definitions/', '')] : schema;
+}
+
+function child(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+// Check `value` against `schema`, adding { path, message } entries to `errors`
+function check(value, schema, path, errors) {
+  schema = resolve(schema);
+  const fail = (message) => errors.push({ path: path || '(config)', message });
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some((type) => TYPE_CHECKS[type](value))) {
+    fail(`must be ${types.map((type) => TYPE_NAMES[type]).join(' or ')}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      fail('must not be empty');
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must be ${schema.patternHint || `like /${schema.pattern}/`}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    } else if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be more than ${schema.exclusiveMinimum}`);
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(item, schema.items, child(path, index), errors));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value) && (schema.properties || schema.required)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push({ path: child(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const property = schema.properties && schema.properties[key];
+      if (property) {
+        if (item !== undefined) {
+          check(item, property, child(path, key), errors);
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: child(path, key), message: 'is not a known setting' });
+      }
+    }
+  }
+}
+
+/**
+ * Validate a configuration (or a part of it) against the schema
+ * @param {*} value - Configuration
+ * @param {Object} [schema] - Schema to check against (default: the whole configuration)
+ * @returns {Array<{path: string, message: string}>} Problems, empty when valid
+ */
+function validateConfig(value, schema = SCHEMA) {
+  const errors = [];
+  check(value, schema, '', errors);
+  return errors;
+}
+
+/**
+ * Error listing the problems of a configuration
+ * @param {Array<{path: string, message: string}>} errors - Problems from validateConfig
+ * @returns {Error} Error with code 'INVALID_CONFIG' and the problems in `errors`
+ */
+function configError(errors) {
+  const list = errors.map(({ path, message }) => `${path} ${message}`).join('; ');
+  return Object.assign(new Error(`Invalid configuration: ${list}`), { code: 'INVALID_CONFIG', errors });
+}
+
+module.exports = {
+  SCHEMA,
+  LEGACY_PRINTER_KEYS,
+  CAPTURE_MODES,
+  CAPTURE_POLICIES,
+  AUTH_SCOPES,
+  MAX_RENDER_FPS,
+  ENV_PREFIX,
+  validateConfig,
+  configError
+};
@@ -0,0 +1,146 @@
+/**
+ * Configuration sources for LayerSync
+ * Reads settings from environment variables (LAYERSYNC_PRINTER_IP, ...) and command line
+ * flags (--printer-ip, ...). Both win over config.json and are never saved to it.
+ */
+
+const { SCHEMA, validateConfig, configError } = require('./configSchema');
+
+// Older names that keep working: PORT predates LAYERSYNC_HTTP_PORT
+const ENV_ALIASES = { PORT: 'http_port' };
+
+const TRUE_WORDS = ['1', 'true', 'yes', 'on'];
+const FALSE_WORDS = ['0', 'false', 'no', 'off'];
+
+// Settings that can be overridden: the top-level ones with a single value
+function overridable() {
+  return Object.entries(SCHEMA.properties).filter(([, property]) => property['x-env']);
+}
+
+function propertyType(property) {
+  return property.type || 'string';
+}
+
+// Turn the text of an environment variable or flag into the setting's type and check it
+function parseValue(key, text, source, errors) {
+  const property = SCHEMA.properties[key];
+  const type = propertyType(property);
+  let value = text;
+  if (type === 'integer' || type === 'number') {
+    value = text.trim() === '' ? NaN : Number(text);
+  } else if (type === 'boolean') {
+    const word = text.toLowerCase();
+    value = TRUE_WORDS.includes(word) ? true : FALSE_WORDS.includes(word) ? false : text;
+  }
+
+  const problems = validateConfig(value, property);
+  if (problems.length > 0) {
+    errors.push({ path: source, message: `${problems[0].message} (got "${text}")` });
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Settings from LAYERSYNC_<SETTING> environment variables (empty ones are ignored)
+ * @param {Object} [env] - Environment
+ * @returns {Object} Settings by key
+ * @throws {Error} INVALID_CONFIG naming the variables with invalid values
+ */
+function envOverrides(env = process.env) {
+  const overrides = {};
+  const errors = [];
+  const names = [...Object.entries(ENV_ALIASES), ...overridable().map(([key, property]) => [property['x-env'], key])];
+  for (const [name, key] of names) {
+    if (env[name] !== undefined && env[name] !== '') {
+      const value = parseValue(key, env[name], name, errors);
+      if (value !== undefined) {
+        overrides[key] = value;
+      }
+    }
+  }
+  if (errors.length > 0) {
+    throw configError(errors);
+  }
+  return overrides;
+}
+
+/**
+ * Parse the command line: --<setting> <value>, --<setting>=<value>, --<flag> / --no-<flag>
+ * for true/false settings, --config <file> and --help
+ * @param {Array<string>} argv - Arguments (without node and the script)
+ * @returns {{overrides: Object, configPath: string|null, help: boolean}} Parsed arguments
+ * @throws {Error} INVALID_CONFIG naming unknown flags and invalid values
+ */
+function parseArgs(argv) {
+  const flags = new Map(overridable().map(([key, property]) => [property['x-cli'], key]));
+  const result = { overrides: {}, configPath: null, help: false };
+  const errors = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    const negated = !flags.has(flag) && flag.startsWith('--no-') ? `--${flag.slice(5)}` : null;
+    const key = flags.get(negated || flag);
+    const boolean = Boolean(key) && propertyType(SCHEMA.properties[key]) === 'boolean';
+    const takeValue = () => (inline !== undefined ? inline : argv[++i]);
+
+    if (flag === '--help' || flag === '-h') {
+      result.help = true;
+    } else if (flag === '--config') {
+      result.configPath = takeValue() || null;
+      if (!result.configPath) {
+        errors.push({ path: flag, message: 'needs a file' });
+      }
+    } else if (!key || (negated && (!boolean || inline !== undefined))) {
+      errors.push({ path: argv[i], message: 'is not a known option' });
+    } else if (boolean && inline === undefined) {
+      result.overrides[key] = !negated;
+    } else {
+      const text = takeValue();
+      if (text === undefined) {
+        errors.push({ path: flag, message: 'needs a value' });
+        continue;
+      }
+      const value = parseValue(key, text, flag, errors);
+      if (value !== undefined) {
+        result.overrides[key] = value;
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw configError(errors);
+  }
+  return result;
+}
+
+/**
+ * Help text listing every setting with its flag and environment variable
+ * @returns {string} Usage
+ */
+function usage() {
+  const lines = [
+    'Usage: npm start -- [options]',
+    '',
+    'Settings given here or in the environment win over config.json and are not saved to it.',
+    '',
+    '  --config <file>',
+    '      Configuration file (LAYERSYNC_CONFIG)',
+    '  --help',
+    '      Show this help'
+  ];
+  for (const [, property] of overridable()) {
+    const type = propertyType(property);
+    const flag = property['x-cli'];
+    lines.push(
+      type === 'boolean'
+        ? `  ${flag}, --no-${flag.slice(2)}`
+        : `  ${flag} <${property.enum ? property.enum.join('|') : type}>`,
+      `      ${property.description ? `${property.description} ` : ''}(${property['x-env']})`
+    );
+  }
+  lines.push('', 'PORT is still read as the HTTP port when LAYERSYNC_HTTP_PORT is not set.');
+  return lines.join('\n');
+}
+
+module.exports = { envOverrides, parseArgs, usage, ENV_ALIASES };
@@ -1,12 +1,17 @@
 /**
  * Logger utility for LayerSync
- * Provides consistent logging across the application
+ * Provides consistent logging across the application; every line is also emitted as a 'line' event
  */
 
-class Logger {
+const { EventEmitter } = require('events');
+
+class Logger extends EventEmitter {
   constructor() {
+    super();
     this.logBuffer = [];
     this.maxBufferSize = 400;
+    // Set during shutdown to suppress the errors and warnings of connections being torn down
+    this.quiet = false;
   }
 
   /**
@@ -15,6 +20,10 @@ class Logger {
    * @param {string} level - Log level (INFO, ERROR, WARN, SUCCESS)
    */
   log(message, level = 'INFO') {
+    if (this.quiet && (level === 'ERROR' || level === 'WARN')) {
+      return;
+    }
+
     const timestamp = new Date().toLocaleTimeString();
     const line = `[${timestamp}] [${level}] ${message}`;
 
@@ -27,6 +36,7 @@ class Logger {
     if (this.logBuffer.length > this.maxBufferSize) {
       this.logBuffer.shift();
     }
+    this.emit('line', { line, level, message });
   }
 
   /**
@@ -0,0 +1,152 @@
+const path = require('path');
+const AuthService = require('../src/services/authService');
+const ConfigManager = require('../src/utils/config');
+const { makeTempDir, removeTempDir } = require('./helpers');
+
+const { SESSION_COOKIE } = AuthService;
+
+describe('AuthService', () => {
+  let directory;
+  let settings;
+  let now;
+  let auth;
+
+  const request = (headers = {}) => ({ headers });
+  const withSession = (sessionId) => request({ cookie: `theme=dark; ${SESSION_COOKIE}=${sessionId}` });
+  const withToken = (token) => request({ authorization: `Bearer ${token}` });
+
+  beforeEach(() => {
+    directory = makeTempDir();
+    settings = new ConfigManager(path.join(directory, 'config.json'), { log: () => {} });
+    now = 1000000;
+    auth = new AuthService(settings, { now: () => now });
+  });
+
+  afterEach(() => {
+    removeTempDir(directory);
+  });
+
+  test('is open until a password or token is configured, without the admin scope', () => {
+    expect(auth.isEnabled()).toBe(false);
+    expect(auth.authenticate(request())).toEqual({
+      name: 'anonymous',
+      via: 'open',
+      scopes: ['read', 'control', 'config']
+    });
+  });
+
+  test('hashes passwords with a salt', () => {
+    const first = AuthService.hashPassword('correct horse');
+    expect(first).toMatch(/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+    expect(AuthService.hashPassword('correct horse')).not.toBe(first);
+    expect(AuthService.verifyPassword('correct horse', first)).toBe(true);
+    expect(AuthService.verifyPassword('wrong horse', first)).toBe(false);
+    expect(AuthService.verifyPassword('correct horse', 'plain')).toBe(false);
+  });
+
+  test('a login opens a session that grants every scope until it expires', () => {
+    auth.setPassword('correct horse');
+    expect(settings.get('auth').password_hash).toMatch(/^scrypt\$/);
+    expect(auth.authenticate(request())).toBeNull();
+    expect(auth.login('wrong')).toBeNull();
+
+    const sessionId = auth.login('correct horse');
+    expect(auth.authenticate(withSession(sessionId))).toMatchObject({ name: 'admin', via: 'session', sessionId });
+    expect(AuthService.allows(auth.authenticate(withSession(sessionId)), 'admin')).toBe(true);
+
+    // Every request keeps the session alive
+    now += 23 * 3600 * 1000;
+    expect(auth.authenticate(withSession(sessionId))).not.toBeNull();
+    now += 23 * 3600 * 1000;
+    expect(auth.authenticate(withSession(sessionId))).not.toBeNull();
+    now += 25 * 3600 * 1000;
+    expect(auth.authenticate(withSession(sessionId))).toBeNull();
+  });
+
+  test('logging out or changing the password ends sessions', () => {
+    auth.setPassword('correct horse');
+    const first = auth.login('correct horse');
+    auth.logout(first);
+    expect(auth.authenticate(withSession(first))).toBeNull();
+
+    const second = auth.login('correct horse');
+    auth.setPassword('battery staple');
+    expect(auth.authenticate(withSession(second))).toBeNull();
+  });
+
+  test('makes a client wait after too many wrong passwords', () => {
+    auth.setPassword('correct horse');
+    for (let i = 0; i < AuthService.MAX_FAILED_LOGINS; i++) {
+      expect(auth.login('wrong', '10.0.0.9')).toBeNull();
+    }
+    expect(() => auth.login('correct horse', '10.0.0.9')).toThrow(
+      expect.objectContaining({ code: 'LOGIN_THROTTLED', retryAfterMs: 15 * 60 * 1000 })
+    );
+    // Other clients are not affected
+    expect(auth.login('correct horse', '10.0.0.10')).not.toBeNull();
+
+    now += 15 * 60 * 1000;
+    expect(auth.loginRetryAfter('10.0.0.9')).toBe(0);
+    expect(auth.login('correct horse', '10.0.0.9')).not.toBeNull();
+    expect(auth.failedLogins.size).toBe(0);
+  });
+
+  test('a successful login forgets the earlier wrong passwords', () => {
+    auth.setPassword('correct horse');
+    for (let i = 0; i < AuthService.MAX_FAILED_LOGINS - 1; i++) {
+      auth.login('wrong', '10.0.0.9');
+    }
+    expect(auth.login('correct horse', '10.0.0.9')).not.toBeNull();
+    expect(auth.login('wrong', '10.0.0.9')).toBeNull();
+    expect(auth.loginRetryAfter('10.0.0.9')).toBe(0);
+  });
+
+  test('rejects short passwords', () => {
+    expect(() => auth.setPassword('short')).toThrow('at least 8 characters');
+  });
+
+  test('tokens are stored hashed and grant their scopes', () => {
+    const { token, info } = auth.createToken('octoprint', ['control']);
+    expect(token).toMatch(/^lst_/);
+    expect(JSON.stringify(settings.config)).not.toContain(token);
+    expect(auth.listTokens()).toEqual([info]);
+    expect(info).not.toHaveProperty('hash');
+
+    expect(auth.isEnabled()).toBe(true);
+    expect(auth.authenticate(withToken(token))).toEqual({
+      name: 'token:octoprint',
+      via: 'token',
+      tokenId: info.id,
+      scopes: ['read', 'control']
+    });
+    expect(auth.authenticate(withToken('lst_wrong'))).toBeNull();
+
+    expect(auth.revokeToken(info.id)).toBe(true);
+    expect(auth.revokeToken(info.id)).toBe(false);
+    expect(auth.isEnabled()).toBe(false);
+  });
+
+  test('validates token names and scopes', () => {
+    expect(() => auth.createToken('', ['read'])).toThrow('name is required');
+    expect(() => auth.createToken('ci', [])).toThrow('scopes must be a list');
+    expect(() => auth.createToken('ci', ['root'])).toThrow('scopes must be a list');
+  });
+
+  test.each([
+    [['read'], ['read']],
+    [['config'], ['read', 'config']],
+    [
+      ['control', 'config'],
+      ['read', 'control', 'config']
+    ],
+    [['admin'], ['read', 'control', 'config', 'admin']]
+  ])('scopes %j grant %j', (scopes, granted) => {
+    expect(AuthService.expandScopes(scopes)).toEqual(granted);
+  });
+
+  test('session cookies are HttpOnly and same-site only', () => {
+    expect(auth.sessionCookie('abc')).toBe(`${SESSION_COOKIE}=abc; Path=/; HttpOnly; SameSite=Strict; Max-Age=86400`);
+    expect(auth.sessionCookie('')).toContain('Max-Age=0');
+    expect(AuthService.parseCookies('a=1; b=%E0%A4%A; c=x%20y')).toEqual({ a: '1', c: 'x y' });
+  });
+});
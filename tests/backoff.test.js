@@ -0,0 +1,20 @@
+const { backoffDelay } = require('../src/utils/backoff');
+
+describe('backoffDelay', () => {
+  const options = { initialDelayMs: 1000, maxDelayMs: 10000, factor: 2, jitter: 0.2 };
+
+  test('grows by the factor per attempt up to the cap', () => {
+    const delays = [0, 1, 2, 3, 4, 10].map((attempt) => backoffDelay(attempt, options, () => 0.5));
+    expect(delays).toEqual([1000, 2000, 4000, 8000, 10000, 10000]);
+  });
+
+  test('spreads the delay by the jitter without exceeding the cap', () => {
+    expect(backoffDelay(1, options, () => 0)).toBe(1600);
+    expect(backoffDelay(1, options, () => 0.999999)).toBe(2400);
+    expect(backoffDelay(10, options, () => 0.999999)).toBe(10000);
+  });
+
+  test('is exact without jitter', () => {
+    expect(backoffDelay(2, { initialDelayMs: 500, maxDelayMs: 30000, factor: 3 })).toBe(4500);
+  });
+});
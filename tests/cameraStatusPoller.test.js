@@ -0,0 +1,209 @@
+const CameraManager = require('../src/services/cameraManager');
+const CameraStatusPoller = require('../src/services/cameraStatusPoller');
+const GoProService = require('../src/services/goproService');
+const { CameraDriver, registerCameraDriver } = require('../src/services/cameras');
+const { parseFlag, normalizeCameraStatus } = require('../src/utils/cameraStatus');
+
+// Camera reporting whatever the test puts in `status`, the way the Python bridge does
+class StatusCamera extends CameraDriver {
+  constructor(options) {
+    super(options);
+    this.connected = true;
+    this.status = { busy: 'False', encoding: 'False', ready: 'True', group: 1 };
+    this.statusQueries = 0;
+  }
+
+  async getStatus() {
+    this.statusQueries++;
+    if (this.status instanceof Error) {
+      throw this.status;
+    }
+    return this.status;
+  }
+
+  async capture() {
+    return { success: true };
+  }
+
+  isReady() {
+    return this.connected;
+  }
+}
+registerCameraDriver('status-test', StatusCamera);
+
+describe('camera status flags', () => {
+  test.each([
+    ['True', true],
+    ['False', false],
+    ['1', true],
+    ['0', false],
+    [true, true],
+    [false, false],
+    ['None', null],
+    [undefined, null]
+  ])('%p is %p', (value, flag) => {
+    expect(parseFlag(value)).toBe(flag);
+  });
+
+  test('a camera is idle unless it is busy, encoding or reported not ready', () => {
+    expect(normalizeCameraStatus({ busy: 'False', encoding: 'False', ready: 'True', group: 1 })).toEqual({
+      busy: false,
+      encoding: false,
+      ready: true,
+      group: 1,
+      idle: true
+    });
+    expect(normalizeCameraStatus({ busy: 'True', encoding: 'False', ready: 'True' }).idle).toBe(false);
+    expect(normalizeCameraStatus({ busy: 'False', encoding: 'True', ready: 'True' }).idle).toBe(false);
+    expect(normalizeCameraStatus({ busy: 'False', encoding: 'False', ready: 'False' }).idle).toBe(false);
+    expect(normalizeCameraStatus({}).idle).toBe(true);
+  });
+});
+
+describe('CameraStatusPoller', () => {
+  let cameras;
+  let front;
+  let side;
+  let poller;
+
+  beforeEach(() => {
+    cameras = new CameraManager();
+    front = cameras.add({ name: 'front', driver: 'status-test' });
+    side = cameras.add({ name: 'side', driver: 'status-test' });
+    poller = new CameraStatusPoller(cameras);
+  });
+
+  afterEach(() => {
+    poller.stop();
+  });
+
+  test('asks the connected cameras and emits their normalized status', async () => {
+    side.connected = false;
+    front.status = { busy: 'True', encoding: 'False', ready: 'False', group: 1 };
+    const events = [];
+    poller.on('status', (name, status) => events.push([name, status]));
+
+    const statuses = await poller.poll();
+    expect(Object.keys(statuses)).toEqual(['front']);
+    expect(statuses.front).toMatchObject({ busy: true, encoding: false, ready: false, idle: false });
+    expect(statuses.front.checkedAt).toEqual(expect.any(Number));
+    expect(events).toEqual([['front', statuses.front]]);
+    expect(side.statusQueries).toBe(0);
+  });
+
+  test('a failed query is reported as not idle', async () => {
+    front.status = new Error('Not connected');
+    const { front: status } = await poller.poll(['front']);
+    expect(status).toMatchObject({ busy: null, idle: false, error: 'Not connected' });
+  });
+
+  test('a poll while a query is still running shares its answer', async () => {
+    const [first, second] = await Promise.all([poller.poll(['front']), poller.poll(['front'])]);
+    expect(front.statusQueries).toBe(1);
+    expect(second.front).toBe(first.front);
+  });
+
+  test('skips the cameras the skip option names', async () => {
+    poller = new CameraStatusPoller(cameras, { skip: (name) => name === 'side' });
+    expect(Object.keys(await poller.poll())).toEqual(['front']);
+  });
+
+  test('leaves cameras alone while their backend works on another command', async () => {
+    front.isBusy = () => true;
+    expect(await poller.poll()).toEqual({ side: expect.objectContaining({ idle: true }) });
+    expect(front.statusQueries).toBe(0);
+  });
+
+  test('a query of its own keeps the backend busy but is still shared', async () => {
+    let answer;
+    front.getStatus = () => new Promise((resolve) => (answer = resolve));
+    front.isBusy = () => poller.inFlight.has('front');
+
+    const first = poller.poll(['front']);
+    const second = poller.poll(['front']);
+    answer({ busy: 'False', encoding: 'False', ready: 'True' });
+    expect((await second).front).toBe((await first).front);
+  });
+
+  test('polls in the background until stopped', async () => {
+    poller.start(10);
+    await new Promise((resolve) => setTimeout(resolve, 55));
+    poller.stop();
+    const queries = front.statusQueries;
+    expect(queries).toBeGreaterThanOrEqual(2);
+    expect(poller.isRunning()).toBe(false);
+
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    expect(front.statusQueries).toBe(queries);
+  });
+});
+
+describe('GoProService camera readiness', () => {
+  let cameras;
+  let front;
+  let gopro;
+
+  beforeEach(() => {
+    cameras = new CameraManager();
+    front = cameras.add({ name: 'front', driver: 'status-test' });
+    gopro = new GoProService(cameras, { log: () => {} });
+  });
+
+  test('follows the polled status of each camera', async () => {
+    front.status = { busy: 'False', encoding: 'True', ready: 'False' };
+    await gopro.poller.poll();
+    expect(gopro.isIdle('front')).toBe(false);
+    expect(gopro.getStatus().cameras[0]).toMatchObject({ name: 'front', idle: false, status: { encoding: true } });
+
+    front.status = { busy: 'False', encoding: 'False', ready: 'True' };
+    await gopro.poller.poll();
+    expect(gopro.isIdle('front')).toBe(true);
+  });
+
+  test('waits until a busy camera is idle', async () => {
+    front.status = { busy: 'True', encoding: 'False', ready: 'False' };
+    setTimeout(() => {
+      front.status = { busy: 'False', encoding: 'False', ready: 'True' };
+    }, 300);
+
+    const result = await gopro.waitUntilReady(['front'], 2000);
+    expect(result).toMatchObject({ ready: ['front'], waiting: [], timedOut: false });
+    expect(result.waitedMs).toBeGreaterThanOrEqual(250);
+    expect(front.statusQueries).toBeGreaterThanOrEqual(2);
+  });
+
+  test('gives up at the deadline and names the cameras still busy', async () => {
+    front.status = { busy: 'False', encoding: 'True', ready: 'False' };
+    const result = await gopro.waitUntilReady(['front'], 100);
+    expect(result).toMatchObject({ ready: [], waiting: ['front'], timedOut: true });
+    expect(result.waitedMs).toBeGreaterThanOrEqual(100);
+  });
+
+  test('a camera taking a photo is neither polled nor idle, and its status is dropped afterwards', async () => {
+    let finishPhoto;
+    front.capture = () => new Promise((resolve) => (finishPhoto = resolve));
+    await gopro.poller.poll();
+
+    const capture = gopro.capture('front', 'Test');
+    const queries = front.statusQueries;
+    expect(gopro.isIdle('front')).toBe(false);
+    expect(await gopro.poller.poll()).toEqual({});
+    expect(front.statusQueries).toBe(queries);
+
+    finishPhoto({ success: true });
+    await capture;
+    expect(gopro.getStatus().cameras[0].status).toBeNull();
+  });
+
+  test('a failed photo is reported as is, recovering the camera is up to its driver', async () => {
+    front.capture = jest.fn(async () => {
+      throw new Error('Photo failed: camera busy');
+    });
+    front.recover = jest.fn();
+
+    await expect(gopro.capture('front', 'Test')).rejects.toThrow('Photo failed: camera busy');
+    expect(front.capture).toHaveBeenCalledWith({ retries: 3 });
+    expect(front.recover).not.toHaveBeenCalled();
+    expect(cameras.getStatus()[0].lastStatus).toBe('🛑 Capture failed: Photo failed: camera busy');
+  });
+});
@@ -0,0 +1,240 @@
+const { EventEmitter } = require('events');
+const CaptureService = require('../src/services/captureService');
+const EventBus = require('../src/services/eventBus');
+const PrinterService = require('../src/services/printerService');
+const SessionStore = require('../src/services/sessionStore');
+const { makeTempDir, removeTempDir } = require('./helpers');
+
+const { EVENTS } = EventBus;
+
+describe('CaptureService', () => {
+  let directory;
+  let bus;
+  let sessions;
+  let gopro;
+  let printers;
+  let service;
+
+  function addPrinter(definition = {}) {
+    const printer = new PrinterService(
+      { id: 'P1', name: 'P1', printer_serial: 'P1', photo_trigger_delay: 0, capture_policy: 'always', ...definition },
+      { bus, log: () => {} }
+    );
+    printer.session = sessions.open(printer).id;
+    printers.set(printer.id, printer);
+    return printer;
+  }
+
+  // Emit capture:due like a printer would and wait for the capture to finish
+  async function captureDue(printer, layer) {
+    const done = new Promise((resolve) => bus.once(EVENTS.CAPTURE_DONE, resolve));
+    bus.emit(EVENTS.CAPTURE_DUE, { printer, layer, changedAt: Date.now(), sessionId: printer.session });
+    return done;
+  }
+
+  beforeEach(() => {
+    directory = makeTempDir();
+    bus = new EventBus();
+    sessions = new SessionStore(directory);
+    gopro = {
+      cameras: { resolve: (names) => names || ['cam'] },
+      isReady: () => true,
+      waitUntilReady: jest.fn(async () => ({ ready: ['cam'], waiting: [], waitedMs: 0, timedOut: false })),
+      setLastStatus: jest.fn(),
+      shutter: jest.fn(async () => [{ camera: 'cam', success: true, durationMs: 5 }])
+    };
+    printers = new Map();
+    service = new CaptureService({ bus, gopro, sessions, printers, log: () => {} });
+  });
+
+  afterEach(() => {
+    service.detach();
+    removeTempDir(directory);
+  });
+
+  test('takes the photo of a due layer and records it in the session', async () => {
+    const printer = addPrinter();
+    const done = await captureDue(printer, 7);
+
+    expect(gopro.shutter).toHaveBeenCalledWith(['cam'], 'Layer 7 Trigger', printer.log);
+    expect(done).toMatchObject({ printer, layer: 7, error: null, results: [{ camera: 'cam', success: true }] });
+    expect(sessions.get(printer.session).triggers).toEqual([
+      expect.objectContaining({ layer: 7, skipped: null, cameras: [expect.objectContaining({ camera: 'cam' })] })
+    ]);
+    expect(printer.captures.size).toBe(0);
+  });
+
+  test('records skipped layers with the reason', () => {
+    const printer = addPrinter();
+    bus.emit(EVENTS.CAPTURE_SKIPPED, {
+      printer,
+      layer: 3,
+      changedAt: Date.now(),
+      sessionId: printer.session,
+      reason: 'camera not connected'
+    });
+
+    expect(gopro.shutter).not.toHaveBeenCalled();
+    expect(sessions.get(printer.session).triggers).toEqual([
+      expect.objectContaining({ layer: 3, skipped: 'camera not connected', cameras: [] })
+    ]);
+  });
+
+  test('checks the capture policy again before firing', async () => {
+    const printer = addPrinter({ capture_policy: 'never' });
+    await captureDue(printer, 2);
+
+    expect(gopro.shutter).not.toHaveBeenCalled();
+    expect(gopro.setLastStatus).toHaveBeenCalledWith('🎬 Photo skipped: capture policy is "never"');
+  });
+
+  test('manual test shots ignore the capture policy', async () => {
+    const printer = addPrinter({ capture_policy: 'never' });
+    await service.shutter(printer, { test: true });
+    expect(gopro.shutter).toHaveBeenCalledWith(['cam'], 'Manual Test Command', printer.log);
+    expect(gopro.waitUntilReady).not.toHaveBeenCalled();
+  });
+
+  test('waits for the cameras to be ready and fires anyway at the deadline', async () => {
+    const printer = addPrinter({ camera_ready_timeout_ms: 1200 });
+    printer.log = jest.fn();
+    gopro.waitUntilReady.mockResolvedValueOnce({ ready: [], waiting: ['cam'], waitedMs: 1200, timedOut: true });
+    await captureDue(printer, 4);
+
+    expect(gopro.waitUntilReady).toHaveBeenCalledWith(['cam'], 1200);
+    expect(printer.log).toHaveBeenCalledWith('[Timelapse] cam still busy after 1200ms, firing anyway', 'WARN');
+    expect(gopro.shutter).toHaveBeenCalled();
+  });
+
+  // Printer whose MQTT connection answers gcode_line commands `answerAfterMs` later (never when null)
+  function parkingPrinter(definition, answerAfterMs = 0) {
+    const printer = addPrinter(definition);
+    const steps = [];
+    printer.mqtt = Object.assign(new EventEmitter(), { isConnected: () => true });
+    printer.requestFullStatus = jest.fn();
+    printer.publishCommand = jest.fn(async (command, extra = {}) => {
+      steps.push(command);
+      if (command === 'pause') {
+        printer.gcodeState = 'PAUSE';
+      }
+      if (command === 'gcode_line' && answerAfterMs !== null) {
+        setTimeout(() => {
+          steps.push('parked');
+          printer.mqtt.emit('report', { print: { command, sequence_id: extra.sequence_id, result: 'success' } });
+        }, answerAfterMs);
+      }
+    });
+    gopro.shutter.mockImplementation(async () => {
+      steps.push('shutter');
+      return [{ camera: 'cam', success: true, durationMs: 5 }];
+    });
+    printer.log = jest.fn();
+    return { printer, steps };
+  }
+
+  describe('pause capture mode', () => {
+    const PAUSE = { capture_mode: 'pause', park_position: { x: 10, y: 200 } };
+
+    test('pauses, parks the toolhead, fires and resumes', async () => {
+      const { printer, steps } = parkingPrinter(PAUSE);
+      await captureDue(printer, 4);
+
+      expect(steps).toEqual(['pause', 'gcode_line', 'parked', 'shutter', 'resume']);
+      expect(printer.publishCommand.mock.calls[1][1].param).toBe('G90\nG1 X10 Y200 F12000\nM400\n');
+      expect(printer.parking).toBe(false);
+    });
+
+    test('a late park move delays the photo', async () => {
+      const { printer, steps } = parkingPrinter(PAUSE, 300);
+      const startedAt = Date.now();
+      await captureDue(printer, 4);
+
+      expect(steps).toEqual(['pause', 'gcode_line', 'parked', 'shutter', 'resume']);
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(300);
+      expect(printer.log).toHaveBeenCalledWith(expect.stringMatching(/^\[Park\] Toolhead parked after \d+ms$/), 'INFO');
+    });
+
+    test('fires anyway when the printer does not answer the park move in time', async () => {
+      const { printer, steps } = parkingPrinter({ ...PAUSE, park_timeout_ms: 100 }, null);
+      await captureDue(printer, 4);
+
+      expect(steps).toEqual(['pause', 'gcode_line', 'shutter', 'resume']);
+      expect(printer.log).toHaveBeenCalledWith(
+        '[Park] Printer did not finish the moves within 100ms, firing anyway',
+        'WARN'
+      );
+    });
+
+    test('resumes the print when the photo fails', async () => {
+      const { printer } = parkingPrinter(PAUSE);
+      gopro.shutter.mockRejectedValueOnce(new Error('camera went away'));
+      const done = await captureDue(printer, 4);
+
+      expect(done.error).toBe('camera went away');
+      expect(printer.publishCommand).toHaveBeenLastCalledWith('resume');
+      expect(sessions.get(printer.session).triggers[0].skipped).toBe('camera went away');
+    });
+  });
+
+  describe('printer_park capture mode', () => {
+    test('fires once the printer finished its own park move', async () => {
+      const { printer, steps } = parkingPrinter({ capture_mode: 'printer_park' }, 300);
+      const startedAt = Date.now();
+      await captureDue(printer, 4);
+
+      expect(steps).toEqual(['gcode_line', 'parked', 'shutter']);
+      expect(printer.publishCommand.mock.calls[0][1].param).toBe('M400\n');
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(300);
+    });
+
+    test('fires after printer_park_wait_ms when the printer does not answer', async () => {
+      const { printer, steps } = parkingPrinter({ capture_mode: 'printer_park', printer_park_wait_ms: 100 }, null);
+      await captureDue(printer, 4);
+
+      expect(steps).toEqual(['gcode_line', 'shutter']);
+      expect(printer.log).toHaveBeenCalledWith(
+        '[Park] Printer did not finish the moves within 100ms, firing anyway',
+        'WARN'
+      );
+    });
+  });
+
+  test.each([
+    [{}, { mode: 'delay', settleMs: 0, timeoutMs: 20000, printerParkWaitMs: 10000 }],
+    [
+      { capture_mode: 'printer_park', printer_park_wait_ms: 0 },
+      { mode: 'printer_park', printerParkWaitMs: 0 }
+    ],
+    [{ capture_mode: 'bogus' }, { mode: 'delay' }]
+  ])('settings of %j', (definition, expected) => {
+    expect(CaptureService.settings({ config: definition })).toMatchObject(expected);
+  });
+
+  test('test shots are recorded in the running sessions of the printers using the cameras that fired', async () => {
+    const printer = addPrinter({ cameras: ['front', 'top'] });
+    const sharing = addPrinter({ id: 'P2', name: 'P2', cameras: ['top'] });
+    const elsewhere = addPrinter({ id: 'P3', name: 'P3', cameras: ['side'] });
+    const finished = sessions.open({ id: 'P4', name: 'P4' });
+    printers.set('P4', { config: {} });
+    sessions.close(finished.id, SessionStore.STATUS.FINISHED);
+    gopro.shutter.mockImplementation(async (names) => names.map((camera) => ({ camera, success: true })));
+
+    await service.shutter(printer, { test: true });
+    await service.shutter(printer, { layer: 3 });
+
+    expect(sessions.get(printer.session).test_shots).toEqual([
+      {
+        timestamp: expect.any(String),
+        cameras: [
+          { camera: 'front', success: true },
+          { camera: 'top', success: true }
+        ]
+      }
+    ]);
+    expect(sessions.get(sharing.session).test_shots).toEqual([
+      { timestamp: expect.any(String), cameras: [{ camera: 'top', success: true }] }
+    ]);
+    expect(sessions.get(elsewhere.session).test_shots).toEqual([]);
+    expect(sessions.get(finished.id).test_shots).toEqual([]);
+  });
+});
@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+const ConfigManager = require('../src/utils/config');
+const ConfigCipher = require('../src/utils/configCipher');
+const { makeTempDir, removeTempDir } = require('./helpers');
+
+describe('ConfigManager', () => {
+  let directory;
+  let configPath;
+
+  beforeEach(() => {
+    directory = makeTempDir();
+    configPath = path.join(directory, 'config.json');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    removeTempDir(directory);
+  });
+
+  test('loads a configuration file', () => {
+    fs.writeFileSync(configPath, JSON.stringify({ printer_ip: '192.168.1.50', printer_serial: '01S00A000000001' }));
+    const manager = new ConfigManager(configPath);
+
+    expect(manager.isLoaded()).toBe(false);
+    expect(manager.load()).toBe(true);
+    expect(manager.isLoaded()).toBe(true);
+    expect(manager.get('printer_ip')).toBe('192.168.1.50');
+  });
+
+  test('fails to load a missing file', () => {
+    const manager = new ConfigManager(configPath);
+    expect(manager.load()).toBe(false);
+    expect(manager.isLoaded()).toBe(false);
+  });
+
+  test('fails to load invalid JSON', () => {
+    fs.writeFileSync(configPath, '{ "printer_ip": ');
+    const manager = new ConfigManager(configPath);
+    expect(manager.load()).toBe(false);
+    expect(manager.getAll()).toEqual({});
+  });
+
+  test('returns the default for unknown keys but keeps falsy values', () => {
+    fs.writeFileSync(configPath, JSON.stringify({ photo_trigger_delay: 0, auto_render: false }));
+    const manager = new ConfigManager(configPath);
+    manager.load();
+
+    expect(manager.get('missing')).toBeNull();
+    expect(manager.get('missing', 'fallback')).toBe('fallback');
+    expect(manager.get('photo_trigger_delay', 800)).toBe(0);
+    expect(manager.get('auto_render', true)).toBe(false);
+  });
+
+  test('set updates the configuration and getAll returns a copy', () => {
+    const manager = new ConfigManager(configPath);
+    manager.set('printer_ip', '10.0.0.2');
+
+    const all = manager.getAll();
+    all.printer_ip = 'changed';
+    expect(manager.get('printer_ip')).toBe('10.0.0.2');
+  });
+
+  test('validate requires a loaded configuration with every required key set', () => {
+    const manager = new ConfigManager(configPath);
+    expect(manager.validate([])).toBe(false);
+
+    fs.writeFileSync(configPath, JSON.stringify({ printer_ip: '10.0.0.2' }));
+    manager.load();
+    expect(manager.validate(['printer_ip'])).toBe(true);
+    expect(manager.validate(['printer_ip', 'printer_serial'])).toBe(false);
+    expect(manager.validate(['mqtt_password'])).toBe(false);
+    expect(manager.validate(['access_code'])).toBe(false);
+  });
+
+  describe('printers', () => {
+    const legacy = {
+      printer_ip: '10.0.0.2',
+      printer_serial: '01S00A000000001',
+      mqtt_password: 'abc',
+      render: { fps: 30 }
+    };
+
+    test('turn a legacy flat configuration into one definition', () => {
+      expect(ConfigManager.printerDefinitions(legacy)).toEqual([
+        expect.objectContaining({ id: '01S00A000000001', name: '01S00A000000001', printer_ip: '10.0.0.2' })
+      ]);
+      expect(ConfigManager.printerDefinitions({ render: { fps: 30 } })).toEqual([]);
+    });
+
+    test('convert the legacy keys to a printers list on the first change', () => {
+      const manager = new ConfigManager(configPath);
+      manager.config = { ...legacy };
+      manager.updatePrinter('01S00A000000001', { name: 'Workshop' });
+
+      const saved = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      expect(saved).toEqual({
+        render: { fps: 30 },
+        printers: [expect.objectContaining({ id: '01S00A000000001', name: 'Workshop', mqtt_password: 'abc' })]
+      });
+      expect(manager.isLoaded()).toBe(true);
+    });
+
+    test('add, update and remove printers', () => {
+      const manager = new ConfigManager(configPath);
+      manager.addPrinter({ printer_ip: '10.0.0.3', printer_serial: 'S2', mqtt_password: 'x' });
+      expect(() => manager.addPrinter({ printer_serial: 'S2' })).toThrow('Printer "S2" already exists');
+      expect(() => manager.updatePrinter('S3', {})).toThrow('Printer "S3" is not configured');
+
+      manager.updatePrinter('S2', { capture_policy: 'always' });
+      expect(manager.printerDefinitions()).toEqual([
+        expect.objectContaining({ id: 'S2', name: 'S2', capture_policy: 'always' })
+      ]);
+
+      manager.removePrinter('S2');
+      expect(JSON.parse(fs.readFileSync(configPath, 'utf8')).printers).toEqual([]);
+    });
+  });
+
+  describe('validation', () => {
+    test('changes with invalid settings are refused with every problem listed', () => {
+      const manager = new ConfigManager(configPath);
+      manager.addPrinter({ printer_ip: '10.0.0.3', printer_serial: 'S2', mqtt_password: 'x' });
+
+      let error;
+      try {
+        manager.update({ render: { fps: 0, codec: 'x264; rm' }, auto_render: 'yes' });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).toBe('INVALID_CONFIG');
+      expect(error.errors).toEqual([
+        { path: 'render.fps', message: 'must be at least 1' },
+        { path: 'render.codec', message: 'must be an ffmpeg encoder name' },
+        { path: 'auto_render', message: 'must be true or false' }
+      ]);
+      expect(() => manager.updatePrinter('S2', { photo_trigger_delay: -5 })).toThrow(
+        'printers[0].photo_trigger_delay must be at least 0'
+      );
+      expect(() => manager.addPrinter({ printer_ip: '10.0.0.4', printer_serial: 'S3' })).toThrow(
+        'printers[1].mqtt_password is required'
+      );
+      expect(manager.printerDefinitions()).toHaveLength(1);
+      expect(JSON.parse(fs.readFileSync(configPath, 'utf8')).render).toBeUndefined();
+    });
+
+    test('every change is checked against the whole configuration', () => {
+      const manager = new ConfigManager(configPath);
+      manager.update({ render: { fps: 30 } });
+      // A change elsewhere can't sneak invalid settings into the file
+      manager.config.render = { fps: 0 };
+      expect(() => manager.update({ auto_render: true })).toThrow('render.fps must be at least 1');
+      expect(() => manager.addPrinter({ printer_ip: '10.0.0.3', printer_serial: 'S2', mqtt_password: 'x' })).toThrow(
+        'render.fps must be at least 1'
+      );
+      expect(JSON.parse(fs.readFileSync(configPath, 'utf8'))).toEqual({ render: { fps: 30 } });
+    });
+
+    test('trigger strategies must be registered and accept their options', () => {
+      const manager = new ConfigManager(configPath);
+      manager.addPrinter({ printer_ip: '10.0.0.3', printer_serial: 'S2', mqtt_password: 'x' });
+
+      expect(() => manager.update({ trigger: { strategy: 'every_second' } })).toThrow(
+        'trigger Unknown trigger strategy "every_second" (available: every_layer'
+      );
+      expect(() => manager.updatePrinter('S2', { trigger: { strategy: 'interval' } })).toThrow(
+        'printers[0].trigger Trigger strategy "interval" needs a positive "seconds"'
+      );
+      // Problems the schema finds are not reported twice
+      expect(ConfigManager.problems({ trigger: { strategy: 'every_n_layers', n: 0 } })).toEqual([
+        { path: 'trigger.n', message: 'must be at least 1' }
+      ]);
+      manager.updatePrinter('S2', { trigger: { strategy: 'interval', seconds: 30 } });
+      expect(manager.printers()[0].trigger).toEqual({ strategy: 'interval', seconds: 30 });
+    });
+
+    test('a file with invalid settings is refused and never overwritten', () => {
+      const contents = JSON.stringify({ capture_mode: 'flash', render: { crf: 99 }, auto_render: true });
+      fs.writeFileSync(configPath, contents);
+      const log = jest.fn();
+      const manager = new ConfigManager(configPath, { log });
+
+      let error;
+      try {
+        manager.load();
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).toBe('INVALID_CONFIG');
+      expect(error.errors).toEqual([
+        { path: 'capture_mode', message: 'must be one of: delay, pause, printer_park' },
+        { path: 'render.crf', message: 'must be at most 51' }
+      ]);
+      expect(log).toHaveBeenCalledWith(`Failed to load configuration: ${error.message}`, 'ERROR');
+      expect(manager.isLoaded()).toBe(false);
+      expect(manager.getAll()).toEqual({});
+      expect(() => manager.update({ auto_render: false })).toThrow('Not overwriting config.json');
+      expect(fs.readFileSync(configPath, 'utf8')).toBe(contents);
+    });
+  });
+
+  describe('overrides', () => {
+    test('win over the file without being saved to it', () => {
+      fs.writeFileSync(configPath, JSON.stringify({ auto_render: false, http_port: 3000 }));
+      const manager = new ConfigManager(configPath, { overrides: { http_port: 8080 } });
+      manager.load();
+      manager.setOverrides({ http_port: 9090, auto_render: true });
+
+      expect(manager.get('http_port')).toBe(9090);
+      expect(manager.getAll()).toMatchObject({ http_port: 9090, auto_render: true });
+      manager.update({ record_mqtt: true });
+      expect(JSON.parse(fs.readFileSync(configPath, 'utf8'))).toEqual({
+        auto_render: false,
+        http_port: 3000,
+        record_mqtt: true
+      });
+    });
+
+    test('printer settings go to the first printer of a printers list', () => {
+      const manager = new ConfigManager(configPath, { overrides: { printer_ip: '10.0.0.9' } });
+      manager.addPrinter({ printer_ip: '10.0.0.3', printer_serial: 'S2', mqtt_password: 'x' });
+      manager.addPrinter({ printer_ip: '10.0.0.4', printer_serial: 'S3', mqtt_password: 'y' });
+
+      expect(manager.printerDefinitions().map((definition) => definition.printer_ip)).toEqual(['10.0.0.9', '10.0.0.4']);
+      expect(manager.printers()[0].printer_ip).toBe('10.0.0.3');
+    });
+
+    test('a printer given only through overrides needs no configuration file', () => {
+      const manager = new ConfigManager(configPath, {
+        log: () => {},
+        overrides: { printer_ip: '10.0.0.9', printer_serial: 'S9', mqtt_password: 'code' }
+      });
+      expect(manager.load()).toBe(true);
+      expect(manager.printerDefinitions()).toEqual([expect.objectContaining({ id: 'S9', printer_ip: '10.0.0.9' })]);
+      expect(fs.existsSync(configPath)).toBe(false);
+
+      expect(new ConfigManager(configPath, { log: () => {}, overrides: { http_port: 1 } }).load()).toBe(false);
+    });
+  });
+
+  test('redactSecrets hides access codes and hashes at any depth', () => {
+    const config = {
+      printers: [{ id: 'S1', printer_ip: '10.0.0.5', mqtt_password: '12345678' }],
+      auth: { password_hash: 'scrypt$a$b', tokens: [{ id: 't1', hash: 'abc', scopes: ['read'] }] },
+      cameras: [{ name: 'cam', wifi_password: '' }]
+    };
+    expect(ConfigManager.redactSecrets(config)).toEqual({
+      printers: [{ id: 'S1', printer_ip: '10.0.0.5', mqtt_password: '***' }],
+      auth: { password_hash: '***', tokens: [{ id: 't1', hash: '***', scopes: ['read'] }] },
+      cameras: [{ name: 'cam', wifi_password: '' }]
+    });
+    expect(config.printers[0].mqtt_password).toBe('12345678');
+  });
+
+  describe('encrypted secrets', () => {
+    const plain = {
+      printers: [{ id: 'S1', printer_ip: '10.0.0.1', printer_serial: 'S1', mqtt_password: '12345678' }]
+    };
+    let cipher;
+
+    beforeEach(() => {
+      cipher = new ConfigCipher({ keyFile: path.join(directory, 'secret.key') });
+    });
+
+    const stored = () => JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+    test('a plain configuration is encrypted on its first load', () => {
+      fs.writeFileSync(configPath, JSON.stringify(plain));
+      const log = jest.fn();
+      const manager = new ConfigManager(configPath, { cipher, log });
+
+      expect(manager.load()).toBe(true);
+      expect(manager.config).toEqual(plain);
+      expect(stored().printers[0].mqtt_password).toMatch(/^enc:v1:/);
+      expect(log).toHaveBeenCalledWith('Encrypted 1 secret(s) in config.json', 'SUCCESS');
+
+      const again = new ConfigManager(configPath, { cipher, log: jest.fn() });
+      expect(again.load()).toBe(true);
+      expect(again.config).toEqual(plain);
+    });
+
+    test('saves keep the secrets encrypted', () => {
+      const manager = new ConfigManager(configPath, { cipher });
+      manager.addPrinter({ printer_ip: '10.0.0.2', printer_serial: 'S2', mqtt_password: 'secret-code' });
+      expect(fs.readFileSync(configPath, 'utf8')).not.toContain('secret-code');
+      expect(manager.printers()[0].mqtt_password).toBe('secret-code');
+    });
+
+    test('a configuration the key cannot decrypt is neither loaded nor overwritten', () => {
+      new ConfigManager(configPath, { cipher }).update(plain);
+      const before = fs.readFileSync(configPath, 'utf8');
+      const manager = new ConfigManager(configPath, {
+        cipher: new ConfigCipher({ secret: 'wrong passphrase' }),
+        log: () => {}
+      });
+
+      expect(manager.load()).toBe(false);
+      expect(() => manager.update({ printer_ip: '10.0.0.9' })).toThrow('Not overwriting config.json');
+      expect(fs.readFileSync(configPath, 'utf8')).toBe(before);
+    });
+
+    test('a missing key file is reported instead of replaced', () => {
+      new ConfigManager(configPath, { cipher }).update(plain);
+      const before = fs.readFileSync(configPath, 'utf8');
+      fs.unlinkSync(path.join(directory, 'secret.key'));
+      const log = jest.fn();
+      const manager = new ConfigManager(configPath, {
+        cipher: new ConfigCipher({ keyFile: path.join(directory, 'secret.key') }),
+        log
+      });
+
+      expect(manager.load()).toBe(false);
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('secret.key is missing'), 'ERROR');
+      expect(fs.existsSync(path.join(directory, 'secret.key'))).toBe(false);
+      expect(() => manager.update({ printer_ip: '10.0.0.9' })).toThrow('Not overwriting config.json');
+      expect(fs.readFileSync(configPath, 'utf8')).toBe(before);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const ConfigCipher = require('../src/utils/configCipher');
+const { makeTempDir, removeTempDir } = require('./helpers');
+
+describe('ConfigCipher', () => {
+  let directory;
+  let keyFile;
+
+  beforeEach(() => {
+    directory = makeTempDir();
+    keyFile = path.join(directory, 'secret.key');
+  });
+
+  afterEach(() => {
+    removeTempDir(directory);
+  });
+
+  test('encrypts with a random IV and decrypts back', () => {
+    const cipher = new ConfigCipher({ keyFile });
+    const first = cipher.encrypt('12345678');
+    expect(first).toMatch(/^enc:v1:/);
+    expect(first).not.toContain('12345678');
+    expect(cipher.encrypt('12345678')).not.toBe(first);
+    expect(cipher.decrypt(first)).toBe('12345678');
+  });
+
+  test('creates the key file on first use, readable by its owner only', () => {
+    new ConfigCipher({ keyFile }).encrypt('x');
+    expect(fs.readFileSync(keyFile, 'utf8').trim()).toMatch(/^[0-9a-f]{64}$/);
+    expect(fs.statSync(keyFile).mode & 0o777).toBe(0o600);
+  });
+
+  test('another key cannot decrypt', () => {
+    const encrypted = new ConfigCipher({ keyFile }).encrypt('12345678');
+    const other = new ConfigCipher({ secret: 'another passphrase' });
+    expect(() => other.decrypt(encrypted)).toThrow('wrong or missing key');
+    expect(() => other.decrypt('enc:v1:garbage')).toThrow('wrong or missing key');
+  });
+
+  test('never creates a key to decrypt with', () => {
+    const encrypted = new ConfigCipher({ keyFile }).encrypt('12345678');
+    fs.unlinkSync(keyFile);
+
+    const cipher = new ConfigCipher({ keyFile });
+    expect(() => cipher.decrypt(encrypted)).toThrow(
+      expect.objectContaining({
+        code: 'KEY_MISSING',
+        message: expect.stringContaining(`Key file ${keyFile} is missing`)
+      })
+    );
+    expect(fs.existsSync(keyFile)).toBe(false);
+  });
+
+  test('LAYERSYNC_SECRET_KEY wins over the key file', () => {
+    const cipher = ConfigCipher.fromEnvironment(path.join(directory, 'config.json'), {
+      LAYERSYNC_SECRET_KEY: 'a'.repeat(64)
+    });
+    const encrypted = cipher.encrypt('12345678');
+    expect(fs.existsSync(keyFile)).toBe(false);
+    expect(new ConfigCipher({ secret: 'A'.repeat(64) }).decrypt(encrypted)).toBe('12345678');
+  });
+
+  test('only touches the secrets of a configuration', () => {
+    const cipher = new ConfigCipher({ keyFile });
+    const config = {
+      printers: [{ id: 'S1', printer_serial: 'S1', mqtt_password: '12345678' }],
+      cameras: [{ name: 'cam', wifi_password: '' }],
+      auth: { password_hash: 'scrypt$a$b' }
+    };
+
+    const stored = cipher.encryptSecrets(config);
+    expect(stored.printers[0]).toMatchObject({
+      id: 'S1',
+      printer_serial: 'S1',
+      mqtt_password: expect.stringMatching(/^enc:/)
+    });
+    expect(stored.cameras[0].wifi_password).toBe('');
+    expect(stored.auth.password_hash).toBe('scrypt$a$b');
+    expect(cipher.encryptSecrets(stored)).toEqual(stored);
+    expect(ConfigCipher.countPlainSecrets(config)).toBe(1);
+    expect(ConfigCipher.countPlainSecrets(stored)).toBe(0);
+    expect(cipher.decryptSecrets(stored)).toEqual(config);
+  });
+});
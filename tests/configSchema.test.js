@@ -0,0 +1,107 @@
+const { SCHEMA, CAPTURE_MODES, CAPTURE_POLICIES, AUTH_SCOPES, validateConfig } = require('../src/utils/configSchema');
+const CaptureService = require('../src/services/captureService');
+const PrinterService = require('../src/services/printerService');
+const AuthService = require('../src/services/authService');
+const RenderService = require('../src/services/renderService');
+
+describe('configSchema', () => {
+  const printer = {
+    id: 'X1',
+    printer_ip: '192.168.1.50',
+    printer_serial: '01S00A000000001',
+    mqtt_password: '12345678'
+  };
+
+  test('accepts a complete configuration', () => {
+    expect(
+      validateConfig({
+        printers: [
+          {
+            ...printer,
+            capture_mode: 'pause',
+            park_position: { x: 10, y: 200, feedrate: 6000 },
+            trigger: { strategy: 'every_n_layers', n: 5 },
+            cameras: ['front']
+          }
+        ],
+        cameras: [{ name: 'front', driver: 'gopro', mock: true, restart: false }],
+        render: { fps: 30, resolution: null, codec: 'libx264', crf: 20 },
+        http_port: 3000,
+        data_dir: '/var/lib/layersync',
+        auth: { session_hours: 12, tokens: [] }
+      })
+    ).toEqual([]);
+  });
+
+  test('accepts a legacy flat configuration', () => {
+    const flat = { ...printer };
+    delete flat.id;
+    expect(
+      validateConfig({ ...flat, photo_trigger_delay: 800, trigger: { strategy: 'interval', seconds: 10 } })
+    ).toEqual([]);
+  });
+
+  test('names every problem with its path', () => {
+    expect(
+      validateConfig({
+        printers: [{ ...printer, printer_ip: 'not an ip!', photo_trigger_delay: 1.5 }, { printer_ip: '10.0.0.2' }],
+        cameras: [{ name: '', restart: 'sometimes' }],
+        render: { resolution: '1080p', quality: 'high' },
+        http_port: 70000,
+        photo_trigger_dealy: 800
+      })
+    ).toEqual([
+      { path: 'printers[0].printer_ip', message: 'must be an IP address or host name' },
+      { path: 'printers[0].photo_trigger_delay', message: 'must be a whole number' },
+      { path: 'printers[1].printer_serial', message: 'is required' },
+      { path: 'printers[1].mqtt_password', message: 'is required' },
+      { path: 'cameras[0].name', message: 'must not be empty' },
+      { path: 'cameras[0].restart', message: 'must be true or false or an object' },
+      { path: 'render.resolution', message: 'must be like 1920x1080' },
+      { path: 'render.quality', message: 'is not a known setting' },
+      { path: 'http_port', message: 'must be at most 65535' },
+      { path: 'photo_trigger_dealy', message: 'is not a known setting' }
+    ]);
+  });
+
+  test('parks the toolhead on X/Y only', () => {
+    expect(validateConfig({ printers: [{ ...printer, park_position: { x: 10, y: 200, z: 5 } }] })).toEqual([
+      { path: 'printers[0].park_position.z', message: 'is not a known setting' }
+    ]);
+  });
+
+  test('checks trigger options and token scopes', () => {
+    expect(
+      validateConfig({
+        trigger: { strategy: 'progress', step_percent: 0 },
+        auth: { tokens: [{ id: 't1', name: 'ci', scopes: ['root'], hash: 'a'.repeat(64) }] }
+      })
+    ).toEqual([
+      { path: 'trigger.step_percent', message: 'must be more than 0' },
+      { path: 'auth.tokens[0].scopes[0]', message: 'must be one of: read, control, config, admin' }
+    ]);
+  });
+
+  test('marks the settings that can come from the environment and the command line', () => {
+    expect(SCHEMA.properties.printer_ip).toMatchObject({ 'x-env': 'LAYERSYNC_PRINTER_IP', 'x-cli': '--printer-ip' });
+    expect(SCHEMA.properties.capture_mode['x-env']).toBe('LAYERSYNC_CAPTURE_MODE');
+    expect(SCHEMA.properties.printers['x-env']).toBeUndefined();
+    expect(SCHEMA.properties.render['x-env']).toBeUndefined();
+    expect(SCHEMA.definitions.printer.properties.printer_ip['x-env']).toBeUndefined();
+  });
+
+  test('lists the same choices as the services', () => {
+    expect(CAPTURE_MODES).toEqual(CaptureService.CAPTURE_MODES);
+    expect(CAPTURE_POLICIES).toEqual(PrinterService.CAPTURE_POLICIES);
+    expect(AUTH_SCOPES).toEqual(AuthService.SCOPES);
+  });
+
+  test('accepts the same render frame rates as the renderer', () => {
+    for (const fps of [1, 120]) {
+      expect(validateConfig({ render: { fps } })).toEqual([]);
+      expect(RenderService.normalizeOptions({ fps }).fps).toBe(fps);
+    }
+    expect(validateConfig({ render: { fps: 121 } })).toEqual([{ path: 'render.fps', message: 'must be at most 120' }]);
+    expect(() => RenderService.normalizeOptions({ fps: 121 })).toThrow('fps must be between 1 and 120');
+  });
+});
@@ -0,0 +1,84 @@
+const { envOverrides, parseArgs, usage } = require('../src/utils/configSources');
+
+describe('configSources', () => {
+  describe('envOverrides', () => {
+    test('reads LAYERSYNC_* variables with the type of their setting', () => {
+      expect(
+        envOverrides({
+          LAYERSYNC_PRINTER_IP: '192.168.1.50',
+          LAYERSYNC_PHOTO_TRIGGER_DELAY: '1200',
+          LAYERSYNC_AUTO_RENDER: 'yes',
+          LAYERSYNC_RECORD_MQTT: 'false',
+          LAYERSYNC_DATA_DIR: '/var/lib/layersync',
+          LAYERSYNC_CAPTURE_MODE: '',
+          HOME: '/root'
+        })
+      ).toEqual({
+        printer_ip: '192.168.1.50',
+        photo_trigger_delay: 1200,
+        auto_render: true,
+        record_mqtt: false,
+        data_dir: '/var/lib/layersync'
+      });
+    });
+
+    test('reads PORT as the HTTP port unless LAYERSYNC_HTTP_PORT is set', () => {
+      expect(envOverrides({ PORT: '0' })).toEqual({ http_port: 0 });
+      expect(envOverrides({ PORT: '0', LAYERSYNC_HTTP_PORT: '8080' })).toEqual({ http_port: 8080 });
+    });
+
+    test('names the variables with invalid values', () => {
+      let error;
+      try {
+        envOverrides({ LAYERSYNC_HTTP_PORT: 'abc', LAYERSYNC_CAPTURE_MODE: 'flash', LAYERSYNC_AUTO_RENDER: 'maybe' });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).toBe('INVALID_CONFIG');
+      expect(error.errors).toEqual([
+        { path: 'LAYERSYNC_CAPTURE_MODE', message: 'must be one of: delay, pause, printer_park (got "flash")' },
+        { path: 'LAYERSYNC_AUTO_RENDER', message: 'must be true or false (got "maybe")' },
+        { path: 'LAYERSYNC_HTTP_PORT', message: 'must be a whole number (got "abc")' }
+      ]);
+    });
+  });
+
+  describe('parseArgs', () => {
+    test('reads settings, switches, the configuration file and --help', () => {
+      expect(
+        parseArgs([
+          '--printer-ip',
+          '10.0.0.2',
+          '--http-port=8080',
+          '--auto-render',
+          '--no-record-mqtt',
+          '--config',
+          'other.json'
+        ])
+      ).toEqual({
+        overrides: { printer_ip: '10.0.0.2', http_port: 8080, auto_render: true, record_mqtt: false },
+        configPath: 'other.json',
+        help: false
+      });
+      expect(parseArgs(['--auto-render=off', '--help'])).toMatchObject({
+        overrides: { auto_render: false },
+        help: true
+      });
+    });
+
+    test('names unknown options and invalid values', () => {
+      expect(() => parseArgs(['--printer-ipp', '10.0.0.2'])).toThrow('--printer-ipp is not a known option');
+      expect(() => parseArgs(['--no-printer-ip'])).toThrow('--no-printer-ip is not a known option');
+      expect(() => parseArgs(['--http-port', '99999'])).toThrow('--http-port must be at most 65535 (got "99999")');
+      expect(() => parseArgs(['--printer-serial'])).toThrow('--printer-serial needs a value');
+    });
+  });
+
+  test('usage lists every flag with its environment variable', () => {
+    const text = usage();
+    expect(text).toContain('--printer-ip <string>');
+    expect(text).toContain('(LAYERSYNC_PRINTER_IP)');
+    expect(text).toContain('--capture-mode <delay|pause|printer_park>');
+    expect(text).toContain('--auto-render, --no-auto-render');
+  });
+});
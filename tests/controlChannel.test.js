@@ -0,0 +1,155 @@
+const http = require('http');
+const { once } = require('events');
+const ControlChannel = require('../src/services/controlChannel');
+const { waitFor, openControlChannel } = require('./helpers');
+
+const { commandError } = ControlChannel;
+
+describe('ControlChannel', () => {
+  let channel;
+  let server;
+  let url;
+  let client;
+
+  beforeEach(async () => {
+    channel = new ControlChannel({ log: () => {}, snapshot: () => ({ hello: 'world' }) });
+    channel.register('echo', async (params) => params, 'Answer with the params');
+    channel.register('fail', async () => {
+      throw commandError('not_found', 'No such thing', { name: 'x' });
+    });
+    channel.register('crash', async () => {
+      throw new Error('Boom');
+    });
+    server = http.createServer((req, res) => res.end());
+    channel.attach(server);
+    server.listen(0);
+    await once(server, 'listening');
+    url = `ws://127.0.0.1:${server.address().port}${ControlChannel.DEFAULT_PATH}`;
+    client = await openControlChannel(url);
+  });
+
+  afterEach(async () => {
+    client.close();
+    channel.close();
+    server.close();
+    await once(server, 'close');
+  });
+
+  test('greets with the commands and the snapshot', async () => {
+    await waitFor(() => client.messages.length >= 2);
+    expect(client.messages.slice(0, 2)).toEqual([
+      {
+        type: 'hello',
+        commands: [
+          { name: 'echo', description: 'Answer with the params', scope: null },
+          { name: 'fail', description: '', scope: null },
+          { name: 'crash', description: '', scope: null }
+        ]
+      },
+      { type: 'event', event: 'snapshot', data: { hello: 'world' } }
+    ]);
+  });
+
+  test('answers each command with its id', async () => {
+    const [first, second] = await Promise.all([client.command('echo', { a: 1 }), client.command('echo')]);
+    expect(first).toEqual({ type: 'response', id: 1, command: 'echo', ok: true, result: { a: 1 } });
+    expect(second).toMatchObject({ id: 2, ok: true, result: {} });
+  });
+
+  test('reports failures with an error code', async () => {
+    expect(await client.command('fail')).toMatchObject({
+      ok: false,
+      error: { code: 'not_found', message: 'No such thing', data: { name: 'x' } }
+    });
+    expect((await client.command('crash')).error).toEqual({ code: 'command_failed', message: 'Boom' });
+    expect((await client.command('nope')).error.code).toBe('unknown_command');
+  });
+
+  test('rejects messages that are not commands', async () => {
+    client.send('not json');
+    client.send(JSON.stringify({ id: 9, type: 'subscribe' }));
+    const errors = await waitFor(() => {
+      const found = client.messages.filter((message) => message.type === 'error');
+      return found.length === 2 && found;
+    });
+    expect(errors.map((message) => [message.id, message.error.code])).toEqual([
+      [undefined, 'bad_request'],
+      [9, 'bad_request']
+    ]);
+  });
+
+  test('broadcasts events to every client', async () => {
+    const other = await openControlChannel(url);
+    await waitFor(() => channel.clientCount() === 2);
+    channel.broadcast('log', { line: 'Layer 3' });
+
+    for (const connection of [client, other]) {
+      const event = await waitFor(() => connection.messages.find((message) => message.event === 'log'));
+      expect(event).toEqual({ type: 'event', event: 'log', data: { line: 'Layer 3' } });
+    }
+    other.close();
+    await waitFor(() => channel.clientCount() === 1);
+    expect(channel.pingTimer).not.toBeNull();
+  });
+
+  test('refuses callers authenticate rejects and checks the scope of each command', async () => {
+    const guarded = new ControlChannel({
+      log: () => {},
+      authenticate: (req) => (req.headers.authorization === 'Bearer ok' ? { scopes: ['read'] } : null),
+      authorize: (caller, scope) => caller.scopes.includes(scope)
+    });
+    guarded.register('look', async () => 'ok', '', 'read');
+    guarded.register('touch', async () => 'ok', '', 'control');
+    const guardedServer = http.createServer();
+    guarded.attach(guardedServer);
+    guardedServer.listen(0);
+    await once(guardedServer, 'listening');
+    const guardedUrl = `ws://127.0.0.1:${guardedServer.address().port}/ws`;
+
+    try {
+      await expect(openControlChannel(guardedUrl)).rejects.toThrow('401');
+      const allowed = await openControlChannel(guardedUrl, { headers: { Authorization: 'Bearer ok' } });
+      expect((await allowed.command('look')).result).toBe('ok');
+      expect((await allowed.command('touch')).error).toEqual({
+        code: 'forbidden',
+        message: 'Not allowed: needs the "control" scope'
+      });
+      allowed.close();
+    } finally {
+      guarded.close();
+      guardedServer.close();
+    }
+  });
+
+  test('disconnects the callers that match', async () => {
+    const guarded = new ControlChannel({
+      log: () => {},
+      authenticate: (req) => ({ tokenId: req.headers.authorization })
+    });
+    const guardedServer = http.createServer();
+    guarded.attach(guardedServer);
+    guardedServer.listen(0);
+    await once(guardedServer, 'listening');
+    const guardedUrl = `ws://127.0.0.1:${guardedServer.address().port}/ws`;
+
+    try {
+      const revoked = await openControlChannel(guardedUrl, { headers: { Authorization: 'a' } });
+      const kept = await openControlChannel(guardedUrl, { headers: { Authorization: 'b' } });
+      await waitFor(() => guarded.clientCount() === 2);
+
+      expect(guarded.disconnect((caller) => caller.tokenId === 'a', 'Token revoked')).toBe(1);
+      await waitFor(() => revoked.closed);
+      expect(revoked.closed).toEqual({ code: 1008, reason: 'Token revoked' });
+      expect(kept.closed).toBeUndefined();
+      expect(guarded.clientCount()).toBe(1);
+      kept.close();
+    } finally {
+      guarded.close();
+      guardedServer.close();
+    }
+  });
+
+  test('refuses upgrades on other paths', async () => {
+    await expect(openControlChannel(url.replace('/ws', '/other'))).rejects.toThrow();
+  });
+});
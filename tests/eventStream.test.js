@@ -0,0 +1,82 @@
+const http = require('http');
+const { once } = require('events');
+const EventStream = require('../src/services/eventStream');
+const { readEvents, openEventStream, waitFor } = require('./helpers');
+
+describe('EventStream', () => {
+  let stream;
+  let server;
+  let url;
+
+  beforeEach(async () => {
+    stream = new EventStream({ heartbeatMs: 50 });
+    server = http.createServer((req, res) => stream.handle(req, res, { hello: 'world' }));
+    server.listen(0);
+    await once(server, 'listening');
+    url = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  afterEach(async () => {
+    stream.close();
+    server.close();
+    await once(server, 'close');
+  });
+
+  test('starts with the snapshot and then sends every event to every client', async () => {
+    const first = await fetch(url);
+    const second = await fetch(url);
+    expect(first.headers.get('content-type')).toBe('text/event-stream');
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(stream.clientCount()).toBe(2);
+
+    stream.send('log', { line: 'Layer 3' });
+    stream.close();
+
+    for (const response of [first, second]) {
+      const events = await readEvents(response);
+      expect(events.map((event) => [event.event, event.data])).toEqual([
+        ['snapshot', { hello: 'world' }],
+        ['log', { line: 'Layer 3' }]
+      ]);
+      expect(Number(events[1].id)).toBeGreaterThan(Number(events[0].id));
+    }
+  });
+
+  test('keeps idle streams alive with comments', async () => {
+    const response = await fetch(url);
+    await new Promise((resolve) => setTimeout(resolve, 120));
+    stream.close();
+    const text = await response.text();
+    expect(text).toMatch(/^retry: \d+\n\n/);
+    expect(text).toContain(': ping\n\n');
+  });
+
+  test('ends the streams of the callers that match', async () => {
+    server.removeAllListeners('request');
+    server.on('request', (req, res) => stream.handle(req, res, undefined, { tokenId: req.headers.authorization }));
+    const revoked = await openEventStream(url, { headers: { Authorization: 'a' } });
+    const kept = await openEventStream(url, { headers: { Authorization: 'b' } });
+    await waitFor(() => stream.clientCount() === 2);
+
+    expect(stream.disconnect((caller) => caller.tokenId === 'a')).toBe(1);
+    await waitFor(() => revoked.ended);
+    expect(stream.clientCount()).toBe(1);
+    stream.send('log', { line: 'Layer 4' });
+    await waitFor(() => kept.events.some((event) => event.event === 'log'));
+    expect(kept.ended).toBe(false);
+    kept.close();
+  });
+
+  test('forgets clients that went away', async () => {
+    const controller = new AbortController();
+    await fetch(url, { signal: controller.signal });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(stream.clientCount()).toBe(1);
+
+    controller.abort();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(stream.clientCount()).toBe(0);
+    expect(stream.heartbeatTimer).toBeNull();
+    expect(() => stream.send('log', { line: 'nobody listens' })).not.toThrow();
+  });
+});
@@ -0,0 +1,162 @@
+const { once } = require('events');
+const GoProPythonBridge = require('../src/services/goproPythonBridge');
+const { waitFor, FAST_MOCK_CAMERA } = require('./helpers');
+
+const FAST_RESTART = { initialDelayMs: 20, maxDelayMs: 100, jitter: 0 };
+let bridge;
+
+function startBridge(options = {}) {
+  bridge = new GoProPythonBridge({ mock: FAST_MOCK_CAMERA, restart: FAST_RESTART, heartbeatIntervalMs: 0, ...options });
+  bridge.start();
+  return bridge;
+}
+
+afterEach(async () => {
+  await bridge.stop();
+});
+
+describe('GoProPythonBridge supervision', () => {
+  test('restarts a crashed bridge and reconnects the camera', async () => {
+    startBridge();
+    await bridge.connect();
+    const disconnected = once(bridge, 'disconnected');
+
+    bridge.pythonProcess.kill('SIGKILL');
+    await disconnected;
+    await waitFor(() => bridge.ready());
+
+    expect(bridge.restarts).toBe(1);
+    expect(bridge.lastExit).toMatchObject({ signal: 'SIGKILL' });
+    expect(bridge.getConnectionStatus()).toMatchObject({ restarts: 1, pythonProcess: true });
+  });
+
+  test('rejects pending commands as soon as the bridge exits', async () => {
+    startBridge({ mock: { ...FAST_MOCK_CAMERA, latency_ms: 5000 } });
+    await bridge.connect();
+
+    const photo = bridge.takePhoto();
+    bridge.pythonProcess.kill('SIGKILL');
+    await expect(photo).rejects.toThrow('Python bridge exited (signal SIGKILL)');
+    expect(bridge.pendingCommands.size).toBe(0);
+  });
+
+  test('kills and restarts a bridge that stops answering the heartbeat', async () => {
+    startBridge({ heartbeatIntervalMs: 50, heartbeatTimeoutMs: 100 });
+    await waitFor(() => bridge.lastHeartbeat);
+
+    const child = bridge.pythonProcess;
+    child.kill('SIGSTOP');
+    await waitFor(() => bridge.restarts === 1 && bridge.pythonProcess && bridge.pythonProcess !== child);
+    expect(bridge.lastExit.signal).toBe('SIGKILL');
+  });
+
+  test('keeps a bridge that is still running a command that outlived its timeout', async () => {
+    startBridge({
+      mock: { ...FAST_MOCK_CAMERA, connect_latency_ms: 600 },
+      heartbeatIntervalMs: 50,
+      heartbeatTimeoutMs: 100
+    });
+    const child = bridge.pythonProcess;
+    const logs = [];
+    bridge.on('log', (message) => logs.push(message));
+
+    await expect(bridge.sendCommand('connect', {}, 100)).rejects.toThrow('Command timeout');
+    expect(bridge.getConnectionStatus().overdueCommands).toBe(1);
+    expect(bridge.outstandingCommands()).toBe(1);
+    await expect(bridge.heartbeat()).resolves.toBeNull();
+
+    // The late answer frees the bridge for the heartbeat again
+    await waitFor(() => bridge.overdueCommands.size === 0);
+    await waitFor(() => bridge.lastHeartbeat);
+    expect(logs).toContain('Late answer to "connect" after its timeout');
+    expect(bridge.pythonProcess).toBe(child);
+    expect(bridge.restarts).toBe(0);
+  });
+
+  test('kills and restarts a bridge that never answers a command that timed out', async () => {
+    startBridge({
+      mock: { ...FAST_MOCK_CAMERA, connect_latency_ms: 60000 },
+      heartbeatIntervalMs: 50,
+      heartbeatTimeoutMs: 100
+    });
+    const child = bridge.pythonProcess;
+    const logs = [];
+    bridge.on('log', (message) => logs.push(message));
+
+    await expect(bridge.sendCommand('connect', {}, 30)).rejects.toThrow('Command timeout');
+    expect(bridge.outstandingCommands()).toBe(1);
+
+    // Ten times its timeout later the command no longer keeps the bridge busy, and the heartbeat gives up on it
+    await waitFor(() => bridge.restarts === 1 && bridge.pythonProcess && bridge.pythonProcess !== child);
+    expect(logs).toContain('"connect" still not answered long after its timeout - killing bridge');
+    expect(bridge.lastExit.signal).toBe('SIGKILL');
+    expect(bridge.outstandingCommands()).toBe(0);
+    await waitFor(() => bridge.lastHeartbeat);
+  });
+
+  test('does not restart after stop()', async () => {
+    startBridge();
+    await bridge.stop();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(bridge.pythonProcess).toBeNull();
+    expect(bridge.restarts).toBe(0);
+  });
+
+  test('does not restart when the executable is missing', async () => {
+    bridge = new GoProPythonBridge({ restart: FAST_RESTART, heartbeatIntervalMs: 0 });
+    bridge.processCommand = () => ({ command: '/nonexistent/python3', args: ['bridge.py'] });
+    const exited = once(bridge, 'exit');
+    bridge.start();
+
+    const [exit] = await exited;
+    expect(exit.error).toMatch(/ENOENT/);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(bridge.restarts).toBe(0);
+    expect(bridge.getConnectionStatus().restartPending).toBe(false);
+  });
+});
+
+describe('GoProPythonBridge.snapPhoto', () => {
+  test('fires right away and only waits for the camera while recovering it', async () => {
+    startBridge({ mock: { ...FAST_MOCK_CAMERA, encoding_ms: 5000 }, recoverySettleMs: 0 });
+    await bridge.connect();
+    const commands = [];
+    const sendCommand = bridge.sendCommand.bind(bridge);
+    bridge.sendCommand = (command, ...rest) => {
+      commands.push(command);
+      return sendCommand(command, ...rest);
+    };
+
+    await expect(bridge.snapPhoto()).resolves.toMatchObject({ success: true, attempts: 1 });
+    // Still encoding the first photo: the attempt fails and the recovery waits until it is ready
+    await expect(bridge.snapPhoto()).resolves.toMatchObject({ success: true, attempts: 2 });
+    expect(commands).toEqual(['take_photo', 'take_photo', 'recover', 'status', 'take_photo']);
+  });
+
+  test('recovers a stuck camera and tries again', async () => {
+    startBridge({ mock: { ...FAST_MOCK_CAMERA, stuck_busy: true }, readyTimeoutMs: 100, recoverySettleMs: 0 });
+    await bridge.connect();
+    const logs = [];
+    bridge.on('log', (message) => logs.push(message));
+
+    const result = await bridge.snapPhoto(3);
+    expect(result).toMatchObject({ success: true, attempts: 2 });
+    expect(logs).toContain('Busy recovery: shutter_off ok, photo_mode ok, keep_alive ok');
+  });
+
+  test('gives up after the last attempt', async () => {
+    startBridge({ mock: { ...FAST_MOCK_CAMERA, photo_failure_rate: 1 }, recoverySettleMs: 0 });
+    await bridge.connect();
+
+    await expect(bridge.snapPhoto(2)).rejects.toThrow('Photo failed: ErrorCode.ERROR');
+  });
+
+  test('attemptBusyRecovery reports each step and whether the camera is ready again', async () => {
+    startBridge({ mock: { ...FAST_MOCK_CAMERA, stuck_busy: true } });
+    await bridge.connect();
+
+    const result = await bridge.attemptBusyRecovery();
+    expect(result.ready).toBe(true);
+    expect(result.steps.map((step) => step.step)).toEqual(['shutter_off', 'photo_mode', 'keep_alive']);
+  });
+});
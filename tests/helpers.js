@@ -0,0 +1,170 @@
+/**
+ * Shared test helpers for LayerSync
+ * Fixtures, temporary directories, a controllable clock, polling, event streams and the control channel
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const WebSocket = require('ws');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Load a recorded MQTT payload sequence
+ * @param {string} name - Fixture name in fixtures/mqtt (without .json)
+ * @returns {Array<Object>} Payloads in the order the printer sent them
+ */
+function loadMqttFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'mqtt', `${name}.json`), 'utf8'));
+}
+
+/**
+ * Create a temporary directory, removed again by removeTempDir
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} Directory path
+ */
+function makeTempDir(prefix = 'layersync-test-') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function removeTempDir(directory) {
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+/**
+ * Replace Date.now with a clock that only moves when told to (on top of real time)
+ * @returns {{advance: Function, restore: Function}} Clock controls
+ */
+function mockClock() {
+  const realNow = Date.now.bind(Date);
+  let offset = 0;
+  const spy = jest.spyOn(Date, 'now').mockImplementation(() => realNow() + offset);
+  return {
+    advance(ms) {
+      offset += ms;
+    },
+    restore() {
+      spy.mockRestore();
+    }
+  };
+}
+
+/**
+ * Poll until `condition` returns a truthy value
+ * @param {Function} condition - Condition to wait for
+ * @param {number} [timeoutMs=5000] - Time to give up after
+ * @returns {Promise<*>} The condition's value
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const startedAt = Date.now();
+  for (;;) {
+    const value = await condition();
+    if (value) {
+      return value;
+    }
+    if (Date.now() - startedAt > timeoutMs) {
+      throw new Error(`Condition not met within ${timeoutMs}ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+}
+
+/**
+ * Parse a text/event-stream body
+ * @param {string} text - Stream content
+ * @returns {Array<Object>} Events ({ id, event, data }) with the data parsed as JSON
+ */
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .map((block) => {
+      const fields = {};
+      for (const line of block.split('\n')) {
+        const match = line.match(/^(id|event|data): (.*)$/);
+        if (match) {
+          fields[match[1]] = match[1] === 'data' ? JSON.parse(match[2]) : match[2];
+        }
+      }
+      return fields;
+    })
+    .filter((fields) => fields.event);
+}
+
+/**
+ * Read an event stream until the server ends it
+ * @param {Response} response - fetch() response
+ * @returns {Promise<Array<Object>>} Events (see parseEvents)
+ */
+async function readEvents(response) {
+  return parseEvents(await response.text());
+}
+
+/**
+ * Open an event stream and collect its events while it is open
+ * @param {string} url - Stream URL
+ * @param {Object} [options] - fetch options (e.g. headers)
+ * @returns {Promise<{events: Array<Object>, close: Function, ended: boolean}>} Collected events (see parseEvents);
+ *   ended turns true when the server ends the stream
+ */
+async function openEventStream(url, options = {}) {
+  const controller = new AbortController();
+  const response = await fetch(url, { ...options, signal: controller.signal });
+  const decoder = new TextDecoder();
+  const stream = { events: [], close: () => controller.abort(), ended: false };
+  let buffer = '';
+  (async () => {
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const end = buffer.lastIndexOf('\n\n');
+      if (end !== -1) {
+        stream.events.push(...parseEvents(buffer.slice(0, end)));
+        buffer = buffer.slice(end + 2);
+      }
+    }
+    stream.ended = true;
+  })().catch(() => {});
+  return stream;
+}
+
+/**
+ * Open a control channel connection and collect its messages while it is open
+ * @param {string} url - WebSocket URL
+ * @param {Object} [options] - ws client options (e.g. headers)
+ * @returns {Promise<{messages: Array<Object>, command: Function, send: Function, close: Function}>} Collected
+ *   messages; command(name, params) sends a command and resolves with its response, send(data) sends raw data
+ */
+async function openControlChannel(url, options) {
+  const ws = new WebSocket(url, options);
+  const channel = { messages: [], close: () => ws.close() };
+  let nextId = 1;
+  ws.on('message', (raw) => channel.messages.push(JSON.parse(raw.toString())));
+  ws.on('close', (code, reason) => {
+    channel.closed = { code, reason: reason.toString() };
+  });
+  channel.command = (command, params) => {
+    const id = nextId++;
+    ws.send(JSON.stringify({ id, type: 'command', command, params }));
+    return waitFor(() => channel.messages.find((message) => message.type === 'response' && message.id === id));
+  };
+  channel.send = (data) => ws.send(data);
+  await once(ws, 'open');
+  return channel;
+}
+
+// Mock camera settings that keep tests fast
+const FAST_MOCK_CAMERA = { connect_latency_ms: 0, latency_ms: 0, encoding_ms: 0 };
+
+module.exports = {
+  loadMqttFixture,
+  makeTempDir,
+  removeTempDir,
+  mockClock,
+  waitFor,
+  parseEvents,
+  readEvents,
+  openEventStream,
+  openControlChannel,
+  FAST_MOCK_CAMERA
+};
@@ -0,0 +1,591 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const BambuPrinterSimulator = require('../src/simulators/bambuPrinterSimulator');
+const {
+  makeTempDir,
+  removeTempDir,
+  waitFor,
+  openEventStream,
+  openControlChannel,
+  FAST_MOCK_CAMERA
+} = require('./helpers');
+
+const directory = makeTempDir();
+const configFile = path.join(directory, 'config.json');
+process.env.LAYERSYNC_CONFIG = configFile;
+process.env.LAYERSYNC_DATA_DIR = path.join(directory, 'data');
+process.env.PORT = '0';
+
+const controller = require('../src/controllers/timelapse_controller');
+const AuthService = require('../src/services/authService');
+
+const simulator = new BambuPrinterSimulator({
+  serial: 'SIMHTTP0000001',
+  accessCode: 'httptest',
+  reportIntervalMs: 200
+});
+let server;
+let baseUrl;
+
+async function api(pathname, { method = 'GET', body, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: body ? JSON.stringify(body) : undefined,
+    redirect: 'manual'
+  });
+  const text = await response.text();
+  const type = response.headers.get('content-type') || '';
+  return { status: response.status, body: type.includes('json') ? JSON.parse(text) : text };
+}
+
+function savedConfig() {
+  return JSON.parse(fs.readFileSync(configFile, 'utf8'));
+}
+
+beforeAll(async () => {
+  fs.writeFileSync(
+    configFile,
+    JSON.stringify({
+      printers: [
+        {
+          id: 'sim',
+          name: 'Simulator',
+          printer_ip: '127.0.0.1',
+          printer_serial: simulator.serial,
+          mqtt_password: simulator.accessCode
+        }
+      ],
+      cameras: [{ name: 'cam', mock: FAST_MOCK_CAMERA }]
+    })
+  );
+
+  await simulator.start();
+  server = controller.start();
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await controller.stop(server);
+  await simulator.stop();
+  removeTempDir(directory);
+});
+
+describe('status', () => {
+  test('GET /api/status reports the configured printer', async () => {
+    const { status, body } = await api('/api/status');
+    expect(status).toBe(200);
+    expect(body.config_loaded).toBe(true);
+    expect(body.printers.map((printer) => printer.id)).toEqual(['sim']);
+  });
+
+  test('the printer connects to the simulator and receives its reports', async () => {
+    const printer = await waitFor(async () => {
+      const { body } = await api('/api/printers/sim');
+      // The status line gets its timelapse suffix from the first handled report
+      return body.printer.connected && body.printer.printer_status.includes('Timelapse') ? body.printer : null;
+    });
+    expect(printer).toMatchObject({
+      name: 'Simulator',
+      printer_serial: simulator.serial,
+      capture_policy: 'follow_printer'
+    });
+  });
+
+  test('GET /api/printers/:id/state returns the merged printer state', async () => {
+    const { status, body } = await api('/api/printers/sim/state?raw=1');
+    expect(status).toBe(200);
+    expect(body.printer_id).toBe('sim');
+    expect(body.state).toMatchObject({ gcode_state: 'IDLE', ipcam: { timelapse: expect.any(Boolean) } });
+    expect(body.state.report_count).toBeGreaterThan(0);
+    expect(body.raw.gcode_state).toBe('IDLE');
+  });
+
+  test('GET /api/printer/state is the state of the first printer', async () => {
+    const { status, body } = await api('/api/printer/state');
+    expect(status).toBe(200);
+    expect(body.printer_id).toBe('sim');
+    expect(body.raw).toBeUndefined();
+  });
+
+  test('unknown routes are 404', async () => {
+    expect((await api('/api/nope')).status).toBe(404);
+    expect((await api('/api/printers/nope')).status).toBe(404);
+    expect((await api('/api/printers/sim/nope', { method: 'POST' })).status).toBe(404);
+  });
+});
+
+describe('printers', () => {
+  test('POST /api/printers rejects incomplete definitions', async () => {
+    const { status, body } = await api('/api/printers', { method: 'POST', body: { printer_ip: '10.0.0.9' } });
+    expect(status).toBe(400);
+    expect(body.success).toBe(false);
+  });
+
+  test('POST /api/printers rejects duplicate ids', async () => {
+    const { status } = await api('/api/printers', {
+      method: 'POST',
+      body: { id: 'sim', printer_ip: '127.0.0.1', printer_serial: 'X', mqtt_password: 'y' }
+    });
+    expect(status).toBe(409);
+  });
+
+  test('PUT /api/printers/:id validates the capture policy', async () => {
+    const { status } = await api('/api/printers/sim', { method: 'PUT', body: { capture_policy: 'sometimes' } });
+    expect(status).toBe(400);
+  });
+
+  test('POST /api/printers/:id/capture-policy updates and saves the policy', async () => {
+    const { status, body } = await api('/api/printers/sim/capture-policy', {
+      method: 'POST',
+      body: { policy: 'always' }
+    });
+    expect(status).toBe(200);
+    expect(body.policy).toBe('always');
+    expect((await api('/api/printers/sim')).body.printer.capture_policy).toBe('always');
+    expect(savedConfig().printers[0].capture_policy).toBe('always');
+  });
+
+  test('POST /api/printers/:id/photo-delay validates and saves the delay', async () => {
+    expect((await api('/api/printers/sim/photo-delay', { method: 'POST', body: { delay: -5 } })).status).toBe(400);
+
+    const { status } = await api('/api/printers/sim/photo-delay', { method: 'POST', body: { delay: 250 } });
+    expect(status).toBe(200);
+    expect((await api('/api/printers/sim')).body.printer.photo_trigger_delay).toBe(250);
+    expect(savedConfig().printers[0].photo_trigger_delay).toBe(250);
+  });
+});
+
+describe('configuration', () => {
+  test('GET /api/config/schema describes the settings and names the overridden ones', async () => {
+    const { status, body } = await api('/api/config/schema');
+    expect(status).toBe(200);
+    expect(body.schema.definitions.printer.required).toEqual(['printer_ip', 'printer_serial', 'mqtt_password']);
+    expect(body.schema.properties.http_port).toMatchObject({ type: 'integer', 'x-env': 'LAYERSYNC_HTTP_PORT' });
+    // PORT and LAYERSYNC_DATA_DIR, set above
+    expect(body.overridden).toEqual(['http_port', 'data_dir']);
+  });
+
+  test('POST /api/config lists the invalid settings and saves nothing', async () => {
+    const { status, body } = await api('/api/config', {
+      method: 'POST',
+      body: { auto_render: 'yes', render: { fps: 500 } }
+    });
+    expect(status).toBe(400);
+    expect(body.errors).toEqual([
+      { path: 'auto_render', message: 'must be true or false' },
+      { path: 'render.fps', message: 'must be at most 120' }
+    ]);
+    expect(savedConfig().render).toBeUndefined();
+  });
+
+  test('printers follow the trigger strategy of their configuration', async () => {
+    const trigger = { strategy: 'every_n_layers', n: 4 };
+    expect((await api('/api/printers/sim', { method: 'PUT', body: { trigger } })).status).toBe(200);
+    expect((await api('/api/printers/sim')).body.printer.trigger).toEqual({ ...trigger, triggered: 0 });
+
+    // Strategies that are not registered, or refuse their options, are refused like schema problems
+    const unknown = await api('/api/printers/sim', { method: 'PUT', body: { trigger: { strategy: 'every_second' } } });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.errors).toEqual([
+      { path: 'printers[0].trigger', message: expect.stringMatching(/^Unknown trigger strategy "every_second"/) }
+    ]);
+    const refused = await api('/api/printers/sim', {
+      method: 'PUT',
+      body: { trigger: { strategy: 'every_n_layers' } }
+    });
+    expect(refused.status).toBe(400);
+    expect((await api('/api/printers/sim')).body.printer.trigger).toEqual({ ...trigger, triggered: 0 });
+    expect(savedConfig().printers[0].trigger).toEqual(trigger);
+
+    await api('/api/printers/sim', { method: 'PUT', body: { trigger: { strategy: 'every_layer' } } });
+  });
+
+  test('PUT /api/printers/:id checks the settings against the schema', async () => {
+    const { status, body } = await api('/api/printers/sim', { method: 'PUT', body: { park_timeout_ms: 'soon' } });
+    expect(status).toBe(400);
+    expect(body.errors).toEqual([{ path: 'printers[0].park_timeout_ms', message: 'must be a whole number' }]);
+  });
+});
+
+describe('printer diagnostics', () => {
+  test('POST /api/test-printer-connection checks TCP, TLS and the MQTT login', async () => {
+    const { status, body } = await api('/api/test-printer-connection', { method: 'POST' });
+    expect(status).toBe(200);
+    expect(body.success).toBe(true);
+    expect(body.diagnostics.steps.map((step) => step.step)).toEqual(['tcp', 'tls', 'mqtt']);
+  });
+
+  test('POST /api/test-printer-connection tests unsaved settings and suggests fixes', async () => {
+    const { status, body } = await api('/api/test-printer-connection', {
+      method: 'POST',
+      body: { mqtt_password: 'wrong' }
+    });
+    expect(status).toBe(502);
+    expect(body.success).toBe(false);
+    expect(body.diagnostics.suggestions.length).toBeGreaterThan(0);
+  });
+
+  test('POST /api/request-full-status waits for the full report', async () => {
+    const { status, body } = await api('/api/request-full-status', { method: 'POST' });
+    expect(status).toBe(200);
+    expect(body.response_ms).toEqual(expect.any(Number));
+    expect(body.state.gcode_state).toBe('IDLE');
+  });
+
+  test('POST /api/printers/:id/reconnect answers once reconnected', async () => {
+    const { status, body } = await api('/api/printers/sim/reconnect', { method: 'POST' });
+    expect(status).toBe(200);
+    expect(body.printer.connected).toBe(true);
+  });
+});
+
+describe('cameras', () => {
+  test('test shutter fails while no camera is connected', async () => {
+    const { status, body } = await api('/api/printers/sim/test-shutter', { method: 'POST' });
+    expect(status).toBe(500);
+    expect(body.results).toEqual([]);
+  });
+
+  test('POST /api/ble/connect connects the mock camera', async () => {
+    const { status, body } = await api('/api/ble/connect', { method: 'POST', body: {} });
+    expect(status).toBe(200);
+    expect(body.results).toEqual([expect.objectContaining({ camera: 'cam', success: true })]);
+
+    const cameraStatus = await api('/api/camera-status');
+    expect(cameraStatus.body.cameras).toEqual([expect.objectContaining({ name: 'cam', connected: true, mock: true })]);
+  });
+
+  test('unknown camera names are 404 and leave the other cameras alone', async () => {
+    for (const route of ['/api/ble/connect', '/api/ble/disconnect']) {
+      const { status, body } = await api(route, { method: 'POST', body: { device_id: 'cma' } });
+      expect(status).toBe(404);
+      expect(body.error).toBe('Unknown camera "cma"');
+    }
+    expect((await api('/api/camera-status')).body.cameras[0].connected).toBe(true);
+  });
+
+  test('test shutter captures with the connected camera', async () => {
+    const { status, body } = await api('/api/printers/sim/test-shutter', { method: 'POST' });
+    expect(status).toBe(200);
+    expect(body.results).toEqual([expect.objectContaining({ camera: 'cam', success: true })]);
+  });
+});
+
+describe('live events', () => {
+  let stream;
+
+  afterEach(() => {
+    stream.close();
+  });
+
+  const eventOf = (type, predicate = () => true) =>
+    waitFor(() => stream.events.find((event) => event.event === type && predicate(event.data)));
+
+  test('GET /api/events starts with a snapshot of printers, log and cameras', async () => {
+    stream = await openEventStream(`${baseUrl}/api/events`);
+    const { data } = await eventOf('snapshot');
+    expect(data.printers.map((printer) => printer.id)).toEqual(['sim']);
+    expect(data.log_buffer.length).toBeGreaterThan(0);
+    expect(data.camera_status.cameras).toEqual([expect.objectContaining({ name: 'cam', connected: true })]);
+  });
+
+  test('pushes log lines and camera status as they happen', async () => {
+    stream = await openEventStream(`${baseUrl}/api/events`);
+    await eventOf('snapshot');
+    await api('/api/printers/sim/test-shutter', { method: 'POST' });
+
+    await eventOf('log', (data) => data.line.includes('Manual Test Command'));
+    const { data } = await eventOf('cameras');
+    expect(data.status).toContain('Photo captured for Manual Test Command');
+    expect(data.cameras[0]).toMatchObject({ name: 'cam', lastStatus: expect.stringContaining('Photo captured') });
+  });
+
+  test('pushes printer changes with the printer summary', async () => {
+    stream = await openEventStream(`${baseUrl}/api/events`);
+    await eventOf('snapshot');
+    await api('/api/reconnect-printer', { method: 'POST' });
+
+    const { data } = await eventOf('printer', (event) => event.change === 'connection');
+    expect(data.printer).toMatchObject({ id: 'sim', name: 'Simulator' });
+    expect(data.status).toEqual(expect.any(String));
+  });
+});
+
+describe('control channel', () => {
+  let channel;
+
+  beforeEach(async () => {
+    channel = await openControlChannel(`${baseUrl.replace('http', 'ws')}/ws`);
+  });
+
+  afterEach(() => {
+    channel.close();
+  });
+
+  test('starts with the commands and a snapshot', async () => {
+    const hello = await waitFor(() => channel.messages.find((message) => message.type === 'hello'));
+    expect(hello.commands.map((command) => command.name)).toEqual(
+      expect.arrayContaining(['ping', 'test_shutter', 'connect_camera', 'set_photo_delay', 'request_full_status'])
+    );
+    const snapshot = await waitFor(() => channel.messages.find((message) => message.event === 'snapshot'));
+    expect(snapshot.data.printers.map((printer) => printer.id)).toEqual(['sim']);
+  });
+
+  test('takes a test photo and pushes the camera status', async () => {
+    const response = await channel.command('test_shutter', { printer: 'sim' });
+    expect(response).toMatchObject({ ok: true, result: { results: [expect.objectContaining({ camera: 'cam' })] } });
+    const event = await waitFor(() => channel.messages.find((message) => message.event === 'cameras'));
+    expect(event.data.status).toContain('Photo captured');
+  });
+
+  test('validates the parameters and names unknown printers', async () => {
+    expect((await channel.command('set_photo_delay', { delay: -5 })).error.code).toBe('invalid_params');
+    expect((await channel.command('request_full_status', { printer: 'nope' })).error).toMatchObject({
+      code: 'not_found',
+      message: 'Unknown printer "nope"'
+    });
+    expect((await channel.command('bogus')).error.code).toBe('unknown_command');
+  });
+
+  test('sets the photo delay like the HTTP route', async () => {
+    const response = await channel.command('set_photo_delay', { printer: 'sim', delay: 300 });
+    expect(response.result).toEqual({ printer: 'sim', delay: 300 });
+    expect(savedConfig().printers[0].photo_trigger_delay).toBe(300);
+  });
+});
+
+test('the access codes in the configuration file are encrypted', () => {
+  expect(fs.readFileSync(configFile, 'utf8')).not.toContain(simulator.accessCode);
+  expect(savedConfig().printers[0].mqtt_password).toMatch(/^enc:v1:/);
+  expect(fs.existsSync(path.join(directory, 'secret.key'))).toBe(true);
+});
+
+describe('authentication', () => {
+  const { auth } = controller;
+  let readToken;
+  let controlToken;
+  let cookie;
+  const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+  test('without a password or token everything is open, but /api/debug hides the secrets', async () => {
+    expect((await api('/api/auth')).body).toMatchObject({ enabled: false, caller: { name: 'anonymous' } });
+    const { body } = await api('/api/debug');
+    expect(body.secretsRedacted).toBe(true);
+    expect(body.config.printers[0].mqtt_password).toBe('***');
+    expect((await api('/api/tokens')).status).toBe(403);
+  });
+
+  test('only admins change the programs LayerSync runs and the sites that may call it', async () => {
+    const refused = await api('/api/config', { method: 'POST', body: { ffmpeg_path: '/tmp/not-ffmpeg' } });
+    expect(refused.status).toBe(403);
+    expect(refused.body.error).toBe('Not allowed: ffmpeg_path needs the "admin" scope');
+    expect(savedConfig()).not.toHaveProperty('ffmpeg_path');
+    expect((await api('/api/config', { method: 'POST', body: { cors_origin: '*' } })).status).toBe(403);
+  });
+
+  test('sends no CORS headers unless the configuration names a site', async () => {
+    const response = await fetch(`${baseUrl}/api/status`);
+    expect(response.headers.get('access-control-allow-origin')).toBeNull();
+  });
+
+  describe('when enabled', () => {
+    beforeAll(async () => {
+      auth.setPassword('correct horse battery');
+      readToken = auth.createToken('dashboard', ['read']).token;
+      controlToken = auth.createToken('octoprint', ['control']).token;
+      const response = await fetch(`${baseUrl}/api/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: 'correct horse battery' })
+      });
+      cookie = response.headers.get('set-cookie').split(';')[0];
+    });
+
+    afterAll(() => {
+      auth.setPassword(null);
+      for (const { id } of auth.listTokens()) {
+        auth.revokeToken(id);
+      }
+    });
+
+    test('sends browsers to the login page and API callers a 401', async () => {
+      const page = await api('/');
+      expect(page.status).toBe(302);
+      expect((await api('/login')).status).toBe(200);
+      expect((await api('/api/status')).status).toBe(401);
+      expect((await api('/api/login', { method: 'POST', body: { password: 'wrong' } })).status).toBe(401);
+    });
+
+    test('tokens only reach the routes of their scopes', async () => {
+      expect((await api('/api/status', { headers: bearer(readToken) })).status).toBe(200);
+      expect((await api('/api/test-shutter', { method: 'POST', headers: bearer(readToken) })).status).toBe(403);
+      expect((await api('/api/test-shutter', { method: 'POST', headers: bearer(controlToken) })).status).toBe(200);
+      const update = await api('/api/printers/sim', { method: 'PUT', body: {}, headers: bearer(controlToken) });
+      expect(update.status).toBe(403);
+      expect((await api('/api/status', { headers: bearer('lst_nope') })).status).toBe(401);
+    });
+
+    test('only admins see the secrets in /api/debug', async () => {
+      expect((await api('/api/debug', { headers: bearer(readToken) })).body.config.auth.password_hash).toBe('***');
+      const { body } = await api('/api/debug', { headers: { Cookie: cookie } });
+      expect(body.secretsRedacted).toBe(false);
+      expect(body.config.printers[0].mqtt_password).toBe(simulator.accessCode);
+    });
+
+    test('the session manages tokens, and saving the configuration leaves auth alone', async () => {
+      const created = await api('/api/tokens', {
+        method: 'POST',
+        body: { name: 'ci', scopes: ['read'] },
+        headers: { Cookie: cookie }
+      });
+      expect(created.status).toBe(201);
+      expect(created.body.token).toMatch(/^lst_/);
+      expect((await api('/api/tokens', { headers: bearer(controlToken) })).status).toBe(403);
+
+      await api('/api/config', { method: 'POST', body: { auth: {} }, headers: { Cookie: cookie } });
+      expect(savedConfig().auth.tokens.map((token) => token.name)).toEqual(['dashboard', 'octoprint', 'ci']);
+
+      const revoked = await api(`/api/tokens/${created.body.info.id}`, {
+        method: 'DELETE',
+        headers: { Cookie: cookie }
+      });
+      expect(revoked.status).toBe(200);
+    });
+
+    test('admins change the admin-only settings', async () => {
+      const saved = await api('/api/config', {
+        method: 'POST',
+        body: { cors_origin: 'https://dashboard.local' },
+        headers: { Cookie: cookie }
+      });
+      expect(saved.status).toBe(200);
+      const response = await fetch(`${baseUrl}/api/auth`);
+      expect(response.headers.get('access-control-allow-origin')).toBe('https://dashboard.local');
+      expect(response.headers.get('vary')).toBe('Origin');
+
+      const configToken = auth.createToken('editor', ['config']).token;
+      const refused = await api('/api/config', {
+        method: 'POST',
+        body: { cors_origin: '*' },
+        headers: bearer(configToken)
+      });
+      expect(refused.status).toBe(403);
+      expect(savedConfig().cors_origin).toBe('https://dashboard.local');
+
+      const config = savedConfig();
+      delete config.cors_origin;
+      fs.writeFileSync(configFile, JSON.stringify(config));
+      controller.loadConfig();
+    });
+
+    test('makes a client wait after too many wrong passwords', async () => {
+      try {
+        for (let i = 0; i < AuthService.MAX_FAILED_LOGINS; i++) {
+          await api('/api/login', { method: 'POST', body: { password: 'wrong' } });
+        }
+        const response = await fetch(`${baseUrl}/api/login`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ password: 'correct horse battery' })
+        });
+        expect(response.status).toBe(429);
+        expect(Number(response.headers.get('retry-after'))).toBeGreaterThan(0);
+      } finally {
+        auth.failedLogins.clear();
+      }
+    });
+
+    test('logging out, changing the password and revoking a token end their event streams', async () => {
+      const login = async () => {
+        const response = await fetch(`${baseUrl}/api/login`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ password: 'correct horse battery' })
+        });
+        return response.headers.get('set-cookie').split(';')[0];
+      };
+      const { token, info } = auth.createToken('wallboard', ['read']);
+      const loggedOut = await login();
+      const session = await openEventStream(`${baseUrl}/api/events`, { headers: { Cookie: loggedOut } });
+      const tokenStream = await openEventStream(`${baseUrl}/api/events`, { headers: bearer(token) });
+      const kept = await openEventStream(`${baseUrl}/api/events`, { headers: bearer(readToken) });
+      try {
+        await waitFor(() => [session, tokenStream, kept].every((stream) => stream.events.length > 0));
+
+        await api('/api/logout', { method: 'POST', headers: { Cookie: loggedOut } });
+        await waitFor(() => session.ended);
+
+        await api(`/api/tokens/${info.id}`, { method: 'DELETE', headers: { Cookie: cookie } });
+        await waitFor(() => tokenStream.ended);
+
+        const other = await openEventStream(`${baseUrl}/api/events`, { headers: { Cookie: cookie } });
+        await waitFor(() => other.events.length > 0);
+        await api('/api/auth/password', {
+          method: 'POST',
+          body: { password: 'correct horse battery' },
+          headers: { Cookie: cookie }
+        });
+        await waitFor(() => other.ended);
+        cookie = await login();
+        expect(kept.ended).toBe(false);
+      } finally {
+        kept.close();
+      }
+    });
+
+    test('logging out and revoking a token close their control connections', async () => {
+      const url = `${baseUrl.replace('http', 'ws')}/ws`;
+      const login = await fetch(`${baseUrl}/api/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: 'correct horse battery' })
+      });
+      const otherCookie = login.headers.get('set-cookie').split(';')[0];
+      const { token, info } = auth.createToken('kiosk', ['read']);
+
+      const session = await openControlChannel(url, { headers: { Cookie: otherCookie } });
+      const tokenChannel = await openControlChannel(url, { headers: bearer(token) });
+      const kept = await openControlChannel(url, { headers: bearer(readToken) });
+      try {
+        await api('/api/logout', { method: 'POST', headers: { Cookie: otherCookie } });
+        expect((await waitFor(() => session.closed)).reason).toBe('Logged out');
+
+        await api(`/api/tokens/${info.id}`, { method: 'DELETE', headers: { Cookie: cookie } });
+        expect((await waitFor(() => tokenChannel.closed)).reason).toBe('Token revoked');
+        expect((await kept.command('ping')).ok).toBe(true);
+      } finally {
+        kept.close();
+      }
+    });
+
+    test('the control channel needs credentials and checks command scopes', async () => {
+      const url = `${baseUrl.replace('http', 'ws')}/ws`;
+      await expect(openControlChannel(url)).rejects.toThrow('401');
+
+      const channel = await openControlChannel(url, { headers: bearer(readToken) });
+      try {
+        expect((await channel.command('ping')).ok).toBe(true);
+        expect((await channel.command('test_shutter')).error.code).toBe('forbidden');
+      } finally {
+        channel.close();
+      }
+    });
+  });
+});
+
+describe('sessions', () => {
+  test('GET /api/sessions lists sessions', async () => {
+    const { status, body } = await api('/api/sessions?printer=sim');
+    expect(status).toBe(200);
+    expect(body.sessions).toEqual([]);
+  });
+
+  test('unknown sessions are 404', async () => {
+    expect((await api('/api/sessions/nope')).status).toBe(404);
+    expect((await api('/api/sessions/nope/render', { method: 'POST' })).status).toBe(404);
+    expect((await api('/api/render-jobs/nope')).status).toBe(404);
+  });
+});
@@ -0,0 +1,185 @@
+const path = require('path');
+const MediaDownloader = require('../src/services/mediaDownloader');
+const SessionStore = require('../src/services/sessionStore');
+const { makeTempDir, removeTempDir } = require('./helpers');
+
+// Camera driver that "has" `count` photos on its card
+function mockDriver(count, { media = true, failDownload = null } = {}) {
+  const files = Array.from({ length: count }, (_, i) => ({
+    file: `/tmp/out/GOPR${1000 + i}.JPG`,
+    path: `100GOPRO/GOPR${1000 + i}.JPG`
+  }));
+  return {
+    constructor: { driverType: 'mock' },
+    getCapabilities: () => ({ media }),
+    downloadMedia: jest.fn(async () => {
+      if (failDownload) {
+        throw new Error(failDownload);
+      }
+      return files;
+    }),
+    deleteMedia: jest.fn(async (paths) => paths)
+  };
+}
+
+describe('MediaDownloader', () => {
+  let directory;
+  let sessions;
+  let drivers;
+  let downloader;
+  let session;
+
+  function trigger(layer, cameras) {
+    sessions.recordTrigger(session.id, {
+      layer,
+      latencyMs: 1,
+      results: Object.entries(cameras).map(([camera, success]) => ({ camera, success }))
+    });
+  }
+
+  beforeEach(() => {
+    directory = makeTempDir();
+    sessions = new SessionStore(path.join(directory, 'sessions'));
+    drivers = new Map();
+    downloader = new MediaDownloader({
+      cameras: { get: (name) => drivers.get(name) },
+      sessions,
+      directory: path.join(directory, 'media')
+    });
+    session = sessions.open({ id: 'P1', name: 'P1' });
+    trigger(1, { front: true, side: true });
+    trigger(2, { front: true, side: false });
+    sessions.close(session.id, SessionStore.STATUS.FINISHED);
+  });
+
+  afterEach(() => {
+    removeTempDir(directory);
+  });
+
+  test('downloads each camera into its own directory, limited to the session window', async () => {
+    drivers.set('front', mockDriver(2));
+    drivers.set('side', mockDriver(1));
+
+    const media = await downloader.download(session.id);
+
+    expect(media).toMatchObject({ status: 'complete', directory: path.join(directory, 'media', session.id) });
+    expect(media.cameras).toEqual([
+      {
+        camera: 'front',
+        expected: 2,
+        test_shots: 0,
+        downloaded: 2,
+        verified: true,
+        deleted: 0,
+        files: ['GOPR1000.JPG', 'GOPR1001.JPG'],
+        test_files: [],
+        error: null
+      },
+      expect.objectContaining({ camera: 'side', expected: 1, downloaded: 1, verified: true })
+    ]);
+    expect(drivers.get('front').downloadMedia).toHaveBeenCalledWith({
+      directory: path.join(directory, 'media', session.id, 'front'),
+      since: Math.floor(Date.parse(session.started_at) / 1000),
+      until: Math.ceil(Date.parse(session.ended_at) / 1000)
+    });
+    expect(drivers.get('front').deleteMedia).not.toHaveBeenCalled();
+    expect(sessions.get(session.id).media).toEqual(media);
+  });
+
+  test('deletes from the camera after a verified download when asked to', async () => {
+    drivers.set('front', mockDriver(2));
+    drivers.set('side', mockDriver(1));
+
+    const media = await downloader.download(session.id, { deleteAfter: true });
+
+    expect(drivers.get('front').deleteMedia).toHaveBeenCalledWith(['100GOPRO/GOPR1000.JPG', '100GOPRO/GOPR1001.JPG']);
+    expect(media.cameras.map((record) => record.deleted)).toEqual([2, 1]);
+  });
+
+  test('a partial failure leaves the session incomplete and keeps the photos on the camera', async () => {
+    drivers.set('front', mockDriver(3));
+    drivers.set('side', mockDriver(0, { failDownload: 'Camera WiFi not reachable' }));
+
+    const media = await downloader.download(session.id, { deleteAfter: true });
+
+    expect(media.status).toBe('incomplete');
+    expect(media.cameras[0]).toMatchObject({
+      verified: false,
+      deleted: 0,
+      error: 'Expected 2 photo(s) from the trigger log, found 3 on the camera'
+    });
+    expect(media.cameras[1]).toMatchObject({ downloaded: 0, error: 'Camera WiFi not reachable' });
+    expect(drivers.get('front').deleteMedia).not.toHaveBeenCalled();
+  });
+
+  test('fails when no camera could be downloaded', async () => {
+    drivers.set('front', mockDriver(2, { media: false }));
+
+    const media = await downloader.download(session.id);
+
+    expect(media.status).toBe('failed');
+    expect(media.cameras.map((record) => record.error)).toEqual([
+      'Driver "mock" cannot download media',
+      'Camera is no longer configured'
+    ]);
+  });
+
+  test('expects the test shots taken during the print', async () => {
+    sessions.recordTestShot(session.id, [{ camera: 'front', success: true }]);
+    drivers.set('front', mockDriver(3));
+    drivers.set('side', mockDriver(2));
+
+    const media = await downloader.download(session.id, { deleteAfter: true });
+
+    expect(media.cameras[0]).toMatchObject({
+      expected: 2,
+      test_shots: 1,
+      verified: true,
+      deleted: 3,
+      test_files: ['GOPR1002.JPG']
+    });
+    expect(media.cameras[1]).toMatchObject({
+      verified: false,
+      error: 'Expected 1 photo(s) from the trigger log, found 2 on the camera'
+    });
+  });
+
+  test('orders the test shots of a camera among its layer photos by time', () => {
+    const shot = (timestamp, camera, success = true) => ({ timestamp, cameras: [{ camera, success }] });
+    const printed = {
+      triggers: [
+        shot('2024-01-01T10:00:00.000Z', 'front'),
+        shot('2024-01-01T10:02:00.000Z', 'front', false),
+        shot('2024-01-01T10:03:00.000Z', 'front')
+      ],
+      test_shots: [shot('2024-01-01T10:01:00.000Z', 'front'), shot('2024-01-01T10:04:00.000Z', 'side')]
+    };
+
+    expect(MediaDownloader.testShotOrder(printed, 'front')).toEqual([false, true, false]);
+    expect(MediaDownloader.testShotOrder(printed, 'side')).toEqual([true]);
+  });
+
+  test('downloads cameras that only took test shots during the print', async () => {
+    sessions.recordTestShot(session.id, [{ camera: 'top', success: true }]);
+    drivers.set('front', mockDriver(2));
+    drivers.set('side', mockDriver(1));
+    drivers.set('top', mockDriver(1));
+
+    const media = await downloader.download(session.id);
+
+    expect(media.status).toBe('complete');
+    expect(media.cameras.map((record) => record.camera)).toEqual(['front', 'side', 'top']);
+    expect(media.cameras[2]).toMatchObject({ expected: 0, test_shots: 1, downloaded: 1, verified: true });
+  });
+
+  test('refuses unknown sessions and a second download of the same session', async () => {
+    await expect(downloader.download('nope')).rejects.toThrow('Unknown session "nope"');
+
+    drivers.set('front', mockDriver(2));
+    drivers.set('side', mockDriver(1));
+    const first = downloader.download(session.id);
+    await expect(downloader.download(session.id)).rejects.toThrow('is already running');
+    await first;
+    await expect(downloader.download(session.id)).resolves.toMatchObject({ status: 'complete' });
+  });
+});
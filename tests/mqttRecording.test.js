@@ -0,0 +1,102 @@
+const fs = require('fs');
+const MqttRecorder = require('../src/services/mqttRecorder');
+const MqttReplay = require('../src/services/mqttReplay');
+const { loadMqttFixture, makeTempDir, removeTempDir } = require('./helpers');
+
+describe('MQTT recording', () => {
+  let directory;
+  let recorder;
+  const printer = {
+    id: 'X1C',
+    config: { id: 'X1C', name: 'X1C', printer_serial: '01S00A000000001', mqtt_password: 'secret', trigger: { n: 2 } }
+  };
+
+  beforeEach(() => {
+    directory = makeTempDir();
+    recorder = new MqttRecorder(directory);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    removeTempDir(directory);
+  });
+
+  // Record the fixture one second apart
+  function recordFixture(name) {
+    let now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const payloads = loadMqttFixture(name);
+    for (const payload of payloads) {
+      recorder.record('session-1', printer, payload, ['front']);
+      now += 1000;
+    }
+    jest.restoreAllMocks();
+    return payloads;
+  }
+
+  test('writes a header and one line per report', () => {
+    const payloads = recordFixture('timelapse-print');
+    const { header, reports } = MqttReplay.load(recorder.file('session-1'));
+
+    expect(recorder.has('session-1')).toBe(true);
+    expect(recorder.has('session-2')).toBe(false);
+    expect(header).toMatchObject({ type: 'header', session_id: 'session-1', cameras: ['front'] });
+    expect(reports.map((report) => report.payload)).toEqual(payloads);
+    expect(reports[1].ts - reports[0].ts).toBe(1000);
+  });
+
+  test('leaves the MQTT credentials out of the header', () => {
+    recordFixture('timelapse-print');
+    const { header } = MqttReplay.load(recorder.file('session-1'));
+
+    expect(header.printer).toEqual({ id: 'X1C', name: 'X1C', printer_serial: '01S00A000000001', trigger: { n: 2 } });
+  });
+
+  test('reports the line of a corrupt recording', () => {
+    recordFixture('timelapse-disabled-print');
+    fs.appendFileSync(recorder.file('session-1'), '{"type":"report",\n');
+
+    expect(() => MqttReplay.load(recorder.file('session-1'))).toThrow(/session-1\.jsonl:5:/);
+  });
+
+  test('plays the reports in order on the recording clock', async () => {
+    const payloads = recordFixture('timelapse-print');
+    const { reports } = MqttReplay.load(recorder.file('session-1'));
+    const replay = new MqttReplay({ speed: Infinity });
+
+    const seen = [];
+    const played = await replay.play(reports, (payload, report) => {
+      seen.push({ payload, clock: replay.now(), ts: report.ts });
+    });
+
+    expect(played).toBe(payloads.length);
+    expect(seen.map((entry) => entry.payload)).toEqual(payloads);
+    expect(seen.every((entry) => entry.clock === entry.ts)).toBe(true);
+  });
+
+  test('keeps the recorded spacing divided by the speed', async () => {
+    recordFixture('timelapse-disabled-print');
+    const { reports } = MqttReplay.load(recorder.file('session-1'));
+    const replay = new MqttReplay({ speed: 20 });
+
+    const startedAt = Date.now();
+    await replay.play(reports, () => {});
+
+    // Three reports one second apart take 2 s recorded, 100 ms at 20x
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(90);
+    expect(replay.now() - reports[0].ts).toBeGreaterThanOrEqual(2000);
+  });
+
+  test('stops after the current report', async () => {
+    recordFixture('timelapse-print');
+    const { reports } = MqttReplay.load(recorder.file('session-1'));
+    const replay = new MqttReplay({ speed: Infinity });
+
+    const played = await replay.play(reports, () => replay.stop());
+    expect(played).toBe(1);
+  });
+
+  test('rejects a speed that is not positive', () => {
+    expect(() => new MqttReplay({ speed: -1 })).toThrow('positive');
+  });
+});
@@ -0,0 +1,254 @@
+const BambuPrinterSimulator = require('../src/simulators/bambuPrinterSimulator');
+const EventBus = require('../src/services/eventBus');
+const MQTTService = require('../src/services/mqttService');
+const PrinterService = require('../src/services/printerService');
+const { waitFor } = require('./helpers');
+
+const simulator = new BambuPrinterSimulator({
+  serial: 'SIMMQTT0000001',
+  accessCode: 'mqtttest',
+  port: 0,
+  reportIntervalMs: 100,
+  state: { gcode_state: 'RUNNING', layer_num: 3, total_layer_num: 20 }
+});
+let definition;
+let service;
+
+function connect(overrides = {}, options = {}) {
+  service = new MQTTService({ ...definition, ...overrides }, { port: simulator.port, log: () => {}, ...options });
+  service.connect();
+  return service;
+}
+
+beforeAll(async () => {
+  await simulator.start();
+  definition = { printer_ip: '127.0.0.1', printer_serial: simulator.serial, mqtt_password: simulator.accessCode };
+});
+
+afterEach(() => {
+  if (service) {
+    service.disconnect();
+  }
+});
+
+afterAll(async () => {
+  await simulator.stop();
+});
+
+describe('MQTTService', () => {
+  test('subscribes to the report topic and asks for a full report', async () => {
+    const reports = [];
+    connect().on('report', (payload) => reports.push(payload));
+
+    await waitFor(() => reports.some((report) => report.print.msg === 0));
+    expect(service.isConnected()).toBe(true);
+    expect(reports.find((report) => report.print.msg === 0).print).toMatchObject({
+      gcode_state: 'RUNNING',
+      layer_num: 3
+    });
+  });
+
+  test('publishes print commands on the request topic', async () => {
+    connect();
+    await waitFor(() => service.isConnected());
+
+    await service.publishCommand('pause');
+    await waitFor(() => simulator.state.gcode_state === 'PAUSE');
+    await service.publishCommand('resume');
+    await waitFor(() => simulator.state.gcode_state === 'RUNNING');
+  });
+
+  test('reports a rejected access code as the connection status', async () => {
+    connect({ mqtt_password: 'wrong' });
+    await waitFor(() => service.status.startsWith('ERROR'));
+    expect(service.status).toBe('ERROR: Connection refused - check IP/password/network');
+    expect(service.client).toBeNull();
+  });
+
+  test('refuses to connect with an incomplete configuration', () => {
+    const statuses = [];
+    service = new MQTTService({ printer_ip: '127.0.0.1' }, { log: () => {} });
+    service.on('status', (status) => statuses.push(status));
+
+    expect(service.connect()).toBe(false);
+    expect(statuses).toEqual(['ERROR: Incomplete configuration']);
+  });
+
+  test('reconnects after the connection drops and asks for a full report again', async () => {
+    const connections = [];
+    connect({}, { reconnect: { initialDelayMs: 50, jitter: 0 } });
+    service.on('connected', (info) => connections.push(info));
+    await waitFor(() => connections.length === 1);
+
+    const reports = [];
+    service.on('report', (payload) => reports.push(payload));
+    simulator.dropConnections();
+
+    await waitFor(() => connections.length === 2);
+    expect(connections[1].reconnect).toBe(true);
+    await waitFor(() => reports.some((report) => report.print.msg === 0));
+    expect(service.reconnectAttempt).toBe(0);
+  });
+
+  test('keeps retrying while the printer is offline', async () => {
+    const attempts = [];
+    connect({}, { reconnect: { initialDelayMs: 20, jitter: 0 } });
+    await waitFor(() => service.isConnected());
+    service.on('reconnecting', (info) => attempts.push(info));
+
+    simulator.goOffline(300);
+    await waitFor(() => service.isConnected() && attempts.length >= 2);
+    expect(attempts.map((attempt) => attempt.attempt).slice(0, 2)).toEqual([1, 2]);
+    expect(attempts[1].delayMs).toBe(2 * attempts[0].delayMs);
+  });
+
+  test('does not retry a rejected access code', async () => {
+    connect({ mqtt_password: 'wrong' }, { reconnect: { initialDelayMs: 10 } });
+    await waitFor(() => service.status.startsWith('ERROR'));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(service.isRunning()).toBe(false);
+  });
+
+  test('disconnect cancels a pending reconnect', async () => {
+    connect({}, { reconnect: { initialDelayMs: 60000 } });
+    await waitFor(() => service.isConnected());
+    simulator.dropConnections();
+    await waitFor(() => service.reconnectTimer);
+
+    service.disconnect();
+    expect(service.isRunning()).toBe(false);
+    expect(service.status).toBe('DISCONNECTED');
+  });
+
+  test('errors of a client it already let go of are ignored', () => {
+    connect();
+    const { client } = service;
+    client.emit('error', new Error('Connection refused'));
+    expect(() => client.emit('error', new Error('connack timeout'))).not.toThrow();
+    service.disconnect();
+
+    connect();
+    const next = service.client;
+    service.disconnect();
+    expect(() => next.emit('error', new Error('connack timeout'))).not.toThrow();
+  });
+
+  test('rejects print commands while disconnected', async () => {
+    service = new MQTTService(definition, { log: () => {} });
+    await expect(service.publishCommand('pause')).rejects.toThrow('MQTT client not connected');
+  });
+});
+
+describe('PrinterService over MQTT', () => {
+  test('merges the reports of its connection', async () => {
+    const printer = new PrinterService(
+      { id: 'sim', name: 'Simulator', ...definition },
+      { mqtt: { port: simulator.port }, log: () => {} }
+    );
+    printer.connect();
+    try {
+      await waitFor(() => printer.stateStore.reportCount > 0);
+      expect(printer.isConnected()).toBe(true);
+      expect(printer.currentLayer).toBe(3);
+      expect(printer.totalLayers).toBe(20);
+    } finally {
+      printer.disconnect();
+    }
+    expect(printer.isActive()).toBe(false);
+    expect(printer.currentPrinterState).toBe('DISCONNECTED');
+  });
+
+  function simulatedPrinter(overrides = {}) {
+    return new PrinterService(
+      { id: 'sim', name: 'Simulator', ...definition, ...overrides },
+      { mqtt: { port: simulator.port }, log: () => {} }
+    );
+  }
+
+  test('reconnect resolves once the new connection is up', async () => {
+    const printer = simulatedPrinter();
+    printer.connect();
+    try {
+      await printer.waitForConnection();
+      const { client } = printer.mqtt;
+      await printer.reconnect();
+      expect(printer.isConnected()).toBe(true);
+      expect(printer.mqtt.client).not.toBe(client);
+    } finally {
+      printer.disconnect();
+    }
+  });
+
+  test('reconnect rejects with the connection error', async () => {
+    const printer = simulatedPrinter({ mqtt_password: 'wrong' });
+    try {
+      await expect(printer.reconnect()).rejects.toThrow('Connection refused - check IP/password/network');
+    } finally {
+      printer.disconnect();
+    }
+  });
+
+  test('fetchFullStatus waits for the full report', async () => {
+    const printer = simulatedPrinter();
+    printer.connect();
+    try {
+      await printer.waitForConnection();
+      simulator.state.layer_num = 7;
+      const { responseMs, state } = await printer.fetchFullStatus();
+      expect(responseMs).toBeGreaterThanOrEqual(0);
+      expect(state.progress.layer).toBe(7);
+    } finally {
+      simulator.state.layer_num = 3;
+      printer.disconnect();
+    }
+  });
+
+  test('reports the layers printed while the connection was down', async () => {
+    const bus = new EventBus();
+    const gaps = [];
+    bus.on(EventBus.EVENTS.PRINTER_LAYER_GAP, (gap) => gaps.push(gap));
+    const printer = new PrinterService(
+      { id: 'sim', name: 'Simulator', ...definition },
+      { bus, mqtt: { port: simulator.port, reconnect: { initialDelayMs: 50 } }, log: () => {} }
+    );
+    printer.connect();
+    try {
+      await waitFor(() => printer.currentLayer === 3);
+      printer.session = 'S1';
+
+      simulator.goOffline(200);
+      simulator.state.layer_num = 8;
+      await waitFor(() => gaps.length > 0);
+      expect(gaps[0]).toMatchObject({ from: 4, to: 7, sessionId: 'S1', since: expect.any(Number) });
+      expect(printer.currentLayer).toBe(8);
+    } finally {
+      simulator.state.layer_num = 3;
+      printer.disconnect();
+    }
+  });
+
+  test('runGcode resolves when the printer answers the G-code', async () => {
+    const printer = simulatedPrinter();
+    const sent = [];
+    const onGcode = (gcode) => sent.push(gcode);
+    simulator.on('gcode', onGcode);
+    printer.connect();
+    try {
+      await printer.waitForConnection();
+      await expect(printer.runGcode('G1 X10 Y10\nM400\n', 5000)).resolves.toBeGreaterThanOrEqual(0);
+      await expect(printer.runGcode('M400\n', 5000)).resolves.toBeGreaterThanOrEqual(0);
+      expect(sent).toEqual(['G1 X10 Y10\nM400\n', 'M400\n']);
+    } finally {
+      simulator.off('gcode', onGcode);
+      printer.disconnect();
+    }
+  });
+
+  test('runGcode rejects without a connection', async () => {
+    await expect(simulatedPrinter().runGcode('M400\n', 100)).rejects.toThrow('MQTT client not connected');
+  });
+
+  test('fetchFullStatus rejects without a connection', async () => {
+    await expect(simulatedPrinter().fetchFullStatus()).rejects.toThrow('MQTT client not connected');
+  });
+});
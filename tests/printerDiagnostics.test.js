@@ -0,0 +1,95 @@
+const net = require('net');
+const BambuPrinterSimulator = require('../src/simulators/bambuPrinterSimulator');
+const PrinterDiagnostics = require('../src/services/printerDiagnostics');
+
+const simulator = new BambuPrinterSimulator({ serial: 'SIMDIAG0000001', accessCode: 'diagtest', port: 0 });
+let definition;
+
+function diagnose(overrides = {}, port = simulator.port) {
+  return new PrinterDiagnostics({ ...definition, ...overrides }, { port, timeoutMs: 2000 }).run();
+}
+
+// A port nothing listens on
+function closedPort() {
+  return new Promise((resolve) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// A port that accepts TCP but does not speak TLS
+function plainTcpServer() {
+  return new Promise((resolve) => {
+    const server = net.createServer((socket) => {
+      socket.on('error', () => {});
+      socket.end('hello\n');
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+beforeAll(async () => {
+  await simulator.start();
+  definition = { printer_ip: '127.0.0.1', printer_serial: simulator.serial, mqtt_password: simulator.accessCode };
+});
+
+afterAll(async () => {
+  await simulator.stop();
+});
+
+describe('PrinterDiagnostics', () => {
+  test('passes every step against a reachable printer', async () => {
+    const result = await diagnose();
+
+    expect(result.success).toBe(true);
+    expect(result.diagnostics.steps.map((step) => [step.step, step.ok])).toEqual([
+      ['tcp', true],
+      ['tls', true],
+      ['mqtt', true]
+    ]);
+    expect(result.diagnostics.steps[1].certificate_subject).toBe(simulator.serial);
+    expect(result.diagnostics.suggestions).toEqual([]);
+  });
+
+  test('stops at the MQTT login when the access code is wrong', async () => {
+    const result = await diagnose({ mqtt_password: 'wrong' });
+
+    expect(result.success).toBe(false);
+    expect(result.message).toBe('MQTT check failed: Connection refused: bad user name or password');
+    expect(result.diagnostics.steps.map((step) => step.ok)).toEqual([true, true, false]);
+    expect(result.diagnostics.suggestions[0]).toMatch(/access code/);
+  });
+
+  test('stops at the TCP check when the port is closed', async () => {
+    const result = await diagnose({}, await closedPort());
+
+    expect(result.success).toBe(false);
+    expect(result.diagnostics.steps).toEqual([expect.objectContaining({ step: 'tcp', ok: false })]);
+    expect(result.diagnostics.suggestions.join(' ')).toMatch(/LAN mode/);
+  });
+
+  test('stops at the TLS check when the port does not speak TLS', async () => {
+    const server = await plainTcpServer();
+    try {
+      const result = await diagnose({}, server.address().port);
+      expect(result.diagnostics.steps.map((step) => [step.step, step.ok])).toEqual([
+        ['tcp', true],
+        ['tls', false]
+      ]);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('reports missing connection settings without connecting', async () => {
+    const result = await new PrinterDiagnostics({ printer_ip: '127.0.0.1' }).run();
+
+    expect(result).toMatchObject({
+      success: false,
+      message: 'Printer configuration incomplete (printer_serial, mqtt_password)',
+      diagnostics: { steps: [] }
+    });
+  });
+});
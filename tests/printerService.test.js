@@ -0,0 +1,244 @@
+const EventBus = require('../src/services/eventBus');
+const PrinterService = require('../src/services/printerService');
+const PrinterStateStore = require('../src/services/printerStateStore');
+const { createTriggerStrategy } = require('../src/services/triggers');
+const { loadMqttFixture, mockClock } = require('./helpers');
+
+const { EVENTS } = EventBus;
+
+describe('PrinterService', () => {
+  let clock;
+  let bus;
+  let events;
+  let cameraReady;
+  let service;
+
+  function createService(definition = {}, options = {}) {
+    return new PrinterService(
+      { id: 'P1', name: 'Printer 1', printer_serial: 'P1', ...definition },
+      { bus, cameraReady: () => cameraReady, log: () => {}, ...options }
+    );
+  }
+
+  // Reports only take over a new state once the previous one was stable long enough
+  const settledUpdate = (print) => {
+    clock.advance(service.stateStabilityThreshold + 1);
+    return service.update({ print });
+  };
+
+  const eventsOf = (name) => events.filter((event) => event.name === name).map((event) => event.payload);
+
+  beforeEach(() => {
+    clock = mockClock();
+    bus = new EventBus();
+    events = [];
+    for (const name of Object.values(EVENTS)) {
+      bus.on(name, (payload) => events.push({ name, payload }));
+    }
+    cameraReady = true;
+    service = createService();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('update', () => {
+    test('ignores a state change that follows the previous one too quickly', () => {
+      service.update({ print: { layer_num: 1, total_layer_num: 10 } });
+      expect(service.lastStableState).toBe('UNKNOWN');
+      expect(eventsOf(EVENTS.PRINTER_STATE)).toEqual([]);
+    });
+
+    test('accepts a state change once the current state was stable long enough', () => {
+      settledUpdate({ layer_num: 1, total_layer_num: 10 });
+      expect(service.lastStableState).toBe('PRINTING');
+      expect(eventsOf(EVENTS.PRINTER_STATE)).toEqual([{ printer: service, state: 'PRINTING', previous: 'UNKNOWN' }]);
+
+      // And the next change has to wait again
+      service.update({ print: { gcode_state: 'FINISH' } });
+      expect(service.lastStableState).toBe('PRINTING');
+      settledUpdate({ gcode_state: 'FINISH' });
+      expect(service.lastStableState).toBe('FINISHED');
+    });
+
+    test('tracks layers and keeps them across incremental reports', () => {
+      const [full, running, temperatures] = loadMqttFixture('timelapse-print');
+      service.update(full);
+      expect(service.totalLayers).toBe(10);
+      expect(service.currentLayer).toBe(0);
+
+      service.update(running);
+      expect(service.currentLayer).toBe(1);
+
+      // A report without layer_num leaves the layer alone
+      service.update(temperatures);
+      expect(service.currentLayer).toBe(1);
+      expect(service.totalLayers).toBe(10);
+      expect(service.gcodeState).toBe('RUNNING');
+      expect(eventsOf(EVENTS.PRINTER_LAYER)).toEqual([{ printer: service, layer: 1, previous: 0 }]);
+    });
+
+    test('publishes every merged report before deciding on a photo', () => {
+      service.update({ print: { ipcam: { timelapse: 'enable' } } });
+      settledUpdate({ layer_num: 2, total_layer_num: 10 });
+
+      const [, report] = eventsOf(EVENTS.PRINTER_REPORT);
+      expect(report.payload).toEqual({ print: { layer_num: 2, total_layer_num: 10 } });
+      expect(report.state.progress).toMatchObject({ layer: 2, total_layers: 10 });
+      const names = events.map((event) => event.name);
+      expect(names.lastIndexOf(EVENTS.PRINTER_REPORT)).toBeLessThan(names.indexOf(EVENTS.CAPTURE_DUE));
+    });
+
+    test('follows the Bambu timelapse flag only when ipcam is reported', () => {
+      service.update({ print: { ipcam: { timelapse: 'enable' } } });
+      expect(service.bambuTimelapseEnabled).toBe(true);
+      service.update({ print: { layer_num: 3 } });
+      expect(service.bambuTimelapseEnabled).toBe(true);
+      service.update({ print: { ipcam: { timelapse: 'disable' } } });
+      expect(service.bambuTimelapseEnabled).toBe(false);
+      expect(eventsOf(EVENTS.PRINTER_TIMELAPSE).map((event) => event.enabled)).toEqual([true, false]);
+    });
+
+    test('shows the layer progress and timelapse flag as printer status', () => {
+      service.update({ print: { ipcam: { timelapse: 'enable' } } });
+      settledUpdate({ layer_num: 4, total_layer_num: 10 });
+      expect(service.currentPrinterState).toBe('Layer 4 / 10 (40.0%) | 🎬 Timelapse ON');
+    });
+
+    test('returns null for a report it cannot process', () => {
+      expect(service.update(null)).toBeNull();
+      expect(service.stateStore.reportCount).toBe(0);
+    });
+  });
+
+  describe('stateFromReport', () => {
+    test.each([
+      [{ gcode_state: 'FINISH', layer_num: 5, total_layer_num: 10 }, 'FINISHED'],
+      [{ print_type: 'idle' }, 'FINISHED'],
+      [{ gcode_state: 'RUNNING', layer_num: 5, total_layer_num: 10 }, 'PRINTING'],
+      [{ gcode_state: 'RUNNING', layer_num: 10, total_layer_num: 10 }, 'STANDBY'],
+      [{ gcode_state: 'IDLE' }, 'IDLE'],
+      [{ nozzle_temper: 200 }, 'HEATING'],
+      [{ bed_temper: 65 }, 'HEATING'],
+      [{}, 'STANDBY']
+    ])('%j is %s', (print, state) => {
+      const store = new PrinterStateStore();
+      expect(service.stateFromReport(store.apply({ print }))).toBe(state);
+    });
+  });
+
+  describe('photo triggers', () => {
+    const printingWithTimelapse = { layer_num: 5, total_layer_num: 10, ipcam: { timelapse: 'enable' } };
+
+    test('a photo is due on a new layer while printing with the timelapse enabled', () => {
+      service.session = 'S1';
+      settledUpdate(printingWithTimelapse);
+
+      expect(eventsOf(EVENTS.CAPTURE_DUE)).toEqual([
+        { printer: service, layer: 5, changedAt: expect.any(Number), sessionId: 'S1' }
+      ]);
+      expect(service.lastTriggerLayer).toBe(5);
+    });
+
+    test('a layer is only due once', () => {
+      settledUpdate(printingWithTimelapse);
+      settledUpdate(printingWithTimelapse);
+      settledUpdate({ layer_num: 6 });
+      expect(eventsOf(EVENTS.CAPTURE_DUE).map((event) => event.layer)).toEqual([5, 6]);
+    });
+
+    test('nothing is due before the printing state is stable or before the first layer', () => {
+      service.update({ print: printingWithTimelapse });
+      settledUpdate({ ...printingWithTimelapse, layer_num: 0 });
+      expect(eventsOf(EVENTS.CAPTURE_DUE)).toEqual([]);
+    });
+
+    test('nothing is due while a pause-and-park capture is running', () => {
+      service.parking = true;
+      settledUpdate(printingWithTimelapse);
+      expect(eventsOf(EVENTS.CAPTURE_DUE)).toEqual([]);
+    });
+
+    test('the layer is skipped while no camera is ready', () => {
+      cameraReady = false;
+      settledUpdate(printingWithTimelapse);
+      expect(eventsOf(EVENTS.CAPTURE_DUE)).toEqual([]);
+      expect(eventsOf(EVENTS.CAPTURE_SKIPPED)).toEqual([
+        expect.objectContaining({ layer: 5, reason: 'camera not connected' })
+      ]);
+    });
+
+    test('a skipped photo is reported once and stays due until it is taken', () => {
+      cameraReady = false;
+      settledUpdate(printingWithTimelapse);
+      service.update({ print: printingWithTimelapse });
+      expect(eventsOf(EVENTS.CAPTURE_SKIPPED)).toHaveLength(1);
+      expect(service.trigger.count).toBe(0);
+
+      cameraReady = true;
+      service.update({ print: printingWithTimelapse });
+      expect(eventsOf(EVENTS.CAPTURE_DUE).map((event) => event.layer)).toEqual([5]);
+      expect(service.trigger.count).toBe(1);
+    });
+
+    test('skipped layers do not count toward the trigger strategy', () => {
+      service = createService({}, { trigger: createTriggerStrategy({ strategy: 'every_n_layers', n: 3 }) });
+      cameraReady = false;
+      settledUpdate(printingWithTimelapse);
+      cameraReady = true;
+      settledUpdate({ layer_num: 6 });
+      settledUpdate({ layer_num: 7 });
+      settledUpdate({ layer_num: 9 });
+      expect(eventsOf(EVENTS.CAPTURE_DUE).map((event) => event.layer)).toEqual([6, 9]);
+    });
+
+    test('the trigger strategy starts over when the layer goes back for a new print', () => {
+      service = createService({}, { trigger: createTriggerStrategy({ strategy: 'every_n_layers', n: 5 }) });
+      settledUpdate({ ...printingWithTimelapse, layer_num: 8 });
+      settledUpdate({ layer_num: 9 });
+      settledUpdate({ layer_num: 1 });
+      expect(eventsOf(EVENTS.CAPTURE_DUE).map((event) => event.layer)).toEqual([8, 1]);
+    });
+
+    test.each([
+      ['follow_printer', 'disable', 'Bambu timelapse disabled'],
+      ['never', 'enable', 'capture policy is "never"'],
+      ['always', 'disable', null]
+    ])('capture policy %s with the timelapse %sd skips with %p', (policy, timelapse, reason) => {
+      service = createService({ capture_policy: policy });
+      settledUpdate({ ...printingWithTimelapse, ipcam: { timelapse } });
+
+      if (reason) {
+        expect(eventsOf(EVENTS.CAPTURE_SKIPPED)).toEqual([expect.objectContaining({ layer: 5, reason })]);
+        expect(eventsOf(EVENTS.CAPTURE_DUE)).toEqual([]);
+      } else {
+        expect(eventsOf(EVENTS.CAPTURE_DUE)).toHaveLength(1);
+      }
+    });
+
+    test('nothing is due after a reset', () => {
+      settledUpdate(printingWithTimelapse);
+      service.reset();
+      expect(service.getStatus()).toMatchObject({
+        state: 'UNKNOWN',
+        current_layer: 0,
+        last_trigger_layer: -1,
+        bambu_timelapse_enabled: false
+      });
+      expect(service.stateStore.reportCount).toBe(0);
+    });
+  });
+
+  describe('without a connection', () => {
+    test('print commands are rejected', async () => {
+      await expect(service.publishCommand('pause')).rejects.toThrow('MQTT client not connected');
+      expect(service.isConnected()).toBe(false);
+    });
+
+    test('disconnect only updates the displayed status', () => {
+      service.disconnect('DISCONNECTED - GoPro required');
+      expect(service.currentPrinterState).toBe('DISCONNECTED - GoPro required');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const PrinterStateStore = require('../src/services/printerStateStore');
+const { loadMqttFixture } = require('./helpers');
+
+describe('PrinterStateStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new PrinterStateStore();
+  });
+
+  test('reports unknown fields as null before anything was reported', () => {
+    const state = store.get();
+    expect(state.gcode_state).toBeNull();
+    expect(state.progress).toEqual({ percent: null, remaining_minutes: null, layer: null, total_layers: null });
+    expect(state.ipcam).toEqual({ timelapse: null, recording: null });
+    expect(state.ams).toEqual({ units: [], active_tray: null });
+    expect(state.report_count).toBe(0);
+  });
+
+  test('builds the canonical model from a full report', () => {
+    const [full] = loadMqttFixture('ams-deltas');
+    const state = store.apply(full);
+
+    expect(state).toMatchObject({
+      gcode_state: 'RUNNING',
+      stage: 2,
+      job: { task_id: '48213390', subtask_name: 'Spool Holder', gcode_file: null },
+      progress: { percent: 12, remaining_minutes: 95, layer: 14, total_layers: 180 },
+      temperatures: { nozzle: { current: 219.8, target: 220 }, bed: { current: 54.9, target: 55 }, chamber: 31 },
+      fans: { part_cooling: 100, aux: 0, chamber: 40, heatbreak: 100 },
+      speed: { level: 2, profile: 'standard', percent: 100 },
+      errors: { print_error: 0, hms: [{ attr: 50336000, code: 131073 }] },
+      ipcam: { timelapse: false, recording: true },
+      wifi_signal: '-51dBm',
+      report_count: 1
+    });
+    expect(state.ams.active_tray).toBe('1');
+    expect(state.ams.units).toEqual([
+      {
+        id: '0',
+        humidity: 4,
+        temperature: 26.1,
+        trays: [
+          { id: '0', type: 'PLA', color: 'FFFFFFFF', remaining_percent: 80 },
+          { id: '1', type: 'PETG', color: '000000FF', remaining_percent: 35 },
+          { id: '2', type: null, color: null, remaining_percent: null },
+          { id: '3', type: null, color: null, remaining_percent: null }
+        ]
+      }
+    ]);
+  });
+
+  test('merges deltas into the state without losing unreported fields', () => {
+    const [full, fan, speed, timelapse] = loadMqttFixture('ams-deltas');
+    store.apply(full);
+
+    let state = store.apply(fan);
+    expect(state.fans.part_cooling).toBe(67);
+    expect(state.progress.layer).toBe(15);
+    expect(state.progress.total_layers).toBe(180);
+    expect(state.temperatures.nozzle.target).toBe(220);
+
+    state = store.apply(speed);
+    expect(state.speed).toEqual({ level: 3, profile: 'sport', percent: 124 });
+    expect(state.errors.hms).toEqual([]);
+
+    // Nested objects merge key by key
+    state = store.apply(timelapse);
+    expect(state.ipcam).toEqual({ timelapse: true, recording: true });
+    expect(state.ams.units[0].trays).toHaveLength(4);
+    expect(state.report_count).toBe(4);
+  });
+
+  test('replaces arrays instead of merging them', () => {
+    store.apply({ print: { ams: { ams: [{ id: '0', tray: [{ id: '0', tray_type: 'PLA' }] }], tray_now: '0' } } });
+    const state = store.apply({ print: { ams: { ams: [{ id: '0', tray: [{ id: '0' }] }] } } });
+
+    expect(state.ams.units[0].trays[0].type).toBeNull();
+    expect(state.ams.active_tray).toBe('0');
+  });
+
+  test('accepts the print object without its envelope and ignores other messages', () => {
+    store.apply({ gcode_state: 'PREPARE', layer_num: 0 });
+    expect(store.get().gcode_state).toBe('PREPARE');
+
+    store.apply(null);
+    store.apply({ print: 'bogus' });
+    expect(store.get().progress.layer).toBe(0);
+    expect(store.reportCount).toBe(1);
+  });
+
+  test('reset forgets the state', () => {
+    store.apply(loadMqttFixture('ams-deltas')[0]);
+    store.reset();
+    expect(store.get().gcode_state).toBeNull();
+    expect(store.get().updated_at).toBeNull();
+  });
+});
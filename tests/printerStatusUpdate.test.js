@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { loadMqttFixture, makeTempDir, removeTempDir, mockClock, waitFor, FAST_MOCK_CAMERA } = require('./helpers');
+
+const directory = makeTempDir();
+process.env.LAYERSYNC_CONFIG = path.join(directory, 'config.json');
+process.env.LAYERSYNC_DATA_DIR = path.join(directory, 'data');
+fs.writeFileSync(
+  process.env.LAYERSYNC_CONFIG,
+  JSON.stringify({ record_mqtt: true, cameras: [{ name: 'cam', mock: FAST_MOCK_CAMERA }] })
+);
+
+const controller = require('../src/controllers/timelapse_controller');
+
+const { cameras, printers, sessions } = controller;
+
+// Beyond the controller's 5 s state stability threshold
+const STABLE_MS = 6000;
+
+let clock;
+let printerCount = 0;
+
+function addPrinter(overrides = {}) {
+  const id = `P${++printerCount}`;
+  const printer = controller.createPrinter({ id, name: id, printer_serial: id, photo_trigger_delay: 0, ...overrides });
+  printers.set(id, printer);
+  return printer;
+}
+
+// Feed reports like the MQTT client would, letting each state settle and each capture finish
+async function replay(printer, reports) {
+  for (const report of reports) {
+    clock.advance(STABLE_MS);
+    const before = printer.session ? sessions.get(printer.session).triggers.length : 0;
+    await controller.handlePrinterStatusUpdate(printer, report);
+    if (printer.lastTriggerLayer === report.print.layer_num && printer.session) {
+      await waitFor(() => sessions.get(printer.session).triggers.length > before);
+    }
+  }
+}
+
+async function connectCameras() {
+  await cameras.runAll(cameras.names(), (driver) => driver.connect());
+  await waitFor(() => cameras.anyReady(cameras.names()));
+}
+
+beforeAll(() => {
+  controller.loadConfig();
+  controller.setupCameras();
+});
+
+afterAll(async () => {
+  await controller.stop();
+  removeTempDir(directory);
+});
+
+beforeEach(() => {
+  clock = mockClock();
+});
+
+afterEach(() => {
+  clock.restore();
+});
+
+describe('state stabilization', () => {
+  test('ignores a state change until the previous state was stable long enough', async () => {
+    const printer = addPrinter();
+    const [, running] = loadMqttFixture('timelapse-print');
+
+    await controller.handlePrinterStatusUpdate(printer, { print: { ...running.print, total_layer_num: 10 } });
+    expect(printer.lastStableState).toBe('UNKNOWN');
+
+    clock.advance(STABLE_MS);
+    await controller.handlePrinterStatusUpdate(printer, running);
+    expect(printer.lastStableState).toBe('PRINTING');
+    expect(printer.currentPrinterState).toBe('Layer 1 / 10 (10.0%) | 🎬 Timelapse OFF');
+  });
+});
+
+describe('layer tracking', () => {
+  test('keeps the layer and layer count across incremental reports', async () => {
+    const printer = addPrinter();
+    const [full, running, temperatures] = loadMqttFixture('timelapse-print');
+
+    await controller.handlePrinterStatusUpdate(printer, full);
+    expect(printer.totalLayers).toBe(10);
+    expect(printer.currentLayer).toBe(0);
+
+    await controller.handlePrinterStatusUpdate(printer, running);
+    expect(printer.currentLayer).toBe(1);
+
+    await controller.handlePrinterStatusUpdate(printer, temperatures);
+    expect(printer.currentLayer).toBe(1);
+    expect(printer.totalLayers).toBe(10);
+    expect(printer.gcodeState).toBe('RUNNING');
+  });
+
+  test('opens a print session and closes it when the print finishes', async () => {
+    const printer = addPrinter();
+    await replay(printer, loadMqttFixture('timelapse-print'));
+
+    expect(printer.session).toBeNull();
+    const [session] = sessions.list({ printerId: printer.id });
+    expect(session).toMatchObject({
+      status: 'finished',
+      task_id: '48213377',
+      subtask_name: 'Calibration Cube',
+      total_layers: 10
+    });
+  });
+
+  test('records every report of the session, including the one that closes it', async () => {
+    const printer = addPrinter();
+    const reports = loadMqttFixture('timelapse-print');
+    await replay(printer, reports);
+
+    const [session] = sessions.list({ printerId: printer.id });
+    const recording = path.join(process.env.LAYERSYNC_DATA_DIR, 'recordings', `${session.id}.jsonl`);
+    const lines = fs
+      .readFileSync(recording, 'utf8')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+
+    expect(lines[0]).toMatchObject({ type: 'header', session_id: session.id, cameras: ['cam'] });
+    expect(lines.slice(1).map((line) => line.payload)).toEqual(reports);
+  });
+});
+
+describe('skip paths', () => {
+  test('skips layers while no camera is connected', async () => {
+    const printer = addPrinter();
+    await replay(printer, loadMqttFixture('timelapse-print').slice(0, -1));
+
+    const session = sessions.get(printer.session);
+    expect(session.triggers.map((trigger) => trigger.layer)).toEqual([1, 2, 3, 4]);
+    expect(session.triggers.every((trigger) => trigger.skipped === 'camera not connected')).toBe(true);
+  });
+
+  describe('with a connected camera', () => {
+    beforeAll(connectCameras);
+
+    test('skips layers while the Bambu timelapse is disabled', async () => {
+      const printer = addPrinter();
+      await replay(printer, loadMqttFixture('timelapse-disabled-print'));
+
+      expect(printer.bambuTimelapseEnabled).toBe(false);
+      const session = sessions.get(printer.session);
+      expect(session.triggers).toHaveLength(3);
+      expect(session.triggers.every((trigger) => trigger.skipped === 'Bambu timelapse disabled')).toBe(true);
+      expect(session.triggers.every((trigger) => trigger.cameras.length === 0)).toBe(true);
+    });
+
+    test('captures anyway when the capture policy is "always"', async () => {
+      const printer = addPrinter({ capture_policy: 'always' });
+      await replay(printer, loadMqttFixture('timelapse-disabled-print'));
+
+      const session = sessions.get(printer.session);
+      expect(session.triggers).toHaveLength(3);
+      expect(session.triggers.every((trigger) => !trigger.skipped && trigger.cameras[0].success)).toBe(true);
+    });
+
+    test('captures every layer of a print with the timelapse enabled', async () => {
+      const printer = addPrinter();
+      const reports = loadMqttFixture('timelapse-print');
+      await replay(printer, reports.slice(0, -1));
+
+      const session = sessions.get(printer.session);
+      expect(session.triggers.map((trigger) => trigger.layer)).toEqual([1, 2, 3, 4]);
+      for (const trigger of session.triggers) {
+        expect(trigger.skipped).toBeNull();
+        expect(trigger.cameras).toEqual([expect.objectContaining({ camera: 'cam', success: true })]);
+      }
+
+      // A report repeating the current layer does not fire again
+      await controller.handlePrinterStatusUpdate(printer, reports[5]);
+      expect(sessions.get(printer.session).triggers).toHaveLength(4);
+    });
+  });
+});
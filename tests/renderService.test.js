@@ -0,0 +1,181 @@
+jest.mock('child_process', () => ({ spawn: jest.fn() }));
+
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const RenderService = require('../src/services/renderService');
+const SessionStore = require('../src/services/sessionStore');
+const { makeTempDir, removeTempDir, waitFor } = require('./helpers');
+
+// Stand-in for the ffmpeg child process, finished by the test
+function fakeFfmpeg() {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  return child;
+}
+
+describe('RenderService', () => {
+  let directory;
+  let sessions;
+  let renderer;
+  let session;
+  let children;
+
+  beforeEach(() => {
+    directory = makeTempDir();
+    sessions = new SessionStore(path.join(directory, 'sessions'));
+    renderer = new RenderService({ sessions, ffmpegPath: '/opt/ffmpeg/bin/ffmpeg' });
+    children = [];
+    spawn.mockReset();
+    spawn.mockImplementation(() => {
+      const child = fakeFfmpeg();
+      children.push(child);
+      return child;
+    });
+
+    session = sessions.open({ id: 'P1', name: 'P1' });
+    const mediaDir = path.join(directory, 'media', session.id);
+    fs.mkdirSync(mediaDir, { recursive: true });
+    sessions.setMedia(session.id, {
+      status: 'complete',
+      directory: mediaDir,
+      cameras: [{ camera: 'front', files: ['GOPR0002.JPG', 'GOPR0001.JPG'], test_files: [] }]
+    });
+  });
+
+  afterEach(() => {
+    removeTempDir(directory);
+  });
+
+  describe('normalizeOptions', () => {
+    test('fills in the defaults', () => {
+      expect(RenderService.normalizeOptions({ fps: 24 })).toEqual({ ...RenderService.DEFAULT_OPTIONS, fps: 24 });
+    });
+
+    test.each([
+      [{ fps: 0 }, 'fps must be between 1 and 120'],
+      [{ resolution: '1920' }, 'resolution must look like 1920x1080'],
+      [{ hold_seconds: -1 }, 'hold_seconds must be a non-negative number'],
+      [{ codec: 'libx264 -f' }, 'codec must be an ffmpeg encoder name'],
+      [{ crf: 52 }, 'crf must be a whole number between 0 and 51'],
+      [{ crf: -1 }, 'crf must be a whole number between 0 and 51'],
+      [{ crf: 18.5 }, 'crf must be a whole number between 0 and 51'],
+      [{ crf: '20 -vf drawtext' }, 'crf must be a whole number between 0 and 51']
+    ])('rejects %j', (options, message) => {
+      expect(() => RenderService.normalizeOptions(options)).toThrow(message);
+    });
+  });
+
+  test('runs ffmpeg with the concat list, filters and encoder settings', async () => {
+    const job = renderer.enqueue(session.id, { resolution: '1280x720', crf: 23 });
+    await waitFor(() => children.length === 1);
+
+    const [binary, args] = spawn.mock.calls[0];
+    const listFile = args[args.indexOf('-i') + 1];
+    expect(binary).toBe('/opt/ffmpeg/bin/ffmpeg');
+    expect(args).toEqual([
+      '-y',
+      '-nostats',
+      '-progress',
+      'pipe:1',
+      '-f',
+      'concat',
+      '-safe',
+      '0',
+      '-i',
+      listFile,
+      '-vf',
+      'fps=30,scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,' +
+        'tpad=stop_mode=clone:stop_duration=2,format=yuv420p',
+      '-c:v',
+      'libx264',
+      '-crf',
+      '23',
+      '-movflags',
+      '+faststart',
+      job.output
+    ]);
+    expect(job.output).toBe(path.join(directory, 'media', session.id, 'timelapse-front.mp4'));
+    expect(
+      fs
+        .readFileSync(listFile, 'utf8')
+        .split('\n')
+        .filter((line) => line.startsWith('file'))
+    ).toEqual([
+      `file '${path.join(directory, 'media', session.id, 'front', 'GOPR0001.JPG')}'`,
+      `file '${path.join(directory, 'media', session.id, 'front', 'GOPR0002.JPG')}'`
+    ]);
+
+    children[0].emit('close', 0);
+    await waitFor(() => job.status === RenderService.STATUS.DONE);
+  });
+
+  test('moves a job from queued through rendering to done and records the render', async () => {
+    const events = [];
+    for (const name of ['queued', 'started', 'progress', 'done', 'failed']) {
+      renderer.on(name, (job) => events.push([name, job.status, job.progress]));
+    }
+
+    const job = renderer.enqueue(session.id);
+    expect(events[0]).toEqual(['queued', 'queued', 0]);
+    await waitFor(() => children.length === 1);
+    expect(job.status).toBe('rendering');
+    expect(job.started_at).not.toBeNull();
+
+    // 2 frames at 30 fps plus a 2 second hold: about 62 frames in total
+    children[0].stdout.emit('data', Buffer.from('frame=31\nfps=0.0\nprogress=continue\n'));
+    children[0].emit('close', 0);
+    await waitFor(() => job.status === 'done');
+
+    expect(events.map(([name]) => name)).toEqual(['queued', 'started', 'progress', 'done']);
+    expect(events[2]).toEqual(['progress', 'rendering', expect.closeTo(0.5, 1)]);
+    expect(job).toMatchObject({ progress: 1, error: null });
+    expect(job.finished_at).not.toBeNull();
+    expect(sessions.get(session.id).renders).toEqual([
+      expect.objectContaining({ camera: 'front', file: job.output, options: job.options })
+    ]);
+    expect(fs.readdirSync(path.dirname(job.output)).filter((name) => name.startsWith('.render-'))).toEqual([]);
+  });
+
+  test('fails the job with the last line ffmpeg wrote and starts the next one', async () => {
+    const first = renderer.enqueue(session.id);
+    const second = renderer.enqueue(session.id, { fps: 60 });
+    await waitFor(() => children.length === 1);
+    expect(second.status).toBe('queued');
+
+    children[0].stderr.emit('data', Buffer.from('Input #0, concat\nUnknown encoder\n'));
+    children[0].emit('close', 1);
+    await waitFor(() => children.length === 2);
+
+    expect(first).toMatchObject({ status: 'failed', error: 'ffmpeg exited with code 1: Unknown encoder' });
+    expect(second.status).toBe('rendering');
+    expect(renderer.listJobs().map((job) => job.id)).toEqual([second.id, first.id]);
+
+    children[1].emit('error', new Error('spawn ENOENT'));
+    await waitFor(() => second.status === 'failed');
+    expect(second.error).toBe('Failed to start ffmpeg: spawn ENOENT');
+  });
+
+  test('leaves the test shots out of the frames', () => {
+    sessions.setMedia(session.id, {
+      ...sessions.get(session.id).media,
+      cameras: [
+        { camera: 'front', files: ['GOPR0001.JPG', 'GOPR0002.JPG', 'GOPR0003.JPG'], test_files: ['GOPR0002.JPG'] },
+        { camera: 'side', files: ['GOPR0100.JPG'], test_files: ['GOPR0100.JPG'] }
+      ]
+    });
+
+    expect(RenderService.findFrames(sessions.get(session.id)).files).toEqual(['GOPR0001.JPG', 'GOPR0003.JPG']);
+    expect(() => RenderService.findFrames(sessions.get(session.id), 'side')).toThrow('No frames from camera "side"');
+  });
+
+  test('refuses sessions without downloaded frames', () => {
+    const other = sessions.open({ id: 'P2', name: 'P2' });
+    expect(() => renderer.enqueue('nope')).toThrow('Unknown session "nope"');
+    expect(() => renderer.enqueue(other.id)).toThrow(`Session "${other.id}" has no downloaded media`);
+    expect(() => renderer.enqueue(session.id, { camera: 'side' })).toThrow('No frames from camera "side"');
+    expect(spawn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const SessionStore = require('../src/services/sessionStore');
+const { makeTempDir, removeTempDir } = require('./helpers');
+
+const { STATUS } = SessionStore;
+
+describe('SessionStore', () => {
+  let directory;
+  let sessions;
+
+  const printer = { id: 'X1/C', name: 'Workshop' };
+  const stored = (session) => JSON.parse(fs.readFileSync(path.join(directory, `${session.id}.json`), 'utf8'));
+
+  beforeEach(() => {
+    directory = makeTempDir();
+    sessions = new SessionStore(directory);
+  });
+
+  afterEach(() => {
+    removeTempDir(directory);
+  });
+
+  test('opens a running session for a printer and saves it', () => {
+    const session = sessions.open(printer, { task_id: '42', subtask_name: 'Benchy', total_layers: 120 });
+
+    expect(session.id).toMatch(/^X1_C-\d+$/);
+    expect(session).toMatchObject({
+      printer_id: 'X1/C',
+      printer_name: 'Workshop',
+      task_id: '42',
+      subtask_name: 'Benchy',
+      gcode_file: null,
+      status: STATUS.RUNNING,
+      ended_at: null,
+      total_layers: 120,
+      triggers: [],
+      test_shots: []
+    });
+    expect(sessions.findRunning('X1/C')).toBe(session);
+    expect(sessions.running()).toEqual([session]);
+    expect(stored(session)).toEqual(session);
+  });
+
+  test('fills in job details that arrive later', () => {
+    const session = sessions.open(printer);
+    sessions.updateJob(session.id, { subtask_name: 'Benchy', total_layers: 0 });
+    expect(stored(session)).toMatchObject({ subtask_name: 'Benchy', total_layers: 0 });
+    sessions.updateJob('unknown', { subtask_name: 'x' });
+  });
+
+  test('appends triggers, gaps and test shots', () => {
+    const session = sessions.open(printer);
+    sessions.recordTrigger(session.id, {
+      layer: 1,
+      latencyMs: 900,
+      results: [
+        { camera: 'front', success: true, durationMs: 300 },
+        { camera: 'side', success: false, error: 'busy', durationMs: 50 }
+      ]
+    });
+    sessions.recordTrigger(session.id, { layer: 2, latencyMs: 10, skipped: 'no camera ready' });
+    sessions.recordGap(session.id, { from: 3, to: 5, since: Date.parse('2026-01-01T10:00:00Z') });
+    sessions.recordTestShot(session.id, [{ camera: 'front', success: true, durationMs: 200 }]);
+
+    expect(stored(session).triggers).toEqual([
+      {
+        timestamp: expect.any(String),
+        layer: 1,
+        latency_ms: 900,
+        skipped: null,
+        cameras: [
+          { camera: 'front', success: true, error: null, duration_ms: 300 },
+          { camera: 'side', success: false, error: 'busy', duration_ms: 50 }
+        ]
+      },
+      { timestamp: expect.any(String), layer: 2, latency_ms: 10, skipped: 'no camera ready', cameras: [] }
+    ]);
+    expect(stored(session).gaps).toEqual([
+      { from_layer: 3, to_layer: 5, disconnected_at: '2026-01-01T10:00:00.000Z', detected_at: expect.any(String) }
+    ]);
+    expect(stored(session).test_shots).toEqual([
+      { timestamp: expect.any(String), cameras: [{ camera: 'front', success: true }] }
+    ]);
+    expect(sessions.recordTrigger('unknown', { layer: 1, latencyMs: 0 })).toBeNull();
+  });
+
+  test('closing a session ends it', () => {
+    const session = sessions.open(printer);
+    expect(sessions.close(session.id, STATUS.FINISHED)).toMatchObject({
+      status: 'finished',
+      ended_at: expect.any(String)
+    });
+    expect(sessions.findRunning('X1/C')).toBeNull();
+    expect(stored(session).status).toBe('finished');
+    expect(sessions.close('unknown', STATUS.FAILED)).toBeNull();
+  });
+
+  test('lists summaries newest first, counting only complete captures', () => {
+    const first = sessions.open({ id: 'A', name: 'A' });
+    const second = sessions.open({ id: 'B', name: 'B' });
+    second.started_at = new Date(Date.parse(first.started_at) + 1000).toISOString();
+    sessions.recordTrigger(first.id, { layer: 1, latencyMs: 1, results: [{ camera: 'cam', success: true }] });
+    sessions.recordTrigger(first.id, { layer: 2, latencyMs: 1, results: [{ camera: 'cam', success: false }] });
+    sessions.recordTestShot(first.id, [{ camera: 'cam', success: true }]);
+    sessions.setMedia(first.id, { status: 'complete' });
+
+    expect(sessions.list().map((summary) => summary.id)).toEqual([second.id, first.id]);
+    const [summary] = sessions.list({ printerId: 'A' });
+    expect(summary).not.toHaveProperty('triggers');
+    expect(summary).not.toHaveProperty('test_shots');
+    expect(summary).toMatchObject({
+      trigger_count: 2,
+      captured_count: 1,
+      test_shot_count: 1,
+      media_status: 'complete'
+    });
+  });
+
+  test('reloads saved sessions from disk', () => {
+    const session = sessions.open(printer);
+    sessions.recordTrigger(session.id, { layer: 1, latencyMs: 5, results: [{ camera: 'cam', success: true }] });
+    sessions.addRender(session.id, { camera: 'cam', file: 'a.mp4' });
+    sessions.addRender(session.id, { camera: 'cam', file: 'b.mp4' });
+
+    const reloaded = new SessionStore(directory);
+    expect(reloaded.load()).toBe(1);
+    expect(reloaded.get(session.id)).toEqual(session);
+    expect(reloaded.get(session.id).renders).toEqual([{ camera: 'cam', file: 'b.mp4' }]);
+    expect(reloaded.findRunning('X1/C').id).toBe(session.id);
+  });
+
+  test('skips corrupt files and leaves no temporary files behind', () => {
+    const session = sessions.open(printer);
+    fs.writeFileSync(path.join(directory, 'broken.json'), '{"id": "broken", ');
+    fs.writeFileSync(path.join(directory, 'notes.txt'), 'not a session');
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const reloaded = new SessionStore(directory);
+    expect(reloaded.load()).toBe(1);
+    expect(reloaded.get(session.id)).toBeDefined();
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('Failed to load session broken.json'));
+    expect(fs.readdirSync(directory).filter((file) => file.endsWith('.tmp'))).toEqual([]);
+    error.mockRestore();
+  });
+
+  test('loads nothing from a missing directory', () => {
+    expect(new SessionStore(path.join(directory, 'missing')).load()).toBe(0);
+  });
+});
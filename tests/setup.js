@@ -0,0 +1,2 @@
+// The controller and services log every step to the console; keep test output readable
+jest.spyOn(console, 'log').mockImplementation(() => {});
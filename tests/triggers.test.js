@@ -0,0 +1,244 @@
+const {
+  TriggerStrategy,
+  createTriggerStrategy,
+  listTriggerStrategies,
+  registerTriggerStrategy
+} = require('../src/services/triggers');
+const { validateConfig } = require('../src/utils/configSchema');
+
+// Feed a strategy a run of contexts and return the layers a photo was taken on
+function run(strategy, contexts) {
+  const photos = [];
+  for (const context of contexts) {
+    if (strategy.shouldTrigger(context)) {
+      strategy.triggered(context);
+      photos.push(context.layer);
+    }
+  }
+  return photos;
+}
+
+// One context per layer, `layerMs` apart
+function layers(from, to, { totalLayers = 0, layerMs = 1000, start = 0 } = {}) {
+  return Array.from({ length: to - from + 1 }, (_, i) => ({
+    layer: from + i,
+    totalLayers,
+    now: start + i * layerMs
+  }));
+}
+
+describe('trigger strategies', () => {
+  test('all six built-in strategies are registered', () => {
+    expect(listTriggerStrategies()).toEqual(
+      expect.arrayContaining(['every_layer', 'every_n_layers', 'interval', 'progress', 'height', 'frame_count'])
+    );
+  });
+
+  describe('every_layer', () => {
+    test('is due once per new layer, starting with the first one', () => {
+      const strategy = createTriggerStrategy();
+      expect(strategy.shouldTrigger({ layer: 1, totalLayers: 3, now: 0 })).toBe(true);
+      strategy.triggered({ layer: 1, totalLayers: 3, now: 0 });
+      expect(strategy.shouldTrigger({ layer: 1, totalLayers: 3, now: 500 })).toBe(false);
+      expect(run(strategy, layers(1, 3))).toEqual([2, 3]);
+    });
+
+    test('a layer that was not taken stays due', () => {
+      const strategy = createTriggerStrategy({ strategy: 'every_layer' });
+      expect(strategy.shouldTrigger({ layer: 4, now: 0 })).toBe(true);
+      expect(strategy.shouldTrigger({ layer: 4, now: 500 })).toBe(true);
+      expect(strategy.count).toBe(0);
+    });
+
+    test('starts over after a reset between prints', () => {
+      const strategy = createTriggerStrategy({ strategy: 'every_layer' });
+      run(strategy, layers(1, 5));
+      strategy.reset();
+      expect(run(strategy, layers(1, 2))).toEqual([1, 2]);
+      expect(strategy.getInfo()).toEqual({ strategy: 'every_layer', triggered: 2 });
+    });
+  });
+
+  describe('every_n_layers', () => {
+    test('is due on the first layer and then every n layers', () => {
+      const strategy = createTriggerStrategy({ strategy: 'every_n_layers', n: 3 });
+      expect(run(strategy, layers(1, 10))).toEqual([1, 4, 7, 10]);
+    });
+
+    test('counts from the last photo when layers were skipped', () => {
+      const strategy = createTriggerStrategy({ strategy: 'every_n_layers', n: 3 });
+      expect(
+        run(
+          strategy,
+          [2, 3, 6, 7, 8, 9].map((layer) => ({ layer, now: 0 }))
+        )
+      ).toEqual([2, 6, 9]);
+    });
+
+    test('starts over after a reset between prints', () => {
+      const strategy = createTriggerStrategy({ strategy: 'every_n_layers', n: 5 });
+      run(strategy, layers(1, 8));
+      strategy.reset();
+      expect(run(strategy, layers(1, 6))).toEqual([1, 6]);
+    });
+
+    test.each([{}, { n: 0 }, { n: -2 }, { n: 'three' }])('rejects %j', (options) => {
+      expect(() => createTriggerStrategy({ strategy: 'every_n_layers', ...options })).toThrow(
+        'Trigger strategy "every_n_layers" needs a positive "n"'
+      );
+    });
+  });
+
+  describe('interval', () => {
+    test('is due on the first layer and then once the interval passed', () => {
+      const strategy = createTriggerStrategy({ strategy: 'interval', seconds: 2.5 });
+      expect(run(strategy, layers(1, 8))).toEqual([1, 4, 7]);
+    });
+
+    test('takes a single photo after a pause longer than the interval', () => {
+      const strategy = createTriggerStrategy({ strategy: 'interval', seconds: 10 });
+      const beforePause = layers(1, 3, { layerMs: 4000 });
+      // Nothing is checked while the print is paused for a minute, then layers go on
+      const afterPause = layers(4, 7, { layerMs: 4000, start: 68000 });
+      expect(run(strategy, [...beforePause, ...afterPause])).toEqual([1, 4, 7]);
+    });
+
+    test('is due again right away after a reset between prints', () => {
+      const strategy = createTriggerStrategy({ strategy: 'interval', seconds: 60 });
+      run(strategy, layers(1, 2));
+      strategy.reset();
+      expect(run(strategy, layers(1, 2, { start: 5000 }))).toEqual([1]);
+    });
+
+    test('rejects a missing interval', () => {
+      expect(() => createTriggerStrategy({ strategy: 'interval' })).toThrow(
+        'Trigger strategy "interval" needs a positive "seconds"'
+      );
+    });
+  });
+
+  describe('progress', () => {
+    test('is due at the start and in every new progress step by layer', () => {
+      const strategy = createTriggerStrategy({ strategy: 'progress', step_percent: 25 });
+      expect(run(strategy, layers(1, 10, { totalLayers: 10 }))).toEqual([1, 3, 5, 8, 10]);
+    });
+
+    test('uses the reported percentage while the layer count is unknown', () => {
+      const strategy = createTriggerStrategy({ strategy: 'progress', step_percent: 10 });
+      const contexts = [0, 4, 9, 10, 15, 31].map((percent, i) => ({ layer: i + 1, totalLayers: 0, now: 0, percent }));
+      expect(run(strategy, contexts)).toEqual([1, 4, 6]);
+      expect(strategy.shouldTrigger({ layer: 7, totalLayers: 0, now: 0 })).toBe(false);
+    });
+
+    test('starts over after a reset between prints', () => {
+      const strategy = createTriggerStrategy({ strategy: 'progress', step_percent: 50 });
+      run(strategy, layers(1, 4, { totalLayers: 4 }));
+      strategy.reset();
+      expect(run(strategy, layers(1, 2, { totalLayers: 4 }))).toEqual([1, 2]);
+    });
+  });
+
+  describe('height', () => {
+    test('is due at every new height step, counting the first layer height', () => {
+      const strategy = createTriggerStrategy({
+        strategy: 'height',
+        every_mm: 1,
+        layer_height: 0.2,
+        first_layer_height: 0.4
+      });
+      // Layer n is at 0.4 + (n - 1) × 0.2 mm: 1 mm is reached on layer 4, 2 mm on layer 9
+      expect(run(strategy, layers(1, 10))).toEqual([1, 4, 9]);
+    });
+
+    test('counts 5 layers of 0.2 mm as 1 mm despite float error', () => {
+      const strategy = createTriggerStrategy({ strategy: 'height', every_mm: 1 });
+      expect(run(strategy, layers(1, 10))).toEqual([1, 5, 10]);
+    });
+
+    test('starts over after a reset between prints', () => {
+      const strategy = createTriggerStrategy({ strategy: 'height', every_mm: 1 });
+      run(strategy, layers(1, 12));
+      strategy.reset();
+      expect(run(strategy, layers(1, 5))).toEqual([1, 5]);
+    });
+
+    test('rejects a non-positive layer height', () => {
+      expect(() => createTriggerStrategy({ strategy: 'height', every_mm: 1, layer_height: -0.2 })).toThrow(
+        'Trigger strategy "height" needs a positive "layer_height"'
+      );
+    });
+  });
+
+  describe('frame_count', () => {
+    test('spreads the frames evenly with the last one on the last layer', () => {
+      const strategy = createTriggerStrategy({ strategy: 'frame_count', frames: 4 });
+      expect(run(strategy, layers(1, 10, { totalLayers: 10 }))).toEqual([3, 5, 8, 10]);
+    });
+
+    test('takes every layer when there are fewer layers than frames', () => {
+      const strategy = createTriggerStrategy({ strategy: 'frame_count', frames: 100 });
+      expect(run(strategy, layers(1, 5, { totalLayers: 5 }))).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('waits for the layer count and never goes past the last frame', () => {
+      const strategy = createTriggerStrategy({ strategy: 'frame_count', frames: 2 });
+      expect(strategy.shouldTrigger({ layer: 3, totalLayers: 0, now: 0 })).toBe(false);
+      expect(run(strategy, layers(1, 6, { totalLayers: 4 }))).toEqual([2, 4]);
+    });
+
+    test('starts over after a reset between prints', () => {
+      const strategy = createTriggerStrategy({ strategy: 'frame_count', frames: 2 });
+      run(strategy, layers(1, 4, { totalLayers: 4 }));
+      strategy.reset();
+      expect(run(strategy, layers(1, 4, { totalLayers: 4 }))).toEqual([2, 4]);
+    });
+  });
+
+  describe('custom strategies', () => {
+    // Fires on the first and the last layer only
+    class FirstAndLastStrategy extends TriggerStrategy {
+      shouldTrigger({ layer, totalLayers }) {
+        return layer !== this.lastLayer && (layer === this.options.first || layer === totalLayers);
+      }
+    }
+
+    beforeAll(() => {
+      registerTriggerStrategy('first_and_last', FirstAndLastStrategy);
+    });
+
+    test('are created from a trigger block with their own options', () => {
+      const trigger = { strategy: 'first_and_last', first: 2 };
+      expect(validateConfig({ printer_ip: '10.0.0.2', printer_serial: 'S', mqtt_password: 'p', trigger })).toEqual([]);
+
+      const strategy = createTriggerStrategy(trigger);
+      expect(strategy).toBeInstanceOf(FirstAndLastStrategy);
+      expect(run(strategy, layers(1, 6, { totalLayers: 6 }))).toEqual([2, 6]);
+      expect(strategy.getInfo()).toEqual({ strategy: 'first_and_last', first: 2, triggered: 2 });
+      expect(listTriggerStrategies()).toContain('first_and_last');
+    });
+
+    test.each([
+      ['a class that does not extend TriggerStrategy', class {}],
+      ['a plain function', () => true],
+      ['the base class itself', TriggerStrategy]
+    ])('refuse %s', (_what, StrategyClass) => {
+      expect(() => registerTriggerStrategy('broken', StrategyClass)).toThrow(
+        'Trigger strategy "broken" must extend TriggerStrategy'
+      );
+      expect(listTriggerStrategies()).not.toContain('broken');
+    });
+
+    test('without shouldTrigger fail when asked', () => {
+      registerTriggerStrategy('incomplete', class extends TriggerStrategy {});
+      expect(() => createTriggerStrategy({ strategy: 'incomplete' }).shouldTrigger({ layer: 1 })).toThrow(
+        'does not implement shouldTrigger()'
+      );
+    });
+
+    test('unknown strategy names are refused with the available ones', () => {
+      expect(() => createTriggerStrategy({ strategy: 'every_second' })).toThrow(
+        /^Unknown trigger strategy "every_second" \(available: every_layer, .*first_and_last/
+      );
+    });
+  });
+});